@@ -1,7 +1,15 @@
+import path from "node:path";
 import type { NextConfig } from "next";
 
 const nextConfig: NextConfig = {
-  /* config options here */
+  // Shared pipeline modules (embeddings, prompts, ...) live in ../scripts/scripts/lib
+  // and are imported through the @scripts/* alias.
+  experimental: {
+    externalDir: true,
+  },
+  turbopack: {
+    root: path.resolve(__dirname, ".."),
+  },
 };
 
 export default nextConfig;
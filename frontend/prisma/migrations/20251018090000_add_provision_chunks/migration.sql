@@ -0,0 +1,30 @@
+-- pgvector is enabled by dev/initdb, but keep the migration self-contained
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- AlterTable
+ALTER TABLE "public"."QueryHistory" ADD COLUMN     "retrieval" JSONB;
+
+-- CreateTable
+CREATE TABLE "public"."ProvisionChunk" (
+    "id" TEXT NOT NULL,
+    "provisionId" TEXT NOT NULL,
+    "chunkIndex" INTEGER NOT NULL,
+    "source" TEXT NOT NULL,
+    "part" TEXT,
+    "subpart" TEXT,
+    "heading" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "sourceUrl" TEXT,
+    "hash" TEXT NOT NULL,
+    "embedder" TEXT NOT NULL,
+    "embedding" vector,
+    "updatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProvisionChunk_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProvisionChunk_embedder_idx" ON "public"."ProvisionChunk"("embedder");
+
+-- CreateIndex
+CREATE INDEX "ProvisionChunk_provisionId_idx" ON "public"."ProvisionChunk"("provisionId");
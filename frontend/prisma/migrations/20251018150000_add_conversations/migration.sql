@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "public"."QueryHistory" ADD COLUMN     "conversationId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."Conversation" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "title" TEXT NOT NULL,
+
+    CONSTRAINT "Conversation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "QueryHistory_conversationId_createdAt_idx" ON "public"."QueryHistory"("conversationId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Conversation_updatedAt_idx" ON "public"."Conversation"("updatedAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."QueryHistory" ADD CONSTRAINT "QueryHistory_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "public"."Conversation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
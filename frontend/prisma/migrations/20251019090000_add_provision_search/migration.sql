@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "public"."Provision" (
+    "id" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "source" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "part" TEXT,
+    "partName" TEXT,
+    "subpart" TEXT,
+    "number" TEXT NOT NULL,
+    "heading" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "pageStart" INTEGER,
+    "pageEnd" INTEGER,
+    "sourceUrl" TEXT,
+    "hash" TEXT NOT NULL,
+    "updatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    -- Headings rank above body text; maintained by Postgres, never written by the app
+    "search" tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', "heading"), 'A') || setweight(to_tsvector('english', "text"), 'B')
+    ) STORED,
+
+    CONSTRAINT "Provision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Provision_search_idx" ON "public"."Provision" USING GIN ("search");
+
+-- CreateIndex
+CREATE INDEX "Provision_source_part_idx" ON "public"."Provision"("source", "part");
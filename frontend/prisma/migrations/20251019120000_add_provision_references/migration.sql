@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "public"."ProvisionReference" (
+    "fromId" TEXT NOT NULL,
+    "toId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 1,
+    "raw" TEXT NOT NULL,
+
+    CONSTRAINT "ProvisionReference_pkey" PRIMARY KEY ("fromId","toId")
+);
+
+-- CreateIndex
+CREATE INDEX "ProvisionReference_toId_idx" ON "public"."ProvisionReference"("toId");
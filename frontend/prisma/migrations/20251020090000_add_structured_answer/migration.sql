@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."QueryHistory" ADD COLUMN     "structuredAnswer" JSONB;
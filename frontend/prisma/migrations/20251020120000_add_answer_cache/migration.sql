@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "public"."QueryHistory" ADD COLUMN     "cachedFromId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."AnswerCache" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "cacheKey" TEXT NOT NULL,
+    "cacheScope" TEXT NOT NULL,
+    "question" TEXT NOT NULL,
+    "corpusVersion" TEXT NOT NULL,
+    "policyVersion" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "embedder" TEXT,
+    "embedding" vector,
+    "queryHistoryId" TEXT NOT NULL,
+
+    CONSTRAINT "AnswerCache_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "QueryHistory_cachedFromId_idx" ON "public"."QueryHistory"("cachedFromId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AnswerCache_queryHistoryId_key" ON "public"."AnswerCache"("queryHistoryId");
+
+-- CreateIndex
+CREATE INDEX "AnswerCache_cacheKey_idx" ON "public"."AnswerCache"("cacheKey");
+
+-- CreateIndex
+CREATE INDEX "AnswerCache_cacheScope_idx" ON "public"."AnswerCache"("cacheScope");
+
+-- CreateIndex
+CREATE INDEX "AnswerCache_corpusVersion_idx" ON "public"."AnswerCache"("corpusVersion");
+
+-- AddForeignKey
+ALTER TABLE "public"."QueryHistory" ADD CONSTRAINT "QueryHistory_cachedFromId_fkey" FOREIGN KEY ("cachedFromId") REFERENCES "public"."QueryHistory"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AnswerCache" ADD CONSTRAINT "AnswerCache_queryHistoryId_fkey" FOREIGN KEY ("queryHistoryId") REFERENCES "public"."QueryHistory"("id") ON DELETE CASCADE ON UPDATE CASCADE;
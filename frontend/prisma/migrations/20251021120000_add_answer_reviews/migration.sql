@@ -0,0 +1,54 @@
+-- CreateTable
+CREATE TABLE "public"."AnswerFeedback" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "queryHistoryId" TEXT NOT NULL,
+    "userId" TEXT,
+    "rating" INTEGER NOT NULL,
+    "comment" TEXT,
+
+    CONSTRAINT "AnswerFeedback_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."AnswerReview" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "queryHistoryId" TEXT NOT NULL,
+    "reviewerId" TEXT,
+    "status" TEXT NOT NULL,
+    "correctedAnswer" TEXT,
+    "note" TEXT,
+    "questionKey" TEXT NOT NULL,
+
+    CONSTRAINT "AnswerReview_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AnswerFeedback_createdAt_idx" ON "public"."AnswerFeedback"("createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AnswerFeedback_queryHistoryId_userId_key" ON "public"."AnswerFeedback"("queryHistoryId", "userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AnswerReview_queryHistoryId_key" ON "public"."AnswerReview"("queryHistoryId");
+
+-- CreateIndex
+CREATE INDEX "AnswerReview_questionKey_status_idx" ON "public"."AnswerReview"("questionKey", "status");
+
+-- CreateIndex
+CREATE INDEX "AnswerReview_status_updatedAt_idx" ON "public"."AnswerReview"("status", "updatedAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."AnswerFeedback" ADD CONSTRAINT "AnswerFeedback_queryHistoryId_fkey" FOREIGN KEY ("queryHistoryId") REFERENCES "public"."QueryHistory"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AnswerFeedback" ADD CONSTRAINT "AnswerFeedback_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AnswerReview" ADD CONSTRAINT "AnswerReview_queryHistoryId_fkey" FOREIGN KEY ("queryHistoryId") REFERENCES "public"."QueryHistory"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AnswerReview" ADD CONSTRAINT "AnswerReview_reviewerId_fkey" FOREIGN KEY ("reviewerId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
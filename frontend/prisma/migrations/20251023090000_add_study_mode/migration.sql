@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "public"."StudyQuiz" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "syllabusItemId" TEXT NOT NULL,
+    "userId" TEXT,
+    "model" TEXT NOT NULL,
+    "corpusVersion" TEXT,
+    "totalTokens" INTEGER,
+    "promptTokens" INTEGER,
+    "completionTokens" INTEGER,
+
+    CONSTRAINT "StudyQuiz_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."StudyQuestion" (
+    "id" TEXT NOT NULL,
+    "quizId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "syllabusItemId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "question" TEXT NOT NULL,
+    "options" JSONB NOT NULL,
+    "correctOption" INTEGER,
+    "answer" TEXT NOT NULL,
+    "provisionId" TEXT NOT NULL,
+    "quote" TEXT NOT NULL,
+    "answeredAt" TIMESTAMPTZ(6),
+    "choice" INTEGER,
+    "response" TEXT,
+    "correct" BOOLEAN,
+
+    CONSTRAINT "StudyQuestion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StudyQuiz_userId_createdAt_idx" ON "public"."StudyQuiz"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "StudyQuiz_syllabusItemId_idx" ON "public"."StudyQuiz"("syllabusItemId");
+
+-- CreateIndex
+CREATE INDEX "StudyQuestion_syllabusItemId_idx" ON "public"."StudyQuestion"("syllabusItemId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StudyQuestion_quizId_position_key" ON "public"."StudyQuestion"("quizId", "position");
+
+-- AddForeignKey
+ALTER TABLE "public"."StudyQuiz" ADD CONSTRAINT "StudyQuiz_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StudyQuestion" ADD CONSTRAINT "StudyQuestion_quizId_fkey" FOREIGN KEY ("quizId") REFERENCES "public"."StudyQuiz"("id") ON DELETE CASCADE ON UPDATE CASCADE;
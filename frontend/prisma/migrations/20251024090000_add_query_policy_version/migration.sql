@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "public"."QueryHistory" ADD COLUMN     "policyHash" TEXT,
+ADD COLUMN     "policyId" TEXT,
+ADD COLUMN     "policyVersion" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "QueryHistory_policyId_policyVersion_idx" ON "public"."QueryHistory"("policyId", "policyVersion");
@@ -0,0 +1,246 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import Link from "next/link"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Label } from "@/components/ui/label"
+
+const inputClass =
+  "border-input focus-visible:border-ring focus-visible:ring-ring/50 dark:bg-input/30 h-9 rounded-md border bg-transparent px-3 py-1 text-sm shadow-xs outline-none focus-visible:ring-[3px]"
+
+type Me = {
+  user: { id: string; email: string; role: string; via: string } | null
+  authDisabled?: boolean
+  usage?: {
+    tokensThisMonth: number
+    monthlyTokenQuota: number | null
+    resetAt: string
+    rateLimit: { limit: number; windowSeconds: number } | null
+  }
+}
+
+type ApiKeyItem = { id: string; name: string; prefix: string; createdAt: string; lastUsedAt: string | null }
+
+async function requestJson<T>(url: string, init?: RequestInit): Promise<T> {
+  const resp = await fetch(url, {
+    ...init,
+    headers: init?.body ? { "content-type": "application/json" } : undefined,
+  })
+  const json = (await resp.json().catch(() => ({}))) as T & { error?: string }
+  if (!resp.ok) throw new Error(json.error ?? `Request failed: ${resp.status}`)
+  return json
+}
+
+export default function AccountPage() {
+  const [me, setMe] = useState<Me | null>(null)
+  const [keys, setKeys] = useState<ApiKeyItem[]>([])
+  const [keyName, setKeyName] = useState("")
+  const [newKey, setNewKey] = useState<string | null>(null)
+  const [password, setPassword] = useState("")
+  const [currentPassword, setCurrentPassword] = useState("")
+  const [notice, setNotice] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  async function load() {
+    const resp = await fetch("/api/auth/me")
+    if (resp.status === 401) {
+      window.location.assign("/login")
+      return
+    }
+    const json = (await resp.json()) as Me
+    setMe(json)
+    if (json.user) {
+      const list = await requestJson<{ items: ApiKeyItem[] }>("/api/auth/api-keys")
+      setKeys(list.items)
+    }
+  }
+
+  useEffect(() => {
+    load().catch((err) => setError((err as Error).message))
+  }, [])
+
+  async function run(action: () => Promise<void>) {
+    setError(null)
+    setNotice(null)
+    try {
+      await action()
+    } catch (err) {
+      setError((err as Error).message)
+    }
+  }
+
+  const onCreateKey = (e: React.FormEvent) => {
+    e.preventDefault()
+    void run(async () => {
+      const created = await requestJson<{ key: string }>("/api/auth/api-keys", {
+        method: "POST",
+        body: JSON.stringify({ name: keyName }),
+      })
+      setNewKey(created.key)
+      setKeyName("")
+      await load()
+    })
+  }
+
+  const onRevokeKey = (id: string) =>
+    void run(async () => {
+      await requestJson(`/api/auth/api-keys/${encodeURIComponent(id)}`, { method: "DELETE" })
+      await load()
+    })
+
+  const onSetPassword = (e: React.FormEvent) => {
+    e.preventDefault()
+    void run(async () => {
+      await requestJson("/api/auth/password", {
+        method: "POST",
+        body: JSON.stringify({ password, currentPassword: currentPassword || undefined }),
+      })
+      setPassword("")
+      setCurrentPassword("")
+      setNotice("Password saved.")
+    })
+  }
+
+  const onSignOut = () =>
+    void run(async () => {
+      await requestJson("/api/auth/logout", { method: "POST" })
+      window.location.assign("/login")
+    })
+
+  const usage = me?.usage
+
+  return (
+    <div className="mx-auto w-full max-w-3xl p-6 md:p-10">
+      <Link href="/" className="text-sm text-muted-foreground hover:underline">
+        ← Ask
+      </Link>
+      <h1 className="mt-2 text-2xl font-semibold tracking-tight">Account</h1>
+
+      {error && (
+        <Alert variant="destructive" className="mt-4">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      {notice && <p className="mt-4 text-sm text-muted-foreground">{notice}</p>}
+      {me?.authDisabled && (
+        <p className="mt-4 text-sm text-muted-foreground">Accounts are disabled on this server (AUTH_DISABLED).</p>
+      )}
+
+      {me?.user && usage && (
+        <div className="mt-6 space-y-6">
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base font-medium">{me.user.email}</CardTitle>
+              <Button type="button" variant="outline" size="sm" className="w-fit" onClick={onSignOut}>
+                Sign out
+              </Button>
+            </CardHeader>
+            <CardContent className="space-y-1 text-sm">
+              <div>Role: {me.user.role}</div>
+              <div>
+                Tokens this month: {usage.tokensThisMonth.toLocaleString()}
+                {usage.monthlyTokenQuota ? ` of ${usage.monthlyTokenQuota.toLocaleString()}` : " (no quota)"}
+                {` · resets ${new Date(usage.resetAt).toLocaleDateString()}`}
+              </div>
+              <div>
+                Rate limit:{" "}
+                {usage.rateLimit
+                  ? `${usage.rateLimit.limit} question(s) per ${usage.rateLimit.windowSeconds}s`
+                  : "none for this account"}
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base font-medium">Password</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <form onSubmit={onSetPassword} className="flex flex-wrap items-end gap-3">
+                <div className="grid gap-2">
+                  <Label htmlFor="current-password">Current password (if set)</Label>
+                  <input
+                    id="current-password"
+                    type="password"
+                    value={currentPassword}
+                    onChange={(e) => setCurrentPassword(e.target.value)}
+                    autoComplete="current-password"
+                    className={inputClass}
+                  />
+                </div>
+                <div className="grid gap-2">
+                  <Label htmlFor="new-password">New password</Label>
+                  <input
+                    id="new-password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="new-password"
+                    minLength={10}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+                <Button type="submit">Save password</Button>
+              </form>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base font-medium">API keys</CardTitle>
+              <p className="text-sm text-muted-foreground">
+                For scripts: <code>Authorization: Bearer ask_...</code> on <code>/api/ask</code> (e.g.{" "}
+                <code>ASK_API_KEY</code> for <code>npm run eval -- --target</code>). Keys share this account&apos;s
+                history, limits and quota.
+              </p>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <form onSubmit={onCreateKey} className="flex items-end gap-3">
+                <div className="grid gap-2">
+                  <Label htmlFor="key-name">Name</Label>
+                  <input
+                    id="key-name"
+                    value={keyName}
+                    onChange={(e) => setKeyName(e.target.value)}
+                    placeholder="eval runner"
+                    className={inputClass}
+                  />
+                </div>
+                <Button type="submit">Create key</Button>
+              </form>
+              {newKey && (
+                <Alert>
+                  <AlertDescription>
+                    <span>Copy this key now; it is not shown again:</span>
+                    <code className="break-all">{newKey}</code>
+                  </AlertDescription>
+                </Alert>
+              )}
+              <ul className="space-y-2 text-sm">
+                {keys.map((k) => (
+                  <li key={k.id} className="flex items-center justify-between gap-3">
+                    <span>
+                      <span className="font-medium">{k.name}</span>{" "}
+                      <code className="text-muted-foreground">{k.prefix}…</code>
+                      <span className="block text-xs text-muted-foreground">
+                        created {new Date(k.createdAt).toLocaleString()}
+                        {k.lastUsedAt ? ` · last used ${new Date(k.lastUsedAt).toLocaleString()}` : " · never used"}
+                      </span>
+                    </span>
+                    <Button type="button" variant="outline" size="sm" onClick={() => onRevokeKey(k.id)}>
+                      Revoke
+                    </Button>
+                  </li>
+                ))}
+                {keys.length === 0 && <li className="text-muted-foreground">No API keys.</li>}
+              </ul>
+            </CardContent>
+          </Card>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,29 @@
+import Link from "next/link"
+import { notFound } from "next/navigation"
+import { ProvisionPage } from "@/components/provision-view"
+import { sectionParamToId } from "@/lib/citations"
+import { actProvisions, findProvision, neighbours, provisionAnchor } from "@/lib/rules"
+
+export const dynamic = "force-dynamic"
+
+export default async function SectionPage({ params }: { params: Promise<{ section: string }> }) {
+  const { section } = await params
+  const provision = findProvision(sectionParamToId(section))
+  if (!provision || provision.source !== "CAA") notFound()
+  const { prev, next } = neighbours(actProvisions(), provision.id)
+
+  return (
+    <div className="mx-auto w-full max-w-4xl p-6 md:p-10">
+      <nav className="text-sm text-muted-foreground">
+        <Link href="/rules" className="hover:underline">
+          Rules
+        </Link>
+        {" / "}
+        <Link href={`/act#${provisionAnchor(provision)}`} className="hover:underline">
+          Civil Aviation Act 2023
+        </Link>
+      </nav>
+      <ProvisionPage provision={provision} prev={prev} next={next} />
+    </div>
+  )
+}
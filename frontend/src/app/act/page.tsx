@@ -0,0 +1,20 @@
+import Link from "next/link"
+import { Separator } from "@/components/ui/separator"
+import { EmptyIndex, ProvisionDocument } from "@/components/provision-view"
+import { actProvisions } from "@/lib/rules"
+
+export const dynamic = "force-dynamic"
+
+export default function ActPage() {
+  const provisions = actProvisions()
+  return (
+    <div className="mx-auto w-full max-w-4xl p-6 md:p-10">
+      <Link href="/rules" className="text-sm text-muted-foreground hover:underline">
+        ← Civil Aviation Rules
+      </Link>
+      <h1 className="mt-2 text-2xl font-semibold tracking-tight">Civil Aviation Act 2023</h1>
+      <Separator className="my-6" />
+      {provisions.length === 0 ? <EmptyIndex /> : <ProvisionDocument provisions={provisions} />}
+    </div>
+  )
+}
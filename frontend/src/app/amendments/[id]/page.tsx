@@ -0,0 +1,112 @@
+import Link from "next/link"
+import { notFound } from "next/navigation"
+import { Badge } from "@/components/ui/badge"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Separator } from "@/components/ui/separator"
+import { getAmendment, versionLabel, type DiffOp } from "@/lib/amendments"
+
+export const dynamic = "force-dynamic"
+
+// Long unchanged runs are shortened to this many words on each side of a change
+const CONTEXT_WORDS = 12
+
+function DiffText({ diff }: { diff: DiffOp[] }) {
+  return (
+    <p className="text-sm leading-relaxed">
+      {diff.map((d, i) => {
+        if (d.op === "insert") {
+          return (
+            <ins key={i} className="bg-green-100 px-0.5 no-underline dark:bg-green-900/40">
+              {d.text}{" "}
+            </ins>
+          )
+        }
+        if (d.op === "delete") {
+          return (
+            <del key={i} className="bg-red-100 px-0.5 dark:bg-red-900/40">
+              {d.text}{" "}
+            </del>
+          )
+        }
+        const words = d.text.split(" ")
+        const head = i === 0 ? [] : words.slice(0, CONTEXT_WORDS)
+        const tail = i === diff.length - 1 ? [] : words.slice(-CONTEXT_WORDS)
+        const text = words.length <= head.length + tail.length ? d.text : [...head, "…", ...tail].join(" ").trim()
+        return <span key={i}>{text} </span>
+      })}
+    </p>
+  )
+}
+
+export default async function AmendmentPage({ params }: { params: Promise<{ id: string }> }) {
+  const { id } = await params
+  const report = getAmendment(id)
+  if (!report) notFound()
+
+  return (
+    <div className="mx-auto w-full max-w-4xl p-6 md:p-10">
+      <Link href="/amendments" className="text-sm text-muted-foreground hover:underline">
+        ← Recent amendments
+      </Link>
+      <h1 className="mt-2 text-2xl font-semibold tracking-tight">{report.title}</h1>
+      <p className="text-sm text-muted-foreground mt-1">
+        {versionLabel(report.from)} → {versionLabel(report.to)}
+      </p>
+      <div className="mt-3 flex flex-wrap gap-2">
+        <Badge variant="secondary">{report.summary.added} added</Badge>
+        <Badge variant="secondary">{report.summary.removed} removed</Badge>
+        <Badge variant="secondary">{report.summary.modified} modified</Badge>
+        <Badge variant="outline">{report.summary.unchanged} unchanged</Badge>
+      </div>
+
+      <Separator className="my-6" />
+
+      {report.modified.length > 0 && (
+        <section className="space-y-4">
+          <h2 className="text-lg font-medium">Modified</h2>
+          {report.modified.map((m) => (
+            <Card key={m.id}>
+              <CardHeader>
+                <CardTitle className="text-base font-medium">
+                  <span className="font-mono">{m.id}</span> {m.heading}
+                </CardTitle>
+                <div className="text-xs text-muted-foreground mt-1">
+                  +{m.wordsAdded} / −{m.wordsRemoved} words
+                  {m.previousHeading && <span> · heading was “{m.previousHeading}”</span>}
+                </div>
+              </CardHeader>
+              <CardContent>
+                <DiffText diff={m.diff} />
+              </CardContent>
+            </Card>
+          ))}
+        </section>
+      )}
+
+      {[
+        { title: "Added", items: report.added },
+        { title: "Removed", items: report.removed },
+      ]
+        .filter((group) => group.items.length > 0)
+        .map((group) => (
+          <section key={group.title} className="mt-8 space-y-2">
+            <h2 className="text-lg font-medium">{group.title}</h2>
+            <ul className="space-y-2 text-sm">
+              {group.items.map((p) => (
+                <li key={p.id}>
+                  <details>
+                    <summary className="cursor-pointer">
+                      <span className="font-mono">{p.id}</span> {p.heading}
+                    </summary>
+                    <pre className="mt-2 whitespace-pre-wrap break-words rounded-md border bg-muted p-3 text-xs">
+                      {p.text}
+                    </pre>
+                  </details>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+    </div>
+  )
+}
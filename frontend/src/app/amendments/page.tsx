@@ -0,0 +1,55 @@
+import Link from "next/link"
+import { Badge } from "@/components/ui/badge"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Separator } from "@/components/ui/separator"
+import { listAmendments, versionLabel } from "@/lib/amendments"
+
+export const dynamic = "force-dynamic"
+
+export default function AmendmentsPage() {
+  const items = listAmendments(100)
+  return (
+    <div className="mx-auto w-full max-w-4xl p-6 md:p-10">
+      <Link href="/" className="text-sm text-muted-foreground hover:underline">
+        ← Ask
+      </Link>
+      <h1 className="mt-2 text-2xl font-semibold tracking-tight">Recent amendments</h1>
+      <p className="text-sm text-muted-foreground mt-1">
+        Provision-level changes between consolidation versions of each CAR Part and the Act.
+      </p>
+
+      <Separator className="my-6" />
+
+      {items.length === 0 && (
+        <p className="text-sm text-muted-foreground">
+          No amendments recorded yet. Reports appear after a Part is converted a second time with a changed PDF, or
+          after <code>npm run diff</code> in <code>scripts/</code>.
+        </p>
+      )}
+
+      <div className="space-y-4">
+        {items.map((item) => (
+          <Card key={item.id}>
+            <CardHeader>
+              <CardTitle className="text-base font-medium">
+                <Link href={`/amendments/${item.id}`} className="hover:underline">
+                  {item.title}
+                </Link>
+              </CardTitle>
+              <div className="text-xs text-muted-foreground mt-1">
+                {versionLabel(item.from)} → {versionLabel(item.to)} · generated{" "}
+                {new Date(item.generated_at).toLocaleString()}
+              </div>
+            </CardHeader>
+            <CardContent className="flex flex-wrap gap-2">
+              <Badge variant="secondary">{item.summary.added} added</Badge>
+              <Badge variant="secondary">{item.summary.removed} removed</Badge>
+              <Badge variant="secondary">{item.summary.modified} modified</Badge>
+              <Badge variant="outline">{item.summary.unchanged} unchanged</Badge>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,13 @@
+import { NextResponse } from 'next/server'
+import { getAmendment } from '@/lib/amendments'
+
+export const runtime = 'nodejs'
+
+export async function GET(_req: Request, { params }: { params: Promise<{ id: string }> }) {
+  const { id } = await params
+  const report = getAmendment(id)
+  if (!report) {
+    return NextResponse.json({ error: `Amendment report not found: ${id}` }, { status: 404 })
+  }
+  return NextResponse.json({ report })
+}
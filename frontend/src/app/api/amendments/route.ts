@@ -0,0 +1,11 @@
+import { NextResponse } from 'next/server'
+import { listAmendments } from '@/lib/amendments'
+
+export const runtime = 'nodejs'
+
+export async function GET(req: Request) {
+  const { searchParams } = new URL(req.url)
+  const takeParam = Number(searchParams.get('take') ?? '50')
+  const take = Number.isFinite(takeParam) && takeParam > 0 && takeParam <= 500 ? takeParam : 50
+  return NextResponse.json({ items: listAmendments(take) })
+}
@@ -0,0 +1,147 @@
+import { NextResponse } from 'next/server'
+import {
+  CSV_COLUMNS,
+  batchFormatOf,
+  csvLine,
+  normalizeBatchItems,
+  parseBatchInput,
+  priceTable,
+  recordToCsvLine,
+  runBatch,
+  summarizeBatch,
+} from '@scripts/batch.js'
+import { answerQuestion, type AskRequestBody } from '@/lib/ask'
+import { requireCaller } from '@/lib/auth'
+import { requestPolicy } from '@/lib/policies'
+import { retrievalParamsError } from '@/lib/retrieval'
+import { checkRateLimit, checkTokenQuota, limitResponse } from '@/lib/usage-limits'
+
+export const runtime = 'nodejs'
+
+// Settings shared by every question of a JSON batch
+type BatchRequestBody = Pick<AskRequestBody, 'context' | 'top_k' | 'reference_k' | 'max_tokens' | 'temperature' | 'format' | 'cache' | 'policy'> & {
+  questions?: unknown[]
+}
+
+const OUTPUTS = ['json', 'jsonl', 'csv'] as const
+type BatchOutput = (typeof OUTPUTS)[number]
+
+function envNumber(name: string, fallback: number): number {
+  const raw = process.env[name]
+  if (raw === undefined || raw === '') return fallback
+  const value = Number(raw)
+  return Number.isFinite(value) && value >= 0 ? value : fallback
+}
+
+/**
+ * Many questions in one request, answered like /api/ask (each is a new
+ * conversation in the caller's history). The body is JSON
+ * { questions: ["...", { id?, question }], ...settings } or a JSONL / CSV file
+ * (Content-Type application/x-ndjson or text/csv). ?output=json (default) |
+ * jsonl | csv picks the result format; ?policy= sets the prompt policy of a
+ * JSONL / CSV batch (a JSON body has its own `policy`). Every question counts
+ * against the rate limit, so a batch larger than the remaining allowance gets
+ * 429; the token quota is checked before each question.
+ */
+export async function POST(req: Request) {
+  try {
+    const params = new URL(req.url).searchParams
+    const output = (params.get('output') ?? 'json').toLowerCase() as BatchOutput
+    if (!OUTPUTS.includes(output)) {
+      return NextResponse.json({ error: `output must be one of: ${OUTPUTS.join(', ')}` }, { status: 400 })
+    }
+
+    const contentType = req.headers.get('content-type') ?? 'application/json'
+    const inputFormat = batchFormatOf(contentType)
+    if (inputFormat !== 'json' && inputFormat !== 'jsonl' && inputFormat !== 'csv') {
+      return NextResponse.json(
+        { error: 'Send JSON ({ "questions": [...] }), JSONL (application/x-ndjson) or CSV (text/csv)' },
+        { status: 415 },
+      )
+    }
+    const text = await req.text()
+    let settings: Partial<AskRequestBody> = { policy: params.get('policy') ?? undefined }
+    let items
+    try {
+      if (inputFormat === 'json') {
+        const { questions, ...rest } = JSON.parse(text || '{}') as BatchRequestBody
+        if (!Array.isArray(questions)) throw new Error('expected { "questions": [...] }')
+        items = normalizeBatchItems(questions)
+        const { context, top_k, reference_k, max_tokens, temperature, format, cache, policy } = rest
+        settings = { context, top_k, reference_k, max_tokens, temperature, format, cache, policy: policy ?? settings.policy }
+      } else {
+        items = parseBatchInput(text, { format: inputFormat })
+      }
+    } catch (parseError) {
+      return NextResponse.json({ error: `Invalid batch: ${(parseError as Error).message}` }, { status: 400 })
+    }
+    const maxQuestions = envNumber('ASK_BATCH_MAX_QUESTIONS', 100)
+    if (items.length === 0 || items.length > maxQuestions) {
+      return NextResponse.json({ error: `A batch needs 1 to ${maxQuestions} questions` }, { status: 400 })
+    }
+    if (settings.format !== undefined && settings.format !== 'markdown' && settings.format !== 'json') {
+      return NextResponse.json({ error: 'format must be "markdown" or "json"' }, { status: 400 })
+    }
+    const paramsError = retrievalParamsError(settings)
+    if (paramsError) return NextResponse.json({ error: paramsError }, { status: 400 })
+    // Unknown policies fail the batch rather than every question
+    const policy = requestPolicy(settings.policy)
+    if (policy instanceof NextResponse) return policy
+    // Every question uses the same version, even if a newer one appears mid-batch
+    settings = { ...settings, policy: policy.ref }
+
+    const caller = await requireCaller(req)
+    if (caller instanceof NextResponse) return caller
+    // Every question takes a slot in the rate-limit windows, reserved up front
+    const exceeded = checkRateLimit(caller, items.length) ?? (await checkTokenQuota(caller))
+    if (exceeded) {
+      console.info('[ask] batch limit', { userId: caller.user?.id ?? null, ...exceeded })
+      return limitResponse(exceeded)
+    }
+
+    console.info('[ask] batch', { userId: caller.user?.id ?? null, questions: items.length, policy: policy.ref })
+    const records = await runBatch(
+      items,
+      async (item, { signal }) => {
+        const startedAt = Date.now()
+        // A quota reached part-way fails the remaining questions instead of retrying them
+        const quota = await checkTokenQuota(caller)
+        const result = quota ? limitResponse(quota) : await answerQuestion(item.question, caller, settings, signal)
+        if (result instanceof NextResponse) {
+          const body = (await result.json().catch(() => ({}))) as { error?: string }
+          throw new Error(body.error ?? `Request failed: ${result.status}`)
+        }
+        return { content: result.content, summary: result.summary, durationMs: Date.now() - startedAt }
+      },
+      {
+        concurrency: Math.max(1, envNumber('ASK_BATCH_CONCURRENCY', 2)),
+        retries: envNumber('ASK_BATCH_RETRIES', 3),
+        pricing: priceTable(),
+        signal: req.signal,
+        onRetry: (item, error, { attempt, delayMs }) => {
+          console.warn('[ask] batch retry', { id: item.id, attempt, delayMs, message: error.message })
+        },
+      },
+    )
+    const summary = { ...summarizeBatch(records), policy: policy.ref }
+    console.info('[ask] batch done', summary)
+
+    if (output === 'json') return NextResponse.json({ summary, results: records })
+    const body =
+      output === 'csv'
+        ? csvLine(CSV_COLUMNS) + records.map(recordToCsvLine).join('')
+        : records.map((r) => JSON.stringify(r) + '\n').join('')
+    return new NextResponse(body, {
+      headers: {
+        'content-type': output === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+        'content-disposition': `attachment; filename="batch-results.${output}"`,
+        'x-batch-summary': JSON.stringify(summary),
+      },
+    })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -1,213 +1,176 @@
 import { NextResponse } from 'next/server'
-import OpenAI from 'openai'
-import { Prisma } from '@prisma/client'
-import type {
-  ChatCompletion,
-  ChatCompletionCreateParamsNonStreaming,
-} from 'openai/resources/chat/completions'
-import fs from 'node:fs'
-import path from 'node:path'
-import prisma from '@/lib/prisma'
+import type { CompletionSummary } from '@scripts/llm.js'
+import {
+  answerQuestion,
+  finalizeAnswer,
+  finalizeCachedAnswer,
+  logAskError,
+  prepareAsk,
+  type AskRequestBody,
+  recordIncompleteAnswer,
+  type CachedAsk,
+} from '@/lib/ask'
+import { requireCaller, type Caller } from '@/lib/auth'
+import { retrievalParamsError } from '@/lib/retrieval'
+import { checkRateLimit, checkTokenQuota, limitResponse } from '@/lib/usage-limits'
 
 export const runtime = 'nodejs'
 
-type AskRequestBody = {
-  question?: string
-  max_tokens?: number
-  temperature?: number
+async function handleAsk(
+  question: string,
+  caller: Caller,
+  bodyOverrides?: Partial<AskRequestBody>,
+  signal?: AbortSignal,
+) {
+  const result = await answerQuestion(question, caller, bodyOverrides, signal)
+  return result instanceof NextResponse ? result : NextResponse.json(result)
 }
 
-function readTextOrThrow(filePath: string): string {
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`System prompt file not found: ${filePath}`)
-  }
-  return fs.readFileSync(filePath, 'utf8')
-}
-
-function readTextIfExists(filePath: string): string {
-  try {
-    if (fs.existsSync(filePath)) return fs.readFileSync(filePath, 'utf8')
-  } catch {}
-  return ''
-}
-
-function buildPolicy(): string {
-  return [
-    'You are advising using the current New Zealand Civil Aviation Act 2023 (CAA) and Civil Aviation Rules (CAR) contained in the system prompt.',
-    'Authoritative sources are LIMITED to the provided CAA and CAR texts. Do NOT rely on internal knowledge, training data, or external sources.',
-    '',
-    'Strict requirements for EVERY response:',
-    '- Identify and cite the controlling authority: CAA sections (e.g., CAA s 30) and CAR rules (e.g., Part 091, rule 91.xx).',
-    '- The Act prevails over the Rules. If there is any tension, rely on the Act and explicitly note the conflict.',
-    '- For every substantive proposition, include a short verbatim quotation from the relevant provision in fenced code blocks.',
-    '- Include a URL for every citation. Prefer URLs found in metadata (source_url) inside the provided texts.',
-    '- If the answer cannot be grounded in the provided CAA/CAR texts, state that explicitly and stop.',
-    '',
-    'Formatting guidelines (Markdown only):',
-    '- Output MUST be valid Markdown with these sections and nothing else:',
-    '  - ## Issue',
-    '  - ## Rule (include one or more verbatim quotations in fenced code blocks)',
-    '  - ## Application',
-    '  - ## Conclusion',
-    '  - ## Citations',
-    '- Within the Rule section, separate “Act (CAA)” and “Rules (CAR)” when both apply.',
-    '- Verbatim quotations MUST be fenced using exactly ```text.',
-    '- Each citation line MUST be precise, for example: CAA s <section> — <url> OR CAR Part <part>, rule <rule> — <url>.',
-    '',
-    'Professional legal-advice tone (NZ context):',
-    '- Be precise, conservative, and avoid speculation. If assumptions are needed, state them succinctly in the Application.',
-    '- Prefer primary authority (CAA first, then CAR). Explain interpretive choices only when necessary.',
-    '- Where relevant, surface definitions and offence/penalty provisions from the provided texts.',
-    '',
-    'Example quote block:',
-    '```text',
-    'Quoted passage exactly as written…',
-    '```',
-  ].join('\n')
-}
-
-function previewText(text: string, maxLength = 400): string {
-  if (!text) return ''
-  const normalized = text.replace(/\s+/g, ' ').trim()
-  if (normalized.length <= maxLength) return normalized
-  return normalized.slice(0, maxLength) + '…'
-}
-
-function resolveDefaultPaths() {
-  // Default to repository layout: <repo>/scripts/md/{car, caa}
-  // API route runs with CWD of the frontend app in dev/build.
-  const repoRoot = path.resolve(process.cwd(), '..')
-  const scriptsRoot = path.resolve(repoRoot, 'scripts')
-  const mdRoot = path.resolve(scriptsRoot, 'md')
-  return {
-    defaultSystemPath: path.resolve(mdRoot, 'ALL_CAR.md'),
-    defaultCaaPath: path.resolve(mdRoot, 'caa', 'CAA_2023_0010.md'),
-  }
+function sseEvent(event: string, data: unknown): Uint8Array {
+  return new TextEncoder().encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
 }
 
-async function handleAsk(question: string, bodyOverrides?: Partial<AskRequestBody>) {
-  const { defaultSystemPath, defaultCaaPath } = resolveDefaultPaths()
-
-  const model = process.env.OPENAI_MODEL || 'gpt-4.1'
-  const systemPath = process.env.SYSTEM_PATH || defaultSystemPath
-  const caaPath = process.env.CAA_PATH || defaultCaaPath
-  const maxOutputTokensEnv = process.env.MAX_OUTPUT_TOKENS
-  const temperatureEnv = process.env.TEMPERATURE
-
-  const maxTokens =
-    typeof bodyOverrides?.max_tokens === 'number'
-      ? bodyOverrides!.max_tokens
-      : maxOutputTokensEnv
-      ? Number(maxOutputTokensEnv)
-      : 32000
-
-  const temperature =
-    typeof bodyOverrides?.temperature === 'number'
-      ? bodyOverrides!.temperature
-      : temperatureEnv !== undefined && temperatureEnv !== ''
-      ? Number(temperatureEnv)
-      : undefined
-
-  const apiKey = process.env.OPENAI_API_KEY
-  if (!apiKey) {
-    return NextResponse.json(
-      { error: 'Missing OPENAI_API_KEY in env. Set it before running.' },
-      { status: 500 },
-    )
-  }
-
-  const carText = readTextOrThrow(systemPath)
-  const caaText = readTextIfExists(caaPath)
-
-  const sections: string[] = []
-  sections.push(buildPolicy())
-  if (caaText && caaText.trim()) {
-    sections.push('===== BEGIN: CAA (Act) =====')
-    sections.push(caaText)
-    sections.push('===== END: CAA (Act) =====')
-  }
-  sections.push('===== BEGIN: CAR (Rules) =====')
-  sections.push(carText)
-  sections.push('===== END: CAR (Rules) =====')
-  const fullSystemText = sections.join('\n\n')
-
-  const client = new OpenAI({ apiKey })
-
-  const payload: ChatCompletionCreateParamsNonStreaming = {
-    model,
-    messages: [
-      { role: 'system', content: fullSystemText },
-      { role: 'user', content: question },
-    ],
-    stream: false,
-    ...(typeof maxTokens === 'number' && !Number.isNaN(maxTokens)
-      ? { max_tokens: maxTokens }
-      : {}),
-    ...(typeof temperature === 'number' && !Number.isNaN(temperature)
-      ? { temperature }
-      : {}),
-  }
+/**
+ * Server-Sent Events variant: `meta` (retrieval), `delta` ({ content }) per
+ * token batch, then `done` with the usage summary, verification, the stored
+ * QueryHistory id (`queryId`, for feedback) and any expert review, or `error`.
+ * Aborting the request (or cancelling the stream) aborts the upstream call.
+ */
+async function handleAskStream(
+  question: string,
+  caller: Caller,
+  bodyOverrides: Partial<AskRequestBody>,
+  signal: AbortSignal,
+) {
+  const prepared = await prepareAsk(question, caller, bodyOverrides)
+  if (prepared instanceof NextResponse) return prepared
+  if ('cached' in prepared) return streamCachedAnswer(question, prepared)
+
+  const upstream = new AbortController()
+  const abortUpstream = () => upstream.abort()
+  signal.addEventListener('abort', abortUpstream)
 
   const startedAt = Date.now()
-  try {
-    // Log request (without large bodies)
-    console.info('[ask] request', {
-      model,
-      maxTokens,
-      temperature,
-      questionPreview: previewText(question, 200),
-    })
-
-    const resp = (await client.chat.completions.create(payload)) as ChatCompletion
-    const content = resp.choices?.[0]?.message?.content || ''
-    const summary = {
-      id: resp.id,
-      model: resp.model,
-      created: resp.created,
-      usage: resp.usage,
-      finish_reason: resp.choices?.[0]?.finish_reason,
-    }
-
-    const durationMs = Date.now() - startedAt
-    console.info('[ask] response', {
-      ...summary,
-      durationMs,
-      contentPreview: previewText(content, 400),
-    })
-
-    // Persist query history (best-effort; do not fail request if DB write fails)
-    try {
-      await prisma.queryHistory.create({
-        data: {
+  const stream = new ReadableStream<Uint8Array>({
+    async start(controller) {
+      controller.enqueue(sseEvent('meta', { retrieval: prepared.retrieval, policy: prepared.policy }))
+      let content = ''
+      let summary: CompletionSummary = { id: '', model: prepared.model, created: 0, usage: null, finish_reason: null }
+      let completed = false
+      try {
+        for await (const event of prepared.provider.stream(prepared.request, { signal: upstream.signal })) {
+          if (event.type === 'done') {
+            summary = event.summary
+          } else {
+            content += event.content
+            controller.enqueue(sseEvent('delta', { content: event.content }))
+          }
+        }
+        completed = true
+        const rawResponse = {
+          ...summary,
+          object: 'chat.completion',
+          streamed: true,
+          choices: [{ index: 0, finish_reason: summary.finish_reason, message: { role: 'assistant', content } }],
+        }
+        const result = await finalizeAnswer(
           question,
-          answer: content,
-          model: String(resp.model ?? model),
-          totalTokens: resp.usage?.total_tokens ?? undefined,
-          promptTokens: resp.usage?.prompt_tokens ?? undefined,
-          completionTokens: resp.usage?.completion_tokens ?? undefined,
-          finishReason: resp.choices?.[0]?.finish_reason ?? undefined,
-          durationMs,
-          rawResponse: JSON.parse(JSON.stringify(resp)) as Prisma.InputJsonValue,
-        },
-      })
-    } catch (persistError) {
-      console.warn('[ask] persist warning', {
-        message: (persistError as Error)?.message,
-      })
-    }
+          prepared,
+          { content, summary, rawResponse },
+          Date.now() - startedAt,
+        )
+        controller.enqueue(
+          sseEvent('done', {
+            summary: result.summary,
+            verification: result.verification,
+            cache: result.cache,
+            review: result.review,
+            queryId: result.queryId,
+            conversationId: result.conversationId,
+            conversation: result.conversation,
+          }),
+        )
+      } catch (error) {
+        const cancelled = upstream.signal.aborted
+        if (cancelled) {
+          console.info('[ask] stream cancelled', { durationMs: Date.now() - startedAt, chars: content.length })
+        } else {
+          logAskError(prepared, startedAt, error)
+          controller.enqueue(sseEvent('error', { error: (error as Error).message ?? 'Unexpected server error' }))
+        }
+        // The tokens were spent all the same: record them for quotas and /stats
+        // (a completed stream was already recorded by finalizeAnswer)
+        if (!completed) {
+          await recordIncompleteAnswer(
+            question,
+            prepared,
+            {
+              content,
+              summary,
+              reason: cancelled ? 'cancelled' : 'error',
+              error: cancelled ? undefined : (error as Error)?.message,
+            },
+            Date.now() - startedAt,
+          )
+        }
+      } finally {
+        signal.removeEventListener('abort', abortUpstream)
+        try {
+          controller.close()
+        } catch {}
+      }
+    },
+    cancel() {
+      upstream.abort()
+    },
+  })
+
+  return new Response(stream, {
+    headers: {
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-cache, no-transform',
+      connection: 'keep-alive',
+    },
+  })
+}
 
-    return NextResponse.json({ content, summary })
-  } catch (error) {
-    const durationMs = Date.now() - startedAt
-    console.error('[ask] error', {
-      model,
-      maxTokens,
-      temperature,
-      durationMs,
-      message: (error as Error)?.message,
-    })
-    throw error
-  }
+/**
+ * SSE for a cached answer: the same meta / delta / done events, with the whole
+ * answer in one delta.
+ */
+function streamCachedAnswer(question: string, cachedAsk: CachedAsk) {
+  const startedAt = Date.now()
+  const stream = new ReadableStream<Uint8Array>({
+    async start(controller) {
+      try {
+        const result = await finalizeCachedAnswer(question, cachedAsk, Date.now() - startedAt)
+        controller.enqueue(sseEvent('meta', { retrieval: result.retrieval, policy: result.policy, cache: result.cache }))
+        controller.enqueue(sseEvent('delta', { content: result.content }))
+        controller.enqueue(
+          sseEvent('done', {
+            summary: result.summary,
+            verification: result.verification,
+            cache: result.cache,
+            review: result.review,
+            queryId: result.queryId,
+            conversationId: result.conversationId,
+            conversation: result.conversation,
+          }),
+        )
+      } catch (error) {
+        controller.enqueue(sseEvent('error', { error: (error as Error).message ?? 'Unexpected server error' }))
+      } finally {
+        controller.close()
+      }
+    },
+  })
+  return new Response(stream, {
+    headers: {
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-cache, no-transform',
+      connection: 'keep-alive',
+    },
+  })
 }
 
 export async function POST(req: Request) {
@@ -220,7 +183,28 @@ export async function POST(req: Request) {
         { status: 400 },
       )
     }
-    return await handleAsk(question, body)
+    if (body.format !== undefined && body.format !== 'markdown' && body.format !== 'json') {
+      return NextResponse.json({ error: 'format must be "markdown" or "json"' }, { status: 400 })
+    }
+    const paramsError = retrievalParamsError(body)
+    if (paramsError) return NextResponse.json({ error: paramsError }, { status: 400 })
+    const wantsStream =
+      body.stream === true || (req.headers.get('accept') ?? '').includes('text/event-stream')
+    if (wantsStream && body.format === 'json') {
+      return NextResponse.json({ error: 'format "json" is not available with stream' }, { status: 400 })
+    }
+
+    // Signed-in user or API key, then the per-user and global rate limits and monthly token quotas
+    const caller = await requireCaller(req)
+    if (caller instanceof NextResponse) return caller
+    const exceeded = checkRateLimit(caller) ?? (await checkTokenQuota(caller))
+    if (exceeded) {
+      console.info('[ask] limit', { userId: caller.user?.id ?? null, ...exceeded })
+      return limitResponse(exceeded)
+    }
+
+    if (wantsStream) return await handleAskStream(question, caller, body, req.signal)
+    return await handleAsk(question, caller, body, req.signal)
   } catch (error) {
     return NextResponse.json(
       { error: (error as Error).message ?? 'Unexpected server error' },
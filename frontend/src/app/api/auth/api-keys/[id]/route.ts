@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+import { requireUser } from '@/lib/auth'
+
+export const runtime = 'nodejs'
+
+type Params = { params: Promise<{ id: string }> }
+
+// Revoked keys stay in the table (lastUsedAt is kept for auditing)
+export async function DELETE(req: Request, { params }: Params) {
+  try {
+    const user = await requireUser(req)
+    if (user instanceof NextResponse) return user
+    const { id } = await params
+    const { count } = await prisma.apiKey.updateMany({
+      where: { id, userId: user.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    })
+    if (count === 0) {
+      return NextResponse.json({ error: `API key not found: ${id}` }, { status: 404 })
+    }
+    return NextResponse.json({ revoked: id })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
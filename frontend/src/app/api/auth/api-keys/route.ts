@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+import { createApiKey, requireUser } from '@/lib/auth'
+
+export const runtime = 'nodejs'
+
+export async function GET(req: Request) {
+  try {
+    const user = await requireUser(req)
+    if (user instanceof NextResponse) return user
+    const items = await prisma.apiKey.findMany({
+      where: { userId: user.id, revokedAt: null },
+      orderBy: { createdAt: 'desc' },
+      select: { id: true, name: true, prefix: true, createdAt: true, lastUsedAt: true },
+    })
+    return NextResponse.json({ items })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
+
+// The key is only in this response; it acts as the user (same history, limits and quota)
+export async function POST(req: Request) {
+  try {
+    const user = await requireUser(req)
+    if (user instanceof NextResponse) return user
+    const body = (await req.json().catch(() => ({}))) as { name?: string }
+    const name = typeof body.name === 'string' && body.name.trim() ? body.name.trim().slice(0, 100) : 'API key'
+    return NextResponse.json(await createApiKey(user.id, name), { status: 201 })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+import { authDisabled, createSession, normalizeEmail, setSessionCookie, verifyPassword } from '@/lib/auth'
+import { checkSignInLimit, limitResponse } from '@/lib/usage-limits'
+
+export const runtime = 'nodejs'
+
+// Email and password (set on /account after a magic-link sign-in)
+export async function POST(req: Request) {
+  try {
+    if (authDisabled()) return NextResponse.json({ error: 'Accounts are disabled (AUTH_DISABLED)' }, { status: 400 })
+    const body = (await req.json().catch(() => ({}))) as { email?: string; password?: string }
+    const email = normalizeEmail(body.email)
+    if (!email || typeof body.password !== 'string' || !body.password) {
+      return NextResponse.json({ error: 'Provide { "email": "...", "password": "..." }' }, { status: 400 })
+    }
+    const exceeded = checkSignInLimit(req, email)
+    if (exceeded) return limitResponse(exceeded)
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, passwordHash: true, disabledAt: true },
+    })
+    if (!user || user.disabledAt || !(await verifyPassword(body.password, user.passwordHash))) {
+      return NextResponse.json({ error: 'Wrong email or password' }, { status: 401 })
+    }
+    const res = NextResponse.json({ signedIn: true })
+    setSessionCookie(res, await createSession(user.id))
+    console.info('[auth] signed in', { userId: user.id, via: 'password' })
+    return res
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+import { clearSessionCookie, hashToken, sessionToken } from '@/lib/auth'
+
+export const runtime = 'nodejs'
+
+export async function POST(req: Request) {
+  try {
+    const token = sessionToken(req)
+    if (token) await prisma.session.deleteMany({ where: { id: hashToken(token) } })
+    const res = NextResponse.json({ signedOut: true })
+    clearSessionCookie(res)
+    return res
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
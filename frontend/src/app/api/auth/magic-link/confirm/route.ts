@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server'
+import { consumeLoginToken, createSession, findOrCreateUser, setSessionCookie } from '@/lib/auth'
+
+export const runtime = 'nodejs'
+
+// The confirm form on /login?token=: use the token, start a session and go to the app, or back to /login with an error
+export async function POST(req: Request) {
+  const redirect = (path: string) => NextResponse.redirect(new URL(path, req.url), 303)
+  try {
+    const form = await req.formData().catch(() => null)
+    const token = form?.get('token')
+    const email = typeof token === 'string' && token ? await consumeLoginToken(token) : null
+    if (!email) return redirect('/login?error=link')
+    const user = await findOrCreateUser(email)
+    if (!user) return redirect('/login?error=disabled')
+    const res = redirect('/')
+    setSessionCookie(res, await createSession(user.id))
+    console.info('[auth] signed in', { userId: user.id, via: 'magic_link' })
+    return res
+  } catch (error) {
+    console.error('[auth] magic link error', { message: (error as Error).message })
+    return redirect('/login?error=server')
+  }
+}
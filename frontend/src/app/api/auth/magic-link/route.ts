@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server'
+import { authDisabled, createLoginToken, emailAllowed, magicLinkMinutes, normalizeEmail } from '@/lib/auth'
+import { sendMail } from '@/lib/mailer'
+import { checkSignInLimit, limitResponse } from '@/lib/usage-limits'
+
+export const runtime = 'nodejs'
+
+/**
+ * Origin of the emailed links: APP_URL, required in production so a forged
+ * Host header can never send someone's sign-in link to another server.
+ */
+function appUrl(req: Request): string {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/+$/, '')
+  if (process.env.NODE_ENV === 'production') throw new Error('APP_URL is not set: sign-in links cannot be sent')
+  return new URL(req.url).origin
+}
+
+// Email a one-time sign-in link (SMTP_HOST/SMTP_PORT, e.g. Mailpit on localhost:1025)
+export async function POST(req: Request) {
+  try {
+    if (authDisabled()) return NextResponse.json({ error: 'Accounts are disabled (AUTH_DISABLED)' }, { status: 400 })
+    const body = (await req.json().catch(() => ({}))) as { email?: string }
+    const email = normalizeEmail(body.email)
+    if (!email) {
+      return NextResponse.json({ error: 'Provide a valid { "email": "..." }' }, { status: 400 })
+    }
+    if (!emailAllowed(email)) {
+      return NextResponse.json({ error: `Sign-in is not open to ${email.split('@')[1]} addresses` }, { status: 403 })
+    }
+    const exceeded = checkSignInLimit(req, email)
+    if (exceeded) return limitResponse(exceeded)
+
+    const origin = appUrl(req)
+    const token = await createLoginToken(email)
+    // A page that asks before signing in: opening the link (e.g. a mail scanner) does not use it up
+    const link = `${origin}/login?token=${encodeURIComponent(token)}`
+    try {
+      await sendMail({
+        to: email,
+        subject: 'Sign in to Ask CAA',
+        text: `Open this link to sign in (valid for ${magicLinkMinutes()} minutes, once):\n\n${link}\n\nIf you did not ask for it, ignore this email.`,
+      })
+    } catch (mailError) {
+      // Without a mail catcher in development, the link is still usable from the server log
+      if (process.env.NODE_ENV === 'production') throw mailError
+      console.warn('[auth] mail warning; sign-in link:', { message: (mailError as Error).message, email, link })
+    }
+    console.info('[auth] magic link sent', { email })
+    return NextResponse.json({ sent: true, expiresInMinutes: magicLinkMinutes() })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
+
+// Links mailed before the confirm page: show it too, without using the token
+export async function GET(req: Request) {
+  const token = new URL(req.url).searchParams.get('token') ?? ''
+  return NextResponse.redirect(new URL(`/login?token=${encodeURIComponent(token)}`, req.url))
+}
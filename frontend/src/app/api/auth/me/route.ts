@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server'
+import { getCaller, isAdmin } from '@/lib/auth'
+import { monthlyTokenUsage, nextMonthStart, usageLimits, userTokenQuota } from '@/lib/usage-limits'
+
+export const runtime = 'nodejs'
+
+// The signed-in user with this month's token usage and limits; 401 when signed out
+export async function GET(req: Request) {
+  try {
+    const caller = await getCaller(req)
+    if (!caller) return NextResponse.json({ error: 'Not signed in' }, { status: 401 })
+    if (!caller.user) return NextResponse.json({ user: null, authDisabled: true })
+
+    const { userRate, windowSeconds } = usageLimits()
+    const quota = userTokenQuota(caller)
+    return NextResponse.json({
+      user: { ...caller.user, via: caller.via },
+      usage: {
+        tokensThisMonth: await monthlyTokenUsage(caller.user.id),
+        monthlyTokenQuota: quota || null,
+        resetAt: nextMonthStart().toISOString(),
+        rateLimit: isAdmin(caller) || userRate === 0 ? null : { limit: userRate, windowSeconds },
+      },
+    })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+import { hashPassword, requireUser, verifyPassword } from '@/lib/auth'
+
+export const runtime = 'nodejs'
+
+const MIN_PASSWORD_LENGTH = 10
+
+// Set or change the caller's password; changing one needs the current password
+export async function POST(req: Request) {
+  try {
+    const user = await requireUser(req)
+    if (user instanceof NextResponse) return user
+    const body = (await req.json().catch(() => ({}))) as { password?: string; currentPassword?: string }
+    if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH) {
+      return NextResponse.json(
+        { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` },
+        { status: 400 },
+      )
+    }
+    const { passwordHash } = await prisma.user.findUniqueOrThrow({
+      where: { id: user.id },
+      select: { passwordHash: true },
+    })
+    if (passwordHash && !(await verifyPassword(body.currentPassword ?? '', passwordHash))) {
+      return NextResponse.json({ error: 'Current password is wrong' }, { status: 403 })
+    }
+    await prisma.user.update({ where: { id: user.id }, data: { passwordHash: await hashPassword(body.password) } })
+    return NextResponse.json({ updated: true })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,72 @@
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+import { ownerFilter, requireCaller } from '@/lib/auth'
+
+export const runtime = 'nodejs'
+
+type Params = { params: Promise<{ id: string }> }
+
+// Other users' conversations are reported as not found (admins see all)
+export async function GET(req: Request, { params }: Params) {
+  try {
+    const caller = await requireCaller(req)
+    if (caller instanceof NextResponse) return caller
+    const { id } = await params
+    const conversation = await prisma.conversation.findFirst({
+      where: { id, ...ownerFilter(caller) },
+      select: {
+        id: true,
+        title: true,
+        createdAt: true,
+        updatedAt: true,
+        turns: {
+          orderBy: { createdAt: 'asc' },
+          select: {
+            id: true,
+            createdAt: true,
+            question: true,
+            answer: true,
+            model: true,
+            totalTokens: true,
+            finishReason: true,
+            durationMs: true,
+            retrieval: true,
+            verification: true,
+            cachedFromId: true,
+            policyId: true,
+            policyVersion: true,
+            policyHash: true,
+          },
+        },
+      },
+    })
+    if (!conversation) {
+      return NextResponse.json({ error: `Conversation not found: ${id}` }, { status: 404 })
+    }
+    return NextResponse.json({ conversation })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
+
+// Turns are kept in QueryHistory (conversationId is set to null by the FK)
+export async function DELETE(req: Request, { params }: Params) {
+  try {
+    const caller = await requireCaller(req)
+    if (caller instanceof NextResponse) return caller
+    const { id } = await params
+    const { count } = await prisma.conversation.deleteMany({ where: { id, ...ownerFilter(caller) } })
+    if (count === 0) {
+      return NextResponse.json({ error: `Conversation not found: ${id}` }, { status: 404 })
+    }
+    return NextResponse.json({ deleted: id })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+import { ownerFilter, requireCaller } from '@/lib/auth'
+
+export const runtime = 'nodejs'
+
+export async function GET(req: Request) {
+  try {
+    const caller = await requireCaller(req)
+    if (caller instanceof NextResponse) return caller
+    const { searchParams } = new URL(req.url)
+    const takeParam = Number(searchParams.get('take') ?? '50')
+    const take = Number.isFinite(takeParam) && takeParam > 0 && takeParam <= 500 ? takeParam : 50
+
+    const rows = await prisma.conversation.findMany({
+      where: ownerFilter(caller),
+      orderBy: { updatedAt: 'desc' },
+      take,
+      select: {
+        id: true,
+        title: true,
+        createdAt: true,
+        updatedAt: true,
+        _count: { select: { turns: true } },
+      },
+    })
+    const items = rows.map(({ _count, ...rest }) => ({ ...rest, turnCount: _count.turns }))
+
+    return NextResponse.json({ items })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server'
+import { definitionsForTexts } from '@scripts/glossary.js'
+import { glossaryMatcher, loadGlossary } from '@/lib/glossary'
+
+export const runtime = 'nodejs'
+
+/**
+ * Glossary entries. `term` looks up one term or abbreviation, `q` returns the
+ * defined terms used in a piece of text, `source` filters to CAR or CAA.
+ */
+export async function GET(req: Request) {
+  try {
+    const { searchParams } = new URL(req.url)
+    const term = searchParams.get('term')?.trim()
+    const q = searchParams.get('q')?.trim()
+    const source = searchParams.get('source')?.trim().toUpperCase()
+
+    let entries = loadGlossary()
+    if (term) entries = glossaryMatcher()?.lookup(term) ?? []
+    else if (q) entries = definitionsForTexts(entries, [q], { limit: 100 })
+    if (source === 'CAR' || source === 'CAA') entries = entries.filter((e) => e.source === source)
+
+    return NextResponse.json({ total: entries.length, items: entries })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
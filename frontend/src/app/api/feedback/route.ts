@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+import { isReviewer, ownerFilter, requireCaller } from '@/lib/auth'
+import { FEEDBACK_RATINGS } from '@/lib/reviews'
+
+export const runtime = 'nodejs'
+
+type FeedbackBody = {
+  // QueryHistory id (`queryId` in /api/ask responses)
+  queryId?: string
+  rating?: 'up' | 'down'
+  // What is wrong, or the correct answer
+  comment?: string
+}
+
+// Thumbs up/down on an answer the caller can see; asking again replaces their earlier rating
+export async function POST(req: Request) {
+  try {
+    const caller = await requireCaller(req)
+    if (caller instanceof NextResponse) return caller
+    const body = (await req.json().catch(() => ({}))) as FeedbackBody
+    if (!body.queryId || (body.rating !== 'up' && body.rating !== 'down')) {
+      return NextResponse.json(
+        { error: 'Provide { "queryId": "...", "rating": "up" | "down", "comment"?: "..." }' },
+        { status: 400 },
+      )
+    }
+    const query = await prisma.queryHistory.findFirst({
+      where: { id: body.queryId, ...(isReviewer(caller) ? {} : ownerFilter(caller)) },
+      select: { id: true },
+    })
+    if (!query) {
+      return NextResponse.json({ error: `Answer not found: ${body.queryId}` }, { status: 404 })
+    }
+
+    const rating = FEEDBACK_RATINGS[body.rating]
+    const comment = typeof body.comment === 'string' && body.comment.trim() ? body.comment.trim() : null
+    const select = { id: true, rating: true, comment: true, updatedAt: true } as const
+    const feedback = caller.user
+      ? await prisma.answerFeedback.upsert({
+          where: { queryHistoryId_userId: { queryHistoryId: query.id, userId: caller.user.id } },
+          create: { queryHistoryId: query.id, userId: caller.user.id, rating, comment },
+          update: { rating, comment },
+          select,
+        })
+      : await prisma.answerFeedback.create({ data: { queryHistoryId: query.id, rating, comment }, select })
+    console.info('[feedback]', { queryId: query.id, userId: caller.user?.id ?? null, rating })
+    return NextResponse.json({ feedback })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+import { ownerFilter, requireCaller } from '@/lib/auth'
+import { MEMO_FORMATS, buildMemo, memoFileName, memoToMarkdown, type MemoFormat } from '@/lib/memo'
+import { renderMemoDocx } from '@/lib/memo-docx'
+import { renderMemoPdf } from '@/lib/memo-pdf'
+
+export const runtime = 'nodejs'
+
+type Params = { params: Promise<{ id: string }> }
+
+const CONTENT_TYPES: Record<MemoFormat, string> = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  md: 'text/markdown; charset=utf-8',
+}
+
+// GET /api/history/:id/export?format=pdf|docx|md — a stored answer as a
+// downloadable memo. Other users' answers are reported as not found (admins see all).
+export async function GET(req: Request, { params }: Params) {
+  try {
+    const caller = await requireCaller(req)
+    if (caller instanceof NextResponse) return caller
+    const { id } = await params
+    const format = (new URL(req.url).searchParams.get('format') ?? 'pdf').toLowerCase()
+    if (!(MEMO_FORMATS as readonly string[]).includes(format)) {
+      return NextResponse.json({ error: `format must be one of: ${MEMO_FORMATS.join(', ')}` }, { status: 400 })
+    }
+
+    const entry = await prisma.queryHistory.findFirst({
+      where: { id, ...ownerFilter(caller) },
+      select: {
+        id: true,
+        createdAt: true,
+        question: true,
+        answer: true,
+        model: true,
+        corpusVersion: true,
+        policyId: true,
+        policyVersion: true,
+        policyHash: true,
+      },
+    })
+    if (!entry) {
+      return NextResponse.json({ error: `Answer not found: ${id}` }, { status: 404 })
+    }
+
+    const memo = buildMemo(entry)
+    const memoFormat = format as MemoFormat
+    const body =
+      memoFormat === 'pdf' ? renderMemoPdf(memo) : memoFormat === 'docx' ? renderMemoDocx(memo) : memoToMarkdown(memo)
+    return new NextResponse(typeof body === 'string' ? body : new Uint8Array(body), {
+      headers: {
+        'content-type': CONTENT_TYPES[memoFormat],
+        'content-disposition': `attachment; filename="${memoFileName(memo, memoFormat)}"`,
+        'cache-control': 'private, no-store',
+      },
+    })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -1,15 +1,22 @@
 import { NextResponse } from 'next/server'
 import prisma from '@/lib/prisma'
+import { isAdmin, ownerFilter, requireCaller } from '@/lib/auth'
 
 export const runtime = 'nodejs'
 
+// The caller's own questions; admins see everyone's, optionally narrowed with ?userId=
 export async function GET(req: Request) {
   try {
+    const caller = await requireCaller(req)
+    if (caller instanceof NextResponse) return caller
     const { searchParams } = new URL(req.url)
     const takeParam = Number(searchParams.get('take') ?? '50')
     const take = Number.isFinite(takeParam) && takeParam > 0 && takeParam <= 500 ? takeParam : 50
 
+    const userId = isAdmin(caller) ? searchParams.get('userId') : null
+
     const items = await prisma.queryHistory.findMany({
+      where: userId ? { userId } : ownerFilter(caller),
       orderBy: { createdAt: 'desc' },
       take,
       select: {
@@ -23,6 +30,8 @@ export async function GET(req: Request) {
         completionTokens: true,
         finishReason: true,
         durationMs: true,
+        verification: true,
+        userId: true,
       },
     })
 
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server'
+import { requireAdmin } from '@/lib/auth'
+import { getPolicies } from '@/lib/policies'
+import { diffPolicyText, resolvePolicy } from '@scripts/policies.js'
+
+export const runtime = 'nodejs'
+
+/**
+ * Admin: line diff between two policy versions, ?from=formal-memo@1&to=student@1.
+ */
+export async function GET(req: Request) {
+  try {
+    const caller = await requireAdmin(req)
+    if (caller instanceof NextResponse) return caller
+
+    const { searchParams } = new URL(req.url)
+    const fromRef = searchParams.get('from')
+    const toRef = searchParams.get('to')
+    if (!fromRef || !toRef) {
+      return NextResponse.json({ error: 'Provide ?from=<id@version>&to=<id@version>' }, { status: 400 })
+    }
+    const policies = getPolicies()
+    const from = resolvePolicy(policies, fromRef)
+    const to = resolvePolicy(policies, toRef)
+    if (!from || !to) {
+      return NextResponse.json({ error: `Unknown policy: ${from ? toRef : fromRef}` }, { status: 404 })
+    }
+
+    const diff = diffPolicyText(from.text, to.text)
+    return NextResponse.json({
+      from: { ref: from.ref, title: from.title, hash: from.hash },
+      to: { ref: to.ref, title: to.title, hash: to.hash },
+      added: diff.filter((d) => d.op === 'insert').length,
+      removed: diff.filter((d) => d.op === 'delete').length,
+      diff,
+    })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+import { requireAdmin, requireCaller } from '@/lib/auth'
+import { defaultPolicyRef, getPolicies } from '@/lib/policies'
+import { resolvePolicy } from '@scripts/policies.js'
+
+export const runtime = 'nodejs'
+
+/**
+ * Prompt policies a question can be asked with (`policy` in /api/ask).
+ * ?usage=1 (admins): also each version's text and how many answers recorded
+ * it, plus recorded versions whose hash no longer matches their file.
+ */
+export async function GET(req: Request) {
+  try {
+    const usage = new URL(req.url).searchParams.get('usage') === '1'
+    const caller = usage ? await requireAdmin(req) : await requireCaller(req)
+    if (caller instanceof NextResponse) return caller
+
+    const policies = getPolicies()
+    const fallback = resolvePolicy(policies, null, { defaultRef: defaultPolicyRef() })
+    const items = policies.map((p) => ({
+      ref: p.ref,
+      id: p.id,
+      version: p.version,
+      title: p.title,
+      description: p.description,
+      hash: p.hash,
+      latest: Boolean(p.latest),
+      ...(usage ? { text: p.text } : {}),
+    }))
+    if (!usage) return NextResponse.json({ default: fallback?.ref ?? null, items })
+
+    const counts = await prisma.queryHistory.groupBy({
+      by: ['policyId', 'policyVersion', 'policyHash'],
+      where: { policyId: { not: null } },
+      _count: { _all: true },
+      _max: { createdAt: true },
+    })
+    const withUsage = items.map((item) => {
+      const rows = counts.filter((c) => c.policyId === item.id && c.policyVersion === item.version)
+      return {
+        ...item,
+        answers: rows.reduce((n, c) => n + c._count._all, 0),
+        lastUsedAt: rows.reduce<Date | null>((d, c) => (c._max.createdAt && (!d || c._max.createdAt > d) ? c._max.createdAt : d), null),
+        // Answers given with a different text under this id and version: the file was edited in place
+        otherHashes: rows.filter((c) => c.policyHash !== item.hash).map((c) => ({ hash: c.policyHash, answers: c._count._all })),
+      }
+    })
+    // Recorded versions with no file left (deleted or renamed)
+    const missing = counts
+      .filter((c) => !items.some((item) => item.id === c.policyId && item.version === c.policyVersion))
+      .map((c) => ({ id: c.policyId, version: c.policyVersion, hash: c.policyHash, answers: c._count._all }))
+
+    return NextResponse.json({ default: fallback?.ref ?? null, items: withUsage, missing })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,143 @@
+import { NextResponse } from 'next/server'
+import { Prisma } from '@prisma/client'
+import prisma from '@/lib/prisma'
+import { requireReviewer } from '@/lib/auth'
+import { uncacheAnswer } from '@/lib/answer-cache'
+import { questionKey, REVIEW_STATUSES, type ReviewStatus } from '@/lib/reviews'
+
+export const runtime = 'nodejs'
+
+const reviewSelect = {
+  status: true,
+  correctedAnswer: true,
+  note: true,
+  updatedAt: true,
+  reviewer: { select: { email: true } },
+} as const
+
+/**
+ * Reviewer queue. ?status=pending (default): unreviewed answers that have
+ * feedback, most thumbs-down first (then newest); approved | corrected | rejected: reviewed
+ * answers, latest first.
+ */
+export async function GET(req: Request) {
+  try {
+    const caller = await requireReviewer(req)
+    if (caller instanceof NextResponse) return caller
+    const { searchParams } = new URL(req.url)
+    const status = searchParams.get('status') ?? 'pending'
+    if (status !== 'pending' && !REVIEW_STATUSES.includes(status as ReviewStatus)) {
+      return NextResponse.json(
+        { error: `status must be pending or one of ${REVIEW_STATUSES.join(', ')}` },
+        { status: 400 },
+      )
+    }
+    const takeParam = Number(searchParams.get('take') ?? '50')
+    const take = Number.isFinite(takeParam) && takeParam > 0 && takeParam <= 500 ? takeParam : 50
+
+    // Prisma cannot order by a filtered relation count, so the pending queue is ranked in SQL
+    const pending =
+      status === 'pending'
+        ? (
+            await prisma.$queryRaw<Array<{ id: string }>>`
+              SELECT q."id"
+              FROM "QueryHistory" q
+              JOIN "AnswerFeedback" f ON f."queryHistoryId" = q."id"
+              WHERE NOT EXISTS (SELECT 1 FROM "AnswerReview" r WHERE r."queryHistoryId" = q."id")
+              GROUP BY q."id", q."createdAt"
+              ORDER BY COUNT(*) FILTER (WHERE f."rating" < 0) DESC, q."createdAt" DESC
+              LIMIT ${take}`
+          ).map((row) => row.id)
+        : null
+    const where: Prisma.QueryHistoryWhereInput = pending ? { id: { in: pending } } : { review: { status } }
+    const rows = await prisma.queryHistory.findMany({
+      where,
+      orderBy: pending ? undefined : { review: { updatedAt: 'desc' } },
+      take,
+      select: {
+        id: true,
+        createdAt: true,
+        question: true,
+        answer: true,
+        model: true,
+        verification: true,
+        user: { select: { email: true } },
+        feedback: {
+          orderBy: { updatedAt: 'desc' },
+          select: { rating: true, comment: true, updatedAt: true, user: { select: { email: true } } },
+        },
+        review: { select: reviewSelect },
+      },
+    })
+    const items = rows.map((row) => ({
+      ...row,
+      thumbsUp: row.feedback.filter((f) => f.rating > 0).length,
+      thumbsDown: row.feedback.filter((f) => f.rating < 0).length,
+    }))
+    if (pending) items.sort((a, b) => pending.indexOf(a.id) - pending.indexOf(b.id))
+
+    return NextResponse.json({ items })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
+
+type ReviewBody = {
+  queryId?: string
+  status?: ReviewStatus
+  // Required for status "corrected"
+  correctedAnswer?: string
+  note?: string
+}
+
+// Record (or change) the verdict on an answer; rejected and corrected answers leave the answer cache
+export async function POST(req: Request) {
+  try {
+    const caller = await requireReviewer(req)
+    if (caller instanceof NextResponse) return caller
+    const body = (await req.json().catch(() => ({}))) as ReviewBody
+    if (!body.queryId || !REVIEW_STATUSES.includes(body.status as ReviewStatus)) {
+      return NextResponse.json(
+        { error: `Provide { "queryId": "...", "status": ${REVIEW_STATUSES.map((s) => `"${s}"`).join(' | ')} }` },
+        { status: 400 },
+      )
+    }
+    const correctedAnswer = body.correctedAnswer?.trim() || null
+    if (body.status === 'corrected' && !correctedAnswer) {
+      return NextResponse.json({ error: 'status "corrected" needs correctedAnswer' }, { status: 400 })
+    }
+    const query = await prisma.queryHistory.findUnique({
+      where: { id: body.queryId },
+      select: { id: true, question: true, cachedFromId: true },
+    })
+    if (!query) {
+      return NextResponse.json({ error: `Answer not found: ${body.queryId}` }, { status: 404 })
+    }
+
+    const data = {
+      status: body.status!,
+      correctedAnswer: body.status === 'corrected' ? correctedAnswer : null,
+      note: body.note?.trim() || null,
+      reviewerId: caller.user?.id ?? null,
+      questionKey: questionKey(query.question),
+    }
+    const upsert = prisma.answerReview.upsert({
+      where: { queryHistoryId: query.id },
+      create: { ...data, queryHistoryId: query.id },
+      update: data,
+      select: reviewSelect,
+    })
+    // A rejected or corrected answer must not be served from the answer cache again
+    const [review] = data.status === 'approved' ? [await upsert] : await prisma.$transaction([upsert, uncacheAnswer(query)])
+    console.info('[review]', { queryId: query.id, reviewerId: data.reviewerId, status: data.status })
+    return NextResponse.json({ review })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server'
+import { normalizeSearchOptions } from '@scripts/search.js'
+import { searchOptionsFromParams, searchProvisions } from '@/lib/search'
+
+export const runtime = 'nodejs'
+
+export async function GET(req: Request) {
+  const options = searchOptionsFromParams(new URL(req.url).searchParams)
+  try {
+    normalizeSearchOptions(options)
+  } catch (error) {
+    return NextResponse.json({ error: (error as Error).message }, { status: 400 })
+  }
+  try {
+    return NextResponse.json(await searchProvisions(options))
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
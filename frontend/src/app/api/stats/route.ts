@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server'
+import { requireAdmin } from '@/lib/auth'
+import { loadStats } from '@/lib/stats'
+
+export const runtime = 'nodejs'
+
+function boundedParam(params: URLSearchParams, name: string, fallback: number, max: number): number {
+  const value = Number(params.get(name) ?? fallback)
+  return Number.isInteger(value) && value > 0 && value <= max ? value : fallback
+}
+
+/**
+ * Admin: requests, tokens and estimated cost per day, model and context mode
+ * (prices from ASK_PRICES), latency percentiles, max_tokens truncations and
+ * the most asked questions. ?days=30 (up to 365), ?top=20 questions.
+ */
+export async function GET(req: Request) {
+  try {
+    const caller = await requireAdmin(req)
+    if (caller instanceof NextResponse) return caller
+    const { searchParams } = new URL(req.url)
+    const days = boundedParam(searchParams, 'days', 30, 365)
+    const top = boundedParam(searchParams, 'top', 20, 100)
+    return NextResponse.json(await loadStats({ days, top }))
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server'
+import { isAdmin, requireCaller } from '@/lib/auth'
+import { studyProgress, studySettings } from '@/lib/study'
+import { syllabusItem } from '@/lib/syllabus'
+
+export const runtime = 'nodejs'
+
+// The caller's scores per syllabus item, weakest first; admins may pass ?userId=
+export async function GET(req: Request) {
+  try {
+    const caller = await requireCaller(req)
+    if (caller instanceof NextResponse) return caller
+    const requested = new URL(req.url).searchParams.get('userId')
+    if (requested && !isAdmin(caller)) {
+      return NextResponse.json({ error: 'Only admins can see other users\' progress' }, { status: 403 })
+    }
+
+    const items = (await studyProgress(requested || (caller.user?.id ?? null))).map((score) => {
+      const item = syllabusItem(score.itemId)
+      return { ...score, text: item?.text ?? null, topic: item?.topic ?? null }
+    })
+    const { weakThreshold, minAttempts } = studySettings()
+    return NextResponse.json({
+      weakThreshold,
+      minAttempts,
+      items,
+      weak: items.filter((i) => i.weak).map((i) => i.itemId),
+    })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
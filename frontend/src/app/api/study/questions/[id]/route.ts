@@ -0,0 +1,137 @@
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+import { requireCaller, type Caller } from '@/lib/auth'
+import { loadProvisions } from '@/lib/corpus'
+import { citationText } from '@scripts/answer_schema.js'
+
+export const runtime = 'nodejs'
+
+type Params = { params: Promise<{ id: string }> }
+
+type AnswerBody = {
+  // multiple_choice: 0-based option index
+  choice?: number
+  // short_answer: the student's answer
+  response?: string
+}
+
+type MarkBody = {
+  // Self-marking of a short answer against the key
+  correct?: boolean
+}
+
+const questionSelect = {
+  id: true,
+  type: true,
+  options: true,
+  correctOption: true,
+  answer: true,
+  provisionId: true,
+  quote: true,
+  answeredAt: true,
+  choice: true,
+  response: true,
+  correct: true,
+} as const
+
+// Questions are private to the quiz's owner, admins included
+function findOwnQuestion(id: string, caller: Caller) {
+  return prisma.studyQuestion.findFirst({
+    where: { id, quiz: { userId: caller.user?.id ?? null } },
+    select: questionSelect,
+  })
+}
+
+type StoredQuestion = NonNullable<Awaited<ReturnType<typeof findOwnQuestion>>>
+
+// The answer key with its source: citation, verified quote and link
+function withKey(question: StoredQuestion) {
+  const provision = loadProvisions().find((p) => p.id === question.provisionId)
+  return {
+    ...question,
+    citation: citationText(question.provisionId),
+    sourceUrl: provision?.source_url ?? null,
+  }
+}
+
+// Answer a question once. Multiple choice is marked straight away; a short
+// answer comes back with the key for the student to mark (PATCH).
+export async function POST(req: Request, { params }: Params) {
+  try {
+    const caller = await requireCaller(req)
+    if (caller instanceof NextResponse) return caller
+    const { id } = await params
+    const body = (await req.json().catch(() => ({}))) as AnswerBody
+
+    const question = await findOwnQuestion(id, caller)
+    if (!question) {
+      return NextResponse.json({ error: `Question not found: ${id}` }, { status: 404 })
+    }
+    if (question.answeredAt) {
+      return NextResponse.json({ error: 'Question already answered', question: withKey(question) }, { status: 409 })
+    }
+
+    let data: { choice: number; correct: boolean } | { response: string }
+    if (question.type === 'multiple_choice') {
+      const options = question.options as string[]
+      if (!Number.isInteger(body.choice) || body.choice! < 0 || body.choice! >= options.length) {
+        return NextResponse.json(
+          { error: `Provide { "choice": n } with n from 0 to ${options.length - 1}` },
+          { status: 400 },
+        )
+      }
+      data = { choice: body.choice!, correct: body.choice === question.correctOption }
+    } else {
+      const response = typeof body.response === 'string' ? body.response.trim() : ''
+      if (!response) {
+        return NextResponse.json({ error: 'Provide { "response": "..." }' }, { status: 400 })
+      }
+      data = { response }
+    }
+
+    const answered = await prisma.studyQuestion.update({
+      where: { id: question.id },
+      data: { ...data, answeredAt: new Date() },
+      select: questionSelect,
+    })
+    return NextResponse.json({ question: withKey(answered) })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
+
+// Mark an answered short-answer question right or wrong; can be changed later
+export async function PATCH(req: Request, { params }: Params) {
+  try {
+    const caller = await requireCaller(req)
+    if (caller instanceof NextResponse) return caller
+    const { id } = await params
+    const body = (await req.json().catch(() => ({}))) as MarkBody
+    if (typeof body.correct !== 'boolean') {
+      return NextResponse.json({ error: 'Provide { "correct": true | false }' }, { status: 400 })
+    }
+
+    const question = await findOwnQuestion(id, caller)
+    if (!question) {
+      return NextResponse.json({ error: `Question not found: ${id}` }, { status: 404 })
+    }
+    if (question.type !== 'short_answer' || !question.answeredAt) {
+      return NextResponse.json({ error: 'Only answered short-answer questions are self-marked' }, { status: 409 })
+    }
+
+    const marked = await prisma.studyQuestion.update({
+      where: { id: question.id },
+      data: { correct: body.correct },
+      select: questionSelect,
+    })
+    return NextResponse.json({ question: withKey(marked) })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server'
+import { requireCaller } from '@/lib/auth'
+import { createQuiz, studySettings } from '@/lib/study'
+import { syllabusItem } from '@/lib/syllabus'
+import { checkRateLimit, checkTokenQuota, limitResponse } from '@/lib/usage-limits'
+
+export const runtime = 'nodejs'
+
+type QuizBody = {
+  // Syllabus item id, e.g. "4.2.1"
+  itemId?: string
+  // Number of questions (STUDY_QUESTIONS by default)
+  count?: number
+}
+
+// New practice questions on a syllabus item. Answer keys stay on the server
+// until each question is answered (POST /api/study/questions/:id).
+export async function POST(req: Request) {
+  try {
+    const body = (await req.json().catch(() => ({}))) as QuizBody
+    const itemId = typeof body.itemId === 'string' ? body.itemId.trim() : ''
+    if (!itemId) {
+      return NextResponse.json({ error: 'Provide { "itemId": "...", "count"?: n }' }, { status: 400 })
+    }
+    const settings = studySettings()
+    const count = body.count ?? settings.questions
+    if (!Number.isInteger(count) || count < 1 || count > settings.maxQuestions) {
+      return NextResponse.json({ error: `count must be a whole number from 1 to ${settings.maxQuestions}` }, { status: 400 })
+    }
+    const item = syllabusItem(itemId)
+    if (!item) {
+      return NextResponse.json({ error: `Syllabus item not found: ${itemId}` }, { status: 404 })
+    }
+
+    // Quizzes spend tokens, so they share /api/ask's rate limits and quotas
+    const caller = await requireCaller(req)
+    if (caller instanceof NextResponse) return caller
+    const exceeded = checkRateLimit(caller) ?? (await checkTokenQuota(caller))
+    if (exceeded) {
+      console.info('[study] limit', { userId: caller.user?.id ?? null, ...exceeded })
+      return limitResponse(exceeded)
+    }
+
+    const result = await createQuiz(item, { userId: caller.user?.id ?? null, count, signal: req.signal })
+    if ('error' in result) {
+      return NextResponse.json({ error: result.error, issues: result.issues }, { status: result.status })
+    }
+    return NextResponse.json(result)
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server'
+import { loadSyllabus } from '@/lib/syllabus'
+
+export const runtime = 'nodejs'
+
+// The PPL Air Law syllabus with each item's mapped provisions (md/syllabus.json)
+export async function GET() {
+  try {
+    const syllabus = loadSyllabus()
+    if (!syllabus) {
+      return NextResponse.json({ error: 'Syllabus not built (run npm run syllabus in scripts/)' }, { status: 404 })
+    }
+    return NextResponse.json({
+      generated_at: syllabus.generated_at,
+      source: syllabus.source,
+      topics: syllabus.topics,
+      items: syllabus.items,
+    })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server'
+import { Prisma } from '@prisma/client'
+import prisma from '@/lib/prisma'
+import { requireAdmin } from '@/lib/auth'
+
+export const runtime = 'nodejs'
+
+type Params = { params: Promise<{ id: string }> }
+
+type UserPatch = {
+  role?: 'user' | 'reviewer' | 'admin'
+  // Tokens per month; null falls back to ASK_USER_MONTHLY_TOKENS
+  monthlyTokenQuota?: number | null
+  // Disabling also ends the user's sessions; API keys stop working while disabled
+  disabled?: boolean
+}
+
+// Admin: change a user's role, quota or access
+export async function PATCH(req: Request, { params }: Params) {
+  try {
+    const caller = await requireAdmin(req)
+    if (caller instanceof NextResponse) return caller
+    const { id } = await params
+    const body = (await req.json().catch(() => ({}))) as UserPatch
+
+    const data: Prisma.UserUpdateManyMutationInput = {}
+    if (body.role !== undefined) {
+      if (!['user', 'reviewer', 'admin'].includes(body.role)) {
+        return NextResponse.json({ error: 'role must be "user", "reviewer" or "admin"' }, { status: 400 })
+      }
+      data.role = body.role
+    }
+    if (body.monthlyTokenQuota !== undefined) {
+      const quota = body.monthlyTokenQuota
+      if (quota !== null && !(Number.isInteger(quota) && quota >= 0)) {
+        return NextResponse.json({ error: 'monthlyTokenQuota must be a non-negative integer or null' }, { status: 400 })
+      }
+      data.monthlyTokenQuota = quota
+    }
+    if (body.disabled !== undefined) data.disabledAt = body.disabled ? new Date() : null
+
+    const { count } = await prisma.user.updateMany({ where: { id }, data })
+    if (count === 0) {
+      return NextResponse.json({ error: `User not found: ${id}` }, { status: 404 })
+    }
+    if (body.disabled) await prisma.session.deleteMany({ where: { userId: id } })
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, email: true, role: true, monthlyTokenQuota: true, disabledAt: true },
+    })
+    return NextResponse.json({ user })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
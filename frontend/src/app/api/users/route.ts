@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+import { requireAdmin } from '@/lib/auth'
+import { monthStart } from '@/lib/usage-limits'
+
+export const runtime = 'nodejs'
+
+// Admin: every account with its questions and tokens this month
+export async function GET(req: Request) {
+  try {
+    const caller = await requireAdmin(req)
+    if (caller instanceof NextResponse) return caller
+
+    const [users, usage] = await Promise.all([
+      prisma.user.findMany({
+        orderBy: { createdAt: 'asc' },
+        select: { id: true, email: true, name: true, role: true, createdAt: true, monthlyTokenQuota: true, disabledAt: true },
+      }),
+      prisma.queryHistory.groupBy({
+        by: ['userId'],
+        where: { createdAt: { gte: monthStart() } },
+        _sum: { totalTokens: true },
+        _count: { _all: true },
+      }),
+    ])
+    const byUser = new Map(usage.map((u) => [u.userId, u]))
+    const items = users.map((user) => ({
+      ...user,
+      questionsThisMonth: byUser.get(user.id)?._count._all ?? 0,
+      tokensThisMonth: byUser.get(user.id)?._sum.totalTokens ?? 0,
+    }))
+
+    return NextResponse.json({ items })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server'
+import { provisionReferences } from '@/lib/xref'
+
+export const runtime = 'nodejs'
+
+export async function GET(_req: Request, { params }: { params: Promise<{ id: string }> }) {
+  try {
+    const { id } = await params
+    const provisionId = decodeURIComponent(id)
+    const result = provisionReferences(provisionId)
+    if (!result) return NextResponse.json({ error: `Provision not found: ${provisionId}` }, { status: 404 })
+    return NextResponse.json({ id: provisionId, ...result })
+  } catch (error) {
+    return NextResponse.json(
+      { error: (error as Error).message ?? 'Unexpected server error' },
+      { status: 500 },
+    )
+  }
+}
@@ -0,0 +1,41 @@
+import Link from "next/link"
+import { LoginForm } from "@/components/login-form"
+import { Button } from "@/components/ui/button"
+
+type SearchParams = Promise<Record<string, string | string[] | undefined>>
+
+// ?error= from the magic-link confirm form (api/auth/magic-link/confirm)
+const errors: Record<string, string> = {
+  link: "That sign-in link is invalid, expired or already used. Ask for a new one.",
+  disabled: "This account is disabled.",
+  server: "Sign-in failed on the server. Try again.",
+}
+
+export default async function LoginPage({ searchParams }: { searchParams: SearchParams }) {
+  const { error, token } = await searchParams
+  if (typeof token === "string" && token) {
+    // The emailed link: sign in only on the button, so a prefetch of the link leaves it usable
+    return (
+      <div className="mx-auto w-full max-w-md p-6 md:p-10">
+        <h1 className="mt-2 text-2xl font-semibold tracking-tight">Sign in</h1>
+        <p className="text-sm text-muted-foreground mt-1 mb-6">Continue to sign in with the link from your email.</p>
+        <form method="post" action="/api/auth/magic-link/confirm">
+          <input type="hidden" name="token" value={token} />
+          <Button type="submit">Sign in</Button>
+        </form>
+      </div>
+    )
+  }
+  return (
+    <div className="mx-auto w-full max-w-md p-6 md:p-10">
+      <Link href="/" className="text-sm text-muted-foreground hover:underline">
+        ← Ask
+      </Link>
+      <h1 className="mt-2 text-2xl font-semibold tracking-tight">Sign in</h1>
+      <p className="text-sm text-muted-foreground mt-1 mb-6">
+        Asking questions needs an account. New addresses get one on their first sign-in.
+      </p>
+      <LoginForm initialError={typeof error === "string" ? errors[error] ?? null : null} />
+    </div>
+  )
+}
@@ -1,10 +1,7 @@
 "use client"
 
-import { useEffect, useMemo, useState } from "react"
-import type { HTMLAttributes, ReactNode } from "react"
-import ReactMarkdown from "react-markdown"
-import type { Components } from "react-markdown"
-import remarkGfm from "remark-gfm"
+import { useEffect, useMemo, useRef, useState } from "react"
+import Link from "next/link"
 import { Label } from "@/components/ui/label"
 import { Textarea } from "@/components/ui/textarea"
 import { Button } from "@/components/ui/button"
@@ -12,247 +9,405 @@ import { Separator } from "@/components/ui/separator"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert"
 import { Loader2 } from "lucide-react"
+import type { Verification } from "@scripts/verify.js"
+import { AnswerCard, type AskResponse } from "@/components/answer-card"
+import { AnswerFeedback } from "@/components/answer-feedback"
+import { readEventStream } from "@/lib/sse"
 
-type AskResponse = {
-  content: string
-  summary: {
-    id: string
-    model: string
-    created: number
-    usage?: {
-      prompt_tokens?: number
-      completion_tokens?: number
-      total_tokens?: number
-      // Allow backend variations without breaking UI
-      prompt_tokens_details?: Record<string, unknown>
-      completion_tokens_details?: Record<string, unknown>
-    }
-    finish_reason?: string
-  }
+type Turn = {
+  question: string
+  answer: AskResponse
+}
+
+type ConversationItem = {
+  id: string
+  title: string
+  updatedAt: string
+  turnCount: number
 }
 
-type HistoryItem = {
+type ConversationTurn = {
   id: string
   createdAt: string
   question: string
   answer: string
   model: string
-  totalTokens?: number | null
-  promptTokens?: number | null
-  completionTokens?: number | null
   finishReason?: string | null
-  durationMs?: number | null
+  retrieval?: AskResponse["retrieval"] | null
+  verification?: Verification | null
+  cachedFromId?: string | null
+  policyId?: string | null
+  policyVersion?: number | null
+  policyHash?: string | null
 }
 
+type PolicyOption = { ref: string; id: string; title: string; description: string; latest: boolean }
+
+// Signed-in user (email null when the server runs with AUTH_DISABLED), or signed out
+type Viewer = { email: string | null; role: string | null } | "signed-out"
+
+const emptyAnswer = (): AskResponse => ({ content: "", summary: { id: "", model: "", created: 0 } })
+
 export default function Home() {
   const [question, setQuestion] = useState("")
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState<string | null>(null)
-  const [answer, setAnswer] = useState<AskResponse | null>(null)
+  const [turns, setTurns] = useState<Turn[]>([])
+  const [conversationId, setConversationId] = useState<string | null>(null)
   const [startedAt, setStartedAt] = useState<number | null>(null)
-  const [history, setHistory] = useState<HistoryItem[]>([])
+  const [conversations, setConversations] = useState<ConversationItem[]>([])
+  const [cancelled, setCancelled] = useState(false)
+  const [viewer, setViewer] = useState<Viewer | null>(null)
+  const [policies, setPolicies] = useState<PolicyOption[]>([])
+  // Policy id (its latest version); "" is the server's default (ASK_POLICY)
+  const [policy, setPolicy] = useState("")
+  const abortRef = useRef<AbortController | null>(null)
 
   const durationSec = useMemo(() => {
     if (!startedAt || !loading) return null
     return Math.max(0, Math.round((Date.now() - startedAt) / 1000))
   }, [startedAt, loading])
 
+  // Streaming events always update the newest turn
+  function updateLastAnswer(update: (prev: AskResponse) => AskResponse) {
+    setTurns((prev) => {
+      if (prev.length === 0) return prev
+      const next = prev.slice()
+      const last = next[next.length - 1]
+      next[next.length - 1] = { ...last, answer: update(last.answer) }
+      return next
+    })
+  }
+
   async function onSubmit(e: React.FormEvent) {
     e.preventDefault()
+    const asked = question
     setError(null)
-    setAnswer(null)
+    setCancelled(false)
     setLoading(true)
     setStartedAt(Date.now())
+    const controller = new AbortController()
+    abortRef.current = controller
     try {
       const resp = await fetch("/api/ask", {
         method: "POST",
-        headers: { "content-type": "application/json" },
-        body: JSON.stringify({ question }),
+        headers: { "content-type": "application/json", accept: "text/event-stream" },
+        body: JSON.stringify({
+          question: asked,
+          stream: true,
+          conversationId: conversationId ?? undefined,
+          policy: policy || undefined,
+        }),
+        signal: controller.signal,
       })
-      const json = (await resp.json()) as unknown
-      if (!resp.ok) {
-        const maybeError = json as { error?: string }
+      if (!resp.ok || !resp.body) {
+        const maybeError = (await resp.json().catch(() => ({}))) as { error?: string }
         throw new Error(maybeError.error ?? `Request failed: ${resp.status}`)
       }
-      setAnswer(json as AskResponse)
-      // Refresh history after a successful ask
-      void fetchHistory()
+      setTurns((prev) => [...prev, { question: asked, answer: emptyAnswer() }])
+      setQuestion("")
+      // Render the Markdown as it streams; meta/done fill in context, usage and verification
+      await readEventStream(resp.body, (event, data) => {
+        if (event === "meta") {
+          const meta = data as Pick<AskResponse, "retrieval" | "policy" | "cache">
+          updateLastAnswer((prev) => ({ ...prev, retrieval: meta.retrieval, policy: meta.policy, cache: meta.cache }))
+        } else if (event === "delta") {
+          const delta = (data as { content?: string }).content ?? ""
+          updateLastAnswer((prev) => ({ ...prev, content: prev.content + delta }))
+        } else if (event === "done") {
+          const done = data as Pick<
+            AskResponse,
+            "summary" | "verification" | "cache" | "review" | "queryId" | "conversationId" | "conversation"
+          >
+          updateLastAnswer((prev) => ({ ...prev, ...done }))
+          if (done.conversationId) setConversationId(done.conversationId)
+        } else if (event === "error") {
+          throw new Error((data as { error?: string }).error ?? "Stream failed")
+        }
+      })
+      // Refresh the sidebar after a successful ask
+      void fetchConversations()
     } catch (err) {
-      setError((err as Error).message)
+      if (controller.signal.aborted) {
+        setCancelled(true)
+      } else {
+        setError((err as Error).message)
+      }
     } finally {
+      abortRef.current = null
       setLoading(false)
     }
   }
 
-  const totalTokens = answer?.summary?.usage?.total_tokens
-  const promptTokens = answer?.summary?.usage?.prompt_tokens
-  const completionTokens = answer?.summary?.usage?.completion_tokens
+  function onCancel() {
+    abortRef.current?.abort()
+  }
+
+  function onNewConversation() {
+    abortRef.current?.abort()
+    setConversationId(null)
+    setTurns([])
+    setError(null)
+    setCancelled(false)
+  }
 
-  type CodeProps = HTMLAttributes<HTMLElement> & { inline?: boolean; className?: string; children?: ReactNode }
-  const markdownComponents: Partial<Components> = {
-    code({ inline, children, ...props }: CodeProps) {
-      if (inline) {
-        return (
-          <code className="break-words whitespace-pre-wrap" {...props}>
-            {children}
-          </code>
-        )
+  async function openConversation(id: string) {
+    abortRef.current?.abort()
+    setError(null)
+    setCancelled(false)
+    try {
+      const resp = await fetch(`/api/conversations/${encodeURIComponent(id)}`)
+      const json = (await resp.json()) as {
+        conversation?: { id: string; turns: ConversationTurn[] }
+        error?: string
       }
-      return (
-        <pre className="whitespace-pre-wrap break-words rounded-md border bg-muted p-4" {...props}>
-          {children}
-        </pre>
+      if (!resp.ok || !json.conversation) throw new Error(json.error ?? `Request failed: ${resp.status}`)
+      setConversationId(json.conversation.id)
+      setTurns(
+        json.conversation.turns.map((t) => ({
+          question: t.question,
+          answer: {
+            content: t.answer,
+            summary: {
+              id: t.id,
+              model: t.model,
+              created: Math.floor(new Date(t.createdAt).getTime() / 1000),
+              usage: undefined,
+              finish_reason: t.finishReason ?? undefined,
+            },
+            retrieval: t.retrieval ?? undefined,
+            // Stored turns keep the policy id, not its title
+            policy:
+              t.policyId && t.policyVersion
+                ? { id: t.policyId, version: t.policyVersion, hash: t.policyHash ?? "", title: t.policyId }
+                : null,
+            verification: t.verification ?? null,
+            cache: t.cachedFromId ? { hit: true, sourceQueryId: t.cachedFromId } : null,
+            queryId: t.id,
+          },
+        })),
       )
-    },
+    } catch (err) {
+      setError((err as Error).message)
+    }
   }
 
-  async function fetchHistory() {
+  async function fetchConversations() {
     try {
-      const resp = await fetch("/api/history?take=100")
-      const json = (await resp.json()) as { items?: HistoryItem[] }
+      const resp = await fetch("/api/conversations?take=100")
+      const json = (await resp.json()) as { items?: ConversationItem[] }
       if (Array.isArray(json.items)) {
-        setHistory(json.items)
+        setConversations(json.items)
       }
     } catch {}
   }
 
+  async function fetchPolicies() {
+    try {
+      const resp = await fetch("/api/policies")
+      const json = (await resp.json()) as { items?: PolicyOption[] }
+      if (Array.isArray(json.items)) setPolicies(json.items.filter((p) => p.latest))
+    } catch {}
+  }
+
   useEffect(() => {
-    void fetchHistory()
+    async function loadViewer() {
+      try {
+        const resp = await fetch("/api/auth/me")
+        if (resp.status === 401) {
+          setViewer("signed-out")
+          return
+        }
+        const json = (await resp.json()) as { user?: { email: string; role: string } | null }
+        setViewer({ email: json.user?.email ?? null, role: json.user?.role ?? null })
+        void fetchConversations()
+        void fetchPolicies()
+      } catch {}
+    }
+    void loadViewer()
   }, [])
 
   return (
-    <div className="mx-auto w-full max-w-4xl p-6 md:p-10">
-      <h1 className="text-2xl font-semibold tracking-tight">Ask CAA / CAR (NZ)</h1>
+    <div className="mx-auto w-full max-w-6xl p-6 md:p-10">
+      <div className="flex items-baseline justify-between gap-4">
+        <h1 className="text-2xl font-semibold tracking-tight">Ask CAA / CAR (NZ)</h1>
+        <nav className="flex gap-4 text-sm text-muted-foreground">
+          <Link href="/search" className="hover:underline">
+            Search
+          </Link>
+          <Link href="/rules" className="hover:underline">
+            Rules
+          </Link>
+          <Link href="/amendments" className="hover:underline">
+            Amendments
+          </Link>
+          <Link href="/study" className="hover:underline">
+            Study
+          </Link>
+          {viewer !== null && viewer !== "signed-out" && viewer.role !== "user" && (
+            <Link href="/review" className="hover:underline">
+              Review
+            </Link>
+          )}
+          {viewer !== null && viewer !== "signed-out" && (viewer.role === "admin" || viewer.role === null) && (
+            <>
+              <Link href="/policies" className="hover:underline">
+                Policies
+              </Link>
+              <Link href="/stats" className="hover:underline">
+                Stats
+              </Link>
+            </>
+          )}
+          {viewer === "signed-out" ? (
+            <Link href="/login" className="hover:underline">
+              Sign in
+            </Link>
+          ) : (
+            viewer?.email && (
+              <Link href="/account" className="hover:underline">
+                {viewer.email}
+              </Link>
+            )
+          )}
+        </nav>
+      </div>
       <p className="text-sm text-muted-foreground mt-1">
-        One-shot Q&A grounded on NZ Civil Aviation Act and Rules.
+        Q&A grounded on NZ Civil Aviation Act and Rules. Follow-up questions keep the conversation&apos;s context.
       </p>
 
       <Separator className="my-6" />
 
-      <form onSubmit={onSubmit} className="space-y-4">
-        <div className="space-y-2">
-          <Label htmlFor="question">Question</Label>
-          <Textarea
-            id="question"
-            value={question}
-            onChange={(e) => setQuestion(e.target.value)}
-            placeholder="e.g., What are the VFR minima for class C and D airspace? Include citations."
-            rows={6}
-            required
-          />
-        </div>
-        <div className="flex items-center gap-3">
-          <Button type="submit" disabled={loading}>
-            {loading ? (
-              <span className="inline-flex items-center gap-2">
-                <Loader2 className="h-4 w-4 animate-spin" />
-                Asking…
-              </span>
-            ) : (
-              "Ask"
-            )}
-          </Button>
-          {loading && (
-            <span className="text-sm text-muted-foreground" aria-live="polite">
-              Waiting for response{durationSec ? ` · ${durationSec}s` : ""}
-            </span>
+      <div className="grid gap-6 md:grid-cols-[16rem_minmax(0,1fr)]">
+        <aside>
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base font-medium">Conversations</CardTitle>
+              <Button type="button" variant="outline" size="sm" className="mt-2" onClick={onNewConversation}>
+                New conversation
+              </Button>
+            </CardHeader>
+            <CardContent>
+              <ul className="space-y-1 text-sm">
+                {conversations.map((c) => (
+                  <li key={c.id}>
+                    <button
+                      type="button"
+                      className={`w-full rounded-md px-2 py-1 text-left hover:bg-muted ${
+                        c.id === conversationId ? "bg-muted font-medium" : ""
+                      }`}
+                      onClick={() => void openConversation(c.id)}
+                    >
+                      <span className="line-clamp-2">{c.title}</span>
+                      <span className="block text-xs text-muted-foreground">
+                        {new Date(c.updatedAt).toLocaleString()} · {c.turnCount} turn(s)
+                      </span>
+                    </button>
+                  </li>
+                ))}
+                {conversations.length === 0 && (
+                  <li className="py-2 text-center text-muted-foreground">No conversations yet.</li>
+                )}
+              </ul>
+            </CardContent>
+          </Card>
+        </aside>
+
+        <main className="min-w-0">
+          {turns.map((turn, i) => (
+            <section key={`${turn.answer.summary.id}-${i}`} className="mb-6">
+              <div className="rounded-md border bg-muted/50 px-4 py-3 text-sm whitespace-pre-wrap">{turn.question}</div>
+              <AnswerCard answer={turn.answer} className="mt-3" />
+              {turn.answer.queryId && <AnswerFeedback key={turn.answer.queryId} queryId={turn.answer.queryId} />}
+            </section>
+          ))}
+
+          {viewer === "signed-out" && (
+            <div className="mb-6">
+              <Alert>
+                <AlertTitle>Sign in to ask questions</AlertTitle>
+                <AlertDescription>
+                  <Link href="/login" className="underline">
+                    Sign in with your email
+                  </Link>{" "}
+                  to ask and keep your conversations. Search and the Rules browser stay open to everyone.
+                </AlertDescription>
+              </Alert>
+            </div>
           )}
-        </div>
-      </form>
 
-      {error && (
-        <div className="mt-6">
-          <Alert variant="destructive">
-            <AlertTitle>Request failed</AlertTitle>
-            <AlertDescription>{error}</AlertDescription>
-          </Alert>
-        </div>
-      )}
+          {error && (
+            <div className="mb-6">
+              <Alert variant="destructive">
+                <AlertTitle>Request failed</AlertTitle>
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            </div>
+          )}
 
-      {answer && (
-        <Card className="mt-6">
-          <CardHeader>
-            <CardTitle className="text-base font-medium">
-              Response — {answer.summary.model}
-            </CardTitle>
-            <div className="text-xs text-muted-foreground mt-1">
-              {typeof totalTokens === "number" ? (
-                <span>
-                  tokens: {totalTokens}
-                  {typeof promptTokens === "number" && typeof completionTokens === "number"
-                    ? ` (prompt ${promptTokens} + completion ${completionTokens})`
-                    : ""}
+          <form onSubmit={onSubmit} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="question">{turns.length > 0 ? "Follow-up question" : "Question"}</Label>
+              <Textarea
+                id="question"
+                value={question}
+                onChange={(e) => setQuestion(e.target.value)}
+                placeholder={
+                  turns.length > 0
+                    ? "e.g., Does that change at night?"
+                    : "e.g., What are the VFR minima for class C and D airspace? Include citations."
+                }
+                rows={turns.length > 0 ? 3 : 6}
+                required
+              />
+            </div>
+            {policies.length > 1 && (
+              <div className="flex items-center gap-2">
+                <Label htmlFor="policy">Answer style</Label>
+                <select
+                  id="policy"
+                  value={policy}
+                  onChange={(e) => setPolicy(e.target.value)}
+                  className="border-input dark:bg-input/30 h-9 rounded-md border bg-transparent px-3 py-1 text-sm shadow-xs"
+                >
+                  <option value="">Default</option>
+                  {policies.map((p) => (
+                    <option key={p.id} value={p.id} title={p.description}>
+                      {p.title}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="flex items-center gap-3">
+              <Button type="submit" disabled={loading}>
+                {loading ? (
+                  <span className="inline-flex items-center gap-2">
+                    <Loader2 className="h-4 w-4 animate-spin" />
+                    Asking…
+                  </span>
+                ) : (
+                  "Ask"
+                )}
+              </Button>
+              {loading && (
+                <Button type="button" variant="outline" onClick={onCancel}>
+                  Cancel
+                </Button>
+              )}
+              {loading && (
+                <span className="text-sm text-muted-foreground" aria-live="polite">
+                  {turns[turns.length - 1]?.answer.content ? "Streaming response" : "Waiting for response"}
+                  {durationSec ? ` · ${durationSec}s` : ""}
                 </span>
-              ) : (
-                <span>tokens: n/a</span>
+              )}
+              {!loading && cancelled && (
+                <span className="text-sm text-muted-foreground">Cancelled — the partial answer is not kept in the conversation.</span>
               )}
             </div>
-          </CardHeader>
-          <CardContent>
-            <article className="prose prose-neutral prose-headings:scroll-mt-24 prose-pre:whitespace-pre-wrap max-w-none dark:prose-invert break-words">
-              <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>
-                {answer.content}
-              </ReactMarkdown>
-            </article>
-          </CardContent>
-        </Card>
-      )}
-
-      <Card className="mt-8">
-        <CardHeader>
-          <CardTitle className="text-base font-medium">History</CardTitle>
-          <p className="text-xs text-muted-foreground mt-1">Latest 100 questions</p>
-        </CardHeader>
-        <CardContent>
-          <div className="overflow-x-auto">
-            <table className="w-full text-sm">
-              <thead className="text-left text-muted-foreground">
-                <tr className="border-b">
-                  <th className="py-2 pr-3">When</th>
-                  <th className="py-2 pr-3">Question</th>
-                </tr>
-              </thead>
-              <tbody>
-                {history.map((h) => (
-                  <tr key={h.id} className="border-b align-top">
-                    <td className="py-2 pr-3 whitespace-nowrap">
-                      {new Date(h.createdAt).toLocaleString()}
-                    </td>
-                    <td className="py-2 pr-3">
-                      <button
-                        type="button"
-                        className="text-left hover:underline"
-                        onClick={() => {
-                          setQuestion(h.question)
-                          setAnswer({
-                            content: h.answer,
-                            summary: {
-                              id: h.id,
-                              model: h.model,
-                              created: Math.floor(new Date(h.createdAt).getTime() / 1000),
-                              usage: undefined,
-                              finish_reason: h.finishReason ?? undefined,
-                            },
-                          })
-                        }}
-                      >
-                        {h.question}
-                      </button>
-                    </td>
-                  </tr>
-                ))}
-                {history.length === 0 && (
-                  <tr>
-                    <td colSpan={2} className="py-4 text-center text-muted-foreground">
-                      No history yet.
-                    </td>
-                  </tr>
-                )}
-              </tbody>
-            </table>
-          </div>
-        </CardContent>
-      </Card>
+          </form>
+        </main>
+      </div>
     </div>
   )
 }
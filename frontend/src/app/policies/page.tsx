@@ -0,0 +1,213 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import Link from "next/link"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Label } from "@/components/ui/label"
+import { Separator } from "@/components/ui/separator"
+
+type PolicyVersion = {
+  ref: string
+  id: string
+  version: number
+  title: string
+  description: string
+  hash: string
+  latest: boolean
+  text: string
+  answers: number
+  lastUsedAt: string | null
+  otherHashes: Array<{ hash: string | null; answers: number }>
+}
+
+type MissingVersion = { id: string | null; version: number | null; hash: string | null; answers: number }
+
+type PolicyDiff = {
+  from: { ref: string; title: string; hash: string }
+  to: { ref: string; title: string; hash: string }
+  added: number
+  removed: number
+  diff: Array<{ op: "equal" | "delete" | "insert"; text: string }>
+}
+
+const selectClass = "border-input dark:bg-input/30 h-9 rounded-md border bg-transparent px-3 py-1 text-sm shadow-xs"
+
+function DiffLines({ diff }: { diff: PolicyDiff["diff"] }) {
+  return (
+    <pre className="overflow-x-auto rounded-md border text-xs leading-relaxed">
+      {diff.map((d, i) => (
+        <div
+          key={i}
+          className={`whitespace-pre-wrap px-3 ${
+            d.op === "insert"
+              ? "bg-green-100 dark:bg-green-900/40"
+              : d.op === "delete"
+              ? "bg-red-100 line-through dark:bg-red-900/40"
+              : ""
+          }`}
+        >
+          {d.op === "insert" ? "+ " : d.op === "delete" ? "− " : "  "}
+          {d.text || " "}
+        </div>
+      ))}
+    </pre>
+  )
+}
+
+export default function PoliciesPage() {
+  const [items, setItems] = useState<PolicyVersion[]>([])
+  const [missing, setMissing] = useState<MissingVersion[]>([])
+  const [defaultRef, setDefaultRef] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [open, setOpen] = useState<string | null>(null)
+  const [from, setFrom] = useState("")
+  const [to, setTo] = useState("")
+  const [diff, setDiff] = useState<PolicyDiff | null>(null)
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const resp = await fetch("/api/policies?usage=1")
+        const json = (await resp.json().catch(() => ({}))) as {
+          default?: string | null
+          items?: PolicyVersion[]
+          missing?: MissingVersion[]
+          error?: string
+        }
+        if (!resp.ok) throw new Error(json.error ?? `Request failed: ${resp.status}`)
+        const loaded = json.items ?? []
+        setItems(loaded)
+        setMissing(json.missing ?? [])
+        setDefaultRef(json.default ?? null)
+        // Start with the newest version against the one before it
+        const latest = loaded.filter((p) => p.latest && p.version > 1)[0] ?? loaded[loaded.length - 1]
+        if (latest) {
+          const previous = loaded.find((p) => p.id === latest.id && p.version === latest.version - 1) ?? loaded[0]
+          setFrom(previous.ref)
+          setTo(latest.ref)
+        }
+      } catch (err) {
+        setError((err as Error).message)
+      }
+    }
+    void load()
+  }, [])
+
+  async function compare() {
+    setError(null)
+    try {
+      const resp = await fetch(`/api/policies/diff?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`)
+      const json = (await resp.json().catch(() => ({}))) as PolicyDiff & { error?: string }
+      if (!resp.ok) throw new Error(json.error ?? `Request failed: ${resp.status}`)
+      setDiff(json)
+    } catch (err) {
+      setError((err as Error).message)
+      setDiff(null)
+    }
+  }
+
+  return (
+    <div className="mx-auto w-full max-w-4xl p-6 md:p-10">
+      <Link href="/" className="text-sm text-muted-foreground hover:underline">
+        ← Ask
+      </Link>
+      <h1 className="mt-2 text-2xl font-semibold tracking-tight">Prompt policies</h1>
+      <p className="text-sm text-muted-foreground mt-1">
+        Versions in <code>scripts/policies/&lt;id&gt;/v&lt;N&gt;.md</code>. Every answer records the policy id, version and
+        hash it was given with; change a policy by adding the next version rather than editing one in use.
+      </p>
+      <Separator className="my-6" />
+
+      {error && (
+        <Alert variant="destructive" className="mb-6">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <ul className="space-y-4">
+        {items.map((p) => (
+          <li key={p.ref} className="rounded-md border px-4 py-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-medium">{p.title}</span>
+              <span className="font-mono text-xs text-muted-foreground">{p.ref}</span>
+              {p.latest && <Badge variant="secondary">latest</Badge>}
+              {p.ref === defaultRef && <Badge>default</Badge>}
+              <span className="ml-auto text-xs text-muted-foreground">
+                {p.answers} answer(s)
+                {p.lastUsedAt ? ` · last ${new Date(p.lastUsedAt).toLocaleString()}` : ""}
+              </span>
+            </div>
+            {p.description && <p className="mt-1 text-sm text-muted-foreground">{p.description}</p>}
+            <div className="mt-1 font-mono text-xs text-muted-foreground">hash {p.hash}</div>
+            {p.otherHashes.length > 0 && (
+              <p className="mt-2 text-xs text-destructive">
+                Edited after use: {p.otherHashes.map((h) => `${h.answers} answer(s) with hash ${h.hash}`).join(", ")}
+              </p>
+            )}
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="mt-2"
+              onClick={() => setOpen(open === p.ref ? null : p.ref)}
+            >
+              {open === p.ref ? "Hide text" : "Show text"}
+            </Button>
+            {open === p.ref && (
+              <pre className="mt-2 overflow-x-auto whitespace-pre-wrap rounded-md bg-muted/50 px-3 py-2 text-xs">{p.text}</pre>
+            )}
+          </li>
+        ))}
+      </ul>
+      {missing.length > 0 && (
+        <p className="mt-4 text-sm text-muted-foreground">
+          Recorded on answers but no longer on disk:{" "}
+          {missing.map((m) => `${m.id}@${m.version ?? "?"} (${m.answers} answer(s))`).join(", ")}
+        </p>
+      )}
+
+      {items.length > 1 && (
+        <>
+          <Separator className="my-6" />
+          <h2 className="text-lg font-semibold">Compare versions</h2>
+          <div className="mt-3 flex flex-wrap items-end gap-3">
+            <div className="space-y-1">
+              <Label htmlFor="from">From</Label>
+              <select id="from" value={from} onChange={(e) => setFrom(e.target.value)} className={selectClass}>
+                {items.map((p) => (
+                  <option key={p.ref} value={p.ref}>
+                    {p.ref}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="to">To</Label>
+              <select id="to" value={to} onChange={(e) => setTo(e.target.value)} className={selectClass}>
+                {items.map((p) => (
+                  <option key={p.ref} value={p.ref}>
+                    {p.ref}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <Button type="button" onClick={() => void compare()} disabled={!from || !to}>
+              Compare
+            </Button>
+          </div>
+          {diff && (
+            <div className="mt-4 space-y-2">
+              <div className="flex flex-wrap gap-2">
+                <Badge variant="secondary">{diff.added} line(s) added</Badge>
+                <Badge variant="secondary">{diff.removed} line(s) removed</Badge>
+              </div>
+              <DiffLines diff={diff.diff} />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,200 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import Link from "next/link"
+import type { Verification } from "@scripts/verify.js"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { AnswerCard } from "@/components/answer-card"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Separator } from "@/components/ui/separator"
+import { Textarea } from "@/components/ui/textarea"
+
+const STATUSES = ["pending", "approved", "corrected", "rejected"] as const
+type QueueStatus = (typeof STATUSES)[number]
+type Verdict = Exclude<QueueStatus, "pending">
+
+type QueueItem = {
+  id: string
+  createdAt: string
+  question: string
+  answer: string
+  model: string
+  verification: Verification | null
+  user: { email: string } | null
+  thumbsUp: number
+  thumbsDown: number
+  feedback: Array<{ rating: number; comment: string | null; updatedAt: string; user: { email: string } | null }>
+  review: {
+    status: Verdict
+    correctedAnswer: string | null
+    note: string | null
+    updatedAt: string
+    reviewer: { email: string } | null
+  } | null
+}
+
+function ReviewItem({ item, onReviewed }: { item: QueueItem; onReviewed: () => void }) {
+  const [note, setNote] = useState(item.review?.note ?? "")
+  const [corrected, setCorrected] = useState(item.review?.correctedAnswer ?? item.answer)
+  const [correcting, setCorrecting] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  async function submit(status: Verdict) {
+    setBusy(true)
+    setError(null)
+    try {
+      const resp = await fetch("/api/reviews", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          queryId: item.id,
+          status,
+          correctedAnswer: status === "corrected" ? corrected : undefined,
+          note: note || undefined,
+        }),
+      })
+      if (!resp.ok) {
+        const json = (await resp.json().catch(() => ({}))) as { error?: string }
+        throw new Error(json.error ?? `Request failed: ${resp.status}`)
+      }
+      onReviewed()
+    } catch (err) {
+      setError((err as Error).message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <section className="space-y-3">
+      <div className="rounded-md border bg-muted/50 px-4 py-3 text-sm whitespace-pre-wrap">{item.question}</div>
+      <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+        <span>
+          asked {new Date(item.createdAt).toLocaleString()}
+          {item.user ? ` by ${item.user.email}` : ""}
+        </span>
+        <Badge variant="secondary">👍 {item.thumbsUp}</Badge>
+        <Badge variant={item.thumbsDown > 0 ? "destructive" : "secondary"}>👎 {item.thumbsDown}</Badge>
+        {item.review && (
+          <span>
+            {`${item.review.status} ${new Date(item.review.updatedAt).toLocaleString()}`}
+            {item.review.reviewer ? ` by ${item.review.reviewer.email}` : ""}
+          </span>
+        )}
+      </div>
+      {item.feedback.some((f) => f.comment) && (
+        <ul className="space-y-1 text-sm">
+          {item.feedback
+            .filter((f) => f.comment)
+            .map((f, i) => (
+              <li key={i} className="rounded-md border px-3 py-2 whitespace-pre-wrap">
+                <span className="text-xs text-muted-foreground">
+                  {f.rating > 0 ? "👍" : "👎"} {f.user?.email ?? "anonymous"}:{" "}
+                </span>
+                {f.comment}
+              </li>
+            ))}
+        </ul>
+      )}
+      <AnswerCard
+        answer={{
+          content: item.answer,
+          summary: { id: item.id, model: item.model, created: Math.floor(new Date(item.createdAt).getTime() / 1000) },
+          verification: item.verification,
+        }}
+      />
+      <div className="space-y-2">
+        <Textarea value={note} onChange={(e) => setNote(e.target.value)} placeholder="Reviewer note (optional)" rows={2} />
+        {correcting && (
+          <Textarea
+            value={corrected}
+            onChange={(e) => setCorrected(e.target.value)}
+            rows={14}
+            className="font-mono text-xs"
+            aria-label="Corrected answer (Markdown)"
+          />
+        )}
+        <div className="flex flex-wrap gap-2">
+          <Button type="button" size="sm" disabled={busy} onClick={() => void submit("approved")}>
+            Approve
+          </Button>
+          {correcting ? (
+            <Button type="button" size="sm" disabled={busy} onClick={() => void submit("corrected")}>
+              Save correction
+            </Button>
+          ) : (
+            <Button type="button" size="sm" variant="outline" disabled={busy} onClick={() => setCorrecting(true)}>
+              Correct…
+            </Button>
+          )}
+          <Button type="button" size="sm" variant="destructive" disabled={busy} onClick={() => void submit("rejected")}>
+            Reject
+          </Button>
+        </div>
+        {error && <p className="text-xs text-destructive">{error}</p>}
+      </div>
+    </section>
+  )
+}
+
+export default function ReviewPage() {
+  const [status, setStatus] = useState<QueueStatus>("pending")
+  const [items, setItems] = useState<QueueItem[]>([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const load = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const resp = await fetch(`/api/reviews?status=${status}&take=50`)
+      const json = (await resp.json().catch(() => ({}))) as { items?: QueueItem[]; error?: string }
+      if (!resp.ok) throw new Error(json.error ?? `Request failed: ${resp.status}`)
+      setItems(json.items ?? [])
+    } catch (err) {
+      setError((err as Error).message)
+      setItems([])
+    } finally {
+      setLoading(false)
+    }
+  }, [status])
+
+  useEffect(() => {
+    void load()
+  }, [load])
+
+  return (
+    <div className="mx-auto w-full max-w-4xl p-6 md:p-10">
+      <Link href="/" className="text-sm text-muted-foreground hover:underline">
+        ← Ask
+      </Link>
+      <h1 className="mt-2 text-2xl font-semibold tracking-tight">Answer review</h1>
+      <p className="text-sm text-muted-foreground mt-1">
+        Answers with user feedback, most thumbs-down first. Approved and corrected answers are shown with later answers to
+        the same question and export to the golden set (<code>npm run eval:reviewed</code>).
+      </p>
+      <nav className="mt-4 flex gap-2">
+        {STATUSES.map((s) => (
+          <Button key={s} type="button" size="sm" variant={s === status ? "default" : "outline"} onClick={() => setStatus(s)}>
+            {s}
+          </Button>
+        ))}
+      </nav>
+      <Separator className="my-6" />
+
+      {error && (
+        <Alert variant="destructive" className="mb-6">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      {!loading && !error && items.length === 0 && <p className="text-sm text-muted-foreground">Nothing here.</p>}
+      <div className="space-y-10">
+        {items.map((item) => (
+          <ReviewItem key={item.id} item={item} onReviewed={() => void load()} />
+        ))}
+      </div>
+    </div>
+  )
+}
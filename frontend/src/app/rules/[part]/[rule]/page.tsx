@@ -0,0 +1,32 @@
+import Link from "next/link"
+import { notFound } from "next/navigation"
+import { ProvisionPage } from "@/components/provision-view"
+import { normalizePart, ruleParamToId } from "@/lib/citations"
+import { findProvision, neighbours, partProvisions, provisionAnchor } from "@/lib/rules"
+
+export const dynamic = "force-dynamic"
+
+export default async function RulePage({ params }: { params: Promise<{ part: string; rule: string }> }) {
+  const { part, rule } = await params
+  const provision = findProvision(ruleParamToId(part, rule))
+  if (!provision || provision.source !== "CAR" || !provision.part) notFound()
+  const partNo = normalizePart(provision.part)
+  // Rule numbers already carry their Part; breadcrumbs use the indexed one
+  const { prev, next } = neighbours(partProvisions(partNo), provision.id)
+
+  return (
+    <div className="mx-auto w-full max-w-4xl p-6 md:p-10">
+      <nav className="text-sm text-muted-foreground">
+        <Link href="/rules" className="hover:underline">
+          Rules
+        </Link>
+        {" / "}
+        <Link href={`/rules/${partNo}#${provisionAnchor(provision)}`} className="hover:underline">
+          Part {partNo}
+          {provision.part_name ? ` — ${provision.part_name}` : ""}
+        </Link>
+      </nav>
+      <ProvisionPage provision={provision} prev={prev} next={next} />
+    </div>
+  )
+}
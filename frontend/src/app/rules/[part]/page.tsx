@@ -0,0 +1,30 @@
+import Link from "next/link"
+import { notFound } from "next/navigation"
+import { Separator } from "@/components/ui/separator"
+import { ProvisionDocument, ProvisionReferences } from "@/components/provision-view"
+import { normalizePart } from "@/lib/citations"
+import { partProvisions } from "@/lib/rules"
+
+export const dynamic = "force-dynamic"
+
+export default async function PartPage({ params }: { params: Promise<{ part: string }> }) {
+  const { part } = await params
+  const provisions = partProvisions(decodeURIComponent(part))
+  if (provisions.length === 0) notFound()
+  const name = provisions.find((p) => p.part_name)?.part_name
+
+  return (
+    <div className="mx-auto w-full max-w-4xl p-6 md:p-10">
+      <Link href="/rules" className="text-sm text-muted-foreground hover:underline">
+        ← Civil Aviation Rules
+      </Link>
+      <h1 className="mt-2 text-2xl font-semibold tracking-tight">
+        Part {Number.parseInt(part, 10) || part}
+        {name ? ` — ${name}` : ""}
+      </h1>
+      <ProvisionReferences id={`CAR-Part-${normalizePart(decodeURIComponent(part))}`} outgoing={false} />
+      <Separator className="my-6" />
+      <ProvisionDocument provisions={provisions} />
+    </div>
+  )
+}
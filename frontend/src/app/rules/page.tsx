@@ -0,0 +1,47 @@
+import Link from "next/link"
+import { Separator } from "@/components/ui/separator"
+import { EmptyIndex } from "@/components/provision-view"
+import { actProvisions, carParts } from "@/lib/rules"
+
+export const dynamic = "force-dynamic"
+
+export default function RulesPage() {
+  const parts = carParts()
+  const actCount = actProvisions().length
+  return (
+    <div className="mx-auto w-full max-w-4xl p-6 md:p-10">
+      <Link href="/" className="text-sm text-muted-foreground hover:underline">
+        ← Ask
+      </Link>
+      <h1 className="mt-2 text-2xl font-semibold tracking-tight">Civil Aviation Rules</h1>
+      <p className="text-sm text-muted-foreground mt-1">
+        Converted text of each CAR Part
+        {actCount > 0 && (
+          <>
+            {" "}
+            and the{" "}
+            <Link href="/act" className="underline">
+              Civil Aviation Act 2023
+            </Link>
+          </>
+        )}
+        .
+      </p>
+
+      <Separator className="my-6" />
+
+      {parts.length === 0 && <EmptyIndex />}
+
+      <ul className="space-y-1 text-sm">
+        {parts.map((p) => (
+          <li key={p.part}>
+            <Link href={`/rules/${p.part}`} className="hover:underline">
+              <span className="font-mono">Part {p.part}</span> {p.name}
+            </Link>{" "}
+            <span className="text-xs text-muted-foreground tabular-nums">({p.count})</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,163 @@
+import Link from "next/link"
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert"
+import { Button } from "@/components/ui/button"
+import { Label } from "@/components/ui/label"
+import { Separator } from "@/components/ui/separator"
+import { provisionHref } from "@/lib/citations"
+import { searchOptionsFromParams, searchProvisions } from "@/lib/search"
+
+export const dynamic = "force-dynamic"
+
+const inputClass =
+  "border-input focus-visible:border-ring focus-visible:ring-ring/50 dark:bg-input/30 h-9 rounded-md border bg-transparent px-3 py-1 text-sm shadow-xs outline-none focus-visible:ring-[3px]"
+
+type SearchParams = Promise<Record<string, string | string[] | undefined>>
+
+function toUrlParams(raw: Record<string, string | string[] | undefined>) {
+  const params = new URLSearchParams()
+  for (const [key, value] of Object.entries(raw)) {
+    if (typeof value === "string" && value !== "") params.set(key, value)
+  }
+  return params
+}
+
+async function runSearch(params: URLSearchParams) {
+  if (!params.get("q")?.trim()) return null
+  try {
+    return { ok: true as const, ...(await searchProvisions(searchOptionsFromParams(params))) }
+  } catch (error) {
+    return { ok: false as const, error: (error as Error).message }
+  }
+}
+
+export default async function SearchPage({ searchParams }: { searchParams: SearchParams }) {
+  const params = toUrlParams(await searchParams)
+  const outcome = await runSearch(params)
+  const pageHref = (offset: number) => {
+    const next = new URLSearchParams(params)
+    next.set("offset", String(offset))
+    return `/search?${next.toString()}`
+  }
+
+  return (
+    <div className="mx-auto w-full max-w-4xl p-6 md:p-10">
+      <Link href="/" className="text-sm text-muted-foreground hover:underline">
+        ← Ask
+      </Link>
+      <h1 className="mt-2 text-2xl font-semibold tracking-tight">Search the Act and Rules</h1>
+      <p className="text-sm text-muted-foreground mt-1">
+        Full-text search, no LLM call. Use &quot;quotes&quot; for phrases, <code>OR</code> for alternatives and{" "}
+        <code>-word</code> to exclude.
+      </p>
+
+      <form method="get" action="/search" className="mt-6 space-y-3">
+        <div className="grid gap-2">
+          <Label htmlFor="q">Query</Label>
+          <input
+            id="q"
+            name="q"
+            defaultValue={params.get("q") ?? ""}
+            placeholder='e.g. "aerodrome flight information service"'
+            className={inputClass}
+          />
+        </div>
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="grid gap-2">
+            <Label htmlFor="source">Source</Label>
+            <select id="source" name="source" defaultValue={params.get("source") ?? ""} className={inputClass}>
+              <option value="">Act and Rules</option>
+              <option value="CAA">Act (CAA)</option>
+              <option value="CAR">Rules (CAR)</option>
+            </select>
+          </div>
+          <div className="grid gap-2">
+            <Label htmlFor="part">Part</Label>
+            <input id="part" name="part" defaultValue={params.get("part") ?? ""} placeholder="91" className={`${inputClass} w-24`} />
+          </div>
+          <div className="grid gap-2">
+            <Label htmlFor="subpart">Subpart</Label>
+            <input
+              id="subpart"
+              name="subpart"
+              defaultValue={params.get("subpart") ?? ""}
+              placeholder="B"
+              className={`${inputClass} w-24`}
+            />
+          </div>
+          <label className="flex h-9 items-center gap-2 text-sm">
+            <input type="checkbox" name="phrase" value="1" defaultChecked={params.get("phrase") === "1"} />
+            Exact phrase
+          </label>
+          <Button type="submit">Search</Button>
+        </div>
+      </form>
+
+      <Separator className="my-6" />
+
+      {outcome && !outcome.ok && (
+        <Alert variant="destructive">
+          <AlertTitle>Search failed</AlertTitle>
+          <AlertDescription>{outcome.error}</AlertDescription>
+        </Alert>
+      )}
+
+      {outcome?.ok && (
+        <>
+          <p className="text-sm text-muted-foreground">
+            {outcome.total} match{outcome.total === 1 ? "" : "es"}
+            {outcome.total > outcome.results.length &&
+              ` · showing ${outcome.query.offset + 1}–${outcome.query.offset + outcome.results.length}`}
+          </p>
+          <ol className="mt-4 space-y-5">
+            {outcome.results.map((r) => (
+              <li key={r.id}>
+                <div className="flex flex-wrap items-baseline gap-x-3">
+                  <Link href={provisionHref(r.id) ?? "#"} className="font-medium hover:underline">
+                    {r.heading}
+                  </Link>
+                  <span className="font-mono text-xs text-muted-foreground">{r.id}</span>
+                  {r.sourceUrl && (
+                    <a
+                      href={r.pageStart ? `${r.sourceUrl}#page=${r.pageStart}` : r.sourceUrl}
+                      target="_blank"
+                      rel="noreferrer"
+                      className="text-xs text-muted-foreground hover:underline"
+                    >
+                      PDF ↗
+                    </a>
+                  )}
+                </div>
+                {r.subpart && <div className="text-xs text-muted-foreground">{r.subpart}</div>}
+                <p className="mt-1 text-sm leading-relaxed">
+                  {r.snippet.map((s, i) =>
+                    s.match ? (
+                      <mark key={i} className="rounded-sm bg-yellow-200 px-0.5 dark:bg-yellow-800/60">
+                        {s.text}
+                      </mark>
+                    ) : (
+                      <span key={i}>{s.text}</span>
+                    ),
+                  )}
+                </p>
+              </li>
+            ))}
+          </ol>
+          <div className="mt-6 flex justify-between text-sm">
+            {outcome.query.offset > 0 ? (
+              <Link href={pageHref(Math.max(0, outcome.query.offset - outcome.query.limit))} className="hover:underline">
+                ← Previous
+              </Link>
+            ) : (
+              <span />
+            )}
+            {outcome.query.offset + outcome.results.length < outcome.total && (
+              <Link href={pageHref(outcome.query.offset + outcome.query.limit)} className="hover:underline">
+                Next →
+              </Link>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,256 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import Link from "next/link"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Separator } from "@/components/ui/separator"
+import type { Stats, UsageTotals } from "@/lib/stats"
+
+const PERIODS = [7, 30, 90] as const
+
+const number = new Intl.NumberFormat("en-NZ")
+
+function usd(value: number | null): string {
+  if (value === null) return "—"
+  return value < 1 ? `$${value.toFixed(4)}` : `$${value.toFixed(2)}`
+}
+
+function percent(value: number | null): string {
+  return value === null ? "—" : `${(value * 100).toFixed(1)}%`
+}
+
+function seconds(ms: number | null | undefined): string {
+  return typeof ms === "number" ? `${(ms / 1000).toFixed(1)} s` : "—"
+}
+
+function Figure({ label, value, detail }: { label: string; value: string; detail?: string }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-sm font-normal text-muted-foreground">{label}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="text-2xl font-semibold">{value}</div>
+        {detail && <div className="text-xs text-muted-foreground mt-1">{detail}</div>}
+      </CardContent>
+    </Card>
+  )
+}
+
+// One row per group: requests, cache hits, truncations, tokens and cost
+function UsageTable<K extends string>({
+  rows,
+  keyName,
+  label,
+  bar,
+}: {
+  rows: Array<Record<K, string> & UsageTotals>
+  keyName: K
+  label: string
+  // Shade each row by its share of the largest cost (or tokens, without prices)
+  bar?: boolean
+}) {
+  const byCost = rows.some((r) => r.costUsd !== null)
+  const max = Math.max(1e-9, ...rows.map((r) => (byCost ? r.costUsd ?? 0 : r.totalTokens)))
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead className="text-left text-xs text-muted-foreground">
+          <tr>
+            <th className="py-1 pr-3 font-normal">{label}</th>
+            <th className="py-1 pr-3 font-normal text-right">Requests</th>
+            <th className="py-1 pr-3 font-normal text-right">Cached</th>
+            <th className="py-1 pr-3 font-normal text-right">Truncated</th>
+            <th className="py-1 pr-3 font-normal text-right">Prompt tokens</th>
+            <th className="py-1 pr-3 font-normal text-right">Completion tokens</th>
+            <th className="py-1 font-normal text-right">Cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r[keyName]} className="border-t">
+              <td className="py-1 pr-3">
+                <div className="font-mono text-xs">{r[keyName]}</div>
+                {bar && (
+                  <div
+                    className="mt-1 h-1.5 rounded bg-primary/70"
+                    style={{ width: `${(((byCost ? r.costUsd ?? 0 : r.totalTokens) / max) * 100).toFixed(1)}%` }}
+                  />
+                )}
+              </td>
+              <td className="py-1 pr-3 text-right">{number.format(r.requests)}</td>
+              <td className="py-1 pr-3 text-right">{number.format(r.cacheHits)}</td>
+              <td className={`py-1 pr-3 text-right ${r.truncated > 0 ? "text-destructive" : ""}`}>
+                {number.format(r.truncated)}
+              </td>
+              <td className="py-1 pr-3 text-right">{number.format(r.promptTokens)}</td>
+              <td className="py-1 pr-3 text-right">{number.format(r.completionTokens)}</td>
+              <td className="py-1 text-right">{usd(r.costUsd)}</td>
+            </tr>
+          ))}
+          {rows.length === 0 && (
+            <tr>
+              <td colSpan={7} className="py-2 text-center text-muted-foreground">
+                No questions in this period.
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default function StatsPage() {
+  const [days, setDays] = useState<number>(30)
+  const [stats, setStats] = useState<Stats | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    async function load() {
+      setError(null)
+      try {
+        const resp = await fetch(`/api/stats?days=${days}`)
+        const json = (await resp.json().catch(() => ({}))) as Stats & { error?: string }
+        if (!resp.ok) throw new Error(json.error ?? `Request failed: ${resp.status}`)
+        setStats(json)
+      } catch (err) {
+        setError((err as Error).message)
+        setStats(null)
+      }
+    }
+    void load()
+  }, [days])
+
+  const overall = stats?.latency.find((l) => l.model === null)
+
+  return (
+    <div className="mx-auto w-full max-w-5xl p-6 md:p-10">
+      <Link href="/" className="text-sm text-muted-foreground hover:underline">
+        ← Ask
+      </Link>
+      <h1 className="mt-2 text-2xl font-semibold tracking-tight">Usage and cost</h1>
+      <p className="text-sm text-muted-foreground mt-1">
+        Questions answered in the last {days} days (UTC). Costs are estimates from <code>ASK_PRICES</code> (USD per
+        million prompt / completion tokens); cached answers spend no tokens.
+      </p>
+      <nav className="mt-4 flex gap-2">
+        {PERIODS.map((p) => (
+          <Button key={p} type="button" size="sm" variant={p === days ? "default" : "outline"} onClick={() => setDays(p)}>
+            {p} days
+          </Button>
+        ))}
+      </nav>
+      <Separator className="my-6" />
+
+      {error && (
+        <Alert variant="destructive" className="mb-6">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {stats && (
+        <div className="space-y-8">
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            <Figure
+              label="Requests"
+              value={number.format(stats.totals.requests)}
+              detail={`${percent(stats.totals.cacheHitRate)} from cache`}
+            />
+            <Figure
+              label="Tokens"
+              value={number.format(stats.totals.totalTokens)}
+              detail={`prompt ${number.format(stats.totals.promptTokens)} · completion ${number.format(stats.totals.completionTokens)}`}
+            />
+            <Figure
+              label="Estimated cost"
+              value={usd(stats.totals.costUsd)}
+              detail={stats.study.quizzes > 0 ? `+ ${usd(stats.study.costUsd)} for ${stats.study.quizzes} quiz(zes)` : undefined}
+            />
+            <Figure
+              label="Cut off at max_tokens"
+              value={percent(stats.totals.truncationRate)}
+              detail={`${number.format(stats.totals.truncated)} answer(s) · p50 ${seconds(overall?.p50)} · p95 ${seconds(overall?.p95)}`}
+            />
+          </div>
+          {stats.unpricedModels.length > 0 && (
+            <p className="text-xs text-muted-foreground">
+              No price for {stats.unpricedModels.join(", ")}: add it to <code>ASK_PRICES</code> (e.g.{" "}
+              <code>gpt-4.1=2/8</code>) or set <code>ASK_PRICE_IN</code> / <code>ASK_PRICE_OUT</code>.
+            </p>
+          )}
+
+          <section>
+            <h2 className="mb-2 text-lg font-semibold">Per day</h2>
+            <UsageTable rows={stats.byDay} keyName="day" label="Day" bar />
+          </section>
+
+          <section>
+            <h2 className="mb-2 text-lg font-semibold">Per model</h2>
+            <UsageTable rows={stats.byModel} keyName="model" label="Model" bar />
+          </section>
+
+          <section>
+            <h2 className="mb-2 text-lg font-semibold">Per context mode</h2>
+            <p className="mb-2 text-xs text-muted-foreground">
+              <code>full</code> sends the whole corpus (or the Parts that fit the model&apos;s window);{" "}
+              <code>retrieval</code> sends the top-k provisions.
+            </p>
+            <UsageTable rows={stats.byContext} keyName="context" label="Context" />
+          </section>
+
+          <section>
+            <h2 className="mb-2 text-lg font-semibold">Latency</h2>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left text-xs text-muted-foreground">
+                  <tr>
+                    <th className="py-1 pr-3 font-normal">Model</th>
+                    <th className="py-1 pr-3 font-normal text-right">Answers</th>
+                    <th className="py-1 pr-3 font-normal text-right">Mean</th>
+                    <th className="py-1 pr-3 font-normal text-right">p50</th>
+                    <th className="py-1 pr-3 font-normal text-right">p90</th>
+                    <th className="py-1 pr-3 font-normal text-right">p95</th>
+                    <th className="py-1 font-normal text-right">p99</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.latency.map((l) => (
+                    <tr key={l.model ?? ""} className={`border-t ${l.model === null ? "font-medium" : ""}`}>
+                      <td className="py-1 pr-3 font-mono text-xs">{l.model ?? "all models"}</td>
+                      <td className="py-1 pr-3 text-right">{number.format(l.answers)}</td>
+                      <td className="py-1 pr-3 text-right">{seconds(l.mean)}</td>
+                      <td className="py-1 pr-3 text-right">{seconds(l.p50)}</td>
+                      <td className="py-1 pr-3 text-right">{seconds(l.p90)}</td>
+                      <td className="py-1 pr-3 text-right">{seconds(l.p95)}</td>
+                      <td className="py-1 text-right">{seconds(l.p99)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          <section>
+            <h2 className="mb-2 text-lg font-semibold">Most asked questions</h2>
+            <ol className="space-y-2 text-sm">
+              {stats.topQuestions.map((q) => (
+                <li key={q.question} className="flex gap-3">
+                  <span className="w-10 shrink-0 text-right font-medium">{q.count}×</span>
+                  <span className="min-w-0">
+                    <span className="line-clamp-2">{q.question}</span>
+                    <span className="block text-xs text-muted-foreground">
+                      {q.cacheHits} from cache · last {new Date(q.lastAskedAt).toLocaleString()}
+                    </span>
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </section>
+        </div>
+      )}
+    </div>
+  )
+}
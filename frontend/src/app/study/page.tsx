@@ -0,0 +1,212 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import Link from "next/link"
+import type { Syllabus, SyllabusItem } from "@scripts/syllabus.js"
+import type { ItemScore } from "@scripts/quiz.js"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Separator } from "@/components/ui/separator"
+import { StudyQuiz, type QuizQuestionView } from "@/components/study-quiz"
+import { provisionHref } from "@/lib/citations"
+
+type Progress = { weakThreshold: number; minAttempts: number; items: ItemScore[]; weak: string[] }
+type Quiz = { id: string; syllabusItemId: string; dropped: number; questions: QuizQuestionView[] }
+
+function ScoreBadge({ score }: { score: ItemScore | undefined }) {
+  if (!score) return null
+  if (score.accuracy === null) return <Badge variant="outline">{score.attempts} answered</Badge>
+  const label = `${Math.round(score.accuracy * 100)}% of ${score.graded}`
+  return <Badge variant={score.weak ? "destructive" : "secondary"}>{label}</Badge>
+}
+
+function ItemRow({
+  item,
+  score,
+  active,
+  onPractice,
+}: {
+  item: SyllabusItem
+  score: ItemScore | undefined
+  active: boolean
+  onPractice: () => void
+}) {
+  return (
+    <li id={`item-${item.id}`} className="space-y-1">
+      <div className="flex items-start justify-between gap-4">
+        <p className="text-sm">
+          <span className="font-medium">{item.number}</span> {item.text}
+        </p>
+        <div className="flex shrink-0 items-center gap-2">
+          <ScoreBadge score={score} />
+          <Button
+            type="button"
+            size="sm"
+            variant={active ? "default" : "outline"}
+            disabled={item.provisions.length === 0}
+            onClick={onPractice}
+          >
+            Practice
+          </Button>
+        </div>
+      </div>
+      {item.provisions.length > 0 && (
+        <p className="text-xs text-muted-foreground">
+          {item.provisions.map((p, i) => {
+            const href = provisionHref(p.id)
+            return (
+              <span key={p.id}>
+                {i > 0 && " · "}
+                {href ? (
+                  <Link href={href} className="hover:underline" title={`${p.heading} (${p.match})`}>
+                    {p.id}
+                  </Link>
+                ) : (
+                  p.id
+                )}
+              </span>
+            )
+          })}
+        </p>
+      )}
+    </li>
+  )
+}
+
+export default function StudyPage() {
+  const [syllabus, setSyllabus] = useState<Syllabus | null>(null)
+  const [progress, setProgress] = useState<Progress | null>(null)
+  const [quiz, setQuiz] = useState<Quiz | null>(null)
+  const [generating, setGenerating] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  const loadProgress = useCallback(async () => {
+    try {
+      const resp = await fetch("/api/study/progress")
+      if (resp.ok) setProgress((await resp.json()) as Progress)
+    } catch {}
+  }, [])
+
+  useEffect(() => {
+    async function loadSyllabus() {
+      try {
+        const resp = await fetch("/api/study/syllabus")
+        const json = (await resp.json().catch(() => ({}))) as Syllabus & { error?: string }
+        if (!resp.ok) throw new Error(json.error ?? `Request failed: ${resp.status}`)
+        setSyllabus(json)
+      } catch (err) {
+        setError((err as Error).message)
+      }
+    }
+    void loadSyllabus()
+    void loadProgress()
+  }, [loadProgress])
+
+  async function practice(itemId: string) {
+    setGenerating(itemId)
+    setError(null)
+    setQuiz(null)
+    try {
+      const resp = await fetch("/api/study/quiz", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ itemId }),
+      })
+      const json = (await resp.json().catch(() => ({}))) as { quiz?: Quiz; error?: string }
+      if (!resp.ok || !json.quiz) throw new Error(json.error ?? `Request failed: ${resp.status}`)
+      setQuiz(json.quiz)
+    } catch (err) {
+      setError((err as Error).message)
+    } finally {
+      setGenerating(null)
+    }
+  }
+
+  const scores = new Map((progress?.items ?? []).map((s) => [s.itemId, s]))
+  const items = syllabus?.items ?? []
+  const quizItem = quiz ? items.find((i) => i.id === quiz.syllabusItemId) : null
+
+  return (
+    <div className="mx-auto w-full max-w-4xl p-6 md:p-10">
+      <Link href="/" className="text-sm text-muted-foreground hover:underline">
+        ← Ask
+      </Link>
+      <h1 className="mt-2 text-2xl font-semibold tracking-tight">PPL Air Law study</h1>
+      <p className="text-sm text-muted-foreground mt-1">
+        Practice questions on each syllabus item, written from the rules and Act sections it maps to. Every answer key
+        quotes its source.
+      </p>
+      <Separator className="my-6" />
+
+      {error && (
+        <Alert variant="destructive" className="mb-6">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {progress && progress.weak.length > 0 && (
+        <section className="mb-8 space-y-2">
+          <h2 className="text-lg font-semibold">Weak areas</h2>
+          <p className="text-xs text-muted-foreground">
+            Items below {Math.round(progress.weakThreshold * 100)}% over at least {progress.minAttempts} marked answers.
+          </p>
+          <ul className="flex flex-wrap gap-2">
+            {progress.weak.map((id) => (
+              <li key={id}>
+                <Button type="button" size="sm" variant="outline" onClick={() => void practice(id)}>
+                  {id}
+                </Button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {(generating || quiz) && (
+        <section className="mb-10 space-y-4 rounded-md border p-4">
+          {generating && <p className="text-sm text-muted-foreground">Writing questions on {generating}…</p>}
+          {quiz && quizItem && (
+            <>
+              <h2 className="text-lg font-semibold">
+                {quizItem.number} {quizItem.text}
+              </h2>
+              {quiz.dropped > 0 && (
+                <p className="text-xs text-muted-foreground">
+                  {quiz.dropped} question(s) were dropped because their quote could not be found in the source.
+                </p>
+              )}
+              <StudyQuiz questions={quiz.questions} onAnswered={() => void loadProgress()} />
+              <Button type="button" size="sm" variant="outline" onClick={() => void practice(quizItem.id)}>
+                More questions
+              </Button>
+            </>
+          )}
+        </section>
+      )}
+
+      <div className="space-y-8">
+        {(syllabus?.topics ?? []).map((topic) => (
+          <section key={topic.number} className="space-y-3">
+            <h2 className="text-lg font-semibold">
+              {topic.number}. {topic.title}
+            </h2>
+            <ul className="space-y-4">
+              {items
+                .filter((item) => item.topic.number === topic.number)
+                .map((item) => (
+                  <ItemRow
+                    key={item.id}
+                    item={item}
+                    score={scores.get(item.id)}
+                    active={quiz?.syllabusItemId === item.id || generating === item.id}
+                    onPractice={() => void practice(item.id)}
+                  />
+                ))}
+            </ul>
+          </section>
+        ))}
+      </div>
+    </div>
+  )
+}
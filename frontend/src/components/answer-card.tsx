@@ -0,0 +1,305 @@
+import { useMemo } from "react"
+import type { AnchorHTMLAttributes, HTMLAttributes, ReactNode } from "react"
+import Link from "next/link"
+import ReactMarkdown from "react-markdown"
+import type { Components } from "react-markdown"
+import remarkGfm from "remark-gfm"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import type { Verification } from "@scripts/verify.js"
+import { VerificationPanel } from "@/components/verification-panel"
+import { DefinedTermSpan } from "@/components/defined-term"
+import { provisionHref, remarkCitationLinks } from "@/lib/citations"
+import { remarkDefinedTerms } from "@/lib/defined-terms"
+import { useGlossaryMatcher } from "@/lib/use-glossary"
+
+export type AskResponse = {
+  content: string
+  summary: {
+    id: string
+    model: string
+    created: number
+    usage?: {
+      prompt_tokens?: number
+      completion_tokens?: number
+      total_tokens?: number
+      // Allow backend variations without breaking UI
+      prompt_tokens_details?: Record<string, unknown>
+      completion_tokens_details?: Record<string, unknown>
+    }
+    finish_reason?: string
+  }
+  retrieval?: {
+    mode: "retrieval" | "full"
+    embedder?: string
+    reason?: string
+    chunks: Array<{
+      id: string
+      provisionId: string
+      heading: string
+      sourceUrl: string | null
+      score: number
+      referencedFrom?: string
+    }>
+    definitions?: Array<{ id: string; term: string; provisionId: string }>
+    // Whole-corpus mode: CAR Parts sent or left out to fit the model's window
+    context?: {
+      selection: "all" | "ranked"
+      act: { truncated: boolean }
+      included: Array<{ part: string; name: string; truncated?: boolean }>
+      excluded: Array<{ part: string; name: string }>
+    }
+  }
+  // Prompt policy the answer was given with (scripts/policies/<id>/v<version>.md)
+  policy?: { id: string; version: number; hash: string; title: string } | null
+  verification?: Verification | null
+  conversationId?: string | null
+  conversation?: { id: string | null; replayedTurns: number; droppedTurns: number }
+  // Served from the answer cache: the QueryHistory entry whose answer was reused
+  cache?: {
+    hit: boolean
+    match?: "exact" | "semantic"
+    similarity?: number
+    sourceQueryId?: string
+    answeredAt?: string
+  } | null
+  // QueryHistory id of this answer (for feedback)
+  queryId?: string | null
+  // Expert review of an earlier answer to the same question (lib/reviews.ts)
+  review?: {
+    status: "approved" | "corrected"
+    queryId: string
+    reviewedAt: string
+    correctedAnswer?: string
+    note?: string
+  } | null
+}
+
+type CodeProps = HTMLAttributes<HTMLElement> & { inline?: boolean; className?: string; children?: ReactNode }
+type AnchorProps = AnchorHTMLAttributes<HTMLAnchorElement> & { "data-source-url"?: string }
+const markdownComponents: Partial<Components> = {
+  code({ inline, children, ...props }: CodeProps) {
+    if (inline) {
+      return (
+        <code className="break-words whitespace-pre-wrap" {...props}>
+          {children}
+        </code>
+      )
+    }
+    return (
+      <pre className="whitespace-pre-wrap break-words rounded-md border bg-muted p-4" {...props}>
+        {children}
+      </pre>
+    )
+  },
+  a({ href, title, children, "data-source-url": sourceUrl }: AnchorProps) {
+    // Citations rewritten by remarkCitationLinks point into the rules reader
+    if (href?.startsWith("/")) {
+      return (
+        <>
+          <Link href={href} title={title}>
+            {children}
+          </Link>
+          {sourceUrl && (
+            <>
+              {" "}
+              <a href={sourceUrl} target="_blank" rel="noreferrer" className="text-xs text-muted-foreground">
+                (PDF)
+              </a>
+            </>
+          )}
+        </>
+      )
+    }
+    return (
+      <a href={href} title={title} target="_blank" rel="noreferrer">
+        {children}
+      </a>
+    )
+  },
+  span: DefinedTermSpan,
+  table({ children, ...props }: HTMLAttributes<HTMLTableElement>) {
+    // Rule tables (e.g. VFR minima) are often wider than the card
+    return (
+      <div className="overflow-x-auto">
+        <table {...props}>{children}</table>
+      </div>
+    )
+  },
+}
+
+// Server-side memo export (api/history/[id]/export)
+const EXPORT_FORMATS = [
+  ["pdf", "PDF"],
+  ["docx", "DOCX"],
+  ["md", "Markdown"],
+] as const
+
+function ProvisionIdLink({ id }: { id: string }) {
+  const href = provisionHref(id)
+  if (!href) return <span className="font-mono">{id}</span>
+  return (
+    <Link href={href} className="font-mono hover:underline">
+      {id}
+    </Link>
+  )
+}
+
+export function AnswerCard({ answer, className }: { answer: AskResponse; className?: string }) {
+  const totalTokens = answer.summary?.usage?.total_tokens
+  const promptTokens = answer.summary?.usage?.prompt_tokens
+  const completionTokens = answer.summary?.usage?.completion_tokens
+  const droppedTurns = answer.conversation?.droppedTurns ?? 0
+  const matcher = useGlossaryMatcher()
+  const citationPlugin = useMemo((): [typeof remarkCitationLinks, { sourceUrls: Map<string, string> }] => {
+    const sourceUrls = new Map<string, string>()
+    for (const c of answer.retrieval?.chunks ?? []) if (c.sourceUrl) sourceUrls.set(c.provisionId, c.sourceUrl)
+    for (const c of answer.verification?.citations ?? []) if (c.sourceUrl) sourceUrls.set(c.provisionId, c.sourceUrl)
+    return [remarkCitationLinks, { sourceUrls }]
+  }, [answer.retrieval, answer.verification])
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="text-base font-medium">Response — {answer.summary.model || "…"}</CardTitle>
+        <div className="text-xs text-muted-foreground mt-1">
+          {typeof totalTokens === "number" ? (
+            <span>
+              tokens: {totalTokens}
+              {typeof promptTokens === "number" && typeof completionTokens === "number"
+                ? ` (prompt ${promptTokens} + completion ${completionTokens})`
+                : ""}
+            </span>
+          ) : (
+            <span>tokens: n/a</span>
+          )}
+          {answer.retrieval && (
+            <span>
+              {" · context: "}
+              {answer.retrieval.mode === "retrieval"
+                ? `${answer.retrieval.chunks.length} chunks (${answer.retrieval.embedder})`
+                : answer.retrieval.context?.selection === "ranked"
+                ? `${answer.retrieval.context.included.length} of ${
+                    answer.retrieval.context.included.length + answer.retrieval.context.excluded.length
+                  } CAR Parts${answer.retrieval.context.act.truncated ? ", Act cut" : ""}`
+                : "full corpus"}
+            </span>
+          )}
+          {answer.policy && (
+            <span title={`${answer.policy.id}@${answer.policy.version} · ${answer.policy.hash}`}>
+              {` · policy: ${answer.policy.title} v${answer.policy.version}`}
+            </span>
+          )}
+          {droppedTurns > 0 && <span>{` · ${droppedTurns} earlier turn(s) not replayed`}</span>}
+          {answer.queryId && (
+            <span>
+              {" · export memo: "}
+              {EXPORT_FORMATS.map(([format, label], i) => (
+                <span key={format}>
+                  {i > 0 && " · "}
+                  <a
+                    href={`/api/history/${encodeURIComponent(answer.queryId!)}/export?format=${format}`}
+                    className="underline underline-offset-2 hover:text-foreground"
+                    download
+                  >
+                    {label}
+                  </a>
+                </span>
+              ))}
+            </span>
+          )}
+        </div>
+        {answer.cache?.hit && (
+          <div className="text-xs font-medium mt-1">
+            Served from cache — reuses answer <span className="font-mono">{answer.cache.sourceQueryId}</span>
+            {answer.cache.answeredAt && ` of ${new Date(answer.cache.answeredAt).toLocaleString()}`}
+            {answer.cache.match === "semantic" && typeof answer.cache.similarity === "number"
+              ? ` (similar question, ${answer.cache.similarity.toFixed(3)})`
+              : ""}
+          </div>
+        )}
+        {answer.retrieval && answer.retrieval.chunks.length > 0 && (
+          <details className="text-xs text-muted-foreground mt-1">
+            <summary className="cursor-pointer">Provisions used</summary>
+            <ul className="mt-1 space-y-0.5">
+              {answer.retrieval.chunks.map((c) => (
+                <li key={c.id}>
+                  <ProvisionIdLink id={c.provisionId} /> {c.heading}{" "}
+                  <span className="tabular-nums">({c.score.toFixed(3)})</span>
+                  {c.referencedFrom && <span>{` · referenced by ${c.referencedFrom}`}</span>}
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+        {answer.retrieval?.context?.selection === "ranked" && (
+          <details className="text-xs text-muted-foreground mt-1">
+            <summary className="cursor-pointer">Parts sent (the whole corpus exceeds the model&apos;s window)</summary>
+            <ul className="mt-1 space-y-0.5">
+              {answer.retrieval.context.included.map((p) => (
+                <li key={p.part}>
+                  Part {p.part.replace(/^0+(?=\d)/, "")} {p.name}
+                  {p.truncated && " (cut)"}
+                </li>
+              ))}
+              {answer.retrieval.context.excluded.map((p) => (
+                <li key={p.part} className="line-through">
+                  Part {p.part.replace(/^0+(?=\d)/, "")} {p.name}
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+        {answer.retrieval?.definitions && answer.retrieval.definitions.length > 0 && (
+          <details className="text-xs text-muted-foreground mt-1">
+            <summary className="cursor-pointer">Definitions attached</summary>
+            <ul className="mt-1 space-y-0.5">
+              {answer.retrieval.definitions.map((d) => (
+                <li key={d.id}>
+                  {d.term} <ProvisionIdLink id={d.provisionId} />
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+        {answer.verification && (
+          <div className="mt-2">
+            <VerificationPanel verification={answer.verification} />
+          </div>
+        )}
+      </CardHeader>
+      <CardContent>
+        {answer.review && (
+          <div className="mb-4 rounded-md border border-emerald-500/50 bg-emerald-50/50 px-4 py-3 text-sm dark:bg-emerald-950/30">
+            <div className="font-medium">
+              {answer.review.status === "approved"
+                ? "An expert approved an earlier answer to this question"
+                : "An expert corrected an earlier answer to this question"}
+              <span className="font-normal text-muted-foreground">
+                {` · reviewed ${new Date(answer.review.reviewedAt).toLocaleDateString()}`}
+              </span>
+            </div>
+            {answer.review.note && <p className="mt-1 text-muted-foreground">{answer.review.note}</p>}
+            {answer.review.correctedAnswer && (
+              <details className="mt-2" open>
+                <summary className="cursor-pointer">Reviewed answer</summary>
+                <article className="prose prose-neutral prose-sm prose-pre:whitespace-pre-wrap max-w-none dark:prose-invert break-words mt-2">
+                  <ReactMarkdown remarkPlugins={[remarkGfm, citationPlugin]} components={markdownComponents}>
+                    {answer.review.correctedAnswer}
+                  </ReactMarkdown>
+                </article>
+              </details>
+            )}
+          </div>
+        )}
+        <article className="prose prose-neutral prose-headings:scroll-mt-24 prose-pre:whitespace-pre-wrap max-w-none dark:prose-invert break-words">
+          <ReactMarkdown
+            remarkPlugins={[remarkGfm, citationPlugin, [remarkDefinedTerms, { matcher }]]}
+            components={markdownComponents}
+          >
+            {answer.content}
+          </ReactMarkdown>
+        </article>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,91 @@
+"use client"
+
+import { useState } from "react"
+import { ThumbsDown, ThumbsUp } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Textarea } from "@/components/ui/textarea"
+
+type Rating = "up" | "down"
+
+// Thumbs up/down and an optional correction for one stored answer (POST /api/feedback)
+export function AnswerFeedback({ queryId }: { queryId: string }) {
+  const [rating, setRating] = useState<Rating | null>(null)
+  const [comment, setComment] = useState("")
+  const [saved, setSaved] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  async function send(next: Rating, text = comment) {
+    setBusy(true)
+    setError(null)
+    try {
+      const resp = await fetch("/api/feedback", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ queryId, rating: next, comment: text || undefined }),
+      })
+      if (!resp.ok) {
+        const json = (await resp.json().catch(() => ({}))) as { error?: string }
+        throw new Error(json.error ?? `Request failed: ${resp.status}`)
+      }
+      setRating(next)
+      setSaved(true)
+    } catch (err) {
+      setError((err as Error).message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="mt-2 space-y-2 text-sm">
+      <div className="flex items-center gap-2">
+        <span className="text-muted-foreground">Was this answer right?</span>
+        <Button
+          type="button"
+          size="sm"
+          variant={rating === "up" ? "default" : "outline"}
+          disabled={busy}
+          aria-label="Thumbs up"
+          onClick={() => void send("up")}
+        >
+          <ThumbsUp className="h-4 w-4" />
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant={rating === "down" ? "default" : "outline"}
+          disabled={busy}
+          aria-label="Thumbs down"
+          onClick={() => {
+            setRating("down")
+            setSaved(false)
+          }}
+        >
+          <ThumbsDown className="h-4 w-4" />
+        </Button>
+        {saved && <span className="text-xs text-muted-foreground">Thanks — feedback saved.</span>}
+      </div>
+      {rating === "down" && !saved && (
+        <form
+          className="space-y-2"
+          onSubmit={(e) => {
+            e.preventDefault()
+            void send("down")
+          }}
+        >
+          <Textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="What is wrong? Give the correct answer and provision if you know it."
+            rows={3}
+          />
+          <Button type="submit" size="sm" disabled={busy}>
+            Send correction
+          </Button>
+        </form>
+      )}
+      {error && <p className="text-xs text-destructive">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,22 @@
+import type { HTMLAttributes } from "react"
+
+type SpanProps = HTMLAttributes<HTMLSpanElement> & { "data-term"?: string; "data-definition"?: string }
+
+/**
+ * Markdown `span` renderer: spans from remarkDefinedTerms get a hover tooltip
+ * with the definition; any other span renders as-is.
+ */
+export function DefinedTermSpan({ children, "data-term": term, "data-definition": definition, className }: SpanProps) {
+  if (!term || !definition) return <span className={className}>{children}</span>
+  return (
+    <span className="group relative cursor-help underline decoration-dotted underline-offset-4" tabIndex={0}>
+      {children}
+      <span
+        role="tooltip"
+        className="invisible absolute bottom-full left-0 z-20 mb-1 w-80 max-w-[80vw] whitespace-pre-line rounded-md border bg-popover p-2 text-xs font-normal not-italic leading-snug text-popover-foreground shadow-md group-hover:visible group-focus:visible"
+      >
+        {definition}
+      </span>
+    </span>
+  )
+}
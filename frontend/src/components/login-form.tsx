@@ -0,0 +1,99 @@
+"use client"
+
+import { useState } from "react"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Button } from "@/components/ui/button"
+import { Label } from "@/components/ui/label"
+
+const inputClass =
+  "border-input focus-visible:border-ring focus-visible:ring-ring/50 dark:bg-input/30 h-9 w-full rounded-md border bg-transparent px-3 py-1 text-sm shadow-xs outline-none focus-visible:ring-[3px]"
+
+async function postJson(url: string, body: unknown) {
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  })
+  const json = (await resp.json().catch(() => ({}))) as { error?: string; expiresInMinutes?: number }
+  if (!resp.ok) throw new Error(json.error ?? `Request failed: ${resp.status}`)
+  return json
+}
+
+// Magic link by email, or email and password for accounts that set one
+export function LoginForm({ initialError }: { initialError?: string | null }) {
+  const [email, setEmail] = useState("")
+  const [password, setPassword] = useState("")
+  const [usePassword, setUsePassword] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [notice, setNotice] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(initialError ?? null)
+
+  async function onSubmit(e: React.FormEvent) {
+    e.preventDefault()
+    setBusy(true)
+    setError(null)
+    setNotice(null)
+    try {
+      if (usePassword) {
+        await postJson("/api/auth/login", { email, password })
+        window.location.assign("/")
+        return
+      }
+      const sent = await postJson("/api/auth/magic-link", { email })
+      setNotice(`Check ${email} for a sign-in link (valid for ${sent.expiresInMinutes ?? 15} minutes).`)
+    } catch (err) {
+      setError((err as Error).message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="space-y-4">
+      <div className="grid gap-2">
+        <Label htmlFor="email">Email</Label>
+        <input
+          id="email"
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          autoComplete="email"
+          required
+          className={inputClass}
+        />
+      </div>
+      {usePassword && (
+        <div className="grid gap-2">
+          <Label htmlFor="password">Password</Label>
+          <input
+            id="password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+            className={inputClass}
+          />
+        </div>
+      )}
+      <div className="flex items-center gap-3">
+        <Button type="submit" disabled={busy}>
+          {usePassword ? "Sign in" : "Email me a sign-in link"}
+        </Button>
+        <button
+          type="button"
+          className="text-sm text-muted-foreground hover:underline"
+          onClick={() => setUsePassword((v) => !v)}
+        >
+          {usePassword ? "Use a magic link instead" : "Use a password instead"}
+        </button>
+      </div>
+      {notice && <p className="text-sm text-muted-foreground">{notice}</p>}
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+    </form>
+  )
+}
@@ -0,0 +1,161 @@
+import Link from "next/link"
+import ReactMarkdown from "react-markdown"
+import remarkGfm from "remark-gfm"
+import { DefinedTermSpan } from "@/components/defined-term"
+import type { Provision } from "@/lib/corpus"
+import { provisionHref } from "@/lib/citations"
+import { remarkDefinedTerms } from "@/lib/defined-terms"
+import { glossaryMatcher } from "@/lib/glossary"
+import { provisionReferences, type ReferenceLink } from "@/lib/xref"
+import { groupBySubpart, provisionAnchor, provisionPdfUrl } from "@/lib/rules"
+
+export function ProvisionText({ provision }: { provision: Provision }) {
+  return (
+    <article className="prose prose-neutral prose-sm max-w-none dark:prose-invert break-words">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, [remarkDefinedTerms, { matcher: glossaryMatcher(), skipProvisionId: provision.id }]]}
+        components={{ span: DefinedTermSpan }}
+      >
+        {provision.text}
+      </ReactMarkdown>
+    </article>
+  )
+}
+
+export function PdfLink({ provision }: { provision: Provision }) {
+  const url = provisionPdfUrl(provision)
+  if (!url) return null
+  return (
+    <a href={url} target="_blank" rel="noreferrer" className="text-xs text-muted-foreground hover:underline">
+      PDF{provision.page_start ? ` p. ${provision.page_start}` : ""} ↗
+    </a>
+  )
+}
+
+/**
+ * Table of contents plus full text of a Part / the Act, one anchor per provision.
+ */
+export function ProvisionDocument({ provisions }: { provisions: Provision[] }) {
+  const groups = groupBySubpart(provisions)
+  return (
+    <>
+      <nav className="text-sm">
+        <h2 className="text-base font-medium">Contents</h2>
+        {groups.map((group, i) => (
+          <div key={i} className="mt-3">
+            {group.subpart && <div className="text-xs font-medium text-muted-foreground">{group.subpart}</div>}
+            <ul className="mt-1 space-y-0.5">
+              {group.provisions.map((p) => (
+                <li key={p.id}>
+                  <a href={`#${provisionAnchor(p)}`} className="hover:underline">
+                    {p.heading}
+                  </a>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </nav>
+
+      <div className="mt-8 space-y-8">
+        {provisions.map((p) => (
+          <section key={p.id} id={provisionAnchor(p)} className="scroll-mt-6">
+            <div className="flex flex-wrap items-baseline gap-x-3">
+              <h3 className="text-base font-semibold">
+                <Link href={provisionHref(p.id) ?? `#${provisionAnchor(p)}`} className="hover:underline">
+                  {p.heading}
+                </Link>
+              </h3>
+              <PdfLink provision={p} />
+            </div>
+            <div className="mt-2">
+              <ProvisionText provision={p} />
+            </div>
+          </section>
+        ))}
+      </div>
+    </>
+  )
+}
+
+function ReferenceList({ title, links }: { title: string; links: ReferenceLink[] }) {
+  if (links.length === 0) return null
+  return (
+    <div>
+      <h2 className="text-sm font-medium">{title}</h2>
+      <ul className="mt-1 space-y-0.5 text-sm">
+        {links.map((link) => (
+          <li key={link.id}>
+            <Link href={provisionHref(link.id) ?? "#"} className="hover:underline">
+              {link.heading ?? link.id}
+            </Link>
+            {link.count > 1 && <span className="text-xs text-muted-foreground"> ×{link.count}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+/**
+ * Outgoing references and backlinks from the cross-reference graph.
+ */
+export function ProvisionReferences({ id, outgoing = true }: { id: string; outgoing?: boolean }) {
+  const refs = provisionReferences(id)
+  if (!refs || (refs.referencedBy.length === 0 && (!outgoing || refs.references.length === 0))) return null
+  return (
+    <div className="mt-8 grid gap-6 rounded-md border p-4 sm:grid-cols-2">
+      {outgoing && <ReferenceList title="References" links={refs.references} />}
+      <ReferenceList title="Referenced by" links={refs.referencedBy} />
+    </div>
+  )
+}
+
+/**
+ * Single provision page body with previous / next links.
+ */
+export function ProvisionPage({
+  provision,
+  prev,
+  next,
+}: {
+  provision: Provision
+  prev: Provision | null
+  next: Provision | null
+}) {
+  return (
+    <>
+      <h1 className="mt-2 text-2xl font-semibold tracking-tight">{provision.heading}</h1>
+      <div className="mt-1 flex flex-wrap items-baseline gap-x-3 text-sm text-muted-foreground">
+        {provision.subpart && <span>{provision.subpart}</span>}
+        <PdfLink provision={provision} />
+      </div>
+      <div className="mt-6">
+        <ProvisionText provision={provision} />
+      </div>
+      <ProvisionReferences id={provision.id} />
+      <div className="mt-8 flex justify-between gap-4 text-sm">
+        {prev ? (
+          <Link href={provisionHref(prev.id) ?? "#"} className="hover:underline">
+            ← {prev.heading}
+          </Link>
+        ) : (
+          <span />
+        )}
+        {next && (
+          <Link href={provisionHref(next.id) ?? "#"} className="text-right hover:underline">
+            {next.heading} →
+          </Link>
+        )}
+      </div>
+    </>
+  )
+}
+
+export function EmptyIndex() {
+  return (
+    <p className="text-sm text-muted-foreground">
+      No provisions indexed yet. Run <code>npm run index:car</code> in <code>scripts/</code> after converting the PDFs.
+    </p>
+  )
+}
@@ -0,0 +1,181 @@
+"use client"
+
+import { useState } from "react"
+import Link from "next/link"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Textarea } from "@/components/ui/textarea"
+import { provisionHref } from "@/lib/citations"
+
+export type QuizQuestionView = {
+  id: string
+  type: "multiple_choice" | "short_answer"
+  question: string
+  options: string[]
+}
+
+// What POST/PATCH /api/study/questions/:id return once a question is answered
+type AnsweredQuestion = {
+  id: string
+  choice: number | null
+  response: string | null
+  correct: boolean | null
+  correctOption: number | null
+  answer: string
+  provisionId: string
+  quote: string
+  citation: string
+  sourceUrl: string | null
+}
+
+async function sendAnswer(id: string, method: "POST" | "PATCH", body: unknown): Promise<AnsweredQuestion> {
+  const resp = await fetch(`/api/study/questions/${encodeURIComponent(id)}`, {
+    method,
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  })
+  const json = (await resp.json().catch(() => ({}))) as { question?: AnsweredQuestion; error?: string }
+  if (!resp.ok || !json.question) throw new Error(json.error ?? `Request failed: ${resp.status}`)
+  return json.question
+}
+
+function AnswerKey({ result }: { result: AnsweredQuestion }) {
+  const href = provisionHref(result.provisionId)
+  return (
+    <div className="space-y-2 rounded-md border bg-muted/50 px-4 py-3 text-sm">
+      <p className="whitespace-pre-wrap">{result.answer}</p>
+      <blockquote className="border-l-2 pl-3 font-mono text-xs whitespace-pre-wrap">{result.quote}</blockquote>
+      <p className="text-xs text-muted-foreground">
+        {href ? (
+          <Link href={href} className="underline">
+            {result.citation}
+          </Link>
+        ) : (
+          result.citation
+        )}
+        {result.sourceUrl && (
+          <>
+            {" · "}
+            <a href={result.sourceUrl} target="_blank" rel="noreferrer" className="underline">
+              source
+            </a>
+          </>
+        )}
+      </p>
+    </div>
+  )
+}
+
+function QuizQuestion({
+  question,
+  index,
+  onAnswered,
+}: {
+  question: QuizQuestionView
+  index: number
+  onAnswered: () => void
+}) {
+  const [choice, setChoice] = useState<number | null>(null)
+  const [response, setResponse] = useState("")
+  const [result, setResult] = useState<AnsweredQuestion | null>(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  async function submit(method: "POST" | "PATCH", body: unknown) {
+    setBusy(true)
+    setError(null)
+    try {
+      setResult(await sendAnswer(question.id, method, body))
+      onAnswered()
+    } catch (err) {
+      setError((err as Error).message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const multipleChoice = question.type === "multiple_choice"
+  return (
+    <li className="space-y-3">
+      <div className="flex items-baseline gap-2">
+        <span className="text-sm font-medium">{index + 1}.</span>
+        <p className="text-sm whitespace-pre-wrap">{question.question}</p>
+      </div>
+      {multipleChoice ? (
+        <div className="grid gap-2">
+          {question.options.map((option, i) => {
+            const chosen = (result?.choice ?? choice) === i
+            const correct = result && result.correctOption === i
+            return (
+              <Button
+                key={i}
+                type="button"
+                variant={correct ? "default" : chosen ? (result ? "destructive" : "secondary") : "outline"}
+                className="h-auto justify-start text-left whitespace-normal"
+                disabled={busy || result !== null}
+                onClick={() => setChoice(i)}
+              >
+                {String.fromCharCode(65 + i)}. {option}
+              </Button>
+            )
+          })}
+        </div>
+      ) : (
+        <Textarea
+          value={result?.response ?? response}
+          onChange={(e) => setResponse(e.target.value)}
+          placeholder="Your answer"
+          rows={3}
+          disabled={busy || result !== null}
+        />
+      )}
+      {!result && (
+        <Button
+          type="button"
+          size="sm"
+          disabled={busy || (multipleChoice ? choice === null : !response.trim())}
+          onClick={() => void submit("POST", multipleChoice ? { choice } : { response })}
+        >
+          Check answer
+        </Button>
+      )}
+      {result && (
+        <>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            {result.correct === true && <Badge>correct</Badge>}
+            {result.correct === false && <Badge variant="destructive">incorrect</Badge>}
+            {!multipleChoice && (
+              <>
+                <span className="text-muted-foreground">
+                  {result.correct === null ? "Compare with the key and mark your answer:" : "Change mark:"}
+                </span>
+                <Button type="button" size="sm" variant="outline" disabled={busy} onClick={() => void submit("PATCH", { correct: true })}>
+                  I got it right
+                </Button>
+                <Button type="button" size="sm" variant="outline" disabled={busy} onClick={() => void submit("PATCH", { correct: false })}>
+                  I got it wrong
+                </Button>
+              </>
+            )}
+          </div>
+          <AnswerKey result={result} />
+        </>
+      )}
+      {error && <p className="text-xs text-destructive">{error}</p>}
+    </li>
+  )
+}
+
+/**
+ * One generated quiz. Each answer is sent as it is given, so scores update
+ * (onAnswered) even if the student leaves part-way through.
+ */
+export function StudyQuiz({ questions, onAnswered }: { questions: QuizQuestionView[]; onAnswered: () => void }) {
+  return (
+    <ol className="space-y-8">
+      {questions.map((q, i) => (
+        <QuizQuestion key={q.id} question={q} index={i} onAnswered={onAnswered} />
+      ))}
+    </ol>
+  )
+}
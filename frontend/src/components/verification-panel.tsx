@@ -0,0 +1,64 @@
+import type { Verdict, Verification } from "@scripts/verify.js"
+import { Badge } from "@/components/ui/badge"
+
+const verdictLabel: Record<Verdict, string> = {
+  verified: "verified",
+  not_found: "not found",
+  wrong_provision: "wrong provision",
+}
+
+function VerdictBadge({ verdict }: { verdict: Verdict }) {
+  return (
+    <Badge
+      variant={verdict === "verified" ? "secondary" : verdict === "wrong_provision" ? "outline" : "destructive"}
+      className={verdict === "wrong_provision" ? "border-amber-500 text-amber-700 dark:text-amber-400" : undefined}
+    >
+      {verdictLabel[verdict]}
+    </Badge>
+  )
+}
+
+function truncate(text: string, max = 120) {
+  const flat = text.replace(/\s+/g, " ").trim()
+  return flat.length <= max ? flat : flat.slice(0, max) + "…"
+}
+
+export function VerificationPanel({ verification }: { verification: Verification }) {
+  const { summary, citations, quotes } = verification
+  return (
+    <div className="space-y-2 text-xs">
+      <div className="flex flex-wrap items-center gap-2">
+        <Badge variant={summary.ok ? "secondary" : "destructive"}>
+          {summary.ok ? "All checks passed" : "Needs review"}
+        </Badge>
+        <span className="text-muted-foreground">
+          quotes {summary.quotesVerified}/{summary.quotes} verified · citations {summary.citationsVerified}/
+          {summary.citations} verified
+        </span>
+      </div>
+      {(citations.length > 0 || quotes.length > 0) && (
+        <details>
+          <summary className="cursor-pointer text-muted-foreground">Verification details</summary>
+          <ul className="mt-2 space-y-1">
+            {citations.map((c) => (
+              <li key={`c-${c.provisionId}`} className="flex flex-wrap items-center gap-2">
+                <VerdictBadge verdict={c.verdict} />
+                <span className="font-mono">{c.raw}</span>
+                {c.issues.length > 0 && <span className="text-muted-foreground">{c.issues.join("; ")}</span>}
+              </li>
+            ))}
+            {quotes.map((q, i) => (
+              <li key={`q-${i}`} className="flex flex-wrap items-center gap-2">
+                <VerdictBadge verdict={q.verdict} />
+                <span className="italic">“{truncate(q.text)}”</span>
+                {q.matchedId && q.matchedId !== q.attributedTo && (
+                  <span className="text-muted-foreground">found in {q.matchedId}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,68 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { resolveDefaultPaths } from '@/lib/corpus'
+
+// Reports written by `npm run diff` / `npm run convert:car` (scripts/scripts/lib/amendments.js)
+
+export type AmendmentVersion = {
+  label: string
+  consolidation_date: string | null
+  pdf_sha256: string
+}
+
+export type AmendmentSummary = {
+  id: string
+  document: string
+  title: string
+  from: AmendmentVersion
+  to: AmendmentVersion
+  generated_at: string
+  summary: { added: number; removed: number; modified: number; unchanged: number }
+}
+
+export type DiffOp = { op: 'equal' | 'delete' | 'insert'; text: string }
+
+export type AmendmentReport = AmendmentSummary & {
+  added: Array<{ id: string; heading: string; subpart: string | null; text: string }>
+  removed: Array<{ id: string; heading: string; subpart: string | null; text: string }>
+  modified: Array<{
+    id: string
+    heading: string
+    previousHeading: string | null
+    subpart: string | null
+    wordsAdded: number
+    wordsRemoved: number
+    diff: DiffOp[]
+  }>
+}
+
+const REPORT_ID_RE = /^[A-Za-z0-9_.-]+$/
+
+export function amendmentsDir(): string {
+  return process.env.AMENDMENTS_DIR || resolveDefaultPaths().defaultAmendmentsDir
+}
+
+/**
+ * Newest reports first; empty when no amendment has been recorded yet.
+ */
+export function listAmendments(take = 50): AmendmentSummary[] {
+  try {
+    const index = JSON.parse(fs.readFileSync(path.join(amendmentsDir(), 'index.json'), 'utf8')) as AmendmentSummary[]
+    return index.slice(0, take)
+  } catch {
+    return []
+  }
+}
+
+export function getAmendment(id: string): AmendmentReport | null {
+  if (!REPORT_ID_RE.test(id)) return null
+  try {
+    return JSON.parse(fs.readFileSync(path.join(amendmentsDir(), `${id}.json`), 'utf8')) as AmendmentReport
+  } catch {
+    return null
+  }
+}
+
+export function versionLabel(version: AmendmentVersion): string {
+  return version.consolidation_date ?? version.pdf_sha256.slice(0, 12)
+}
@@ -0,0 +1,201 @@
+import fs from 'node:fs'
+import crypto from 'node:crypto'
+import { Prisma } from '@prisma/client'
+import prisma from '@/lib/prisma'
+import { loadProvisions, resolveDefaultPaths } from '@/lib/corpus'
+import { embedderFromEnv, toVectorLiteral } from '@scripts/embeddings.js'
+import {
+  cacheKey,
+  cacheModeFromEnv,
+  cacheScope,
+  contentVersion,
+  corpusVersion,
+  normalizeQuestion,
+  policyVersion,
+  type CacheMode,
+} from '@scripts/answer_cache.js'
+
+export type CacheContext = {
+  mode: Exclude<CacheMode, 'off'>
+  key: string
+  scope: string
+  corpusVersion: string
+  policyVersion: string
+  model: string
+  question: string
+  // Semantic mode: the question embedding, reused when the answer is stored
+  embedder?: string
+  vector?: string
+}
+
+export type CacheHit = {
+  match: 'exact' | 'semantic'
+  similarity?: number
+  entry: {
+    id: string
+    createdAt: Date
+    answer: string
+    model: string
+    finishReason: string | null
+    retrieval: Prisma.JsonValue
+    verification: Prisma.JsonValue
+    structuredAnswer: Prisma.JsonValue
+  }
+}
+
+// What responses say about the cache: hit (with the QueryHistory entry reused) or miss
+export type CacheInfo =
+  | { hit: true; match: 'exact' | 'semantic'; similarity?: number; sourceQueryId: string; answeredAt: string }
+  | { hit: false }
+
+export function manifestPath(): string {
+  return process.env.MANIFEST_PATH || resolveDefaultPaths().defaultManifestPath
+}
+
+export function semanticThreshold(): number {
+  const value = Number(process.env.ASK_CACHE_SIMILARITY)
+  return Number.isFinite(value) && value > 0 && value <= 1 ? value : 0.95
+}
+
+let versionCache: { file: string; mtimeMs: number; version: string | null } | null = null
+
+/**
+ * Corpus version from the download manifest (re-read when it changes); falls
+ * back to the provision index hashes when the corpus was built without it.
+ */
+export function currentCorpusVersion(): string | null {
+  const file = manifestPath()
+  let mtimeMs = 0
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs
+  } catch {}
+  if (mtimeMs && versionCache?.file === file && versionCache.mtimeMs === mtimeMs) return versionCache.version
+  let version: string | null = null
+  if (mtimeMs) {
+    try {
+      version = corpusVersion(JSON.parse(fs.readFileSync(file, 'utf8')))
+    } catch (error) {
+      console.warn('[ask] cache: unreadable manifest', { file, message: (error as Error).message })
+    }
+  }
+  if (!version) {
+    const provisions = loadProvisions()
+    version = provisions.length > 0 ? contentVersion(provisions.map((p) => p.hash)) : null
+  }
+  if (mtimeMs) versionCache = { file, mtimeMs, version }
+  return version
+}
+
+/**
+ * Cache key for a request, or null when caching is off or the corpus has no version.
+ */
+export function cacheContext(options: {
+  question: string
+  policyText: string
+  model: string
+  params: Record<string, unknown>
+}): CacheContext | null {
+  const mode = cacheModeFromEnv(process.env)
+  if (mode === 'off') return null
+  const version = currentCorpusVersion()
+  if (!version) return null
+  const policy = policyVersion(options.policyText)
+  const scope = cacheScope({ corpusVersion: version, policyVersion: policy, model: options.model, params: options.params })
+  return {
+    mode,
+    key: cacheKey(scope, options.question),
+    scope,
+    corpusVersion: version,
+    policyVersion: policy,
+    model: options.model,
+    question: normalizeQuestion(options.question),
+  }
+}
+
+const entrySelect = {
+  id: true,
+  createdAt: true,
+  answer: true,
+  model: true,
+  finishReason: true,
+  retrieval: true,
+  verification: true,
+  structuredAnswer: true,
+} as const
+
+/**
+ * Stored answer for the exact key, else (semantic mode) the closest question
+ * in the same scope at or above ASK_CACHE_SIMILARITY. Lookup errors (e.g. no
+ * database) count as misses.
+ */
+export async function findCachedAnswer(ctx: CacheContext): Promise<CacheHit | null> {
+  try {
+    const exact = await prisma.answerCache.findFirst({
+      where: { cacheKey: ctx.key },
+      orderBy: { createdAt: 'desc' },
+      select: { queryHistory: { select: entrySelect } },
+    })
+    if (exact) return { match: 'exact', entry: exact.queryHistory }
+    if (ctx.mode !== 'semantic') return null
+
+    const embedder = embedderFromEnv(process.env)
+    const [vector] = await embedder.embed([ctx.question])
+    ctx.embedder = embedder.id
+    ctx.vector = toVectorLiteral(vector)
+    const rows = await prisma.$queryRaw<Array<{ queryHistoryId: string; similarity: number }>>`
+      SELECT "queryHistoryId", 1 - ("embedding" <=> ${ctx.vector}::vector) AS "similarity"
+      FROM "AnswerCache"
+      WHERE "cacheScope" = ${ctx.scope} AND "embedder" = ${ctx.embedder} AND "embedding" IS NOT NULL
+      ORDER BY "embedding" <=> ${ctx.vector}::vector
+      LIMIT 1
+    `
+    const best = rows[0]
+    if (!best || Number(best.similarity) < semanticThreshold()) return null
+    const entry = await prisma.queryHistory.findUnique({ where: { id: best.queryHistoryId }, select: entrySelect })
+    return entry ? { match: 'semantic', similarity: Math.round(Number(best.similarity) * 1000) / 1000, entry } : null
+  } catch (error) {
+    console.warn('[ask] cache lookup warning', { message: (error as Error)?.message })
+    return null
+  }
+}
+
+/**
+ * Make a stored QueryHistory answer reusable, and drop entries of older
+ * corpus versions. Best-effort, like the history write itself.
+ */
+export async function storeCachedAnswer(ctx: CacheContext, queryHistoryId: string): Promise<void> {
+  try {
+    await prisma.$executeRaw`
+      INSERT INTO "AnswerCache"
+        ("id", "cacheKey", "cacheScope", "question", "corpusVersion", "policyVersion", "model", "embedder", "embedding", "queryHistoryId")
+      VALUES (${crypto.randomUUID()}, ${ctx.key}, ${ctx.scope}, ${ctx.question}, ${ctx.corpusVersion}, ${ctx.policyVersion},
+              ${ctx.model}, ${ctx.embedder ?? null}, ${ctx.vector ?? null}::vector, ${queryHistoryId})
+      ON CONFLICT ("queryHistoryId") DO NOTHING
+    `
+    await prisma.answerCache.deleteMany({ where: { corpusVersion: { not: ctx.corpusVersion } } })
+  } catch (error) {
+    console.warn('[ask] cache store warning', { message: (error as Error)?.message })
+  }
+}
+
+/**
+ * Delete the cache entries that would serve this answer again: its own and those of the
+ * answers it was served from or that were served from it (rejected or
+ * corrected on review).
+ */
+export function uncacheAnswer(query: { id: string; cachedFromId: string | null }) {
+  const ids = query.cachedFromId ? [query.id, query.cachedFromId] : [query.id]
+  return prisma.answerCache.deleteMany({
+    where: { OR: [{ queryHistoryId: { in: ids } }, { queryHistory: { cachedFromId: { in: ids } } }] },
+  })
+}
+
+export function cacheHitInfo(hit: CacheHit): CacheInfo {
+  return {
+    hit: true,
+    match: hit.match,
+    ...(hit.similarity !== undefined ? { similarity: hit.similarity } : {}),
+    sourceQueryId: hit.entry.id,
+    answeredAt: hit.entry.createdAt.toISOString(),
+  }
+}
@@ -0,0 +1,631 @@
+// The /api/ask pipeline shared by the route (JSON and streaming) and
+// /api/ask/batch: provider and context selection, the answer cache, structured
+// answers, verification and QueryHistory persistence.
+import { NextResponse } from 'next/server'
+import { Prisma } from '@prisma/client'
+import fs from 'node:fs'
+import prisma from '@/lib/prisma'
+import { getVerifier, resolveDefaultPaths } from '@/lib/corpus'
+import {
+  formatRetrievedContext,
+  retrievalDefaults,
+  retrieveChunks,
+  summarizeRetrieval,
+  type RetrievalSummary,
+} from '@/lib/retrieval'
+import type { Verification } from '@scripts/verify.js'
+import { addUsage, providerFromEnv, type CompletionRequest, type CompletionSummary, type Provider } from '@scripts/llm.js'
+import { buildMessages, buildSystemText } from '@scripts/prompt.js'
+import { budgetSettingsFromEnv, countTokens, describeContext, selectContext } from '@scripts/context_budget.js'
+import { conversationTitle, loadConversationReplay, type ReplayMessage } from '@/lib/conversations'
+import { definitionsForTexts, formatDefinitions } from '@scripts/glossary.js'
+import { loadGlossary, maxAttachedDefinitions } from '@/lib/glossary'
+import {
+  ANSWER_SCHEMA,
+  ANSWER_SCHEMA_NAME,
+  buildRepairMessage,
+  parseStructuredAnswer,
+  renderStructuredAnswer,
+  type StructuredAnswer,
+} from '@scripts/answer_schema.js'
+import {
+  cacheContext,
+  cacheHitInfo,
+  currentCorpusVersion,
+  findCachedAnswer,
+  storeCachedAnswer,
+  type CacheContext,
+  type CacheHit,
+  type CacheInfo,
+} from '@/lib/answer-cache'
+import { ownerFilter, type Caller } from '@/lib/auth'
+import { reviewedAnswerFor } from '@/lib/reviews'
+import { policyInfo, requestPolicy, type PolicyInfo } from '@/lib/policies'
+
+export type AskRequestBody = {
+  question?: string
+  max_tokens?: number
+  temperature?: number
+  // 'retrieval' (default): top-k provisions from pgvector; 'full': whole corpus
+  context?: 'retrieval' | 'full'
+  top_k?: number
+  // Chunks of provisions the retrieved ones reference (RAG_REFERENCE_K by default; 0 disables)
+  reference_k?: number
+  // Server-Sent Events instead of a single JSON body (also via Accept: text/event-stream)
+  stream?: boolean
+  // Continue an existing conversation; prior turns are replayed within CONVERSATION_TOKEN_BUDGET
+  conversationId?: string
+  // 'json': schema-validated structured answer (plus its Markdown rendering); not available with stream
+  format?: 'markdown' | 'json'
+  // false skips the answer cache (ASK_CACHE) for this request
+  cache?: boolean
+  // Prompt policy: "student" (its latest version) or "student@2"; ASK_POLICY by default
+  policy?: string
+}
+
+function readTextOrThrow(filePath: string): string {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`System prompt file not found: ${filePath}`)
+  }
+  return fs.readFileSync(filePath, 'utf8')
+}
+
+function readTextIfExists(filePath: string): string {
+  try {
+    if (fs.existsSync(filePath)) return fs.readFileSync(filePath, 'utf8')
+  } catch {}
+  return ''
+}
+
+function previewText(text: string, maxLength = 400): string {
+  if (!text) return ''
+  const normalized = text.replace(/\s+/g, ' ').trim()
+  if (normalized.length <= maxLength) return normalized
+  return normalized.slice(0, maxLength) + '…'
+}
+
+export type PreparedAsk = {
+  model: string
+  format: 'markdown' | 'json'
+  maxTokens: number
+  temperature: number | undefined
+  retrieval: RetrievalSummary
+  policy: PolicyInfo
+  conversation: { id: string | null; replayedTurns: number; droppedTurns: number }
+  // Who asked (null with AUTH_DISABLED); stored on the QueryHistory row and a new conversation
+  userId: string | null
+  provider: Provider
+  request: CompletionRequest
+  cache: CacheContext | null
+}
+
+// A stored answer matched (see lib/answer-cache.ts); no completion is made
+export type CachedAsk = {
+  cached: CacheHit
+  model: string
+  format: 'markdown' | 'json'
+  policy: PolicyInfo
+  conversation: PreparedAsk['conversation']
+  userId: string | null
+}
+
+export type CompletedAnswer = {
+  content: string
+  summary: CompletionSummary
+  rawResponse: unknown
+  structured?: StructuredAnswer
+}
+
+export async function prepareAsk(
+  question: string,
+  caller: Caller,
+  bodyOverrides?: Partial<AskRequestBody>,
+): Promise<PreparedAsk | CachedAsk | NextResponse> {
+  const { defaultSystemPath, defaultCaaPath } = resolveDefaultPaths()
+
+  const systemPath = process.env.SYSTEM_PATH || defaultSystemPath
+  const caaPath = process.env.CAA_PATH || defaultCaaPath
+  const maxOutputTokensEnv = process.env.MAX_OUTPUT_TOKENS
+  const temperatureEnv = process.env.TEMPERATURE
+
+  const maxTokens =
+    typeof bodyOverrides?.max_tokens === 'number'
+      ? bodyOverrides!.max_tokens
+      : maxOutputTokensEnv
+      ? Number(maxOutputTokensEnv)
+      : 32000
+
+  const temperature =
+    typeof bodyOverrides?.temperature === 'number'
+      ? bodyOverrides!.temperature
+      : temperatureEnv !== undefined && temperatureEnv !== ''
+      ? Number(temperatureEnv)
+      : undefined
+
+  // LLM_PROVIDER selects the vendor (openai, ollama, anthropic, mock, ...); see scripts/scripts/lib/llm.js
+  let provider: Provider
+  try {
+    provider = providerFromEnv(process.env, { defaultModel: 'gpt-4.1' })
+  } catch (configError) {
+    return NextResponse.json({ error: (configError as Error).message }, { status: 500 })
+  }
+  const model = provider.model
+  const userId = caller.user?.id ?? null
+
+  const policy = requestPolicy(bodyOverrides?.policy)
+  if (policy instanceof NextResponse) return policy
+
+  let replay: ReplayMessage[] = []
+  let conversation: PreparedAsk['conversation'] = { id: null, replayedTurns: 0, droppedTurns: 0 }
+  let retrievalQuery = question
+  if (bodyOverrides?.conversationId) {
+    const loaded = await loadConversationReplay(bodyOverrides.conversationId, { owner: ownerFilter(caller) })
+    if (!loaded) {
+      return NextResponse.json(
+        { error: `Conversation not found: ${bodyOverrides.conversationId}` },
+        { status: 404 },
+      )
+    }
+    replay = loaded.messages
+    conversation = { id: loaded.id, replayedTurns: loaded.replayedTurns, droppedTurns: loaded.droppedTurns }
+    // Follow-ups ("what if it's at night?") need the earlier questions to retrieve well
+    retrievalQuery = [...loaded.recentQuestions, question].join('\n')
+  }
+
+  const contextMode = bodyOverrides?.context ?? (process.env.ASK_CONTEXT === 'full' ? 'full' : 'retrieval')
+  const topK = typeof bodyOverrides?.top_k === 'number' ? bodyOverrides.top_k : undefined
+  const referenceK = typeof bodyOverrides?.reference_k === 'number' ? bodyOverrides.reference_k : undefined
+  const format = bodyOverrides?.format === 'json' ? 'json' : 'markdown'
+  const budget = budgetSettingsFromEnv(process.env)
+
+  // Same question, corpus, policy, model and parameters as an earlier answer: reuse it.
+  // Follow-ups depend on the earlier turns, so they always go to the model.
+  let cache: CacheContext | null = null
+  if (!conversation.id && bodyOverrides?.cache !== false) {
+    const defaults = retrievalDefaults()
+    cache = cacheContext({
+      question,
+      policyText: policy.text,
+      model: provider.id,
+      params: {
+        maxTokens,
+        temperature,
+        format,
+        context: contextMode,
+        ...(contextMode === 'retrieval'
+          ? {
+              topK: topK ?? defaults.topK,
+              referenceK: referenceK ?? defaults.referenceK,
+              embeddings: `${process.env.EMBEDDINGS_PROVIDER || 'local'}:${process.env.EMBEDDINGS_MODEL || ''}`,
+            }
+          : { budget }),
+      },
+    })
+    const hit = cache ? await findCachedAnswer(cache) : null
+    if (hit) {
+      console.info('[ask] cache hit', { match: hit.match, similarity: hit.similarity, sourceQueryId: hit.entry.id })
+      return { cached: hit, model, format, policy: policyInfo(policy), conversation, userId }
+    }
+  }
+
+  let caaText = ''
+  let carText = ''
+  let retrieval: RetrievalSummary = { mode: 'full', chunks: [] }
+  let retrievedTexts: string[] = []
+  if (contextMode === 'retrieval') {
+    try {
+      const { embedder, chunks } = await retrieveChunks(retrievalQuery, { topK, referenceK })
+      if (chunks.length > 0) {
+        const context = formatRetrievedContext(chunks)
+        caaText = context.caaText
+        carText = context.carText
+        retrieval = summarizeRetrieval(embedder, chunks)
+        retrievedTexts = chunks.map((c) => c.text)
+      } else {
+        retrieval = { mode: 'full', embedder, reason: 'no_chunks', chunks: [] }
+      }
+    } catch (retrievalError) {
+      // Fall back to the whole corpus rather than failing the question
+      console.warn('[ask] retrieval warning', { message: (retrievalError as Error)?.message })
+      retrieval = { mode: 'full', reason: 'retrieval_error', chunks: [] }
+    }
+  }
+  if (retrieval.mode === 'full') {
+    carText = readTextOrThrow(systemPath)
+    caaText = readTextIfExists(caaPath)
+  }
+
+  // Many questions turn on a defined term; attach the definitions the question and rules use
+  const definitions = definitionsForTexts(loadGlossary(), [retrievalQuery, ...retrievedTexts], {
+    limit: maxAttachedDefinitions(),
+  })
+  if (definitions.length > 0) {
+    retrieval = {
+      ...retrieval,
+      definitions: definitions.map(({ id, term, provisionId }) => ({ id, term, provisionId })),
+    }
+  }
+
+  // The whole corpus may not fit the model's window: keep the Parts most relevant to the question
+  if (retrieval.mode === 'full') {
+    const overheadText = [
+      buildSystemText({ policy: policy.text, definitions: formatDefinitions(definitions), format }),
+      ...replay.map((m) => m.content),
+      question,
+    ].join('\n\n')
+    const selected = selectContext({ question: retrievalQuery, caaText, carText, overheadText, model, maxTokens, ...budget })
+    caaText = selected.caaText
+    carText = selected.carText
+    retrieval = { ...retrieval, context: selected.summary }
+  }
+
+  const systemText = buildSystemText({
+    policy: policy.text,
+    caaText,
+    carText,
+    retrieved: retrieval.mode === 'retrieval',
+    definitions: formatDefinitions(definitions),
+    format,
+  })
+  const request: CompletionRequest = {
+    messages: buildMessages({ systemText, question, history: replay }),
+    maxTokens: typeof maxTokens === 'number' && !Number.isNaN(maxTokens) ? maxTokens : undefined,
+    temperature: typeof temperature === 'number' && !Number.isNaN(temperature) ? temperature : undefined,
+    ...(format === 'json' ? { jsonSchema: { name: ANSWER_SCHEMA_NAME, schema: ANSWER_SCHEMA } } : {}),
+  }
+
+  // Log request (without large bodies)
+  console.info('[ask] request', {
+    provider: provider.name,
+    model,
+    format,
+    policy: policy.ref,
+    maxTokens,
+    temperature,
+    context: retrieval.mode,
+    chunks: retrieval.chunks.length,
+    ...(retrieval.context ? { corpus: describeContext(retrieval.context) } : {}),
+    definitions: definitions.length,
+    cache: cache ? 'miss' : 'off',
+    userId,
+    conversationId: conversation.id,
+    replayedTurns: conversation.replayedTurns,
+    questionPreview: previewText(question, 200),
+  })
+
+  return {
+    model,
+    format,
+    maxTokens,
+    temperature,
+    retrieval,
+    policy: policyInfo(policy),
+    conversation,
+    userId,
+    provider,
+    request,
+    cache,
+  }
+}
+
+/**
+ * Store one turn in QueryHistory, creating the conversation (owned by the
+ * turn's user) for a first question. Best-effort: returns a null id if the
+ * database write fails.
+ */
+async function persistTurn(
+  question: string,
+  conversationId: string | null,
+  data: Omit<Prisma.QueryHistoryUncheckedCreateInput, 'question' | 'conversationId'>,
+): Promise<{ conversationId: string | null; queryId: string | null }> {
+  try {
+    if (!conversationId) {
+      const created = await prisma.conversation.create({
+        data: { title: conversationTitle(question), userId: data.userId },
+        select: { id: true },
+      })
+      conversationId = created.id
+    }
+    const turn = await prisma.queryHistory.create({
+      data: { ...data, conversationId, question },
+      select: { id: true },
+    })
+    await prisma.conversation.update({ where: { id: conversationId }, data: { updatedAt: new Date() } })
+    return { conversationId, queryId: turn.id }
+  } catch (persistError) {
+    console.warn('[ask] persist warning', {
+      message: (persistError as Error)?.message,
+    })
+    return { conversationId, queryId: null }
+  }
+}
+
+/**
+ * Verify and persist a finished answer; shared by the JSON and streaming paths.
+ */
+export async function finalizeAnswer(
+  question: string,
+  prepared: PreparedAsk,
+  answer: CompletedAnswer,
+  durationMs: number,
+) {
+  const { content, summary } = answer
+  console.info('[ask] response', {
+    ...summary,
+    durationMs,
+    contentPreview: previewText(content, 400),
+  })
+
+  // Check quotes and citations against the provision index (null when not built)
+  let verification: Verification | null = null
+  try {
+    verification = getVerifier()?.verify(content) ?? null
+    if (verification) console.info('[ask] verification', verification.summary)
+  } catch (verifyError) {
+    console.warn('[ask] verification warning', { message: (verifyError as Error)?.message })
+  }
+
+  // Persist query history (best-effort; do not fail request if DB write fails)
+  const { conversationId, queryId } = await persistTurn(question, prepared.conversation.id, {
+    userId: prepared.userId,
+    answer: content,
+    model: String(summary.model ?? prepared.model),
+    totalTokens: summary.usage?.total_tokens ?? undefined,
+    promptTokens: summary.usage?.prompt_tokens ?? undefined,
+    completionTokens: summary.usage?.completion_tokens ?? undefined,
+    finishReason: summary.finish_reason ?? undefined,
+    durationMs,
+    corpusVersion: prepared.cache?.corpusVersion ?? currentCorpusVersion(),
+    policyId: prepared.policy.id,
+    policyVersion: prepared.policy.version,
+    policyHash: prepared.policy.hash,
+    rawResponse: JSON.parse(JSON.stringify(answer.rawResponse)) as Prisma.InputJsonValue,
+    retrieval: prepared.retrieval as unknown as Prisma.InputJsonValue,
+    verification: verification
+      ? (verification as unknown as Prisma.InputJsonValue)
+      : undefined,
+    structuredAnswer: answer.structured
+      ? (answer.structured as unknown as Prisma.InputJsonValue)
+      : undefined,
+  })
+
+  // Only complete answers become reusable
+  if (prepared.cache && queryId && summary.finish_reason === 'stop' && content.trim()) {
+    await storeCachedAnswer(prepared.cache, queryId)
+  }
+
+  const cache: CacheInfo = { hit: false }
+  // A first question someone already asked and an expert reviewed: show the verdict alongside
+  const review = prepared.conversation.id ? null : await reviewedAnswerFor(question)
+  return {
+    content,
+    format: prepared.format,
+    ...(answer.structured ? { structured: answer.structured } : {}),
+    summary,
+    retrieval: prepared.retrieval,
+    policy: prepared.policy,
+    verification,
+    cache,
+    review,
+    queryId,
+    conversationId,
+    conversation: { ...prepared.conversation, id: conversationId },
+  }
+}
+
+/**
+ * Answer from the cache: record the turn as a copy of the original
+ * (`cachedFromId`, no tokens) and say where it came from.
+ */
+export async function finalizeCachedAnswer(question: string, cachedAsk: CachedAsk, durationMs: number) {
+  const { entry } = cachedAsk.cached
+  const { conversationId, queryId } = await persistTurn(question, cachedAsk.conversation.id, {
+    userId: cachedAsk.userId,
+    answer: entry.answer,
+    model: entry.model,
+    finishReason: entry.finishReason ?? undefined,
+    durationMs,
+    corpusVersion: currentCorpusVersion(),
+    policyId: cachedAsk.policy.id,
+    policyVersion: cachedAsk.policy.version,
+    policyHash: cachedAsk.policy.hash,
+    retrieval: (entry.retrieval ?? undefined) as Prisma.InputJsonValue | undefined,
+    verification: (entry.verification ?? undefined) as Prisma.InputJsonValue | undefined,
+    structuredAnswer: (entry.structuredAnswer ?? undefined) as Prisma.InputJsonValue | undefined,
+    cachedFromId: entry.id,
+  })
+  const summary: CompletionSummary = {
+    id: entry.id,
+    model: entry.model,
+    created: Math.floor(entry.createdAt.getTime() / 1000),
+    usage: null,
+    finish_reason: entry.finishReason,
+  }
+  return {
+    content: entry.answer,
+    format: cachedAsk.format,
+    ...(entry.structuredAnswer ? { structured: entry.structuredAnswer as unknown as StructuredAnswer } : {}),
+    summary,
+    retrieval: (entry.retrieval as unknown as RetrievalSummary | null) ?? undefined,
+    policy: cachedAsk.policy,
+    verification: (entry.verification as unknown as Verification | null) ?? null,
+    cache: cacheHitInfo(cachedAsk.cached),
+    review: await reviewedAnswerFor(question),
+    queryId,
+    conversationId,
+    conversation: { ...cachedAsk.conversation, id: conversationId },
+  }
+}
+
+/**
+ * Record a streamed answer that did not finish (the client cancelled, or the
+ * provider failed part-way) so its tokens count towards quotas and /stats.
+ * Usage is the provider's when known, else estimated: the prompt plus the
+ * partial answer for a cancelled stream; a failure before any content spends
+ * nothing. The turn is kept out of the conversation, so follow-ups do not
+ * replay a partial answer. Best-effort, like persistTurn.
+ */
+export async function recordIncompleteAnswer(
+  question: string,
+  prepared: PreparedAsk,
+  answer: { content: string; summary: CompletionSummary; reason: 'cancelled' | 'error'; error?: string },
+  durationMs: number,
+) {
+  const { content, summary, reason } = answer
+  let usage = summary.usage
+  if (!usage && (reason === 'cancelled' || content)) {
+    const promptTokens = countTokens(prepared.request.messages.map((m) => m.content).join('\n\n'), prepared.model)
+    const completionTokens = countTokens(content, prepared.model)
+    usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+  }
+  try {
+    await prisma.queryHistory.create({
+      data: {
+        question,
+        answer: content,
+        userId: prepared.userId,
+        model: String(summary.model || prepared.model),
+        totalTokens: usage?.total_tokens,
+        promptTokens: usage?.prompt_tokens,
+        completionTokens: usage?.completion_tokens,
+        finishReason: reason,
+        durationMs,
+        corpusVersion: prepared.cache?.corpusVersion ?? currentCorpusVersion(),
+        policyId: prepared.policy.id,
+        policyVersion: prepared.policy.version,
+        policyHash: prepared.policy.hash,
+        rawResponse: {
+          incomplete: reason,
+          estimatedUsage: !summary.usage && usage !== null,
+          ...(answer.error ? { error: answer.error } : {}),
+        },
+        retrieval: prepared.retrieval as unknown as Prisma.InputJsonValue,
+      },
+    })
+  } catch (persistError) {
+    console.warn('[ask] persist warning', { message: (persistError as Error)?.message })
+  }
+}
+
+export function logAskError(prepared: PreparedAsk, startedAt: number, error: unknown) {
+  console.error('[ask] error', {
+    model: prepared.model,
+    maxTokens: prepared.maxTokens,
+    temperature: prepared.temperature,
+    durationMs: Date.now() - startedAt,
+    message: (error as Error)?.message,
+  })
+}
+
+// What the completions of one answer have returned so far, recorded when it fails
+type AskProgress = { content: string; summary: CompletionSummary }
+
+/**
+ * format: "json" — complete against the answer schema, retry once with the
+ * validation errors, and render the valid answer as Markdown. Returns the
+ * errors of the last attempt when both replies are invalid; `progress` then
+ * holds the last reply and the usage of both.
+ */
+async function completeStructured(
+  prepared: PreparedAsk,
+  progress: AskProgress,
+  signal?: AbortSignal,
+): Promise<{ answer: CompletedAnswer } | { errors: string[] }> {
+  const attempts: unknown[] = []
+  let request = prepared.request
+  let usage: CompletionSummary['usage'] = null
+  let errors: string[] = []
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const { content, summary, raw } = await prepared.provider.complete(request, { signal })
+    attempts.push(raw)
+    usage = addUsage(usage, summary.usage)
+    progress.content = content
+    progress.summary = { ...summary, usage }
+    const parsed = parseStructuredAnswer(content)
+    if (parsed.answer) {
+      return {
+        answer: {
+          content: renderStructuredAnswer(parsed.answer),
+          summary: { ...summary, usage },
+          rawResponse: { attempts },
+          structured: parsed.answer,
+        },
+      }
+    }
+    errors = parsed.errors
+    console.warn('[ask] structured answer invalid', { attempt, errors: errors.slice(0, 5) })
+    request = {
+      ...prepared.request,
+      messages: [
+        ...prepared.request.messages,
+        { role: 'assistant', content },
+        { role: 'user', content: buildRepairMessage(errors) },
+      ],
+    }
+  }
+  return { errors }
+}
+
+
+export type AskResult =
+  | Awaited<ReturnType<typeof finalizeAnswer>>
+  | Awaited<ReturnType<typeof finalizeCachedAnswer>>
+
+/**
+ * Answer one question without streaming. Returns the /api/ask response body,
+ * or a NextResponse when the question cannot be answered (unknown
+ * conversation, provider configuration, no valid structured answer).
+ */
+export async function answerQuestion(
+  question: string,
+  caller: Caller,
+  bodyOverrides?: Partial<AskRequestBody>,
+  signal?: AbortSignal,
+): Promise<AskResult | NextResponse> {
+  const prepared = await prepareAsk(question, caller, bodyOverrides)
+  if (prepared instanceof NextResponse) return prepared
+
+  const startedAt = Date.now()
+  if ('cached' in prepared) return finalizeCachedAnswer(question, prepared, Date.now() - startedAt)
+  const progress: AskProgress = {
+    content: '',
+    summary: { id: '', model: prepared.model, created: 0, usage: null, finish_reason: null },
+  }
+  let completed = false
+  try {
+    if (prepared.format === 'json') {
+      const result = await completeStructured(prepared, progress, signal)
+      if ('errors' in result) {
+        // Both billed completions count against quotas all the same
+        completed = true
+        const error = 'The model did not return a valid structured answer'
+        await recordIncompleteAnswer(question, prepared, { ...progress, reason: 'error', error }, Date.now() - startedAt)
+        return NextResponse.json({ error, issues: result.errors }, { status: 502 })
+      }
+      completed = true
+      return await finalizeAnswer(question, prepared, result.answer, Date.now() - startedAt)
+    }
+    const { content, summary, raw } = await prepared.provider.complete(prepared.request, { signal })
+    completed = true
+    const answer: CompletedAnswer = { content, summary, rawResponse: raw }
+    return await finalizeAnswer(question, prepared, answer, Date.now() - startedAt)
+  } catch (error) {
+    logAskError(prepared, startedAt, error)
+    const cancelled = signal?.aborted ?? false
+    // As for a stream: a dropped connection or failed call still spent tokens
+    // (an answer that completed was recorded by finalizeAnswer)
+    if (!completed) {
+      await recordIncompleteAnswer(
+        question,
+        prepared,
+        {
+          ...progress,
+          reason: cancelled ? 'cancelled' : 'error',
+          error: cancelled ? undefined : (error as Error)?.message,
+        },
+        Date.now() - startedAt,
+      )
+    }
+    throw error
+  }
+}
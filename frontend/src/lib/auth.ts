@@ -0,0 +1,264 @@
+import crypto from 'node:crypto'
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+
+export const SESSION_COOKIE = 'ask_session'
+export const API_KEY_PREFIX = 'ask_'
+
+export type AuthUser = {
+  id: string
+  email: string
+  name: string | null
+  role: string // user | reviewer | admin
+  monthlyTokenQuota: number | null
+}
+
+// Who is calling: a signed-in user (session cookie or API key), or nobody when
+// AUTH_DISABLED is set for local development
+export type Caller = { user: AuthUser; via: 'session' | 'api_key' } | { user: null; via: 'disabled' }
+
+const userSelect = { id: true, email: true, name: true, role: true, monthlyTokenQuota: true, disabledAt: true } as const
+
+export function authDisabled(): boolean {
+  return ['1', 'true'].includes((process.env.AUTH_DISABLED ?? '').toLowerCase())
+}
+
+function envNumber(name: string, fallback: number): number {
+  const value = Number(process.env[name])
+  return Number.isFinite(value) && value > 0 ? value : fallback
+}
+
+export function sessionDays(): number {
+  return envNumber('AUTH_SESSION_DAYS', 30)
+}
+
+export function magicLinkMinutes(): number {
+  return envNumber('AUTH_MAGIC_LINK_MINUTES', 15)
+}
+
+function emailList(value: string | undefined): string[] {
+  return (value ?? '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean)
+}
+
+export function normalizeEmail(email: unknown): string | null {
+  const value = typeof email === 'string' ? email.trim().toLowerCase() : ''
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : null
+}
+
+/**
+ * AUTH_ALLOWED_DOMAINS (e.g. "caa.govt.nz,example.org") limits who can sign
+ * in by magic link; unset allows any address.
+ */
+export function emailAllowed(email: string): boolean {
+  const domains = emailList(process.env.AUTH_ALLOWED_DOMAINS)
+  return domains.length === 0 || domains.includes(email.split('@')[1])
+}
+
+// Admins see every user's history and bypass per-user limits; with auth disabled everyone does
+export function isAdmin(caller: Caller): boolean {
+  return caller.user ? caller.user.role === 'admin' : true
+}
+
+// Reviewers work the answer review queue (/review); admins can too
+export function isReviewer(caller: Caller): boolean {
+  return isAdmin(caller) || caller.user?.role === 'reviewer'
+}
+
+/**
+ * Prisma `where` fragment for rows the caller may see: their own, or all of them for admins.
+ */
+export function ownerFilter(caller: Caller): { userId?: string } {
+  return isAdmin(caller) ? {} : { userId: caller.user!.id }
+}
+
+export function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+function newToken(bytes = 32): string {
+  return crypto.randomBytes(bytes).toString('base64url')
+}
+
+const SCRYPT = { N: 16384, r: 8, p: 1 }
+
+function scrypt(password: string, salt: Buffer, options = SCRYPT): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, options, (error, key) => (error ? reject(error) : resolve(key)))
+  })
+}
+
+/**
+ * "scrypt$N$r$p$<salt>$<hash>" (base64url).
+ */
+export async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.randomBytes(16)
+  const key = await scrypt(password, salt)
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64url'), key.toString('base64url')].join('$')
+}
+
+export async function verifyPassword(password: string, stored: string | null): Promise<boolean> {
+  const [scheme, N, r, p, salt, hash] = (stored ?? '').split('$')
+  if (scheme !== 'scrypt' || !salt || !hash) return false
+  const expected = Buffer.from(hash, 'base64url')
+  const key = await scrypt(password, Buffer.from(salt, 'base64url'), { N: Number(N), r: Number(r), p: Number(p) })
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected)
+}
+
+function toAuthUser(user: { disabledAt: Date | null } & AuthUser): AuthUser | null {
+  if (user.disabledAt) return null
+  return { id: user.id, email: user.email, name: user.name, role: user.role, monthlyTokenQuota: user.monthlyTokenQuota }
+}
+
+/**
+ * The user for a verified email, created on first sign-in. Addresses in
+ * AUTH_ADMIN_EMAILS are made admins. Returns null for disabled accounts.
+ */
+export async function findOrCreateUser(email: string): Promise<AuthUser | null> {
+  const admin = emailList(process.env.AUTH_ADMIN_EMAILS).includes(email)
+  const user = await prisma.user.upsert({
+    where: { email },
+    create: { email, role: admin ? 'admin' : 'user' },
+    update: admin ? { role: 'admin' } : {},
+    select: userSelect,
+  })
+  return toAuthUser(user)
+}
+
+export async function createSession(userId: string): Promise<{ token: string; expiresAt: Date }> {
+  const token = newToken()
+  const expiresAt = new Date(Date.now() + sessionDays() * 86_400_000)
+  await prisma.session.create({ data: { id: hashToken(token), userId, expiresAt } })
+  return { token, expiresAt }
+}
+
+export function setSessionCookie(res: NextResponse, session: { token: string; expiresAt: Date }) {
+  res.cookies.set(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    expires: session.expiresAt,
+  })
+}
+
+export function clearSessionCookie(res: NextResponse) {
+  res.cookies.set(SESSION_COOKIE, '', { httpOnly: true, sameSite: 'lax', path: '/', maxAge: 0 })
+}
+
+export function sessionToken(req: Request): string | null {
+  for (const part of (req.headers.get('cookie') ?? '').split(';')) {
+    const [name, ...rest] = part.trim().split('=')
+    if (name === SESSION_COOKIE) return decodeURIComponent(rest.join('=')) || null
+  }
+  return null
+}
+
+/**
+ * One-time sign-in token for an email; the caller mails the link.
+ */
+export async function createLoginToken(email: string): Promise<string> {
+  const token = newToken()
+  await prisma.loginToken.create({
+    data: { id: hashToken(token), email, expiresAt: new Date(Date.now() + magicLinkMinutes() * 60_000) },
+  })
+  return token
+}
+
+/**
+ * Mark a magic-link token used and return its email; null when unknown, used or expired.
+ */
+export async function consumeLoginToken(token: string): Promise<string | null> {
+  const id = hashToken(token)
+  const { count } = await prisma.loginToken.updateMany({
+    where: { id, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() },
+  })
+  if (count === 0) return null
+  const row = await prisma.loginToken.findUnique({ where: { id }, select: { email: true } })
+  return row?.email ?? null
+}
+
+/**
+ * New API key for a user; the plain key is only returned here.
+ */
+export async function createApiKey(userId: string, name: string) {
+  const key = API_KEY_PREFIX + newToken(24)
+  const record = await prisma.apiKey.create({
+    data: { userId, name, prefix: key.slice(0, 12), keyHash: hashToken(key) },
+    select: { id: true, name: true, prefix: true, createdAt: true },
+  })
+  return { key, ...record }
+}
+
+/**
+ * Resolve the caller from `Authorization: Bearer ask_...` or the session
+ * cookie; null when neither identifies an active user.
+ */
+export async function getCaller(req: Request): Promise<Caller | null> {
+  if (authDisabled()) return { user: null, via: 'disabled' }
+
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.get('authorization') ?? '')?.[1]
+  if (bearer) {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { keyHash: hashToken(bearer) },
+      select: { id: true, revokedAt: true, user: { select: userSelect } },
+    })
+    const user = apiKey && !apiKey.revokedAt ? toAuthUser(apiKey.user) : null
+    if (!user) return null
+    await prisma.apiKey.update({ where: { id: apiKey!.id }, data: { lastUsedAt: new Date() } })
+    return { user, via: 'api_key' }
+  }
+
+  const token = sessionToken(req)
+  if (!token) return null
+  const session = await prisma.session.findUnique({
+    where: { id: hashToken(token) },
+    select: { expiresAt: true, user: { select: userSelect } },
+  })
+  if (!session || session.expiresAt <= new Date()) return null
+  const user = toAuthUser(session.user)
+  return user ? { user, via: 'session' } : null
+}
+
+/**
+ * The caller, or a 401 response to return as-is.
+ */
+export async function requireCaller(req: Request): Promise<Caller | NextResponse> {
+  const caller = await getCaller(req)
+  if (caller) return caller
+  return NextResponse.json(
+    { error: 'Sign in, or send an API key as "Authorization: Bearer ask_..."' },
+    { status: 401 },
+  )
+}
+
+/**
+ * A signed-in user (not the AUTH_DISABLED caller), or a 401 response.
+ */
+export async function requireUser(req: Request): Promise<AuthUser | NextResponse> {
+  const caller = await requireCaller(req)
+  if (caller instanceof NextResponse) return caller
+  if (!caller.user) return NextResponse.json({ error: 'Accounts are disabled (AUTH_DISABLED)' }, { status: 400 })
+  return caller.user
+}
+
+/**
+ * A reviewer or admin caller, or a 401/403 response.
+ */
+export async function requireReviewer(req: Request): Promise<Caller | NextResponse> {
+  const caller = await requireCaller(req)
+  if (caller instanceof NextResponse || isReviewer(caller)) return caller
+  return NextResponse.json({ error: 'Reviewer role required' }, { status: 403 })
+}
+
+/**
+ * An admin caller, or a 401/403 response.
+ */
+export async function requireAdmin(req: Request): Promise<Caller | NextResponse> {
+  const caller = await requireCaller(req)
+  if (caller instanceof NextResponse || isAdmin(caller)) return caller
+  return NextResponse.json({ error: 'Admin role required' }, { status: 403 })
+}
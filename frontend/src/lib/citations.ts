@@ -0,0 +1,121 @@
+import { parseCitationsInLine } from '@scripts/verify.js'
+
+// Client-safe: provision ids <-> reader URLs, and a remark plugin that turns
+// `CAR Part 91, rule 91.101` / `CAA s 30` in answers into reader links.
+
+/**
+ * Reader URL for a provision id: CAR-91.101 -> /rules/91/91.101,
+ * CAR-91-AppA -> /rules/91/appendix-A, CAA-s30 -> /act/30, CAA-sch1 -> /act/schedule-1,
+ * and CAR-Part-91 (a whole Part in the reference graph) -> /rules/91.
+ */
+export function provisionHref(id: string): string | null {
+  let m = id.match(/^CAR-Part-(\d{1,3}[A-Z]?)$/)
+  if (m) return `/rules/${m[1]}`
+  m = id.match(/^CAR-(\d{1,3}[A-Z]?)-App(.+)$/)
+  if (m) return `/rules/${m[1]}/appendix-${m[2]}`
+  m = id.match(/^CAR-((\d{1,3}[A-Z]?)\..+)$/)
+  if (m) return `/rules/${m[2]}/${m[1]}`
+  m = id.match(/^CAA-sch(.+)$/)
+  if (m) return `/act/schedule-${m[1]}`
+  m = id.match(/^CAA-s(.+)$/)
+  if (m) return `/act/${m[1]}`
+  return null
+}
+
+/**
+ * Inverse of provisionHref for the /rules/[part]/[rule] route.
+ */
+export function ruleParamToId(part: string, rule: string): string {
+  const decoded = decodeURIComponent(rule)
+  const appendix = decoded.match(/^appendix-(.+)$/i)
+  if (appendix) return `CAR-${normalizePart(part)}-App${appendix[1]}`
+  return `CAR-${decoded}`
+}
+
+export function sectionParamToId(section: string): string {
+  const decoded = decodeURIComponent(section)
+  const schedule = decoded.match(/^schedule-(.+)$/i)
+  if (schedule) return `CAA-sch${schedule[1]}`
+  return `CAA-s${decoded}`
+}
+
+/**
+ * '091' and '91' both name Part 91.
+ */
+export function normalizePart(part: string): string {
+  return /^\d+[A-Z]?$/i.test(part) ? String(Number.parseInt(part, 10)) + part.replace(/^\d+/, '') : part
+}
+
+// Just enough of the mdast shape for the remark plugins in this app
+export type MdNode = {
+  type: string
+  value?: string
+  url?: string
+  children?: MdNode[]
+  data?: { hName?: string; hProperties?: Record<string, string> }
+}
+
+function stripHash(url: string): string {
+  return url.replace(/#.*$/, '').replace(/\/+$/, '')
+}
+
+function collectLinkUrls(node: MdNode, urls: Set<string>) {
+  if (node.type === 'link' && node.url) urls.add(stripHash(node.url))
+  for (const child of node.children ?? []) collectLinkUrls(child, urls)
+}
+
+function splitTextNode(node: MdNode, sourceUrls: Map<string, string>, blockUrls: Set<string>): MdNode[] {
+  const text = node.value ?? ''
+  const mentions = parseCitationsInLine(text)
+  if (mentions.length === 0) return [node]
+  const out: MdNode[] = []
+  let cursor = 0
+  for (const mention of mentions) {
+    const href = provisionHref(mention.provisionId)
+    if (!href || mention.index < cursor) continue
+    if (mention.index > cursor) out.push({ type: 'text', value: text.slice(cursor, mention.index) })
+    const sourceUrl = sourceUrls.get(mention.provisionId)
+    // The PDF link rides along unless the answer already links that document here
+    const hProperties: Record<string, string> = { 'data-citation': mention.provisionId }
+    if (sourceUrl && !blockUrls.has(stripHash(sourceUrl))) hProperties['data-source-url'] = sourceUrl
+    out.push({
+      type: 'link',
+      url: href,
+      children: [{ type: 'text', value: mention.raw }],
+      data: { hProperties },
+    })
+    cursor = mention.index + mention.raw.length
+  }
+  if (cursor < text.length) out.push({ type: 'text', value: text.slice(cursor) })
+  return out
+}
+
+function transform(node: MdNode, sourceUrls: Map<string, string>, blockUrls: Set<string>) {
+  if (!node.children) return
+  // URLs already linked in this paragraph / list item / cell
+  let urls = blockUrls
+  if (node.type === 'paragraph' || node.type === 'tableCell' || node.type === 'heading') {
+    urls = new Set<string>()
+    collectLinkUrls(node, urls)
+  }
+  const next: MdNode[] = []
+  for (const child of node.children) {
+    if (child.type === 'text') next.push(...splitTextNode(child, sourceUrls, urls))
+    else {
+      if (child.type !== 'link' && child.type !== 'linkReference') transform(child, sourceUrls, urls)
+      next.push(child)
+    }
+  }
+  node.children = next
+}
+
+/**
+ * remark plugin: link formal citations to the rules reader. `sourceUrls` maps
+ * provision ids to their PDF (from retrieval/verification) for a side link.
+ */
+export function remarkCitationLinks(options: { sourceUrls?: Map<string, string> } = {}) {
+  const sourceUrls = options.sourceUrls ?? new Map<string, string>()
+  return (tree: MdNode) => {
+    transform(tree, sourceUrls, new Set())
+  }
+}
@@ -0,0 +1,70 @@
+import prisma from '@/lib/prisma'
+
+export type ReplayMessage = { role: 'user' | 'assistant'; content: string }
+
+export type ConversationReplay = {
+  id: string
+  messages: ReplayMessage[]
+  replayedTurns: number
+  droppedTurns: number
+  // Recent user questions, used to give follow-ups context for retrieval
+  recentQuestions: string[]
+}
+
+// Rough chars-per-token ratio for English legal text
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4)
+}
+
+export function conversationTokenBudget(): number {
+  const value = Number(process.env.CONVERSATION_TOKEN_BUDGET)
+  return Number.isFinite(value) && value > 0 ? value : 6000
+}
+
+export function conversationTitle(question: string, maxLength = 80): string {
+  const flat = question.replace(/\s+/g, ' ').trim()
+  return flat.length <= maxLength ? flat : flat.slice(0, maxLength - 1) + '…'
+}
+
+/**
+ * Prior turns of a conversation as chat messages, newest first until the
+ * token budget is spent, then returned in chronological order.
+ * Returns null when the conversation does not exist or is not the owner's
+ * (`owner` from ownerFilter() in lib/auth.ts).
+ */
+export async function loadConversationReplay(
+  conversationId: string,
+  { budget = conversationTokenBudget(), owner = {} }: { budget?: number; owner?: { userId?: string } } = {},
+): Promise<ConversationReplay | null> {
+  const conversation = await prisma.conversation.findFirst({
+    where: { id: conversationId, ...owner },
+    select: {
+      id: true,
+      turns: {
+        orderBy: { createdAt: 'asc' },
+        select: { question: true, answer: true },
+      },
+    },
+  })
+  if (!conversation) return null
+
+  const kept: ReplayMessage[][] = []
+  let used = 0
+  for (let i = conversation.turns.length - 1; i >= 0; i -= 1) {
+    const turn = conversation.turns[i]
+    const cost = estimateTokens(turn.question) + estimateTokens(turn.answer)
+    if (used + cost > budget) break
+    used += cost
+    kept.unshift([
+      { role: 'user', content: turn.question },
+      { role: 'assistant', content: turn.answer },
+    ])
+  }
+  return {
+    id: conversation.id,
+    messages: kept.flat(),
+    replayedTurns: kept.length,
+    droppedTurns: conversation.turns.length - kept.length,
+    recentQuestions: conversation.turns.slice(-2).map((t) => t.question),
+  }
+}
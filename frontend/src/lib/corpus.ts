@@ -0,0 +1,78 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { createVerifier } from '@scripts/verify.js'
+
+export type Provision = {
+  id: string
+  source: 'CAR' | 'CAA'
+  kind: 'rule' | 'appendix' | 'section'
+  part: string | null
+  part_name?: string
+  subpart: string | null
+  number: string
+  heading: string
+  text: string
+  page_start: number | null
+  page_end: number | null
+  source_url: string | null
+  hash: string
+}
+
+export function resolveDefaultPaths() {
+  // Default to repository layout: <repo>/scripts/md/{car, caa}
+  // API route runs with CWD of the frontend app in dev/build.
+  const repoRoot = path.resolve(process.cwd(), '..')
+  const scriptsRoot = path.resolve(repoRoot, 'scripts')
+  const mdRoot = path.resolve(scriptsRoot, 'md')
+  return {
+    defaultSystemPath: path.resolve(mdRoot, 'ALL_CAR.md'),
+    defaultCaaPath: path.resolve(mdRoot, 'caa', 'CAA_2023_0010.md'),
+    defaultProvisionsPath: path.resolve(mdRoot, 'provisions.jsonl'),
+    defaultAmendmentsDir: path.resolve(mdRoot, 'amendments'),
+    defaultGlossaryPath: path.resolve(mdRoot, 'glossary.json'),
+    defaultSyllabusPath: path.resolve(mdRoot, 'syllabus.json'),
+    defaultXrefPath: path.resolve(mdRoot, 'xref.json'),
+    // Versioned prompt policies (scripts/lib/policies.js)
+    defaultPoliciesDir: path.resolve(scriptsRoot, 'policies'),
+    // download/manifest.json at the repository root (scripts/lib/manifest.js)
+    defaultManifestPath: path.resolve(repoRoot, 'download', 'manifest.json'),
+  }
+}
+
+export function provisionsPath(): string {
+  return process.env.PROVISIONS_PATH || resolveDefaultPaths().defaultProvisionsPath
+}
+
+let cache: { file: string; mtimeMs: number; provisions: Provision[] } | null = null
+let verifierCache: { provisions: Provision[]; verifier: ReturnType<typeof createVerifier> } | null = null
+
+/**
+ * Provision index written by `npm run index:car` (scripts/build_index.js),
+ * re-read when the file changes. Empty when the index has not been built.
+ */
+export function loadProvisions(): Provision[] {
+  const file = provisionsPath()
+  let stat: fs.Stats
+  try {
+    stat = fs.statSync(file)
+  } catch {
+    return []
+  }
+  if (cache && cache.file === file && cache.mtimeMs === stat.mtimeMs) return cache.provisions
+  const provisions = fs
+    .readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '')
+    .map((line) => JSON.parse(line) as Provision)
+  cache = { file, mtimeMs: stat.mtimeMs, provisions }
+  return provisions
+}
+
+export function getVerifier() {
+  const provisions = loadProvisions()
+  if (provisions.length === 0) return null
+  if (verifierCache?.provisions !== provisions) {
+    verifierCache = { provisions, verifier: createVerifier(provisions) }
+  }
+  return verifierCache.verifier
+}
@@ -0,0 +1,79 @@
+import type { GlossaryEntry, TermHit, createTermMatcher } from '@scripts/glossary.js'
+import type { MdNode } from '@/lib/citations'
+
+// Client-safe: remark plugin that marks defined terms for hover tooltips.
+
+type TermMatcher = ReturnType<typeof createTermMatcher>
+
+const MAX_TOOLTIP_CHARS = 420
+
+function truncate(text: string, max = MAX_TOOLTIP_CHARS) {
+  return text.length <= max ? text : text.slice(0, max).replace(/\s+\S*$/, '') + '…'
+}
+
+/**
+ * Tooltip text for the glossary entries behind one term.
+ */
+export function tooltipText(entries: GlossaryEntry[]): string {
+  return entries
+    .map((e) => {
+      const label = e.abbreviation && e.abbreviation !== e.term ? `${e.term} (${e.abbreviation})` : e.term
+      return `${label} [${e.provisionId}]: ${truncate(e.definition)}`
+    })
+    .join('\n\n')
+}
+
+function termNode(hit: TermHit): MdNode {
+  return {
+    type: 'definedTerm',
+    children: [{ type: 'text', value: hit.text }],
+    data: {
+      hName: 'span',
+      hProperties: { 'data-term': hit.entries[0].term, 'data-definition': tooltipText(hit.entries) },
+    },
+  }
+}
+
+/**
+ * remark plugin: wrap the first use of each defined term in a span carrying
+ * its definition. `skipProvisionId` leaves a definitions provision's own terms alone.
+ */
+export function remarkDefinedTerms(options: { matcher?: TermMatcher | null; skipProvisionId?: string } = {}) {
+  const { matcher, skipProvisionId } = options
+  return (tree: MdNode) => {
+    if (!matcher) return
+    const seen = new Set<string>()
+
+    const splitText = (node: MdNode): MdNode[] => {
+      const text = node.value ?? ''
+      const out: MdNode[] = []
+      let cursor = 0
+      for (const hit of matcher.find(text)) {
+        const entries = hit.entries.filter((e) => e.provisionId !== skipProvisionId)
+        const key = entries.map((e) => e.id).join('|')
+        if (entries.length === 0 || seen.has(key) || hit.index < cursor) continue
+        seen.add(key)
+        if (hit.index > cursor) out.push({ type: 'text', value: text.slice(cursor, hit.index) })
+        out.push(termNode({ ...hit, entries }))
+        cursor = hit.index + hit.text.length
+      }
+      if (out.length === 0) return [node]
+      if (cursor < text.length) out.push({ type: 'text', value: text.slice(cursor) })
+      return out
+    }
+
+    const walk = (node: MdNode) => {
+      if (!node.children) return
+      const next: MdNode[] = []
+      for (const child of node.children) {
+        if (child.type === 'text') next.push(...splitText(child))
+        else {
+          if (child.type !== 'link' && child.type !== 'linkReference' && child.type !== 'definedTerm') walk(child)
+          next.push(child)
+        }
+      }
+      node.children = next
+    }
+    walk(tree)
+  }
+}
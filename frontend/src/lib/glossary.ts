@@ -0,0 +1,52 @@
+import fs from 'node:fs'
+import { resolveDefaultPaths } from '@/lib/corpus'
+import { createTermMatcher, type GlossaryEntry } from '@scripts/glossary.js'
+
+// Glossary written by `npm run glossary` (scripts/build_glossary.js)
+
+export function glossaryPath(): string {
+  return process.env.GLOSSARY_PATH || resolveDefaultPaths().defaultGlossaryPath
+}
+
+let cache: {
+  file: string
+  mtimeMs: number
+  entries: GlossaryEntry[]
+  matcher: ReturnType<typeof createTermMatcher> | null
+} | null = null
+
+function load() {
+  const file = glossaryPath()
+  let stat: fs.Stats
+  try {
+    stat = fs.statSync(file)
+  } catch {
+    return null
+  }
+  if (cache && cache.file === file && cache.mtimeMs === stat.mtimeMs) return cache
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8')) as { entries?: GlossaryEntry[] }
+  cache = { file, mtimeMs: stat.mtimeMs, entries: parsed.entries ?? [], matcher: null }
+  return cache
+}
+
+/**
+ * Glossary entries, re-read when the file changes. Empty when not built.
+ */
+export function loadGlossary(): GlossaryEntry[] {
+  return load()?.entries ?? []
+}
+
+/**
+ * Term matcher over the current glossary (its regex is built once per file version).
+ */
+export function glossaryMatcher() {
+  const loaded = load()
+  if (!loaded || loaded.entries.length === 0) return null
+  loaded.matcher ??= createTermMatcher(loaded.entries)
+  return loaded.matcher
+}
+
+export function maxAttachedDefinitions(): number {
+  const value = Number(process.env.GLOSSARY_MAX_TERMS)
+  return Number.isFinite(value) && value >= 0 ? value : 25
+}
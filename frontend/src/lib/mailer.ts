@@ -0,0 +1,75 @@
+import net from 'node:net'
+import os from 'node:os'
+
+export type MailMessage = { to: string; subject: string; text: string }
+
+export function smtpSettings() {
+  return {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025,
+    from: process.env.SMTP_FROM || 'Ask CAA <no-reply@localhost>',
+  }
+}
+
+function addressOf(from: string): string {
+  return /<([^>]+)>/.exec(from)?.[1] ?? from
+}
+
+/**
+ * Minimal SMTP client for a local relay or mail catcher (Mailpit, MailHog):
+ * plain connection, no AUTH or STARTTLS. Point SMTP_HOST/SMTP_PORT at a relay
+ * that handles delivery.
+ */
+export function sendMail(message: MailMessage, timeoutMs = 10_000): Promise<void> {
+  const { host, port, from } = smtpSettings()
+  const body = [
+    `From: ${from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    // Dot-stuffing: a line starting with "." would otherwise end DATA
+    ...message.text.split(/\r?\n/).map((line) => (line.startsWith('.') ? `.${line}` : line)),
+  ].join('\r\n')
+  // Each step: the command to send (null for the greeting) and the reply code expected
+  const steps: Array<[string | null, number]> = [
+    [null, 220],
+    [`EHLO ${os.hostname() || 'localhost'}`, 250],
+    [`MAIL FROM:<${addressOf(from)}>`, 250],
+    [`RCPT TO:<${message.to}>`, 250],
+    ['DATA', 354],
+    [`${body}\r\n.`, 250],
+    ['QUIT', 221],
+  ]
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port })
+    let buffer = ''
+    let step = 0
+    const fail = (error: Error) => {
+      socket.destroy()
+      reject(error)
+    }
+    socket.setTimeout(timeoutMs, () => fail(new Error(`SMTP timeout (${host}:${port})`)))
+    socket.on('error', (error) => fail(new Error(`SMTP ${host}:${port}: ${error.message}`)))
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8')
+      // A reply is complete at a line "NNN text" (continuation lines are "NNN-text")
+      const lines = buffer.split('\r\n')
+      const last = lines.slice(0, -1).reverse().find((line) => /^\d{3}[ -]/.test(line))
+      if (!last || last[3] !== ' ') return
+      buffer = ''
+      const code = Number(last.slice(0, 3))
+      if (code !== steps[step][1]) return fail(new Error(`SMTP ${host}:${port} replied: ${last}`))
+      step += 1
+      if (step === steps.length) {
+        socket.end()
+        return resolve()
+      }
+      socket.write(`${steps[step][0]}\r\n`)
+    })
+  })
+}
@@ -0,0 +1,253 @@
+import zlib from 'node:zlib'
+import { memoDetails, type Memo, type MemoRun } from '@/lib/memo'
+
+// Minimal WordprocessingML (.docx) writer for memos: one document part with
+// its styles, hyperlinks and a footer (disclaimer, page numbers), zipped here.
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main'
+const R_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+const REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+
+function esc(text: string): string {
+  return text
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function run(text: string, props = ''): string {
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${esc(text)}</w:t></w:r>`
+}
+
+function paragraph(content: string, props = ''): string {
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${content}</w:p>`
+}
+
+function field(instruction: string): string {
+  return (
+    '<w:r><w:fldChar w:fldCharType="begin"/></w:r>' +
+    `<w:r><w:instrText xml:space="preserve"> ${instruction} </w:instrText></w:r>` +
+    '<w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>1</w:t></w:r>' +
+    '<w:r><w:fldChar w:fldCharType="end"/></w:r>'
+  )
+}
+
+function createDocument() {
+  const links: string[] = []
+  const hyperlink = (url: string, content: string) => {
+    links.push(url)
+    return `<w:hyperlink r:id="rIdLink${links.length}" w:history="1">${content}</w:hyperlink>`
+  }
+  const runs = (items: MemoRun[]) =>
+    items
+      .map((r) => {
+        const props = `${r.bold ? '<w:b/>' : ''}${r.italic ? '<w:i/>' : ''}${
+          r.code ? '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>' : ''
+        }`
+        return r.url ? hyperlink(r.url, run(r.text, `<w:rStyle w:val="Hyperlink"/>${props}`)) : run(r.text, props)
+      })
+      .join('')
+  return { links, hyperlink, runs }
+}
+
+function detailsTable(memo: Memo): string {
+  const cell = (width: number, content: string) =>
+    `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${paragraph(content, '<w:spacing w:after="0"/>')}</w:tc>`
+  const rows = memoDetails(memo)
+    .map(([label, value]) => `<w:tr>${cell(2000, run(label, '<w:b/>'))}${cell(7638, run(value.replace(/\s+/g, ' ')))}</w:tr>`)
+    .join('')
+  const border = '<w:bottom w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>'
+  return (
+    `<w:tbl><w:tblPr><w:tblW w:w="9638" w:type="dxa"/><w:tblBorders><w:top w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>${border}` +
+    `<w:insideH w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/></w:tblBorders>` +
+    '<w:tblCellMar><w:top w:w="40" w:type="dxa"/><w:bottom w:w="40" w:type="dxa"/></w:tblCellMar></w:tblPr>' +
+    `<w:tblGrid><w:gridCol w:w="2000"/><w:gridCol w:w="7638"/></w:tblGrid>${rows}</w:tbl>`
+  )
+}
+
+function documentXml(memo: Memo, doc: ReturnType<typeof createDocument>): string {
+  const body: string[] = [paragraph(run(memo.title), '<w:pStyle w:val="Title"/>'), detailsTable(memo), paragraph('')]
+  const listItem = (marker: string, content: string) =>
+    paragraph(`${run(marker)}<w:r><w:tab/></w:r>${content}`, '<w:ind w:left="720" w:hanging="360"/>')
+
+  for (const block of memo.blocks) {
+    if (block.type === 'heading') body.push(paragraph(run(block.text), '<w:pStyle w:val="Heading1"/>'))
+    else if (block.type === 'paragraph') body.push(paragraph(doc.runs(block.runs)))
+    else if (block.type === 'quote') {
+      const lines = block.text.split('\n')
+      lines.forEach((line, i) =>
+        body.push(paragraph(run(line), `<w:pStyle w:val="Quote"/>${i < lines.length - 1 ? '<w:spacing w:after="0"/>' : ''}`)),
+      )
+    } else {
+      block.items.forEach((item, i) => body.push(listItem(block.ordered ? `${i + 1}.` : '•', doc.runs(item))))
+    }
+  }
+
+  body.push(paragraph(run('Appendix: citations'), '<w:pStyle w:val="Heading1"/>'))
+  if (memo.citations.length === 0) body.push(paragraph(run('No formal citations were found in the answer.', '<w:i/>')))
+  memo.citations.forEach((c, i) => {
+    body.push(listItem(`${i + 1}.`, run(c.label, '<w:b/>') + (c.heading ? run(` — ${c.heading}`) : '')))
+    for (const url of c.urls) {
+      body.push(paragraph(doc.hyperlink(url, run(url, '<w:rStyle w:val="Hyperlink"/>')), '<w:ind w:left="720"/>'))
+    }
+  })
+
+  // A4, 2 cm margins
+  const section =
+    '<w:sectPr><w:footerReference w:type="default" r:id="rIdFooter"/>' +
+    '<w:pgSz w:w="11906" w:h="16838"/>' +
+    '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="567" w:footer="567" w:gutter="0"/></w:sectPr>'
+  return `${XML_HEAD}<w:document xmlns:w="${W_NS}" xmlns:r="${R_NS}"><w:body>${body.join('')}${section}</w:body></w:document>`
+}
+
+function footerXml(memo: Memo): string {
+  return (
+    `${XML_HEAD}<w:ftr xmlns:w="${W_NS}" xmlns:r="${R_NS}">` +
+    paragraph(run(memo.disclaimer, '<w:i/>'), '<w:pStyle w:val="Footer"/>') +
+    paragraph(`${run('Page ')}${field('PAGE')}${run(' of ')}${field('NUMPAGES')}`, '<w:pStyle w:val="Footer"/><w:jc w:val="right"/>') +
+    '</w:ftr>'
+  )
+}
+
+const STYLES_XML =
+  `${XML_HEAD}<w:styles xmlns:w="${W_NS}">` +
+  '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/>' +
+  '<w:lang w:val="en-NZ"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/>' +
+  '</w:pPr></w:pPrDefault></w:docDefaults>' +
+  '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+  '<w:qFormat/><w:pPr><w:spacing w:after="200"/></w:pPr><w:rPr><w:b/><w:sz w:val="36"/></w:rPr></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+  '<w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="0"/></w:pPr>' +
+  '<w:rPr><w:b/><w:sz w:val="28"/></w:rPr></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/>' +
+  '<w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="BFBFBF"/></w:pBdr><w:ind w:left="567"/></w:pPr>' +
+  '<w:rPr><w:i/><w:color w:val="333333"/></w:rPr></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="Footer"><w:name w:val="footer"/><w:basedOn w:val="Normal"/>' +
+  '<w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:color w:val="666666"/><w:sz w:val="15"/></w:rPr></w:style>' +
+  '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/>' +
+  '<w:rPr><w:color w:val="1A40A6"/><w:u w:val="single"/></w:rPr></w:style>' +
+  '</w:styles>'
+
+function relationships(items: Array<{ id: string; type: string; target: string; external?: boolean }>): string {
+  return (
+    `${XML_HEAD}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    items
+      .map(
+        (r) =>
+          `<Relationship Id="${r.id}" Type="${r.type}" Target="${esc(r.target)}"${r.external ? ' TargetMode="External"' : ''}/>`,
+      )
+      .join('') +
+    '</Relationships>'
+  )
+}
+
+function coreXml(memo: Memo): string {
+  return (
+    `${XML_HEAD}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    `<dc:title>${esc(`${memo.title}: ${memo.question.slice(0, 120)}`)}</dc:title><dc:creator>ask-caa</dc:creator>` +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${memo.answeredAt.toISOString().slice(0, 19)}Z</dcterms:created>` +
+    '</cp:coreProperties>'
+  )
+}
+
+const CONTENT_TYPES_XML =
+  `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+  '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+  '<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>' +
+  '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+  '</Types>'
+
+export function renderMemoDocx(memo: Memo): Buffer {
+  const doc = createDocument()
+  const document = documentXml(memo, doc)
+  return zip([
+    ['[Content_Types].xml', CONTENT_TYPES_XML],
+    [
+      '_rels/.rels',
+      relationships([
+        { id: 'rId1', type: `${REL_TYPE}/officeDocument`, target: 'word/document.xml' },
+        {
+          id: 'rId2',
+          type: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+          target: 'docProps/core.xml',
+        },
+      ]),
+    ],
+    ['word/document.xml', document],
+    ['word/styles.xml', STYLES_XML],
+    ['word/footer1.xml', footerXml(memo)],
+    [
+      'word/_rels/document.xml.rels',
+      relationships([
+        { id: 'rIdStyles', type: `${REL_TYPE}/styles`, target: 'styles.xml' },
+        { id: 'rIdFooter', type: `${REL_TYPE}/footer`, target: 'footer1.xml' },
+        ...doc.links.map((url, i) => ({ id: `rIdLink${i + 1}`, type: `${REL_TYPE}/hyperlink`, target: url, external: true })),
+      ]),
+    ],
+    ['docProps/core.xml', coreXml(memo)],
+  ])
+}
+
+/**
+ * Deflated zip archive of UTF-8 text files.
+ */
+function zip(files: Array<[string, string]>, date = new Date()): Buffer {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  const locals: Buffer[] = []
+  const central: Buffer[] = []
+  let offset = 0
+
+  for (const [name, content] of files) {
+    const nameBytes = Buffer.from(name, 'utf8')
+    const data = Buffer.from(content, 'utf8')
+    const compressed = zlib.deflateRawSync(data)
+    const crc = zlib.crc32(data)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4) // version needed
+    local.writeUInt16LE(0x0800, 6) // UTF-8 names
+    local.writeUInt16LE(8, 8) // deflate
+    local.writeUInt16LE(time, 10)
+    local.writeUInt16LE(day, 12)
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(nameBytes.length, 26)
+    local.writeUInt16LE(0, 28)
+    locals.push(local, nameBytes, compressed)
+
+    const entry = Buffer.alloc(46)
+    entry.writeUInt32LE(0x02014b50, 0)
+    entry.writeUInt16LE(20, 4) // made by
+    local.copy(entry, 6, 4, 30) // version needed .. name length
+    entry.writeUInt16LE(0, 30) // extra
+    entry.writeUInt16LE(0, 32) // comment
+    entry.writeUInt16LE(0, 34) // disk
+    entry.writeUInt16LE(0, 36) // internal attributes
+    entry.writeUInt32LE(0, 38) // external attributes
+    entry.writeUInt32LE(offset, 42)
+    central.push(entry, nameBytes)
+
+    offset += local.length + nameBytes.length + compressed.length
+  }
+
+  const directory = Buffer.concat(central)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(directory.length, 12)
+  end.writeUInt32LE(offset, 16)
+  return Buffer.concat([...locals, directory, end])
+}
@@ -0,0 +1,370 @@
+import zlib from 'node:zlib'
+import { memoDetails, type Memo, type MemoRun } from '@/lib/memo'
+
+// Minimal PDF writer for memos: A4 pages, the standard Helvetica/Courier
+// fonts (WinAnsi encoding, no embedding), wrapped text, link annotations and
+// a disclaimer footer with page numbers.
+
+type FontKey = 'F1' | 'F2' | 'F3' | 'F4'
+const FONTS: Record<FontKey, string> = { F1: 'Helvetica', F2: 'Helvetica-Bold', F3: 'Helvetica-Oblique', F4: 'Courier' }
+
+// AFM advance widths (1/1000 em) of ASCII 32..126
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556,
+  556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+]
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611,
+  611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+]
+
+// Unicode punctuation -> WinAnsi code, with Helvetica and Helvetica-Bold widths
+const WIN_ANSI: Record<string, [number, number, number]> = {
+  '€': [0x80, 556, 556],
+  '‚': [0x82, 222, 278],
+  '„': [0x84, 333, 500],
+  '…': [0x85, 1000, 1000],
+  '‘': [0x91, 222, 278],
+  '’': [0x92, 222, 278],
+  '“': [0x93, 333, 500],
+  '”': [0x94, 333, 500],
+  '•': [0x95, 350, 350],
+  '–': [0x96, 556, 556],
+  '—': [0x97, 1000, 1000],
+  '™': [0x99, 1000, 1000],
+}
+
+function encode(text: string): number[] {
+  const codes: number[] = []
+  for (const ch of text.normalize('NFC')) {
+    const code = ch.codePointAt(0)!
+    if (code >= 32 && code <= 126) codes.push(code)
+    else if (ch === '\t' || ch === ' ') codes.push(32)
+    else if (WIN_ANSI[ch]) codes.push(WIN_ANSI[ch][0])
+    else if (code > 0xa0 && code <= 0xff) codes.push(code)
+    else if (ch === '≤' || ch === '≥') codes.push(...encode(ch === '≤' ? '<=' : '>='))
+    else codes.push(63) // '?'
+  }
+  return codes
+}
+
+function charWidth(code: number, font: FontKey): number {
+  if (font === 'F4') return 600
+  const bold = font === 'F2'
+  if (code >= 32 && code <= 126) return (bold ? HELVETICA_BOLD : HELVETICA)[code - 32]
+  const special = Object.values(WIN_ANSI).find(([c]) => c === code)
+  return special ? special[bold ? 2 : 1] : 556
+}
+
+function textWidth(text: string, font: FontKey, size: number): number {
+  return (encode(text).reduce((sum, code) => sum + charWidth(code, font), 0) * size) / 1000
+}
+
+function pdfString(text: string): string {
+  return (
+    '(' +
+    encode(text)
+      .map((code) =>
+        code === 40 || code === 41 || code === 92
+          ? '\\' + String.fromCharCode(code)
+          : code < 32 || code > 126
+          ? '\\' + code.toString(8).padStart(3, '0')
+          : String.fromCharCode(code),
+      )
+      .join('') +
+    ')'
+  )
+}
+
+const PAGE = { width: 595.28, height: 841.89, margin: 56 }
+const CONTENT_WIDTH = PAGE.width - 2 * PAGE.margin
+const BLACK: Rgb = [0, 0, 0]
+const LINK: Rgb = [0.1, 0.25, 0.65]
+type Rgb = [number, number, number]
+
+type Span = { text: string; font: FontKey; color?: Rgb; url?: string }
+type Link = { rect: [number, number, number, number]; url: string }
+type Page = { ops: string[]; links: Link[] }
+type TextOptions = { x?: number; width?: number; size?: number; marker?: string }
+
+function fmt(n: number): string {
+  return Number(n.toFixed(2)).toString()
+}
+
+function spanFont(run: MemoRun): FontKey {
+  return run.code ? 'F4' : run.bold ? 'F2' : run.italic ? 'F3' : 'F1'
+}
+
+/**
+ * Greedy word wrap of styled spans; words wider than the line (URLs) are split.
+ */
+function wrapSpans(spans: Span[], width: number, size: number): Span[][] {
+  const lines: Span[][] = [[]]
+  let x = 0
+  for (const span of spans) {
+    for (const piece of span.text.split(/(\s+)/)) {
+      if (!piece) continue
+      if (/^\s+$/.test(piece)) {
+        if (x > 0) {
+          lines[lines.length - 1].push({ ...span, text: ' ' })
+          x += textWidth(' ', span.font, size)
+        }
+        continue
+      }
+      let word = piece
+      while (word) {
+        const w = textWidth(word, span.font, size)
+        if (x + w <= width) {
+          lines[lines.length - 1].push({ ...span, text: word })
+          x += w
+          break
+        }
+        if (x > 0) {
+          // Drop the trailing space and start a new line
+          const line = lines[lines.length - 1]
+          if (line.length > 0 && line[line.length - 1].text === ' ') line.pop()
+          lines.push([])
+          x = 0
+          continue
+        }
+        let fit = word.length
+        while (fit > 1 && textWidth(word.slice(0, fit), span.font, size) > width) fit -= 1
+        lines[lines.length - 1].push({ ...span, text: word.slice(0, fit) })
+        lines.push([])
+        word = word.slice(fit)
+      }
+    }
+  }
+  return lines.filter((line, i) => line.length > 0 || i === 0)
+}
+
+function createLayout(footerLines: string[]) {
+  const footerSize = 7.5
+  const footerTop = PAGE.margin + (footerLines.length + 1) * (footerSize + 2) + 8
+  const pages: Page[] = []
+  let page: Page
+  let y = 0
+
+  const newPage = () => {
+    page = { ops: [], links: [] }
+    pages.push(page)
+    y = PAGE.height - PAGE.margin
+  }
+  newPage()
+
+  const ensure = (height: number) => {
+    if (y - height < footerTop) newPage()
+  }
+
+  const drawLine = (spans: Span[], x: number, size: number, leading: number) => {
+    ensure(leading)
+    y -= leading
+    let cursor = x
+    for (const span of spans) {
+      const width = textWidth(span.text, span.font, size)
+      const [r, g, b] = span.color ?? BLACK
+      page.ops.push(
+        `BT ${fmt(r)} ${fmt(g)} ${fmt(b)} rg /${span.font} ${size} Tf 1 0 0 1 ${fmt(cursor)} ${fmt(y)} Tm ${pdfString(span.text)} Tj ET`,
+      )
+      if (span.url && span.text.trim()) {
+        page.links.push({ rect: [cursor, y - 2, cursor + width, y + size], url: span.url })
+      }
+      cursor += width
+    }
+  }
+
+  return {
+    pages,
+    space(height: number) {
+      if (y - height >= footerTop) y -= height
+    },
+    // Wrapped text; `marker` (a list bullet or number) is drawn left of the first line
+    text(
+      spans: Span[],
+      { x = PAGE.margin, width = CONTENT_WIDTH, size = 10.5, marker = '' }: TextOptions = {},
+    ) {
+      const leading = size * 1.35
+      wrapSpans(spans, width, size).forEach((line, i) => {
+        drawLine(line, x, size, leading)
+        if (i === 0 && marker) {
+          page.ops.push(`BT 0 0 0 rg /F1 ${size} Tf 1 0 0 1 ${fmt(x - 14)} ${fmt(y)} Tm ${pdfString(marker)} Tj ET`)
+        }
+      })
+    },
+    // Keep a heading with at least two lines of what follows
+    heading(text: string, size: number) {
+      ensure(size * 1.4 + 30)
+      drawLine([{ text, font: 'F2' }], PAGE.margin, size, size * 1.4)
+    },
+    rule() {
+      ensure(10)
+      y -= 6
+      page.ops.push(`0.75 G 0.5 w ${PAGE.margin} ${fmt(y)} m ${fmt(PAGE.width - PAGE.margin)} ${fmt(y)} l S`)
+      y -= 6
+    },
+    // Indented italic block with a bar on the left, split across pages as needed
+    quote(text: string, size = 10) {
+      const x = PAGE.margin + 18
+      const leading = size * 1.35
+      for (const paragraph of text.split('\n')) {
+        for (const line of wrapSpans([{ text: paragraph || ' ', font: 'F3', color: [0.2, 0.2, 0.2] }], CONTENT_WIDTH - 18, size)) {
+          drawLine(line, x, size, leading)
+          page.ops.push(`0.8 g ${PAGE.margin + 4} ${fmt(y - 3)} 2 ${fmt(leading)} re f`)
+        }
+      }
+    },
+    footers() {
+      pages.forEach((p, i) => {
+        let fy = PAGE.margin + footerLines.length * (footerSize + 2)
+        p.ops.push(`0.75 G 0.5 w ${PAGE.margin} ${fmt(fy + footerSize + 4)} m ${fmt(PAGE.width - PAGE.margin)} ${fmt(fy + footerSize + 4)} l S`)
+        for (const line of footerLines) {
+          p.ops.push(`BT 0.4 0.4 0.4 rg /F3 ${footerSize} Tf 1 0 0 1 ${PAGE.margin} ${fmt(fy)} Tm ${pdfString(line)} Tj ET`)
+          fy -= footerSize + 2
+        }
+        const label = `Page ${i + 1} of ${pages.length}`
+        const lx = PAGE.width - PAGE.margin - textWidth(label, 'F1', footerSize)
+        p.ops.push(`BT 0.4 0.4 0.4 rg /F1 ${footerSize} Tf 1 0 0 1 ${fmt(lx)} ${fmt(fy)} Tm ${pdfString(label)} Tj ET`)
+      })
+    },
+  }
+}
+
+function runsToSpans(runs: MemoRun[]): Span[] {
+  return runs.map((r) => ({ text: r.text, font: spanFont(r), ...(r.url ? { url: r.url, color: LINK } : {}) }))
+}
+
+function pdfDate(date: Date): string {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`
+}
+
+export function renderMemoPdf(memo: Memo): Buffer {
+  const footerLines = wrapSpans([{ text: memo.disclaimer, font: 'F3' }], CONTENT_WIDTH, 7.5).map((line) =>
+    line.map((s) => s.text).join(''),
+  )
+  const layout = createLayout(footerLines)
+
+  layout.heading(memo.title, 18)
+  layout.space(6)
+  for (const [label, value] of memoDetails(memo)) {
+    const labelSpans: Span[] = [{ text: `${label}: `, font: 'F2' }]
+    layout.text([...labelSpans, { text: value.replace(/\s+/g, ' '), font: 'F1' }], { size: 9.5 })
+  }
+  layout.rule()
+
+  for (const block of memo.blocks) {
+    if (block.type === 'heading') {
+      layout.space(8)
+      layout.heading(block.text, 13)
+      layout.space(2)
+    } else if (block.type === 'paragraph') {
+      layout.text(runsToSpans(block.runs))
+      layout.space(6)
+    } else if (block.type === 'quote') {
+      layout.space(2)
+      layout.quote(block.text)
+      layout.space(8)
+    } else {
+      block.items.forEach((item, i) => {
+        layout.text(runsToSpans(item), {
+          x: PAGE.margin + 24,
+          width: CONTENT_WIDTH - 24,
+          marker: block.ordered ? `${i + 1}.` : '•',
+        })
+      })
+      layout.space(6)
+    }
+  }
+
+  layout.space(10)
+  layout.heading('Appendix: citations', 13)
+  layout.space(2)
+  if (memo.citations.length === 0) layout.text([{ text: 'No formal citations were found in the answer.', font: 'F3' }])
+  memo.citations.forEach((c, i) => {
+    layout.text([
+      { text: `${i + 1}. ${c.label}`, font: 'F2' },
+      ...(c.heading ? [{ text: ` — ${c.heading}`, font: 'F1' as const }] : []),
+    ])
+    for (const url of c.urls) {
+      layout.text([{ text: url, font: 'F1', color: LINK, url }], { x: PAGE.margin + 14, width: CONTENT_WIDTH - 14, size: 9 })
+    }
+    layout.space(4)
+  })
+  layout.footers()
+
+  return assemblePdf(layout.pages, { title: `${memo.title}: ${memo.question.slice(0, 120)}`, created: memo.answeredAt })
+}
+
+function assemblePdf(pages: Page[], info: { title: string; created: Date }): Buffer {
+  const objects: Array<string | Buffer> = []
+  const add = (body: string | Buffer) => objects.push(body)
+  const ref = (id: number) => `${id} 0 R`
+
+  add('') // 1: catalog, set below
+  add('') // 2: page tree, set below
+  const fontIds = (Object.keys(FONTS) as FontKey[]).map((key) =>
+    add(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[key]} /Encoding /WinAnsiEncoding >>`),
+  )
+  // Created when answered (as in the DOCX export), modified when exported
+  const infoId = add(
+    `<< /Title ${pdfString(info.title)} /Producer (ask-caa memo export) /CreationDate (${pdfDate(info.created)}) /ModDate (${pdfDate(new Date())}) >>`,
+  )
+  const fontResources = (Object.keys(FONTS) as FontKey[]).map((key, i) => `/${key} ${ref(fontIds[i])}`).join(' ')
+
+  const pageIds: number[] = []
+  for (const page of pages) {
+    const data = zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'))
+    const contentId = add(
+      Buffer.concat([
+        Buffer.from(`<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        data,
+        Buffer.from('\nendstream', 'latin1'),
+      ]),
+    )
+    const annotIds = page.links.map((link) =>
+      add(
+        `<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(fmt).join(' ')}] /Border [0 0 0] /A << /Type /Action /S /URI /URI ${pdfString(link.url)} >> >>`,
+      ),
+    )
+    pageIds.push(
+      add(
+        `<< /Type /Page /Parent ${ref(2)} /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] /Resources << /Font << ${fontResources} >> >> /Contents ${ref(contentId)}${
+          annotIds.length > 0 ? ` /Annots [${annotIds.map(ref).join(' ')}]` : ''
+        } >>`,
+      ),
+    )
+  }
+  objects[0] = `<< /Type /Catalog /Pages ${ref(2)} >>`
+  objects[1] = `<< /Type /Pages /Kids [${pageIds.map(ref).join(' ')}] /Count ${pageIds.length} >>`
+
+  const chunks: Buffer[] = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')]
+  let offset = chunks[0].length
+  const offsets: number[] = []
+  objects.forEach((body, i) => {
+    const chunk = Buffer.concat([
+      Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+      typeof body === 'string' ? Buffer.from(body, 'latin1') : body,
+      Buffer.from('\nendobj\n', 'latin1'),
+    ])
+    offsets.push(offset)
+    offset += chunk.length
+    chunks.push(chunk)
+  })
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${ref(1)} /Info ${ref(infoId)} >>`,
+    'startxref',
+    String(offset),
+    '%%EOF',
+    '',
+  ].join('\n')
+  chunks.push(Buffer.from(xref, 'latin1'))
+  return Buffer.concat(chunks)
+}
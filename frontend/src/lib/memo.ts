@@ -0,0 +1,224 @@
+import { extractCitations } from '@scripts/verify.js'
+import { loadProvisions } from '@/lib/corpus'
+
+// A stored answer laid out as a legal memo, rendered by memoToMarkdown(),
+// renderMemoPdf() (lib/memo-pdf.ts) and renderMemoDocx() (lib/memo-docx.ts).
+
+export const MEMO_FORMATS = ['pdf', 'docx', 'md'] as const
+export type MemoFormat = (typeof MEMO_FORMATS)[number]
+
+// Inline text runs: Markdown emphasis kept as bold/italic, links as their URL
+export type MemoRun = { text: string; bold?: boolean; italic?: boolean; code?: boolean; url?: string }
+
+export type MemoBlock =
+  | { type: 'heading'; text: string }
+  | { type: 'paragraph'; runs: MemoRun[] }
+  | { type: 'list'; ordered: boolean; items: MemoRun[][] }
+  // Quoted provision text (```text fences in the answer)
+  | { type: 'quote'; text: string }
+
+export type MemoCitation = { label: string; provisionId: string; heading: string | null; urls: string[] }
+
+export type Memo = {
+  title: string
+  question: string
+  answeredAt: Date
+  model: string
+  corpusVersion: string | null
+  // "formal-memo@1 (7952ad574a305cac)"; null for answers from before policies were recorded
+  policy: string | null
+  reference: string // QueryHistory id
+  // Issue / Rule / Application / Conclusion; the Citations section becomes the appendix
+  blocks: MemoBlock[]
+  citations: MemoCitation[]
+  disclaimer: string
+}
+
+export const MEMO_DISCLAIMER =
+  'Generated by an AI model from the New Zealand Civil Aviation Act and Civil Aviation Rules as of the corpus version shown. ' +
+  'It is not legal advice: check every quote and citation against the current consolidation before relying on it.'
+
+const INLINE_RE = /\*\*(.+?)\*\*|__(.+?)__|\*(.+?)\*|_(.+?)_|`([^`]+)`|\[([^\]]+)\]\((\S+?)\)|(https?:\/\/[^\s)>\]]+)/g
+
+/**
+ * Markdown inline formatting as runs (bold, italic, code, links); nesting is flattened.
+ */
+export function parseInline(text: string): MemoRun[] {
+  const runs: MemoRun[] = []
+  let last = 0
+  for (const m of text.matchAll(INLINE_RE)) {
+    if (m.index! > last) runs.push({ text: text.slice(last, m.index) })
+    if (m[1] ?? m[2]) runs.push({ text: (m[1] ?? m[2])!, bold: true })
+    else if (m[3] ?? m[4]) runs.push({ text: (m[3] ?? m[4])!, italic: true })
+    else if (m[5]) runs.push({ text: m[5], code: true })
+    else if (m[6]) runs.push({ text: m[6], url: m[7] })
+    else runs.push({ text: m[8], url: m[8] })
+    last = m.index! + m[0].length
+  }
+  if (last < text.length) runs.push({ text: text.slice(last) })
+  return runs.filter((r) => r.text !== '')
+}
+
+export function runsText(runs: MemoRun[]): string {
+  return runs.map((r) => r.text).join('')
+}
+
+/**
+ * Body blocks of an answer, without its `## Citations` section.
+ */
+export function answerBlocks(markdown: string): MemoBlock[] {
+  const blocks: MemoBlock[] = []
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n')
+  let paragraph: string[] = []
+  let list: { ordered: boolean; items: string[] } | null = null
+  let skipping = false
+
+  const flush = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', runs: parseInline(paragraph.join(' ')) })
+    if (list) blocks.push({ type: 'list', ordered: list.ordered, items: list.items.map(parseInline) })
+    paragraph = []
+    list = null
+  }
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i]
+    const heading = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/.exec(line)
+    if (heading) {
+      flush()
+      skipping = /^citations?$/i.test(heading[1].trim())
+      if (!skipping) blocks.push({ type: 'heading', text: heading[1].replace(/[*_`]/g, '') })
+      continue
+    }
+    if (/^\s*```/.test(line)) {
+      flush()
+      const body: string[] = []
+      for (i += 1; i < lines.length && !/^\s*```/.test(lines[i]); i += 1) body.push(lines[i])
+      if (!skipping) blocks.push({ type: 'quote', text: body.join('\n').trim() })
+      continue
+    }
+    if (skipping) continue
+    const quoteLine = /^\s*>\s?(.*)$/.exec(line)
+    if (quoteLine) {
+      flush()
+      const body = [quoteLine[1]]
+      while (i + 1 < lines.length && /^\s*>/.test(lines[i + 1])) body.push(lines[++i].replace(/^\s*>\s?/, ''))
+      blocks.push({ type: 'quote', text: body.join('\n').trim() })
+      continue
+    }
+    const item = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/.exec(line)
+    if (item) {
+      if (paragraph.length > 0) flush()
+      const ordered = Boolean(item[2])
+      if (list && list.ordered !== ordered) flush()
+      list = list ?? { ordered, items: [] }
+      list.items.push(item[3])
+      continue
+    }
+    if (!line.trim() || /^\s*(-{3,}|\*{3,})\s*$/.test(line)) {
+      flush()
+      continue
+    }
+    // Continuation of a list item, or paragraph text
+    if (list && /^\s+/.test(line) && paragraph.length === 0) list.items[list.items.length - 1] += ' ' + line.trim()
+    else paragraph.push(line.trim())
+  }
+  flush()
+  return blocks
+}
+
+/**
+ * Every provision the answer cites, with its heading and URL from the provision index.
+ */
+export function memoCitations(markdown: string): MemoCitation[] {
+  const provisions = new Map(loadProvisions().map((p) => [p.id, p]))
+  return extractCitations(markdown).map((c) => {
+    const provision = provisions.get(c.provisionId)
+    const urls = [...new Set([...(provision?.source_url ? [provision.source_url] : []), ...c.urls])]
+    return { label: c.raw, provisionId: c.provisionId, heading: provision?.heading ?? null, urls }
+  })
+}
+
+export function buildMemo(entry: {
+  id: string
+  createdAt: Date
+  question: string
+  answer: string
+  model: string
+  corpusVersion: string | null
+  policyId?: string | null
+  policyVersion?: number | null
+  policyHash?: string | null
+}): Memo {
+  return {
+    title: 'Legal memo',
+    question: entry.question,
+    answeredAt: entry.createdAt,
+    model: entry.model,
+    corpusVersion: entry.corpusVersion,
+    policy: entry.policyId
+      ? `${entry.policyId}@${entry.policyVersion ?? '?'}${entry.policyHash ? ` (${entry.policyHash})` : ''}`
+      : null,
+    reference: entry.id,
+    blocks: answerBlocks(entry.answer),
+    citations: memoCitations(entry.answer),
+    disclaimer: process.env.MEMO_DISCLAIMER || MEMO_DISCLAIMER,
+  }
+}
+
+export function memoFileName(memo: Memo, format: MemoFormat): string {
+  const slug = memo.question
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50)
+    .replace(/-+$/, '')
+  return `memo-${memo.answeredAt.toISOString().slice(0, 10)}-${slug || memo.reference}.${format}`
+}
+
+// Metadata rows shown under the title in every format
+export function memoDetails(memo: Memo): Array<[string, string]> {
+  return [
+    ['Question', memo.question],
+    ['Date', memo.answeredAt.toISOString().replace('T', ' ').slice(0, 16) + ' UTC'],
+    ['Model', memo.model],
+    ['Corpus version', memo.corpusVersion ?? 'not recorded'],
+    ['Prompt policy', memo.policy ?? 'not recorded'],
+    ['Reference', memo.reference],
+  ]
+}
+
+function runsToMarkdown(runs: MemoRun[]): string {
+  return runs
+    .map((r) =>
+      r.url && r.url !== r.text
+        ? `[${r.text}](${r.url})`
+        : r.code
+        ? `\`${r.text}\``
+        : r.bold
+        ? `**${r.text}**`
+        : r.italic
+        ? `*${r.text}*`
+        : r.text,
+    )
+    .join('')
+}
+
+export function memoToMarkdown(memo: Memo): string {
+  const out: string[] = [`# ${memo.title}`, '']
+  for (const [label, value] of memoDetails(memo)) out.push(`- **${label}:** ${value.replace(/\s+/g, ' ')}`)
+  out.push('')
+  for (const block of memo.blocks) {
+    if (block.type === 'heading') out.push(`## ${block.text}`, '')
+    else if (block.type === 'paragraph') out.push(runsToMarkdown(block.runs), '')
+    else if (block.type === 'quote') out.push(...block.text.split('\n').map((l) => (l ? `> ${l}` : '>')), '')
+    else out.push(...block.items.map((item, i) => `${block.ordered ? `${i + 1}.` : '-'} ${runsToMarkdown(item)}`), '')
+  }
+  out.push('## Appendix: citations', '')
+  if (memo.citations.length === 0) out.push('No formal citations were found in the answer.', '')
+  memo.citations.forEach((c, i) => {
+    out.push(`${i + 1}. ${c.label}${c.heading ? ` — ${c.heading}` : ''}`)
+    for (const url of c.urls) out.push(`   <${url}>`)
+  })
+  out.push('', '---', '', `*${memo.disclaimer}*`, '')
+  return out.join('\n')
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server'
+import { resolveDefaultPaths } from '@/lib/corpus'
+import { loadPolicies, policyRefs, resolvePolicy, type Policy } from '@scripts/policies.js'
+
+// Prompt policies: scripts/policies/<id>/v<N>.md (scripts/lib/policies.js)
+
+export function policiesDir(): string {
+  return process.env.POLICIES_DIR || resolveDefaultPaths().defaultPoliciesDir
+}
+
+/**
+ * Every policy version, read on each call so a new version file applies
+ * without a restart (a handful of small files).
+ */
+export function getPolicies(): Policy[] {
+  return loadPolicies(policiesDir())
+}
+
+export function defaultPolicyRef(): string | null {
+  return process.env.ASK_POLICY || null
+}
+
+/**
+ * The policy a request names ("student", "student@2"), ASK_POLICY when it
+ * names none; a 400 response when there is no such policy.
+ */
+export function requestPolicy(ref?: string | null): Policy | NextResponse {
+  const policies = getPolicies()
+  const policy = resolvePolicy(policies, ref, { defaultRef: defaultPolicyRef() })
+  if (policy) return policy
+  const available = policyRefs(policies)
+  return NextResponse.json(
+    { error: `Unknown policy: ${ref || defaultPolicyRef() || 'default'} (available: ${available || `none in ${policiesDir()}`})` },
+    { status: 400 },
+  )
+}
+
+// What answers record and responses report
+export type PolicyInfo = { id: string; version: number; hash: string; title: string }
+
+export function policyInfo(policy: Policy): PolicyInfo {
+  return { id: policy.id, version: policy.version, hash: policy.hash, title: policy.title }
+}
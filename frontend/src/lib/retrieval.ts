@@ -0,0 +1,194 @@
+import prisma from '@/lib/prisma'
+import { embedderFromEnv, toVectorLiteral } from '@scripts/embeddings.js'
+import type { ContextSummary } from '@scripts/context_budget.js'
+
+export type RetrievedChunk = {
+  id: string
+  provisionId: string
+  chunkIndex: number
+  source: string
+  part: string | null
+  subpart: string | null
+  heading: string
+  text: string
+  sourceUrl: string | null
+  score: number
+  // Set on chunks pulled in because a primary provision cites them
+  referencedFrom?: string | null
+}
+
+export type RetrievalSummary = {
+  mode: 'retrieval' | 'full'
+  embedder?: string
+  reason?: string
+  chunks: Array<Pick<RetrievedChunk, 'id' | 'provisionId' | 'heading' | 'sourceUrl' | 'score' | 'referencedFrom'>>
+  // Glossary entries attached for defined terms in the question and chunks
+  definitions?: Array<{ id: string; term: string; provisionId: string }>
+  // Whole-corpus mode: the token budget and the CAR Parts sent or left out (context_budget.js)
+  context?: ContextSummary
+}
+
+type RetrieveOptions = {
+  topK?: number
+  definitionIds?: string[]
+  definitionK?: number
+  referenceK?: number
+}
+
+function envNumber(name: string, fallback: number): number {
+  const value = Number(process.env[name])
+  return Number.isFinite(value) && value >= 1 ? Math.floor(value) : fallback
+}
+
+export function retrievalDefaults() {
+  return {
+    topK: envNumber('RAG_TOP_K', 12),
+    // Largest top_k / reference_k a request may ask for
+    maxTopK: envNumber('RAG_MAX_TOP_K', 50),
+    definitionK: envNumber('RAG_DEFINITION_K', 4),
+    // Chunks of provisions the top-k cite ("rule 91.247", "section 30 of the Act"); 0 disables
+    referenceK: process.env.RAG_REFERENCE_K === '0' ? 0 : envNumber('RAG_REFERENCE_K', 4),
+    // CAR 1.1 Definitions and the Act's interpretation section
+    definitionIds: (process.env.RAG_DEFINITION_IDS || 'CAR-1.1,CAA-s5')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean),
+  }
+}
+
+/**
+ * Why a request's top_k / reference_k cannot be used, or null. They end up in
+ * SQL LIMITs, and a bad value would otherwise fail retrieval and fall back to
+ * the whole corpus: top_k must be an integer from 1 to RAG_MAX_TOP_K,
+ * reference_k from 0.
+ */
+export function retrievalParamsError(body: { top_k?: unknown; reference_k?: unknown }): string | null {
+  const { maxTopK } = retrievalDefaults()
+  const valid = (value: unknown, min: number) =>
+    value === undefined || (Number.isInteger(value) && (value as number) >= min && (value as number) <= maxTopK)
+  if (!valid(body.top_k, 1)) return `top_k must be an integer from 1 to ${maxTopK}`
+  if (!valid(body.reference_k, 0)) return `reference_k must be an integer from 0 to ${maxTopK}`
+  return null
+}
+
+/**
+ * Closest chunks of provisions that `fromIds` reference, via the
+ * ProvisionReference graph (`npm run ingest:xref`). Empty if it is not loaded.
+ */
+async function referencedChunks(fromIds: string[], literal: string, embedder: string, k: number) {
+  if (fromIds.length === 0 || k <= 0) return []
+  try {
+    return await prisma.$queryRaw<RetrievedChunk[]>`
+      SELECT c."id", c."provisionId", c."chunkIndex", c."source", c."part", c."subpart", c."heading", c."text",
+             c."sourceUrl", 1 - (c."embedding" <=> ${literal}::vector) AS "score", r."fromId" AS "referencedFrom"
+      FROM "ProvisionReference" r
+      JOIN "ProvisionChunk" c ON c."provisionId" = r."toId"
+      WHERE r."fromId" = ANY(${fromIds}) AND NOT (r."toId" = ANY(${fromIds}))
+        AND c."embedder" = ${embedder} AND c."embedding" IS NOT NULL
+      ORDER BY c."embedding" <=> ${literal}::vector
+      LIMIT ${k * 3}`
+  } catch (error) {
+    console.warn('[retrieval] reference expansion skipped', { message: (error as Error)?.message })
+    return []
+  }
+}
+
+/**
+ * Top-k chunks by cosine similarity, plus the closest chunks of the
+ * definitions provisions so defined terms are always in context, and of the
+ * provisions the top-k directly reference.
+ */
+export async function retrieveChunks(question: string, options: RetrieveOptions = {}) {
+  const defaults = retrievalDefaults()
+  const topK = options.topK ?? defaults.topK
+  const definitionK = options.definitionK ?? defaults.definitionK
+  const definitionIds = options.definitionIds ?? defaults.definitionIds
+  const referenceK = options.referenceK ?? defaults.referenceK
+
+  const embedder = embedderFromEnv(process.env)
+  const [vector] = await embedder.embed([question])
+  const literal = toVectorLiteral(vector)
+
+  const primary = await prisma.$queryRaw<RetrievedChunk[]>`
+    SELECT "id", "provisionId", "chunkIndex", "source", "part", "subpart", "heading", "text", "sourceUrl",
+           1 - ("embedding" <=> ${literal}::vector) AS "score"
+    FROM "ProvisionChunk"
+    WHERE "embedder" = ${embedder.id} AND "embedding" IS NOT NULL
+    ORDER BY "embedding" <=> ${literal}::vector
+    LIMIT ${topK}`
+
+  const definitions =
+    definitionIds.length > 0 && definitionK > 0
+      ? await prisma.$queryRaw<RetrievedChunk[]>`
+          SELECT "id", "provisionId", "chunkIndex", "source", "part", "subpart", "heading", "text", "sourceUrl",
+                 1 - ("embedding" <=> ${literal}::vector) AS "score"
+          FROM "ProvisionChunk"
+          WHERE "embedder" = ${embedder.id} AND "embedding" IS NOT NULL
+            AND "provisionId" = ANY(${definitionIds})
+          ORDER BY "embedding" <=> ${literal}::vector
+          LIMIT ${definitionK}`
+      : []
+
+  const primaryIds = [...new Set(primary.map((c) => c.provisionId))]
+  const references = await referencedChunks(primaryIds, literal, embedder.id, referenceK)
+
+  const seen = new Set<string>()
+  const chunks: RetrievedChunk[] = []
+  let referenced = 0
+  for (const chunk of [...primary, ...definitions, ...references]) {
+    if (seen.has(chunk.id)) continue
+    if (chunk.referencedFrom) {
+      if (referenced >= referenceK) continue
+      referenced += 1
+    }
+    seen.add(chunk.id)
+    chunks.push({ ...chunk, score: Number(chunk.score) })
+  }
+  return { embedder: embedder.id, chunks }
+}
+
+function provisionOrder(a: RetrievedChunk, b: RetrievedChunk): number {
+  return (
+    a.provisionId.localeCompare(b.provisionId, 'en', { numeric: true }) || a.chunkIndex - b.chunkIndex
+  )
+}
+
+/**
+ * Render retrieved chunks as Act and Rules excerpts, grouped by provision in
+ * document order, each tagged with its id and source_url for citation.
+ */
+export function formatRetrievedContext(chunks: RetrievedChunk[]) {
+  const render = (list: RetrievedChunk[]) => {
+    const blocks: string[] = []
+    let current: string | null = null
+    for (const chunk of [...list].sort(provisionOrder)) {
+      if (chunk.provisionId !== current) {
+        current = chunk.provisionId
+        blocks.push(`[${chunk.provisionId}] source_url: ${chunk.sourceUrl ?? 'n/a'}\n${chunk.text}`)
+      } else {
+        // continuation chunk repeats the heading; keep only the body
+        blocks.push(chunk.text.split('\n').slice(2).join('\n'))
+      }
+    }
+    return blocks.join('\n\n')
+  }
+  return {
+    caaText: render(chunks.filter((c) => c.source === 'CAA')),
+    carText: render(chunks.filter((c) => c.source !== 'CAA')),
+  }
+}
+
+export function summarizeRetrieval(embedder: string, chunks: RetrievedChunk[]): RetrievalSummary {
+  return {
+    mode: 'retrieval',
+    embedder,
+    chunks: chunks.map(({ id, provisionId, heading, sourceUrl, score, referencedFrom }) => ({
+      id,
+      provisionId,
+      heading,
+      sourceUrl,
+      score: Math.round(score * 1000) / 1000,
+      ...(referencedFrom ? { referencedFrom } : {}),
+    })),
+  }
+}
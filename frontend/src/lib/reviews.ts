@@ -0,0 +1,51 @@
+import prisma from '@/lib/prisma'
+import { normalizeQuestion } from '@scripts/answer_cache.js'
+
+export const REVIEW_STATUSES = ['approved', 'corrected', 'rejected'] as const
+export type ReviewStatus = (typeof REVIEW_STATUSES)[number]
+
+export const FEEDBACK_RATINGS = { up: 1, down: -1 } as const
+
+// An expert-reviewed earlier answer to the same question, shown with a new answer
+export type ReviewedAnswer = {
+  status: 'approved' | 'corrected'
+  queryId: string
+  reviewedAt: string
+  correctedAnswer?: string
+  note?: string
+}
+
+// Same normalisation as the answer cache, so "VFR minima?" matches "vfr minima"
+export function questionKey(question: string): string {
+  return normalizeQuestion(question)
+}
+
+export function surfaceReviews(): boolean {
+  return !['0', 'false', 'off'].includes((process.env.ASK_SURFACE_REVIEWS ?? '').toLowerCase())
+}
+
+/**
+ * Latest approved or corrected review of an answer to the same question, or
+ * null (also when ASK_SURFACE_REVIEWS=0 or the lookup fails).
+ */
+export async function reviewedAnswerFor(question: string): Promise<ReviewedAnswer | null> {
+  if (!surfaceReviews()) return null
+  try {
+    const review = await prisma.answerReview.findFirst({
+      where: { questionKey: questionKey(question), status: { in: ['approved', 'corrected'] } },
+      orderBy: { updatedAt: 'desc' },
+      select: { status: true, queryHistoryId: true, updatedAt: true, correctedAnswer: true, note: true },
+    })
+    if (!review) return null
+    return {
+      status: review.status as ReviewedAnswer['status'],
+      queryId: review.queryHistoryId,
+      reviewedAt: review.updatedAt.toISOString(),
+      ...(review.status === 'corrected' && review.correctedAnswer ? { correctedAnswer: review.correctedAnswer } : {}),
+      ...(review.note ? { note: review.note } : {}),
+    }
+  } catch (error) {
+    console.warn('[ask] review lookup warning', { message: (error as Error)?.message })
+    return null
+  }
+}
@@ -0,0 +1,79 @@
+import { loadProvisions, type Provision } from '@/lib/corpus'
+import { normalizePart } from '@/lib/citations'
+
+// Read-only views over the provision index for the /rules and /act reader pages.
+
+export type PartSummary = {
+  part: string
+  name: string
+  count: number
+}
+
+export type TocGroup = {
+  subpart: string | null
+  provisions: Provision[]
+}
+
+export function carParts(): PartSummary[] {
+  const parts = new Map<string, PartSummary>()
+  for (const p of loadProvisions()) {
+    if (p.source !== 'CAR' || !p.part) continue
+    const part = normalizePart(p.part)
+    const summary = parts.get(part) ?? { part, name: p.part_name ?? '', count: 0 }
+    summary.count += 1
+    if (!summary.name && p.part_name) summary.name = p.part_name
+    parts.set(part, summary)
+  }
+  return [...parts.values()].sort((a, b) => Number.parseInt(a.part, 10) - Number.parseInt(b.part, 10) || a.part.localeCompare(b.part))
+}
+
+/**
+ * Provisions of one CAR Part in document order; `part` may be '91' or '091'.
+ */
+export function partProvisions(part: string): Provision[] {
+  const wanted = normalizePart(part)
+  return loadProvisions().filter((p) => p.source === 'CAR' && p.part && normalizePart(p.part) === wanted)
+}
+
+export function actProvisions(): Provision[] {
+  return loadProvisions().filter((p) => p.source === 'CAA')
+}
+
+export function findProvision(id: string): Provision | null {
+  return loadProvisions().find((p) => p.id === id) ?? null
+}
+
+/**
+ * Consecutive provisions grouped by subpart heading, for a table of contents.
+ */
+export function groupBySubpart(provisions: Provision[]): TocGroup[] {
+  const groups: TocGroup[] = []
+  for (const p of provisions) {
+    const last = groups[groups.length - 1]
+    if (last && last.subpart === p.subpart) last.provisions.push(p)
+    else groups.push({ subpart: p.subpart, provisions: [p] })
+  }
+  return groups
+}
+
+export function neighbours(provisions: Provision[], id: string): { prev: Provision | null; next: Provision | null } {
+  const index = provisions.findIndex((p) => p.id === id)
+  if (index === -1) return { prev: null, next: null }
+  return { prev: provisions[index - 1] ?? null, next: provisions[index + 1] ?? null }
+}
+
+/**
+ * In-page anchor for a provision on its Part / Act table of contents.
+ */
+export function provisionAnchor(p: Provision): string {
+  if (p.kind === 'appendix') return p.source === 'CAA' ? `schedule-${p.number}` : `appendix-${p.number}`
+  return p.id.replace(/^(CAR-|CAA-s)/, '')
+}
+
+/**
+ * PDF link for a provision, at its first page when known.
+ */
+export function provisionPdfUrl(p: Provision): string | null {
+  if (!p.source_url) return null
+  return p.page_start ? `${p.source_url}#page=${p.page_start}` : p.source_url
+}
@@ -0,0 +1,28 @@
+import prisma from '@/lib/prisma'
+import { buildSearchQuery, shapeSearchRows, type SearchOptions, type SearchRow } from '@scripts/search.js'
+
+/**
+ * Full-text search over the Provision table (loaded by `npm run ingest:search`).
+ * Throws on invalid options (missing query, unknown source).
+ */
+export async function searchProvisions(options: SearchOptions) {
+  const { text, values, options: query } = buildSearchQuery(options)
+  const rows = await prisma.$queryRawUnsafe<SearchRow[]>(text, ...values)
+  return { query, ...shapeSearchRows(rows) }
+}
+
+/**
+ * Search options from a query string: q, source, part, subpart, phrase, limit, offset.
+ */
+export function searchOptionsFromParams(params: URLSearchParams): SearchOptions {
+  const number = (name: string) => (params.has(name) ? Number(params.get(name)) : undefined)
+  return {
+    q: params.get('q') ?? '',
+    source: params.get('source'),
+    part: params.get('part'),
+    subpart: params.get('subpart'),
+    phrase: params.get('phrase') === '1' || params.get('phrase') === 'true',
+    limit: number('limit'),
+    offset: number('offset'),
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Minimal Server-Sent Events reader for fetch() responses (EventSource cannot POST).
+ * Calls `onEvent` for every complete `event:`/`data:` block; data is JSON-parsed.
+ */
+export async function readEventStream(
+  body: ReadableStream<Uint8Array>,
+  onEvent: (event: string, data: unknown) => void,
+): Promise<void> {
+  const reader = body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+    let boundary = buffer.indexOf('\n\n')
+    while (boundary >= 0) {
+      const block = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+      boundary = buffer.indexOf('\n\n')
+      let event = 'message'
+      const dataLines: string[] = []
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart())
+      }
+      if (dataLines.length === 0) continue
+      const raw = dataLines.join('\n')
+      let data: unknown = raw
+      try {
+        data = JSON.parse(raw)
+      } catch {}
+      onEvent(event, data)
+    }
+  }
+}
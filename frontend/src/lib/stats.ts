@@ -0,0 +1,198 @@
+import prisma from '@/lib/prisma'
+import { costOf, priceTable, pricingFor, type BatchPricing } from '@scripts/batch.js'
+import { normalizeQuestion } from '@scripts/answer_cache.js'
+
+// Usage and cost analytics over QueryHistory (and StudyQuiz) for /api/stats.
+// Days are UTC; cache hits are counted as requests but spend no tokens.
+
+type UsageRow = {
+  day: Date
+  model: string
+  context: string
+  requests: number
+  cacheHits: number
+  truncated: number
+  promptTokens: number
+  completionTokens: number
+  totalTokens: number
+}
+
+export type UsageTotals = {
+  requests: number
+  cacheHits: number
+  // finish_reason "length": the answer hit max_tokens
+  truncated: number
+  promptTokens: number
+  completionTokens: number
+  totalTokens: number
+  // null when none of the tokens have a price
+  costUsd: number | null
+}
+
+export type LatencyStats = { model: string | null; answers: number; mean: number; p50: number; p90: number; p95: number; p99: number }
+
+export type TopQuestion = { question: string; count: number; cacheHits: number; lastAskedAt: string }
+
+export type Stats = {
+  since: string
+  days: number
+  totals: UsageTotals & { truncationRate: number | null; cacheHitRate: number | null }
+  byDay: Array<{ day: string } & UsageTotals>
+  byModel: Array<{ model: string; pricing: BatchPricing | null } & UsageTotals>
+  // 'retrieval' | 'full' (the whole corpus) from QueryHistory.retrieval.mode
+  byContext: Array<{ context: string } & UsageTotals>
+  // Answers the model was called for (cache hits and cancelled / failed streams excluded), per model and overall (model null)
+  latency: LatencyStats[]
+  topQuestions: TopQuestion[]
+  study: { quizzes: number; totalTokens: number; costUsd: number | null }
+  unpricedModels: string[]
+}
+
+function emptyTotals(): UsageTotals {
+  return { requests: 0, cacheHits: 0, truncated: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: null }
+}
+
+function addRow(totals: UsageTotals, row: Omit<UsageRow, 'day' | 'model' | 'context'>, cost: number | null) {
+  totals.requests += row.requests
+  totals.cacheHits += row.cacheHits
+  totals.truncated += row.truncated
+  totals.promptTokens += row.promptTokens
+  totals.completionTokens += row.completionTokens
+  totals.totalTokens += row.totalTokens
+  if (cost !== null) totals.costUsd = Math.round(((totals.costUsd ?? 0) + cost) * 1e6) / 1e6
+}
+
+function groupTotals<K extends string>(
+  rows: Array<{ row: UsageRow; cost: number | null }>,
+  keyOf: (row: UsageRow) => string,
+  name: K,
+): Array<Record<K, string> & UsageTotals> {
+  const groups = new Map<string, UsageTotals>()
+  for (const { row, cost } of rows) {
+    const key = keyOf(row)
+    if (!groups.has(key)) groups.set(key, emptyTotals())
+    addRow(groups.get(key)!, row, cost)
+  }
+  return [...groups].map(([key, totals]) => ({ [name]: key, ...totals }) as Record<K, string> & UsageTotals)
+}
+
+/**
+ * Requests, tokens, cost, truncations and latency for the last `days` days,
+ * with the `top` most asked questions (case, whitespace, quotes and a
+ * trailing "?" ignored, as in the answer cache).
+ */
+export async function loadStats({ days, top }: { days: number; top: number }): Promise<Stats> {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+  since.setUTCHours(0, 0, 0, 0)
+  const prices = priceTable()
+
+  const [usage, latency, questions, quizzes] = await Promise.all([
+    prisma.$queryRaw<UsageRow[]>`
+      SELECT date_trunc('day', "createdAt" AT TIME ZONE 'UTC') AS "day", "model",
+             COALESCE("retrieval"->>'mode', 'unknown') AS "context",
+             COUNT(*)::int AS "requests",
+             COUNT("cachedFromId")::int AS "cacheHits",
+             (COUNT(*) FILTER (WHERE "finishReason" = 'length'))::int AS "truncated",
+             COALESCE(SUM("promptTokens"), 0)::float8 AS "promptTokens",
+             COALESCE(SUM("completionTokens"), 0)::float8 AS "completionTokens",
+             COALESCE(SUM("totalTokens"), 0)::float8 AS "totalTokens"
+      FROM "QueryHistory"
+      WHERE "createdAt" >= ${since}
+      GROUP BY 1, 2, 3
+      ORDER BY 1, 2, 3`,
+    prisma.$queryRaw<LatencyStats[]>`
+      SELECT "model", COUNT(*)::int AS "answers", AVG("durationMs")::float8 AS "mean",
+             percentile_cont(0.5) WITHIN GROUP (ORDER BY "durationMs")::float8 AS "p50",
+             percentile_cont(0.9) WITHIN GROUP (ORDER BY "durationMs")::float8 AS "p90",
+             percentile_cont(0.95) WITHIN GROUP (ORDER BY "durationMs")::float8 AS "p95",
+             percentile_cont(0.99) WITHIN GROUP (ORDER BY "durationMs")::float8 AS "p99"
+      FROM "QueryHistory"
+      WHERE "createdAt" >= ${since} AND "cachedFromId" IS NULL AND "durationMs" IS NOT NULL
+        AND ("finishReason" IS NULL OR "finishReason" NOT IN ('cancelled', 'error'))
+      GROUP BY GROUPING SETS (("model"), ())
+      ORDER BY "model" NULLS FIRST`,
+    // Grouped roughly in SQL, then merged with the answer cache's normalisation
+    prisma.$queryRaw<Array<{ question: string; count: number; cacheHits: number; lastAskedAt: Date }>>`
+      SELECT MIN("question") AS "question", COUNT(*)::int AS "count",
+             COUNT("cachedFromId")::int AS "cacheHits", MAX("createdAt") AS "lastAskedAt"
+      FROM "QueryHistory"
+      WHERE "createdAt" >= ${since}
+      GROUP BY lower(regexp_replace(btrim("question"), '\\s+', ' ', 'g'))
+      ORDER BY 2 DESC, 4 DESC
+      LIMIT ${top * 5}`,
+    prisma.studyQuiz.groupBy({
+      by: ['model'],
+      where: { createdAt: { gte: since } },
+      _count: { _all: true },
+      _sum: { promptTokens: true, completionTokens: true, totalTokens: true },
+    }),
+  ])
+
+  const unpriced = new Set<string>()
+  const priced = usage.map((row) => {
+    const pricing = pricingFor(prices, row.model)
+    if (!pricing && row.totalTokens > 0) unpriced.add(row.model)
+    const cost = costOf(
+      { prompt_tokens: row.promptTokens, completion_tokens: row.completionTokens, total_tokens: row.totalTokens },
+      pricing,
+    )
+    return { row, cost }
+  })
+
+  const totals = emptyTotals()
+  for (const { row, cost } of priced) addRow(totals, row, cost)
+
+  const merged = new Map<string, TopQuestion>()
+  for (const q of questions) {
+    const key = normalizeQuestion(q.question)
+    const seen = merged.get(key)
+    const lastAskedAt = q.lastAskedAt.toISOString()
+    if (seen) {
+      seen.count += q.count
+      seen.cacheHits += q.cacheHits
+      if (lastAskedAt > seen.lastAskedAt) seen.lastAskedAt = lastAskedAt
+    } else {
+      merged.set(key, { question: q.question, count: q.count, cacheHits: q.cacheHits, lastAskedAt })
+    }
+  }
+
+  let studyCost: number | null = null
+  for (const quiz of quizzes) {
+    const pricing = pricingFor(prices, quiz.model)
+    if (!pricing && (quiz._sum.totalTokens ?? 0) > 0) unpriced.add(quiz.model)
+    const cost = costOf(
+      {
+        prompt_tokens: quiz._sum.promptTokens ?? 0,
+        completion_tokens: quiz._sum.completionTokens ?? 0,
+        total_tokens: quiz._sum.totalTokens ?? 0,
+      },
+      pricing,
+    )
+    if (cost !== null) studyCost = Math.round(((studyCost ?? 0) + cost) * 1e6) / 1e6
+  }
+
+  return {
+    since: since.toISOString(),
+    days,
+    totals: {
+      ...totals,
+      truncationRate: totals.requests > totals.cacheHits ? totals.truncated / (totals.requests - totals.cacheHits) : null,
+      cacheHitRate: totals.requests > 0 ? totals.cacheHits / totals.requests : null,
+    },
+    byDay: groupTotals(priced, (row) => row.day.toISOString().slice(0, 10), 'day'),
+    byModel: groupTotals(priced, (row) => row.model, 'model')
+      .map((m) => ({ ...m, pricing: pricingFor(prices, m.model) }))
+      .sort((a, b) => (b.costUsd ?? 0) - (a.costUsd ?? 0) || b.totalTokens - a.totalTokens),
+    byContext: groupTotals(priced, (row) => row.context, 'context'),
+    latency,
+    topQuestions: [...merged.values()]
+      .sort((a, b) => b.count - a.count || b.lastAskedAt.localeCompare(a.lastAskedAt))
+      .slice(0, top),
+    study: {
+      quizzes: quizzes.reduce((n, q) => n + q._count._all, 0),
+      totalTokens: quizzes.reduce((n, q) => n + (q._sum.totalTokens ?? 0), 0),
+      costUsd: studyCost,
+    },
+    unpricedModels: [...unpriced].sort(),
+  }
+}
@@ -0,0 +1,163 @@
+import prisma from '@/lib/prisma'
+import { getVerifier, loadProvisions } from '@/lib/corpus'
+import { currentCorpusVersion } from '@/lib/answer-cache'
+import { buildRepairMessage } from '@scripts/answer_schema.js'
+import { addUsage, providerFromEnv, type CompletionRequest, type CompletionSummary } from '@scripts/llm.js'
+import {
+  QUIZ_SCHEMA,
+  QUIZ_SCHEMA_NAME,
+  buildQuizMessages,
+  mockQuizReply,
+  parseQuiz,
+  scoreItems,
+  type ItemScore,
+  type QuizQuestion,
+} from '@scripts/quiz.js'
+import type { SyllabusItem } from '@scripts/syllabus.js'
+
+function envNumber(name: string, fallback: number): number {
+  const raw = process.env[name]
+  if (raw === undefined || raw === '') return fallback
+  const value = Number(raw)
+  return Number.isFinite(value) && value >= 0 ? value : fallback
+}
+
+/**
+ * Questions per quiz (a request may ask for up to maxQuestions), and when an
+ * item counts as a weak area: accuracy below weakThreshold over at least
+ * minAttempts marked answers.
+ */
+export function studySettings() {
+  return {
+    questions: Math.max(1, Math.floor(envNumber('STUDY_QUESTIONS', 5))),
+    maxQuestions: 10,
+    maxOutputTokens: Math.floor(envNumber('STUDY_MAX_OUTPUT_TOKENS', 4000)) || 4000,
+    weakThreshold: Math.min(1, envNumber('STUDY_WEAK_THRESHOLD', 0.7)),
+    minAttempts: Math.floor(envNumber('STUDY_MIN_ATTEMPTS', 3)),
+  }
+}
+
+// Why no quiz was created; the route answers with `status`
+export type QuizFailure = { error: string; status: number; issues?: string[] }
+
+/**
+ * Ask the model for questions on a syllabus item, grounded in the item's
+ * mapped provisions, and store the quiz for the caller. One retry when the
+ * reply does not match the schema; questions whose quote does not verify are
+ * dropped. Returns a QuizFailure when nothing usable is left.
+ */
+export async function createQuiz(
+  item: SyllabusItem,
+  options: { userId: string | null; count: number; signal?: AbortSignal },
+) {
+  const byId = new Map(loadProvisions().map((p) => [p.id, p]))
+  const provisions = item.provisions.map((p) => byId.get(p.id)).filter((p) => p !== undefined)
+  if (provisions.length === 0) {
+    return { error: `No indexed provisions are mapped to syllabus item ${item.id}`, status: 409 }
+  }
+
+  const provider = providerFromEnv(process.env, { defaultModel: 'gpt-4.1' })
+  const base: CompletionRequest = {
+    messages: buildQuizMessages({ item, provisions, count: options.count }),
+    maxTokens: studySettings().maxOutputTokens,
+    jsonSchema: { name: QUIZ_SCHEMA_NAME, schema: QUIZ_SCHEMA },
+    mockReply: mockQuizReply,
+  }
+  const provisionIds = provisions.map((p) => p.id)
+  const verifier = getVerifier()
+
+  let request = base
+  let usage: CompletionSummary['usage'] = null
+  let questions: QuizQuestion[] = []
+  let issues: string[] = []
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const { content, summary } = await provider.complete(request, { signal: options.signal })
+    usage = addUsage(usage, summary.usage)
+    const parsed = parseQuiz(content, { provisionIds, verifier })
+    if (parsed.errors.length === 0) {
+      questions = parsed.questions.slice(0, options.count)
+      issues = parsed.rejected.map((r) => `question ${r.index + 1}: ${r.reason}`)
+      if (issues.length > 0) console.warn('[study] questions dropped', { item: item.id, issues })
+      break
+    }
+    issues = parsed.errors
+    console.warn('[study] quiz invalid', { attempt, errors: issues.slice(0, 5) })
+    request = {
+      ...base,
+      messages: [...base.messages, { role: 'assistant', content }, { role: 'user', content: buildRepairMessage(issues) }],
+    }
+  }
+  if (questions.length === 0) {
+    // Kept without questions so the tokens of both attempts count towards quotas and /stats
+    try {
+      await prisma.studyQuiz.create({
+        data: {
+          syllabusItemId: item.id,
+          userId: options.userId,
+          model: provider.model,
+          corpusVersion: currentCorpusVersion(),
+          totalTokens: usage?.total_tokens ?? null,
+          promptTokens: usage?.prompt_tokens ?? null,
+          completionTokens: usage?.completion_tokens ?? null,
+        },
+      })
+    } catch (persistError) {
+      console.warn('[study] persist warning', { message: (persistError as Error)?.message })
+    }
+    return { error: 'The model did not return any usable questions', status: 502, issues }
+  }
+
+  const quiz = await prisma.studyQuiz.create({
+    data: {
+      syllabusItemId: item.id,
+      userId: options.userId,
+      model: provider.model,
+      corpusVersion: currentCorpusVersion(),
+      totalTokens: usage?.total_tokens ?? null,
+      promptTokens: usage?.prompt_tokens ?? null,
+      completionTokens: usage?.completion_tokens ?? null,
+      questions: {
+        create: questions.map((q, position) => ({
+          position,
+          syllabusItemId: item.id,
+          type: q.type,
+          question: q.question,
+          options: q.options,
+          correctOption: q.correctOption,
+          answer: q.answer,
+          provisionId: q.provisionId,
+          quote: q.quote,
+        })),
+      },
+    },
+    select: {
+      id: true,
+      createdAt: true,
+      questions: { orderBy: { position: 'asc' }, select: { id: true, type: true, question: true, options: true } },
+    },
+  })
+  console.info('[study] quiz', { id: quiz.id, item: item.id, userId: options.userId, questions: questions.length, usage })
+  return { quiz: { ...quiz, syllabusItemId: item.id, dropped: issues.length } }
+}
+
+/**
+ * Per-item scores for one user (null: questions answered with AUTH_DISABLED),
+ * weakest first. Unmarked short answers count as attempts but not towards accuracy.
+ */
+export async function studyProgress(userId: string | null): Promise<ItemScore[]> {
+  const rows = await prisma.studyQuestion.groupBy({
+    by: ['syllabusItemId', 'correct'],
+    where: { answeredAt: { not: null }, quiz: { userId } },
+    _count: { _all: true },
+  })
+  const stats = new Map<string, { itemId: string; attempts: number; graded: number; correct: number }>()
+  for (const row of rows) {
+    const s = stats.get(row.syllabusItemId) ?? { itemId: row.syllabusItemId, attempts: 0, graded: 0, correct: 0 }
+    s.attempts += row._count._all
+    if (row.correct !== null) s.graded += row._count._all
+    if (row.correct) s.correct += row._count._all
+    stats.set(row.syllabusItemId, s)
+  }
+  const { weakThreshold, minAttempts } = studySettings()
+  return scoreItems([...stats.values()], { threshold: weakThreshold, minAttempts })
+}
@@ -0,0 +1,36 @@
+import fs from 'node:fs'
+import { resolveDefaultPaths } from '@/lib/corpus'
+import { syllabusItemMap, type Syllabus, type SyllabusItem } from '@scripts/syllabus.js'
+
+// PPL Air Law syllabus written by `npm run syllabus` (scripts/build_syllabus.js)
+
+export function syllabusPath(): string {
+  return process.env.SYLLABUS_PATH || resolveDefaultPaths().defaultSyllabusPath
+}
+
+let cache: { file: string; mtimeMs: number; syllabus: Syllabus; items: Map<string, SyllabusItem> } | null = null
+
+function load() {
+  const file = syllabusPath()
+  let stat: fs.Stats
+  try {
+    stat = fs.statSync(file)
+  } catch {
+    return null
+  }
+  if (cache && cache.file === file && cache.mtimeMs === stat.mtimeMs) return cache
+  const syllabus = JSON.parse(fs.readFileSync(file, 'utf8')) as Syllabus
+  cache = { file, mtimeMs: stat.mtimeMs, syllabus, items: syllabusItemMap(syllabus) }
+  return cache
+}
+
+/**
+ * The syllabus, re-read when the file changes; null when not built.
+ */
+export function loadSyllabus(): Syllabus | null {
+  return load()?.syllabus ?? null
+}
+
+export function syllabusItem(id: string): SyllabusItem | null {
+  return load()?.items.get(id) ?? null
+}
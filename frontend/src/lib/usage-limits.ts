@@ -0,0 +1,198 @@
+import { NextResponse } from 'next/server'
+import prisma from '@/lib/prisma'
+import { isAdmin, type Caller } from '@/lib/auth'
+
+// Why a question was refused; rendered as a 429 by limitResponse()
+export type LimitExceeded =
+  | {
+      code: 'rate_limit'
+      scope: 'user' | 'global'
+      limit: number
+      windowSeconds: number
+      retryAfter: number
+      // Questions asked at once (a batch); absent for a single question
+      requested?: number
+    }
+  | { code: 'token_quota'; scope: 'user' | 'global'; limit: number; used: number; resetAt: string; retryAfter: number }
+  // Magic-link requests and password attempts, per email address and per client IP
+  | { code: 'sign_in_limit'; scope: 'email' | 'ip'; limit: number; windowSeconds: number; retryAfter: number }
+
+function envLimit(name: string, fallback: number): number {
+  const raw = process.env[name]
+  if (raw === undefined || raw === '') return fallback
+  const value = Number(raw)
+  return Number.isFinite(value) && value >= 0 ? Math.floor(value) : fallback
+}
+
+/**
+ * Questions per window per user and for everyone (0 disables), and monthly
+ * token quotas (0 = unlimited; User.monthlyTokenQuota overrides the per-user one).
+ */
+export function usageLimits() {
+  return {
+    userRate: envLimit('ASK_RATE_LIMIT_USER', 10),
+    globalRate: envLimit('ASK_RATE_LIMIT_GLOBAL', 60),
+    windowSeconds: envLimit('ASK_RATE_LIMIT_WINDOW_SECONDS', 60) || 60,
+    userMonthlyTokens: envLimit('ASK_USER_MONTHLY_TOKENS', 0),
+    globalMonthlyTokens: envLimit('ASK_GLOBAL_MONTHLY_TOKENS', 0),
+  }
+}
+
+/**
+ * Sign-in attempts (magic-link requests and password logins) per window per
+ * email address and per client IP (0 disables).
+ */
+export function signInLimits() {
+  return {
+    emailRate: envLimit('AUTH_RATE_LIMIT_EMAIL', 5),
+    ipRate: envLimit('AUTH_RATE_LIMIT_IP', 20),
+    windowSeconds: envLimit('AUTH_RATE_LIMIT_WINDOW_SECONDS', 900) || 900,
+  }
+}
+
+// Sliding windows of request times, per process (a multi-instance deployment
+// gets one window per instance)
+const requestTimes = new Map<string, number[]>()
+
+function recentRequests(key: string, windowMs: number, now: number): number[] {
+  const times = (requestTimes.get(key) ?? []).filter((t) => t > now - windowMs)
+  requestTimes.set(key, times)
+  return times
+}
+
+/**
+ * Record `count` requests in every window with room for all of them, or
+ * return the first full window (nothing is recorded) and when it has room.
+ */
+function takeFromWindows<S extends string>(
+  windows: Array<{ key: string; scope: S; limit: number }>,
+  count: number,
+  windowSeconds: number,
+  now: number,
+): { scope: S; limit: number; retryAfter: number } | null {
+  const windowMs = windowSeconds * 1000
+  for (const { key, scope, limit } of windows) {
+    if (limit === 0) continue
+    const times = recentRequests(key, windowMs, now)
+    if (times.length + count > limit) {
+      // Room frees up as the oldest requests leave the window; more than `limit` at once never fits
+      const freeing = times[times.length + count - limit - 1]
+      const retryAfter = count > limit ? windowSeconds : Math.max(1, Math.ceil((freeing + windowMs - now) / 1000))
+      return { scope, limit, retryAfter }
+    }
+  }
+  for (const { key, limit } of windows) {
+    if (limit > 0) requestTimes.get(key)!.push(...new Array<number>(count).fill(now))
+  }
+  return null
+}
+
+/**
+ * Count `questions` (a batch asks several at once) against the per-user and
+ * global windows, or say which one has no room for all of them.
+ */
+export function checkRateLimit(caller: Caller, questions = 1, now = Date.now()): LimitExceeded | null {
+  const { userRate, globalRate, windowSeconds } = usageLimits()
+  const windows: Array<{ key: string; scope: 'user' | 'global'; limit: number }> = [
+    { key: 'global', scope: 'global', limit: globalRate },
+  ]
+  if (caller.user && !isAdmin(caller)) windows.unshift({ key: `user:${caller.user.id}`, scope: 'user', limit: userRate })
+  const full = takeFromWindows(windows, questions, windowSeconds, now)
+  return full ? { code: 'rate_limit', ...full, windowSeconds, ...(questions > 1 ? { requested: questions } : {}) } : null
+}
+
+/**
+ * The client address from X-Forwarded-For / X-Real-IP, as set by the reverse
+ * proxy in front of the app; 'unknown' without one.
+ */
+export function clientIp(req: Request): string {
+  const forwarded = req.headers.get('x-forwarded-for')?.split(',')[0]?.trim()
+  return forwarded || req.headers.get('x-real-ip')?.trim() || 'unknown'
+}
+
+/**
+ * Count one sign-in attempt for `email` from the request's IP, or say which
+ * window is full. Failed and successful attempts count alike.
+ */
+export function checkSignInLimit(req: Request, email: string, now = Date.now()): LimitExceeded | null {
+  const { emailRate, ipRate, windowSeconds } = signInLimits()
+  const full = takeFromWindows(
+    [
+      { key: `sign-in:email:${email}`, scope: 'email' as const, limit: emailRate },
+      { key: `sign-in:ip:${clientIp(req)}`, scope: 'ip' as const, limit: ipRate },
+    ],
+    1,
+    windowSeconds,
+    now,
+  )
+  return full ? { code: 'sign_in_limit', ...full, windowSeconds } : null
+}
+
+export function monthStart(now = new Date()): Date {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+}
+
+export function nextMonthStart(now = new Date()): Date {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+}
+
+/**
+ * Tokens spent this calendar month (UTC) on answers and study quizzes, by one user or by everyone.
+ */
+export async function monthlyTokenUsage(userId?: string): Promise<number> {
+  const where = { createdAt: { gte: monthStart() }, ...(userId ? { userId } : {}) }
+  const [answers, quizzes] = await Promise.all([
+    prisma.queryHistory.aggregate({ where, _sum: { totalTokens: true } }),
+    prisma.studyQuiz.aggregate({ where, _sum: { totalTokens: true } }),
+  ])
+  return (answers._sum.totalTokens ?? 0) + (quizzes._sum.totalTokens ?? 0)
+}
+
+export function userTokenQuota(caller: Caller): number {
+  if (!caller.user) return 0
+  return caller.user.monthlyTokenQuota ?? (isAdmin(caller) ? 0 : usageLimits().userMonthlyTokens)
+}
+
+/**
+ * Refuse once the caller or everyone has used the month's tokens. Checked
+ * before asking, so the question that crosses a quota still completes.
+ */
+export async function checkTokenQuota(caller: Caller, now = new Date()): Promise<LimitExceeded | null> {
+  const checks: Array<{ scope: 'user' | 'global'; limit: number; userId?: string }> = [
+    { scope: 'user', limit: userTokenQuota(caller), userId: caller.user?.id },
+    { scope: 'global', limit: usageLimits().globalMonthlyTokens },
+  ]
+  const resetAt = nextMonthStart(now)
+  for (const { scope, limit, userId } of checks) {
+    if (limit === 0) continue
+    const used = await monthlyTokenUsage(userId)
+    if (used >= limit) {
+      const retryAfter = Math.ceil((resetAt.getTime() - now.getTime()) / 1000)
+      return { code: 'token_quota', scope, limit, used, resetAt: resetAt.toISOString(), retryAfter }
+    }
+  }
+  return null
+}
+
+export function limitResponse(exceeded: LimitExceeded): NextResponse {
+  const who = exceeded.scope === 'user' ? 'your account' : 'this service'
+  if (exceeded.code === 'sign_in_limit') {
+    const from = exceeded.scope === 'email' ? 'for this email address' : 'from your network address'
+    return NextResponse.json(
+      { error: `Too many sign-in attempts ${from}. Try again in ${exceeded.retryAfter}s.`, ...exceeded },
+      { status: 429, headers: { 'retry-after': String(exceeded.retryAfter) } },
+    )
+  }
+  const error =
+    exceeded.code === 'rate_limit'
+      ? exceeded.requested && exceeded.requested > exceeded.limit
+        ? `Batch too large for the rate limit of ${who}: ${exceeded.requested} questions, at most ${exceeded.limit} per ${exceeded.windowSeconds}s.`
+        : `Rate limit reached for ${who}: ${exceeded.limit} question(s) per ${exceeded.windowSeconds}s${
+            exceeded.requested ? ` (this batch needs ${exceeded.requested})` : ''
+          }. Try again in ${exceeded.retryAfter}s.`
+      : `Monthly token quota reached for ${who}: ${exceeded.used} of ${exceeded.limit} tokens used. Resets ${exceeded.resetAt}.`
+  return NextResponse.json(
+    { error, ...exceeded },
+    { status: 429, headers: { 'retry-after': String(exceeded.retryAfter) } },
+  )
+}
@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react'
+import { createTermMatcher, type GlossaryEntry } from '@scripts/glossary.js'
+
+type TermMatcher = ReturnType<typeof createTermMatcher>
+
+// One fetch per page load, shared by every answer card
+let pending: Promise<TermMatcher | null> | null = null
+
+function fetchMatcher(): Promise<TermMatcher | null> {
+  pending ??= fetch('/api/definitions')
+    .then((resp) => (resp.ok ? (resp.json() as Promise<{ items?: GlossaryEntry[] }>) : { items: [] }))
+    .then((json) => (json.items && json.items.length > 0 ? createTermMatcher(json.items) : null))
+    .catch(() => {
+      pending = null
+      return null
+    })
+  return pending
+}
+
+/**
+ * Defined-term matcher for answer tooltips; null until loaded or when no glossary is built.
+ */
+export function useGlossaryMatcher(): TermMatcher | null {
+  const [matcher, setMatcher] = useState<TermMatcher | null>(null)
+  useEffect(() => {
+    let active = true
+    void fetchMatcher().then((m) => {
+      if (active) setMatcher(m)
+    })
+    return () => {
+      active = false
+    }
+  }, [])
+  return matcher
+}
@@ -0,0 +1,67 @@
+import fs from 'node:fs'
+import { loadProvisions, resolveDefaultPaths } from '@/lib/corpus'
+import { normalizePart, referencesFor, type ReferenceEdge, type ReferenceGraph } from '@scripts/xref.js'
+
+// Cross-reference graph written by `npm run index:car` (scripts/scripts/lib/xref.js)
+
+export type ReferenceLink = {
+  id: string
+  kind: ReferenceEdge['kind']
+  count: number
+  raw: string
+  heading: string | null
+}
+
+export function xrefPath(): string {
+  return process.env.XREF_PATH || resolveDefaultPaths().defaultXrefPath
+}
+
+let cache: { file: string; mtimeMs: number; edges: ReferenceEdge[] } | null = null
+
+/**
+ * Edges of the reference graph, re-read when the file changes. Empty when not built.
+ */
+export function loadReferenceEdges(): ReferenceEdge[] {
+  const file = xrefPath()
+  let stat: fs.Stats
+  try {
+    stat = fs.statSync(file)
+  } catch {
+    return []
+  }
+  if (cache && cache.file === file && cache.mtimeMs === stat.mtimeMs) return cache.edges
+  const graph = JSON.parse(fs.readFileSync(file, 'utf8')) as ReferenceGraph
+  cache = { file, mtimeMs: stat.mtimeMs, edges: graph.edges ?? [] }
+  return cache.edges
+}
+
+// "Part 61 — Pilot Licences and Ratings"; null when no CAR provision is in that Part
+function partHeading(id: string): string | null {
+  const m = id.match(/^CAR-Part-(.+)$/)
+  if (!m) return null
+  const provision = loadProvisions().find((p) => p.source === 'CAR' && p.part && normalizePart(p.part) === m[1])
+  if (!provision) return null
+  return `Part ${m[1]}${provision.part_name ? ` — ${provision.part_name}` : ''}`
+}
+
+/**
+ * "References" and "referenced by" lists for a provision (or CAR-Part-N),
+ * with headings for display; null when the id is unknown.
+ */
+export function provisionReferences(id: string): { references: ReferenceLink[]; referencedBy: ReferenceLink[] } | null {
+  const provisions = loadProvisions()
+  const headings = new Map(provisions.map((p) => [p.id, p.heading]))
+  if (!headings.has(id) && !partHeading(id)) return null
+  const { references, referencedBy } = referencesFor(loadReferenceEdges(), id)
+  const link = (target: string, e: ReferenceEdge): ReferenceLink => ({
+    id: target,
+    kind: e.kind,
+    count: e.count,
+    raw: e.raw,
+    heading: headings.get(target) ?? partHeading(target),
+  })
+  return {
+    references: references.map((e) => link(e.to, e)),
+    referencedBy: referencedBy.map((e) => link(e.from, e)),
+  }
+}
@@ -3,139 +3,308 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import process from 'node:process';
-import OpenAI from 'openai';
 import 'dotenv/config'
+import YAML from 'yaml';
+import { providerFromEnv } from './lib/llm.js';
+import { DEFAULT_MODEL, askQuestion, askSettingsFromEnv, buildAskRequest, readAskCorpus, readAskPolicy } from './lib/ask.js';
+import { countTokens, describeContext } from './lib/context_budget.js';
+import { defaultManifestPath, readManifest } from './lib/manifest.js';
+import {
+  cacheKey,
+  cacheModeFromEnv,
+  cacheScope,
+  contentVersion,
+  corpusVersion,
+  readCachedAnswerFile,
+  writeCachedAnswerFile,
+} from './lib/answer_cache.js';
+import {
+  CSV_COLUMNS,
+  answeredQuestions,
+  batchFormatOf,
+  csvLine,
+  parseBatchInput,
+  priceTable,
+  recordToCsvLine,
+  runBatch,
+  summarizeBatch,
+} from './lib/batch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const projectRoot = path.resolve(__dirname, '..');
+const repoRoot = path.resolve(projectRoot, '..');
 
 // Config
-const MODEL = process.env.OPENAI_MODEL || 'gpt-4.1-nano';
-const SYSTEM_PATH = process.env.SYSTEM_PATH || path.resolve(projectRoot, 'md', 'ALL_CAR.md');
-const CAA_PATH = process.env.CAA_PATH || path.resolve(projectRoot, 'md', 'caa', 'CAA_2023_0010.md');
-const MAX_OUTPUT_TOKENS = process.env.MAX_OUTPUT_TOKENS ? Number(process.env.MAX_OUTPUT_TOKENS) : 4000;
-const TEMPERATURE = process.env.TEMPERATURE !== undefined && process.env.TEMPERATURE !== ''
-  ? Number(process.env.TEMPERATURE)
-  : undefined; // omit if not set to respect model defaults
-
-
-function readTextOrThrow(filePath) {
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`System prompt file not found: ${filePath}`);
-  }
-  return fs.readFileSync(filePath, 'utf8');
-}
+// Provider and model: LLM_PROVIDER / LLM_MODEL (see lib/llm.js); OPENAI_MODEL still works for openai
+// SYSTEM_PATH, CAA_PATH, PROVISIONS_PATH, MAX_OUTPUT_TOKENS, TEMPERATURE: see lib/ask.js
+// ASK_CONTEXT_WINDOW, TRUNCATE_CHARS, ASK_BUDGET_*, ASK_PINNED_PARTS: see lib/context_budget.js
+// POLICIES_DIR, ASK_POLICY (default formal-memo): see lib/policies.js
+const SETTINGS = askSettingsFromEnv(projectRoot);
+// DRY_RUN=1: print the token budget and the Parts that would be sent; no API call
+const DRY_RUN = process.env.DRY_RUN === '1';
+// ASK_CACHE=off|exact (default); semantic matching is only available in /api/ask
+const CACHE_MODE = cacheModeFromEnv();
+const CACHE_DIR = process.env.ASK_CACHE_DIR || path.resolve(projectRoot, 'md', 'cache', 'answers');
+// --batch: questions in flight and retries of rate-limited ones
+const BATCH_CONCURRENCY = Number(process.env.ASK_BATCH_CONCURRENCY) || 4;
+const BATCH_RETRIES = process.env.ASK_BATCH_RETRIES !== undefined ? Number(process.env.ASK_BATCH_RETRIES) : 3;
 
-function readTextIfExists(filePath) {
-  try {
-    if (fs.existsSync(filePath)) return fs.readFileSync(filePath, 'utf8');
-  } catch {}
-  return '';
-}
+const USAGE = [
+  'Usage: npm run ask:car -- [--policy <id[@version]>] [--no-cache] "<your question>"',
+  '       npm run ask:car -- --batch <questions.jsonl|.csv|.yaml> [--out <results.jsonl|.csv>] [--restart]',
+  '                          [--concurrency 4] [--retries 3] [--price-in USD] [--price-out USD] [--no-cache]',
+  '  --batch: one question per JSONL line ("..." or { "id", "question" }), CSV row (question and optional id',
+  '    columns) or YAML list item; one result record per question is appended to --out',
+  '    (default <questions>.results.jsonl), so an interrupted run resumes where it stopped; --restart starts over',
+  '  --concurrency / --retries: questions in flight (ASK_BATCH_CONCURRENCY) and retries after rate-limit errors',
+  '    (ASK_BATCH_RETRIES)',
+  '  --price-in / --price-out: USD per million prompt / completion tokens for every model; without them',
+  '    each answer is priced by its model from ASK_PRICES (gpt-4.1=2/8,...), then ASK_PRICE_IN / ASK_PRICE_OUT',
+  '  --policy: prompt policy from policies/, e.g. student or formal-memo@1 (ASK_POLICY; default formal-memo)',
+].join('\n');
 
-function getUserPromptFromArgs() {
-  const args = process.argv.slice(2);
-  if (args.length === 0) {
-    console.error('Usage: npm run ask:car -- "<your question>"');
+function parseArgs(argv) {
+  const args = {
+    noCache: false,
+    policy: '',
+    batch: null,
+    out: null,
+    restart: false,
+    concurrency: BATCH_CONCURRENCY,
+    retries: BATCH_RETRIES,
+  };
+  const words = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === '--no-cache') args.noCache = true;
+    else if (a === '--policy') args.policy = argv[++i] ?? '';
+    else if (a === '--batch') args.batch = path.resolve(argv[++i]);
+    else if (a === '--out') args.out = path.resolve(argv[++i]);
+    else if (a === '--restart') args.restart = true;
+    else if (a === '--concurrency') args.concurrency = Number(argv[++i]);
+    else if (a === '--retries') args.retries = Number(argv[++i]);
+    else if (a === '--price-in') args.priceIn = Number(argv[++i]);
+    else if (a === '--price-out') args.priceOut = Number(argv[++i]);
+    else if (a === '--help' || a === '-h') {
+      console.log(USAGE);
+      process.exit(0);
+    } else words.push(a);
+  }
+  args.question = words.join(' ');
+  if (args.batch ? words.length > 0 : !args.question) {
+    console.error(USAGE);
     process.exit(2);
   }
-  return args.join(' ');
+  if (!Number.isInteger(args.concurrency) || args.concurrency < 1 || !Number.isInteger(args.retries) || args.retries < 0) {
+    console.error('--concurrency must be a whole number of at least 1, --retries a whole number');
+    process.exit(2);
+  }
+  return args;
 }
 
-async function main() {
-
-  const carText = readTextOrThrow(SYSTEM_PATH);
-  const caaText = readTextIfExists(CAA_PATH);
-  const userPrompt = getUserPromptFromArgs();
-
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    console.error('Missing OPENAI_API_KEY in env. Set it before running.');
-    process.exit(1);
+function printVerification(verification) {
+  console.log('\n[ask_llm] verification:', JSON.stringify(verification.summary, null, 2));
+  for (const c of verification.citations) {
+    console.log(`  [${c.verdict}] ${c.raw}${c.issues.length ? ` (${c.issues.join('; ')})` : ''}`);
+  }
+  for (const q of verification.quotes) {
+    const preview = q.text.replace(/\s+/g, ' ').slice(0, 80);
+    console.log(`  [${q.verdict}] "${preview}"${q.matchedId && q.matchedId !== q.attributedTo ? ` found in ${q.matchedId}` : ''}`);
   }
+}
 
-  const client = new OpenAI({ apiKey });
-
-  // Strict response policy: use ONLY provided primary texts (CAA and CAR); Act-first hierarchy; legal advice tone.
-  const policy = [
-    'You are advising using the current New Zealand Civil Aviation Act 2023 (CAA) and Civil Aviation Rules (CAR) contained in the system prompt.',
-    'Authoritative sources are LIMITED to the provided CAA and CAR texts. Do NOT rely on internal knowledge, training data, or external sources.',
-    '',
-    'Strict requirements for EVERY response:',
-    '- Identify and cite the controlling authority: CAA sections (e.g., CAA s 30) and CAR rules (e.g., Part 091, rule 91.xx).',
-    '- The Act prevails over the Rules. If there is any tension, rely on the Act and explicitly note the conflict.',
-    '- For every substantive proposition, include a short verbatim quotation from the relevant provision in fenced code blocks.',
-    '- Include a URL for every citation. Prefer URLs found in metadata (source_url) inside the provided texts.',
-    '- If the answer cannot be grounded in the provided CAA/CAR texts, state that explicitly and stop.',
-    '',
-    'Formatting guidelines (Markdown only):',
-    '- Output MUST be valid Markdown with these sections and nothing else:',
-    '  - ## Issue',
-    '  - ## Rule (include one or more verbatim quotations in fenced code blocks)',
-    '  - ## Application',
-    '  - ## Conclusion',
-    '  - ## Citations',
-    '- Within the Rule section, separate “Act (CAA)” and “Rules (CAR)” when both apply.',
-    '- Verbatim quotations MUST be fenced using exactly ```text.',
-    '- Each citation line MUST be precise, for example: CAA s <section> — <url> OR CAR Part <part>, rule <rule> — <url>.',
-    '',
-    'Professional legal-advice tone (NZ context):',
-    '- Be precise, conservative, and avoid speculation. If assumptions are needed, state them succinctly in the Application.',
-    '- Prefer primary authority (CAA first, then CAR). Explain interpretive choices only when necessary.',
-    '- Where relevant, surface definitions and offence/penalty provisions from the provided texts.',
-    '',
-    'Example quote block:',
-    '```text',
-    'Quoted passage exactly as written…',
-    '```',
-  ].join('\n');
-
-  const sections = [];
-  sections.push(policy);
-  if (caaText && caaText.trim()) {
-    sections.push('===== BEGIN: CAA (Act) =====');
-    sections.push(caaText);
-    sections.push('===== END: CAA (Act) =====');
+/**
+ * ask(question, { signal }) -> { content, summary, verification, durationMs, cached }
+ * through the file cache: same question, corpus, policy, model and settings as
+ * a stored answer reuses it (cached: the stored entry; summary.usage is null,
+ * since no tokens are spent).
+ */
+function createAsker({ provider, corpus, policy, noCache }) {
+  let scope = null;
+  let version = null;
+  if (CACHE_MODE !== 'off' && !noCache) {
+    if (CACHE_MODE === 'semantic') console.warn('[ask_llm] ASK_CACHE=semantic needs pgvector (/api/ask); using exact matching');
+    version = corpusVersion(readManifest(defaultManifestPath(repoRoot))) ?? contentVersion([corpus.carText, corpus.caaText]);
+    scope = cacheScope({
+      corpusVersion: version,
+      policyVersion: policy.hash,
+      model: provider.id,
+      params: {
+        maxTokens: SETTINGS.maxTokens,
+        temperature: SETTINGS.temperature,
+        context: 'full',
+        format: 'markdown',
+        budget: SETTINGS.budget,
+      },
+    });
   }
-  sections.push('===== BEGIN: CAR (Rules) =====');
-  sections.push(carText);
-  sections.push('===== END: CAR (Rules) =====');
-  const fullSystemText = sections.join('\n\n');
-
-  const payload = {
-    model: MODEL,
-    messages: [
-      { role: 'system', content: fullSystemText },
-      { role: 'user', content: userPrompt },
-    ],
+
+  return async function ask(question, { signal } = {}) {
+    const key = scope ? cacheKey(scope, question) : null;
+    const hit = key ? readCachedAnswerFile(CACHE_DIR, version, key) : null;
+    if (hit) {
+      return {
+        content: hit.content,
+        summary: { ...hit.summary, usage: null },
+        context: hit.context ?? null,
+        verification: hit.verification ?? null,
+        durationMs: 0,
+        cached: { key, ...hit },
+      };
+    }
+    const answer = await askQuestion({
+      provider,
+      question,
+      policy: policy.text,
+      ...corpus,
+      maxTokens: SETTINGS.maxTokens,
+      temperature: SETTINGS.temperature,
+      budget: SETTINGS.budget,
+      signal,
+    });
+    // Only complete answers are reused
+    if (key && answer.summary.finish_reason === 'stop' && answer.content.trim()) {
+      writeCachedAnswerFile(CACHE_DIR, version, {
+        key,
+        question,
+        corpus_version: version,
+        policy_version: policy.hash,
+        policy: policy.ref,
+        model: provider.id,
+        content: answer.content,
+        summary: answer.summary,
+        context: answer.context,
+        verification: answer.verification,
+      });
+    }
+    return { ...answer, cached: null };
   };
-  if (typeof MAX_OUTPUT_TOKENS === 'number' && !Number.isNaN(MAX_OUTPUT_TOKENS)) {
-    payload.max_tokens = MAX_OUTPUT_TOKENS;
+}
+
+async function askOne(ask, question) {
+  const { content, summary, context, verification, cached } = await ask(question);
+  process.stdout.write(content + '\n');
+  if (cached) {
+    console.log(`\n[ask_llm] served from cache ${cached.key.slice(0, 12)}: answered ${cached.created_at} (response ${cached.summary?.id ?? 'n/a'}, ${cached.model}); --no-cache to ask again`);
+    if (verification) printVerification(verification);
+    return;
   }
-  if (typeof TEMPERATURE === 'number' && !Number.isNaN(TEMPERATURE)) {
-    payload.temperature = TEMPERATURE;
+
+  // Log response metadata for auditing (token usage, model, finish reason, Parts sent)
+  console.log('\n[ask_llm] response summary:', JSON.stringify({ ...summary, context }, null, 2));
+  console.log(`[ask_llm] context: ${describeContext(context)}`);
+
+  // Check quotes and citations against the provision index (npm run index:car)
+  if (!verification) {
+    console.warn(`[ask_llm] verification skipped: provision index not found at ${SETTINGS.provisionsPath}`);
+    return;
   }
+  printVerification(verification);
+}
 
-  console.debug('MAX_OUTPUT_TOKENS', MAX_OUTPUT_TOKENS);
-  console.debug('TEMPERATURE', TEMPERATURE);
-  const resp = await client.chat.completions.create(payload);
-  const content = resp.choices?.[0]?.message?.content || '';
-  process.stdout.write(content + '\n');
+function dryRun(provider, corpus, policy, question) {
+  const { request, context } = buildAskRequest({
+    question,
+    policy: policy.text,
+    ...corpus,
+    model: provider.model,
+    maxTokens: SETTINGS.maxTokens,
+    temperature: SETTINGS.temperature,
+    budget: SETTINGS.budget,
+  });
+  const [system, user] = request.messages;
+  console.log('[ask_llm] dry run; no request sent');
+  console.log(`  question: ${user.content}`);
+  console.log(`  policy: ${policy.ref} (${policy.title}, ${policy.hash})`);
+  console.log(`  system prompt: ${system.content.length} chars, ~${countTokens(system.content, provider.model)} tokens`);
+  console.log(`  window: ${context.contextWindow} tokens (${context.model}, ${context.family} estimate); budget ${JSON.stringify(context.budget)}`);
+  console.log(`  Act: ~${context.act.tokens} tokens${context.act.truncated ? ' (cut)' : ''}; Rules: ~${context.rules.tokens} tokens`);
+  console.log(`  context: ${describeContext(context)}`);
+  for (const p of context.included) console.log(`    + Part ${p.part || '-'} ${p.name}: ~${p.tokens} tokens${p.score !== undefined ? `, score ${p.score}` : ''}${p.truncated ? ' (cut)' : ''}`);
+  for (const p of context.excluded) console.log(`    - Part ${p.part || '-'} ${p.name}: ~${p.tokens} tokens, score ${p.score}`);
+}
 
-  // Log response metadata for auditing (token usage, model, finish reason)
-  const summary = {
-    id: resp.id,
-    model: resp.model,
-    created: resp.created,
-    usage: resp.usage,
-    finish_reason: resp.choices?.[0]?.finish_reason,
-  };
-  console.log('\n[ask_llm] response summary:', JSON.stringify(summary, null, 2));
+function defaultOutPath(inputPath) {
+  const { dir, name } = path.parse(inputPath);
+  return path.join(dir, `${name}.results.jsonl`);
+}
+
+async function askBatch(ask, args) {
+  const inputFormat = batchFormatOf(args.batch);
+  if (!inputFormat) throw new Error(`Cannot tell the format of ${args.batch} (expected .jsonl, .csv, .yaml or .json)`);
+  const items = parseBatchInput(fs.readFileSync(args.batch, 'utf8'), { format: inputFormat, parseYaml: YAML.parse });
+  const outPath = args.out ?? defaultOutPath(args.batch);
+  const outFormat = batchFormatOf(outPath);
+  if (outFormat !== 'jsonl' && outFormat !== 'csv') throw new Error(`--out must be a .jsonl or .csv file: ${outPath}`);
+
+  if (args.restart) fs.rmSync(outPath, { force: true });
+  const previous = fs.existsSync(outPath) ? fs.readFileSync(outPath, 'utf8') : '';
+  const answered = answeredQuestions(previous, outFormat);
+  const pending = items.filter(item => answered.get(item.id) !== item.question);
+  if (previous.trim()) console.log(`[batch] resuming ${outPath}: ${items.length - pending.length} of ${items.length} already answered`);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  if (outFormat === 'csv' && !previous.trim()) fs.writeFileSync(outPath, csvLine(CSV_COLUMNS), 'utf8');
+
+  // Ctrl-C stops new questions and aborts the ones in flight; they are asked again on resume
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    console.warn('\n[batch] interrupted; rerun the same command to resume');
+    controller.abort();
+  });
+
+  const pricing = args.priceIn !== undefined || args.priceOut !== undefined
+    ? { inputPerMillion: args.priceIn ?? null, outputPerMillion: args.priceOut ?? null }
+    : priceTable(process.env);
+  console.log(`[batch] ${pending.length} questions from ${args.batch}, ${args.concurrency} at a time`);
+  let finished = 0;
+  const records = await runBatch(pending, (item, { signal }) => ask(item.question, { signal }), {
+    concurrency: args.concurrency,
+    retries: args.retries,
+    pricing,
+    signal: controller.signal,
+    onRetry: (item, error, { attempt, delayMs }) => {
+      console.warn(`[batch] ${item.id}: ${error.message.slice(0, 120)}; retry ${attempt} of ${args.retries} in ${Math.round(delayMs / 1000)}s`);
+    },
+    onResult: record => {
+      if (!record.ok && controller.signal.aborted) return;
+      fs.appendFileSync(outPath, outFormat === 'csv' ? recordToCsvLine(record) : JSON.stringify(record) + '\n', 'utf8');
+      finished += 1;
+      const detail = record.ok
+        ? `${record.finish_reason}, ${record.usage?.total_tokens ?? 0} tokens, cites ${record.citations.join(', ') || 'nothing'}`
+        : `FAILED ${record.error}`;
+      console.log(`[batch] ${finished}/${pending.length} ${record.id}: ${detail}`);
+    },
+  });
+
+  const summary = summarizeBatch(records.filter(r => r.ok || !controller.signal.aborted));
+  const cost = summary.cost_usd !== null ? `$${summary.cost_usd.toFixed(4)}` : 'n/a (set --price-in / --price-out)';
+  console.log(`[batch] ${summary.ok} answered, ${summary.failed} failed; ${summary.prompt_tokens} prompt + ${summary.completion_tokens} completion = ${summary.total_tokens} tokens; cost ${cost}`);
+  console.log(`[batch] results: ${outPath}`);
+  if (summary.failed > 0 || controller.signal.aborted) process.exitCode = 1;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const corpus = readAskCorpus(SETTINGS);
+  const provider = providerFromEnv(process.env, { defaultModel: DEFAULT_MODEL });
+
+  console.debug('MAX_OUTPUT_TOKENS', SETTINGS.maxTokens);
+  console.debug('TEMPERATURE', SETTINGS.temperature);
+  console.debug('PROVIDER', provider.id);
+  const policy = readAskPolicy(SETTINGS, args.policy);
+  console.debug('POLICY', `${policy.ref} ${policy.hash}`);
+  if (DRY_RUN) {
+    if (args.batch) throw new Error('DRY_RUN works with one question, not --batch');
+    dryRun(provider, corpus, policy, args.question);
+    return;
+  }
+  const ask = createAsker({ provider, corpus, policy, noCache: args.noCache });
+  if (args.batch) await askBatch(ask, args);
+  else await askOne(ask, args.question);
 }
 
 main().catch(err => {
   console.error(err);
   process.exit(1);
 });
-
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import process from 'node:process';
+import { readProvisionsJsonl } from './lib/provisions.js';
+import { buildGlossary, DEFAULT_GLOSSARY_IDS } from './lib/glossary.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+// Config
+const INDEX_PATH = process.env.INDEX_PATH || path.resolve(projectRoot, 'md', 'provisions.jsonl');
+const GLOSSARY_OUT = process.env.GLOSSARY_OUT || path.resolve(projectRoot, 'md', 'glossary.json');
+const GLOSSARY_IDS = process.env.GLOSSARY_IDS
+  ? process.env.GLOSSARY_IDS.split(',').map(s => s.trim()).filter(Boolean)
+  : DEFAULT_GLOSSARY_IDS;
+
+async function main() {
+  if (!fs.existsSync(INDEX_PATH)) {
+    throw new Error(`Provision index not found: ${INDEX_PATH} (run npm run index:car first)`);
+  }
+  const provisions = readProvisionsJsonl(fs.readFileSync(INDEX_PATH, 'utf8'));
+  const glossary = buildGlossary(provisions, { ids: GLOSSARY_IDS });
+
+  for (const id of GLOSSARY_IDS) {
+    const count = glossary.entries.filter(e => e.provisionId === id || e.provisionId.startsWith(`${id}-`)).length;
+    if (count === 0) console.warn(`[WARN] no definitions parsed from ${id}`);
+    else console.log(`[OK] ${id} -> ${count} terms`);
+  }
+  const abbreviations = glossary.entries.filter(e => e.abbreviation).length;
+
+  fs.mkdirSync(path.dirname(GLOSSARY_OUT), { recursive: true });
+  fs.writeFileSync(GLOSSARY_OUT, JSON.stringify(glossary, null, 2) + '\n', 'utf8');
+  console.log(`Glossary: ${glossary.entries.length} entries (${abbreviations} with abbreviations) -> ${GLOSSARY_OUT}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import process from 'node:process';
+import YAML from 'yaml';
+import { dedupeIds, extractFrontMatterAndBody, splitProvisions } from './lib/provisions.js';
+import { buildReferenceGraph } from './lib/xref.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const projectRoot = path.resolve(__dirname, '..');
+const dataFile = path.resolve(projectRoot, 'car.yaml');
+const defaultOut = path.resolve(projectRoot, 'md', 'provisions.jsonl');
+const defaultCaa = path.resolve(projectRoot, 'md', 'caa', 'CAA_2023_0010.md');
+const defaultXref = path.resolve(projectRoot, 'md', 'xref.json');
+
+function readYaml(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return YAML.parse(text);
+}
+
+function zeroPadPart(part) { return String(part).padStart(3, '0'); }
+
+function resolvePartMd(e) {
+  let mdRel;
+  if (e.md && typeof e.md === 'string') {
+    mdRel = path.isAbsolute(e.md) ? e.md : path.join('md', 'car', e.md);
+  } else {
+    mdRel = path.join('md', 'car', `Part_${zeroPadPart(e.part)}.md`);
+  }
+  return path.resolve(projectRoot, mdRel);
+}
+
+async function main() {
+  const entries = readYaml(dataFile);
+  const outPath = process.env.INDEX_OUT || defaultOut;
+  const caaPath = process.env.CAA_MD || defaultCaa;
+  const xrefPath = process.env.XREF_OUT || defaultXref;
+  const records = [];
+
+  if (fs.existsSync(caaPath)) {
+    const { meta, body } = extractFrontMatterAndBody(fs.readFileSync(caaPath, 'utf8'));
+    const caa = splitProvisions(body, { source: 'CAA', source_url: meta.source_url });
+    records.push(...caa);
+    console.log(`[OK] CAA -> ${caa.length} sections`);
+  } else {
+    console.warn(`[MISS] skipping CAA (not found: ${caaPath})`);
+  }
+
+  const sorted = [...entries].sort((a, b) => (a.part || 0) - (b.part || 0));
+  for (const e of sorted) {
+    const part = zeroPadPart(e.part);
+    const mdAbs = resolvePartMd(e);
+    if (!fs.existsSync(mdAbs)) {
+      console.warn(`[MISS] skipping Part ${part} (not found: ${mdAbs})`);
+      continue;
+    }
+    const { meta, body } = extractFrontMatterAndBody(fs.readFileSync(mdAbs, 'utf8'));
+    const rules = splitProvisions(body, { source: 'CAR', part, source_url: meta.source_url || e.url });
+    if (rules.length === 0) console.warn(`[WARN] Part ${part} has no rule headings; was it converted with the structured converter?`);
+    records.push(...rules.map(r => ({ ...r, part_name: e.name })));
+    console.log(`[OK] Part ${part} -> ${rules.length} provisions`);
+  }
+
+  const duplicates = dedupeIds(records);
+  if (duplicates.length > 0) {
+    console.warn(`[WARN] ${duplicates.length} duplicate ids suffixed: ${[...new Set(duplicates)].slice(0, 10).join(', ')}`);
+  }
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  const jsonl = records.map(r => JSON.stringify(r)).join('\n') + '\n';
+  fs.writeFileSync(outPath, jsonl, 'utf8');
+  console.log(`Indexed ${records.length} provisions -> ${outPath}`);
+
+  // "rule 91.247", "Part 61", "section 30 of the Act" ... as edges between ids
+  const graph = buildReferenceGraph(records);
+  fs.writeFileSync(xrefPath, JSON.stringify(graph, null, 2) + '\n', 'utf8');
+  console.log(`Cross-references: ${graph.edges.length} edges -> ${xrefPath}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
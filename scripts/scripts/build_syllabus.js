@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import process from 'node:process';
+import 'dotenv/config'
+import YAML from 'yaml';
+import { downloadPdf, sha256File } from './lib/download.js';
+import { embedderFromEnv } from './lib/embeddings.js';
+import { DEFAULT_GLOSSARY_IDS } from './lib/glossary.js';
+import { readPdfLines } from './lib/pdf_structure.js';
+import { readProvisionsJsonl } from './lib/provisions.js';
+import { mapSyllabusItems, parseSyllabus } from './lib/syllabus.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+const repoRoot = path.resolve(projectRoot, '..');
+
+// Config
+const SYLLABUS_URL = process.env.SYLLABUS_URL
+  || 'https://www.aviation.govt.nz/assets/publications/pilot-syllabus-assistance-pending/Subject-No-4-PPL-Air-Law-Syllabus-effective-5-April-2025.pdf';
+const INDEX_PATH = process.env.INDEX_PATH || path.resolve(projectRoot, 'md', 'provisions.jsonl');
+const SYLLABUS_OUT = process.env.SYLLABUS_OUT || path.resolve(projectRoot, 'md', 'syllabus.json');
+const SYLLABUS_MAP = process.env.SYLLABUS_MAP || path.resolve(projectRoot, 'syllabus-map.yaml');
+const TOP_K = Number(process.env.SYLLABUS_TOP_K) || 3;
+// Cosine similarity below which a provision is not mapped (scale depends on the embedder)
+const MIN_SCORE = process.env.SYLLABUS_MIN_SCORE !== undefined ? Number(process.env.SYLLABUS_MIN_SCORE) : 0.1;
+// Definitions match every item; they are attached to quizzes through the glossary instead
+const EXCLUDE_IDS = DEFAULT_GLOSSARY_IDS;
+
+const USAGE = [
+  'Usage: npm run syllabus -- [--pdf <file> | --text <file>] [--out md/syllabus.json] [--top-k 3]',
+  '  Downloads the PPL Air Law syllabus (SYLLABUS_URL) to download/syllabus/, parses its numbered',
+  '  items and maps each to the CAR rules and Act sections it names, plus the --top-k most similar',
+  '  provisions (EMBEDDINGS_PROVIDER; SYLLABUS_MIN_SCORE) within the Parts it names.',
+  '  syllabus-map.yaml adds or replaces provisions per item:',
+  '    - { item: "2.3.1", provisions: [CAR-61.153], replace: true }',
+  '  --pdf: parse a local copy instead of downloading',
+  '  --text: parse a plain-text copy (one item per line, e.g. when the PDF layout defeats the parser)',
+].join('\n');
+
+function parseArgs(argv) {
+  const args = { pdf: null, text: null, out: SYLLABUS_OUT, topK: TOP_K };
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === '--pdf') args.pdf = path.resolve(argv[++i]);
+    else if (a === '--text') args.text = path.resolve(argv[++i]);
+    else if (a === '--out') args.out = path.resolve(argv[++i]);
+    else if (a === '--top-k') args.topK = Number(argv[++i]);
+    else if (a === '--help' || a === '-h') {
+      console.log(USAGE);
+      process.exit(0);
+    } else {
+      console.error(`Unknown argument: ${a}\n${USAGE}`);
+      process.exit(1);
+    }
+  }
+  if (!Number.isInteger(args.topK) || args.topK < 0) {
+    console.error('--top-k must be a whole number');
+    process.exit(1);
+  }
+  return args;
+}
+
+function readPrevious(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).source ?? null;
+  } catch {
+    return null;
+  }
+}
+
+async function readSource(args) {
+  if (args.text) {
+    return { lines: fs.readFileSync(args.text, 'utf8').split(/\r?\n/), source: { text: path.relative(repoRoot, args.text) } };
+  }
+  let pdfPath = args.pdf;
+  let fetched = null;
+  if (!pdfPath) {
+    pdfPath = path.resolve(repoRoot, 'download', 'syllabus', path.basename(new URL(SYLLABUS_URL).pathname));
+    const previous = readPrevious(args.out);
+    fetched = await downloadPdf(SYLLABUS_URL, pdfPath, { previous: previous?.url === SYLLABUS_URL ? previous : null });
+    console.log(`[${fetched.status === 'unchanged' ? 'SAME' : 'OK'}] ${SYLLABUS_URL} -> ${path.relative(repoRoot, pdfPath)}`);
+  } else if (!fs.existsSync(pdfPath)) {
+    throw new Error(`Syllabus PDF not found: ${pdfPath}`);
+  }
+  return {
+    lines: await readPdfLines(pdfPath),
+    source: {
+      url: args.pdf ? null : SYLLABUS_URL,
+      pdf: path.relative(repoRoot, pdfPath),
+      sha256: fetched?.sha256 ?? (await sha256File(pdfPath)),
+      etag: fetched?.etag ?? null,
+      last_modified: fetched?.last_modified ?? null,
+    },
+  };
+}
+
+function readOverrides(file) {
+  if (!fs.existsSync(file)) return [];
+  const parsed = YAML.parse(fs.readFileSync(file, 'utf8')) ?? [];
+  if (!Array.isArray(parsed)) throw new Error(`${file}: expected a list of { item, provisions, replace? }`);
+  return parsed.map((o, i) => {
+    if (!o?.item || !Array.isArray(o.provisions)) throw new Error(`${file}[${i}]: item and provisions are required`);
+    return { item: String(o.item), provisions: o.provisions.map(String), replace: Boolean(o.replace) };
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!fs.existsSync(INDEX_PATH)) {
+    throw new Error(`Provision index not found: ${INDEX_PATH} (run npm run index:car first)`);
+  }
+  const provisions = readProvisionsJsonl(fs.readFileSync(INDEX_PATH, 'utf8'));
+  const { lines, source } = await readSource(args);
+  const { topics, items } = parseSyllabus(lines);
+  if (items.length === 0) throw new Error('No numbered syllabus items found (try --text with a plain-text copy)');
+
+  const overrides = readOverrides(SYLLABUS_MAP);
+  const missing = overrides.filter(o => !items.some(item => item.id === o.item));
+  for (const o of missing) console.warn(`[WARN] ${path.basename(SYLLABUS_MAP)}: no syllabus item ${o.item}`);
+
+  const embedder = embedderFromEnv();
+  const mapped = await mapSyllabusItems(items, provisions, {
+    embedder,
+    topK: args.topK,
+    minScore: MIN_SCORE,
+    overrides,
+    excludeIds: EXCLUDE_IDS,
+  });
+  for (const u of mapped.unknown) console.warn(`[WARN] ${u.item}: ${u.match} provision ${u.id} is not in the index`);
+
+  for (const topic of topics) {
+    const count = mapped.items.filter(item => item.topic.number === topic.number).length;
+    console.log(`[OK] ${topic.number} ${topic.title} -> ${count} items`);
+  }
+  const named = mapped.items.filter(item => item.provisions.some(p => p.match !== 'similar')).length;
+
+  const syllabus = { generated_at: new Date().toISOString(), source, embedder: embedder.id, topics, items: mapped.items };
+  fs.mkdirSync(path.dirname(args.out), { recursive: true });
+  fs.writeFileSync(args.out, JSON.stringify(syllabus, null, 2) + '\n', 'utf8');
+  console.log(`Syllabus: ${mapped.items.length} items in ${topics.length} topics (${named} with named or manual provisions) -> ${args.out}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -4,13 +4,17 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import process from 'node:process';
 import YAML from 'yaml';
+import { defaultManifestPath, readManifest, sha256Text, writeManifest } from './lib/manifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const projectRoot = path.resolve(__dirname, '..');
 const dataFile = path.resolve(projectRoot, 'car.yaml');
+const repoRoot = path.resolve(projectRoot, '..');
 const defaultOut = path.resolve(projectRoot, 'md', 'ALL_CAR.md');
+// FORCE=1 rewrites the output even when no Part's Markdown changed
+const FORCE = process.env.FORCE === '1' || process.argv.includes('--force');
 
 function readYaml(filePath) {
   const text = fs.readFileSync(filePath, 'utf8');
@@ -48,6 +52,7 @@ async function main() {
   const sorted = [...entries].sort((a, b) => (a.part || 0) - (b.part || 0));
 
   const parts = [];
+  const inputs = {};
   let count = 0;
   for (const e of sorted) {
     // Ensure CAR files are searched under scripts/md/car/*.md
@@ -63,6 +68,7 @@ async function main() {
       continue;
     }
     const raw = fs.readFileSync(mdAbs, 'utf8');
+    inputs[path.relative(repoRoot, mdAbs)] = sha256Text(raw);
     const { meta, body } = extractFrontMatterAndBody(raw);
     const metaBlock = {
       part: zeroPadPart(e.part),
@@ -80,8 +86,23 @@ async function main() {
     count += 1;
   }
 
+  // Skip when the same Part files (by hash) already produced this output
+  const manifestFile = defaultManifestPath(repoRoot);
+  const manifest = readManifest(manifestFile);
+  const out = path.relative(repoRoot, outPath);
+  const previous = manifest.combined;
+  const unchanged = previous?.out === out
+    && JSON.stringify(previous.inputs) === JSON.stringify(inputs)
+    && fs.existsSync(outPath);
+  if (unchanged && !FORCE) {
+    console.log(`Unchanged: ${count} files already combined -> ${outPath}`);
+    return;
+  }
+
   const combined = normalizeSpacing(parts.join('\n')) + '\n';
   fs.writeFileSync(outPath, combined, 'utf8');
+  manifest.combined = { out, inputs, at: new Date().toISOString() };
+  writeManifest(manifestFile, manifest);
   console.log(`Combined ${count} files -> ${outPath} (${combined.length} chars)`);
 }
 
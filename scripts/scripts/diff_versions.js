@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import process from 'node:process';
+import {
+  buildAmendmentReport,
+  defaultAmendmentPaths,
+  listSnapshots,
+  writeAmendmentReport,
+} from './lib/amendments.js';
+import { actDocumentKey, carDocumentKey } from './lib/manifest.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+const USAGE = [
+  'Usage: npm run diff -- <document> [--from <label>] [--to <label>]',
+  '       npm run diff -- <document> --list',
+  '       npm run diff -- --all',
+  '  <document>: a Part number (91), a manifest key (car:091) or caa',
+  '  --from/--to default to the two most recent snapshots',
+].join('\n');
+
+function parseArgs(argv) {
+  const args = { document: null, from: null, to: null, list: false, all: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === '--from') args.from = argv[++i];
+    else if (a === '--to') args.to = argv[++i];
+    else if (a === '--list') args.list = true;
+    else if (a === '--all') args.all = true;
+    else if (!a.startsWith('--')) args.document = a;
+  }
+  return args;
+}
+
+function documentKey(arg) {
+  if (arg.includes(':')) return arg;
+  if (/^(caa|act)$/i.test(arg)) return actDocumentKey('CAA_2023_0010');
+  if (/^\d{1,3}[A-Z]?$/i.test(arg)) return carDocumentKey(arg);
+  throw new Error(`Unknown document: ${arg}\n${USAGE}`);
+}
+
+function findSnapshot(snapshots, label, key) {
+  const found = snapshots.find(s => s.label === label || s.label.startsWith(label) || s.pdf_sha256.startsWith(label));
+  if (!found) throw new Error(`No snapshot ${label} for ${key} (have: ${snapshots.map(s => s.label).join(', ') || 'none'})`);
+  return found;
+}
+
+function allDocumentKeys(snapshotsRoot) {
+  if (!fs.existsSync(snapshotsRoot)) return [];
+  return fs.readdirSync(snapshotsRoot, { withFileTypes: true })
+    .filter(d => d.isDirectory())
+    .map(d => d.name.replace('-', ':'))
+    .sort();
+}
+
+function runOne(paths, key, fromLabel, toLabel) {
+  const snapshots = listSnapshots(paths.snapshotsRoot, key);
+  if (snapshots.length < 2 && !(fromLabel && toLabel)) {
+    console.warn(`[SKIP] ${key}: ${snapshots.length} snapshot(s); need two versions to compare`);
+    return null;
+  }
+  const to = toLabel ? findSnapshot(snapshots, toLabel, key) : snapshots[snapshots.length - 1];
+  const from = fromLabel ? findSnapshot(snapshots, fromLabel, key) : snapshots[snapshots.indexOf(to) - 1];
+  if (!from) throw new Error(`No snapshot before ${to.label} for ${key}`);
+  const report = buildAmendmentReport(paths.snapshotsRoot, key, from, to);
+  const { jsonPath, mdPath } = writeAmendmentReport(paths.amendmentsRoot, report);
+  const s = report.summary;
+  console.log(`[OK] ${key} ${from.label} -> ${to.label}: ${s.added} added, ${s.removed} removed, ${s.modified} modified, ${s.unchanged} unchanged`);
+  console.log(`     ${mdPath}`);
+  console.log(`     ${jsonPath}`);
+  return report;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const paths = defaultAmendmentPaths(projectRoot);
+
+  if (args.all) {
+    const keys = allDocumentKeys(paths.snapshotsRoot);
+    if (keys.length === 0) console.warn(`No snapshots under ${paths.snapshotsRoot}; convert a Part first`);
+    for (const key of keys) runOne(paths, key, null, null);
+    return;
+  }
+  if (!args.document) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  const key = documentKey(args.document);
+  if (args.list) {
+    const snapshots = listSnapshots(paths.snapshotsRoot, key);
+    if (snapshots.length === 0) console.log(`No snapshots for ${key}`);
+    for (const s of snapshots) console.log(`${s.label}  archived ${s.archived_at}`);
+    return;
+  }
+  runOne(paths, key, args.from, args.to);
+}
+
+main().catch(err => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -2,11 +2,11 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import https from 'node:https';
-import http from 'node:http';
-import { execSync } from 'node:child_process';
 import process from 'node:process';
 import YAML from 'yaml';
+import { createCookieJar, downloadPdf, mapWithConcurrency, warmSession } from './lib/download.js';
+import { carDocumentKey, defaultManifestPath, readManifest, recordFetch, writeManifest } from './lib/manifest.js';
+import { readConsolidationDate } from './lib/pdf_structure.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,8 +16,13 @@ const scriptsRoot = path.resolve(__dirname, '..');
 const repoRoot = path.resolve(__dirname, '..', '..');
 const dataFile = path.resolve(scriptsRoot, 'car.yaml');
 
-const UA = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126 Safari/537.36';
 const REFERER = 'https://www.aviation.govt.nz/rules/rule-part/';
+const HEADERS = { 'Referer': REFERER, 'Accept': 'application/pdf,*/*' };
+
+// Download tuning (env): parallel requests, retries with exponential backoff, per-request timeout
+const CONCURRENCY = Number(process.env.DOWNLOAD_CONCURRENCY) || 4;
+const RETRIES = process.env.DOWNLOAD_RETRIES !== undefined ? Number(process.env.DOWNLOAD_RETRIES) : 4;
+const TIMEOUT_MS = Number(process.env.DOWNLOAD_TIMEOUT_MS) || 60000;
 
 // output paths will be resolved per-entry from YAML (pdf_path)
 
@@ -26,54 +31,6 @@ function readYaml(filePath) {
   return YAML.parse(text);
 }
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
-function getClient(url) {
-  return url.startsWith('https:') ? https : http;
-}
-
-function fetchWithRedirects(url, options = {}, maxRedirects = 5, cookieJar = new Map()) {
-  return new Promise((resolve, reject) => {
-    const client = getClient(url);
-    const headers = { 'User-Agent': UA, 'Referer': REFERER, 'Accept': 'application/pdf,*/*' };
-    const cookie = Array.from(cookieJar.entries()).map(([k, v]) => `${k}=${v}`).join('; ');
-    if (cookie) headers['Cookie'] = cookie;
-    const req = client.get(url, { headers, ...options }, res => {
-      // collect set-cookie
-      const setCookie = res.headers['set-cookie'];
-      if (setCookie) {
-        for (const cookieStr of setCookie) {
-          const [kv] = cookieStr.split(';');
-          const [k, v] = kv.split('=');
-          if (k && v) cookieJar.set(k.trim(), v.trim());
-        }
-      }
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        if (maxRedirects === 0) return reject(new Error('Too many redirects'));
-        const next = new URL(res.headers.location, url).toString();
-        res.resume();
-        return resolve(fetchWithRedirects(next, options, maxRedirects - 1, cookieJar));
-      }
-      const chunks = [];
-      res.on('data', d => chunks.push(d));
-      res.on('end', () => {
-        resolve({
-          statusCode: res.statusCode || 0,
-          headers: res.headers,
-          body: Buffer.concat(chunks)
-        });
-      });
-    });
-    req.on('error', reject);
-  });
-}
-
-async function warmSession(cookieJar) {
-  try {
-    await fetchWithRedirects(REFERER, {}, 5, cookieJar);
-  } catch {}
-}
-
 function zeroPadPart(part) {
   return String(part).padStart(3, '0');
 }
@@ -83,9 +40,7 @@ function computeDefaultPdfPath(part) {
   return path.join('download', 'car', `Part_${p}_Consolidation.pdf`);
 }
 
-async function downloadPdf(entry, cookieJar) {
-  const part = zeroPadPart(entry.part);
-  const url = entry.url;
+function resolvePdfPath(entry) {
   // Determine output relative path:
   // - If a filename is provided with no directory, save to download/car/<filename>
   // - If a relative/absolute path is provided, use as-is (relative to repo root)
@@ -95,59 +50,71 @@ async function downloadPdf(entry, cookieJar) {
     const hasPathSeparator = candidate.includes('/') || candidate.includes(path.sep);
     relOut = hasPathSeparator ? candidate : path.join('download', 'car', candidate);
   } else {
-    relOut = computeDefaultPdfPath(part);
-  }
-  const outPath = path.resolve(repoRoot, relOut);
-  const tmpPath = `${outPath}.tmp`;
-  fs.mkdirSync(path.dirname(outPath), { recursive: true });
-
-  const tryOnce = async () => {
-    const res = await fetchWithRedirects(url, {}, 8, cookieJar);
-    return res;
-  };
-
-  let res = await tryOnce();
-  const mime = (res.headers['content-type'] || '').split(';')[0].trim();
-  if (mime !== 'application/pdf' || res.body.length < 10240) {
-    // Some endpoints require extra delay or second attempt
-    await sleep(400);
-    res = await tryOnce();
+    relOut = computeDefaultPdfPath(zeroPadPart(entry.part));
   }
+  return path.resolve(repoRoot, relOut);
+}
 
-  const mime2 = (res.headers['content-type'] || '').split(';')[0].trim();
-  if (mime2 !== 'application/pdf' || res.body.length < 10240) {
-    return { ok: false, part, size: res.body.length, mime: mime2, outPath };
+async function downloadPart(entry, manifest, manifestFile, cookieJar) {
+  const part = zeroPadPart(entry.part);
+  const key = carDocumentKey(entry.part);
+  const outPath = resolvePdfPath(entry);
+  const previous = manifest.documents[key] || null;
+  try {
+    const r = await downloadPdf(entry.url, outPath, {
+      headers: HEADERS,
+      cookieJar,
+      previous,
+      retries: RETRIES,
+      timeoutMs: TIMEOUT_MS,
+    });
+    const consolidationDate = r.status === 'downloaded'
+      ? await readConsolidationDate(outPath).catch(() => null)
+      : previous?.consolidation_date ?? null;
+    const { changed } = recordFetch(
+      manifest,
+      key,
+      { kind: 'car', part, name: entry.name, url: entry.url, pdf: path.relative(repoRoot, outPath) },
+      { ...r, consolidation_date: consolidationDate },
+    );
+    // Persist after every file so an interrupted run keeps its progress
+    writeManifest(manifestFile, manifest);
+    return { ok: true, part, status: r.status, changed, size: r.size, sha256: r.sha256, consolidationDate, attempts: r.attempts, outPath };
+  } catch (err) {
+    return { ok: false, part, status: 'failed', error: err.message, attempts: err.attempts, outPath };
   }
-
-  fs.writeFileSync(tmpPath, res.body);
-  fs.renameSync(tmpPath, outPath);
-  return { ok: true, part, size: res.body.length, mime: mime2, outPath };
 }
 
 async function main() {
   const list = readYaml(dataFile);
-  const cookieJar = new Map();
-  await warmSession(cookieJar);
-  const results = [];
-  for (const entry of list) {
-    const r = await downloadPdf(entry, cookieJar);
-    results.push({ ...entry, ...r });
-    const status = r.ok ? 'OK' : 'FAIL';
-    console.log(`[${status}] Part ${r.part} -> ${r.mime} ${r.size} bytes ${r.ok ? 'saved' : ''}`);
-  }
+  const manifestFile = defaultManifestPath(repoRoot);
+  const manifest = readManifest(manifestFile);
+  const cookieJar = createCookieJar();
+  await warmSession(REFERER, cookieJar, HEADERS);
+  const results = await mapWithConcurrency(list, CONCURRENCY, async entry => {
+    const r = await downloadPart(entry, manifest, manifestFile, cookieJar);
+    if (!r.ok) {
+      console.log(`[FAIL] Part ${r.part} -> ${r.error} (${r.attempts ?? 1} attempts)`);
+    } else {
+      const label = r.status === 'unchanged' ? 'SAME' : r.changed ? 'NEW' : 'OK';
+      const date = r.consolidationDate ? `, consolidated ${r.consolidationDate}` : '';
+      console.log(`[${label}] Part ${r.part} -> ${r.size} bytes sha256:${r.sha256.slice(0, 12)}${date}`);
+    }
+    return { ...entry, ...r };
+  });
   const ok = results.filter(r => r.ok).length;
   const fail = results.length - ok;
+  const changed = results.filter(r => r.changed).length;
   // write report json
   const reportPath = path.resolve(repoRoot, 'download', 'car', 'report.json');
   fs.mkdirSync(path.dirname(reportPath), { recursive: true });
   fs.writeFileSync(reportPath, JSON.stringify(results, null, 2));
-  console.log(`Summary: ${ok} ok, ${fail} fail`);
+  console.log(`Summary: ${ok} ok (${changed} changed), ${fail} fail`);
   console.log(`Output: ${path.resolve(repoRoot, 'download', 'car')}`);
+  console.log(`Manifest: ${manifestFile}`);
 }
 
 main().catch(err => {
   console.error(err);
   process.exit(1);
 });
-
-
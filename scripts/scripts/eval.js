@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import process from 'node:process';
+import 'dotenv/config'
+import { providerFromEnv } from './lib/llm.js';
+import { DEFAULT_MODEL, askQuestion, askSettingsFromEnv, readAskCorpus, readAskPolicy } from './lib/ask.js';
+import { priceTable } from './lib/batch.js';
+import { compareRuns, failedResult, parseGoldenSet, renderEvalMarkdown, scoreAnswer, summarizeResults } from './lib/eval.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+// Config
+const GOLDEN_PATH = process.env.EVAL_GOLDEN || path.resolve(projectRoot, 'eval', 'golden.yaml');
+const RUNS_DIR = process.env.EVAL_RUNS_DIR || path.resolve(projectRoot, 'eval', 'runs');
+const MOCK_FIXTURES = path.resolve(projectRoot, 'eval', 'mock-fixtures.json');
+const TOLERANCE = process.env.EVAL_TOLERANCE ? Number(process.env.EVAL_TOLERANCE) : 0.02;
+// API key for --target <url> (create one on the frontend's /account page)
+const API_KEY = process.env.ASK_API_KEY || '';
+const SETTINGS = askSettingsFromEnv(projectRoot);
+
+const USAGE = [
+  'Usage: npm run eval -- [--golden eval/golden.yaml] [--target script|<frontend url>] [--mock]',
+  '                       [--only id,id] [--limit N] [--baseline <run.json>|none] [--fail-on-regression]',
+  '                       [--price-in USD] [--price-out USD] [--policy <id[@version]>]',
+  '  --target script (default): the ask:car pipeline in-process (whole corpus)',
+  '  --target http://localhost:3000: POST /api/ask on a running frontend (its own provider and retrieval; ASK_API_KEY)',
+  '  --mock: LLM_PROVIDER=mock with eval/mock-fixtures.json; no network',
+  '  --price-in / --price-out: USD per million prompt / completion tokens (EVAL_PRICE_IN / EVAL_PRICE_OUT);',
+  '    without them answers are priced by model from ASK_PRICES, then ASK_PRICE_IN / ASK_PRICE_OUT',
+  '  --policy: prompt policy (policies/; ASK_POLICY); sent as "policy" to a frontend target',
+].join('\n');
+
+function optionalNumber(value) {
+  return value === undefined || value === '' ? undefined : Number(value);
+}
+
+function parseArgs(argv) {
+  const args = {
+    golden: GOLDEN_PATH,
+    target: 'script',
+    mock: false,
+    only: null,
+    limit: undefined,
+    baseline: undefined,
+    failOnRegression: false,
+    priceIn: optionalNumber(process.env.EVAL_PRICE_IN),
+    priceOut: optionalNumber(process.env.EVAL_PRICE_OUT),
+    policy: '',
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === '--golden') args.golden = path.resolve(argv[++i]);
+    else if (a === '--target') args.target = argv[++i];
+    else if (a === '--mock') args.mock = true;
+    else if (a === '--only') args.only = argv[++i].split(',').map(s => s.trim()).filter(Boolean);
+    else if (a === '--limit') args.limit = Number(argv[++i]);
+    else if (a === '--baseline') args.baseline = argv[++i];
+    else if (a === '--fail-on-regression') args.failOnRegression = true;
+    else if (a === '--price-in') args.priceIn = Number(argv[++i]);
+    else if (a === '--price-out') args.priceOut = Number(argv[++i]);
+    else if (a === '--policy') args.policy = argv[++i] ?? '';
+    else if (a === '--help' || a === '-h') {
+      console.log(USAGE);
+      process.exit(0);
+    } else {
+      console.error(`Unknown argument: ${a}\n${USAGE}`);
+      process.exit(2);
+    }
+  }
+  return args;
+}
+
+function loadGolden(filePath) {
+  if (!fs.existsSync(filePath)) throw new Error(`Golden set not found: ${filePath}`);
+  const format = /\.jsonl$/i.test(filePath) ? 'jsonl' : 'yaml';
+  return parseGoldenSet(fs.readFileSync(filePath, 'utf8'), { format });
+}
+
+// In-process: the same prompt, provider and verifier as npm run ask:car
+function scriptTarget({ mock, policy: policyRef }) {
+  const env = mock ? { ...process.env, LLM_PROVIDER: 'mock', LLM_MOCK_FIXTURES: process.env.LLM_MOCK_FIXTURES || MOCK_FIXTURES } : process.env;
+  const provider = providerFromEnv(env, { defaultModel: DEFAULT_MODEL });
+  // Mock answers come from fixtures, so CI can run without the converted corpus
+  const corpus = readAskCorpus(SETTINGS, { requireRules: !mock });
+  if (!corpus.carText) console.warn(`[eval] corpus not found at ${SETTINGS.systemPath}; mock answers only`);
+  if (!corpus.verifier) console.warn(`[eval] provision index not found at ${SETTINGS.provisionsPath}; verification rates skipped`);
+  const policy = readAskPolicy(SETTINGS, policyRef);
+  return {
+    provider: provider.name,
+    model: provider.model,
+    policy: policy.ref,
+    ask: question => askQuestion({
+      provider,
+      question,
+      policy: policy.text,
+      ...corpus,
+      maxTokens: SETTINGS.maxTokens,
+      temperature: SETTINGS.temperature,
+      budget: SETTINGS.budget,
+    }),
+  };
+}
+
+// A running frontend: /api/ask with its own provider, retrieval and verifier
+function httpTarget(baseUrl, { policy }) {
+  const url = new URL('/api/ask', baseUrl).toString();
+  return {
+    provider: 'http',
+    model: null,
+    // null: the frontend's default (its ASK_POLICY)
+    policy: policy || null,
+    async ask(question) {
+      const startedAt = Date.now();
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          ...(API_KEY ? { authorization: `Bearer ${API_KEY}` } : {}),
+        },
+        body: JSON.stringify({ question, stream: false, ...(policy ? { policy } : {}) }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body.error || `HTTP ${res.status} from ${url}`);
+      return { content: body.content, summary: body.summary, verification: body.verification, durationMs: Date.now() - startedAt };
+    },
+  };
+}
+
+function runId(date, provider, model) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${stamp}_${provider}-${model ?? 'unknown'}`.replace(/[^A-Za-z0-9._-]+/g, '-');
+}
+
+function listRuns(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort().map(f => path.join(dir, f));
+}
+
+// Latest earlier run with the same provider, model, target, golden set and policy (runs from before
+// policies match any), unless --baseline names one
+function findBaseline(args, run) {
+  if (args.baseline === 'none') return null;
+  if (args.baseline) return JSON.parse(fs.readFileSync(path.resolve(args.baseline), 'utf8'));
+  for (const file of listRuns(RUNS_DIR).reverse()) {
+    const previous = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (previous.id === run.id) continue;
+    if (previous.provider === run.provider && previous.model === run.model && previous.target === run.target && previous.golden === run.golden
+      && (!previous.policy || previous.policy === run.policy)) return previous;
+  }
+  return null;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let items = loadGolden(args.golden);
+  if (args.only) items = items.filter(item => args.only.includes(item.id));
+  if (Number.isInteger(args.limit) && args.limit > 0) items = items.slice(0, args.limit);
+  if (items.length === 0) throw new Error('No golden questions selected');
+
+  const isHttp = /^https?:\/\//.test(args.target);
+  if (!isHttp && args.target !== 'script') throw new Error(`Unknown target: ${args.target}\n${USAGE}`);
+  const target = isHttp ? httpTarget(args.target, { policy: args.policy }) : scriptTarget({ mock: args.mock, policy: args.policy });
+  const pricing = args.priceIn !== undefined || args.priceOut !== undefined
+    ? { inputPerMillion: args.priceIn ?? null, outputPerMillion: args.priceOut ?? null }
+    : priceTable(process.env);
+  console.log(`[eval] ${items.length} questions from ${path.relative(projectRoot, args.golden)}; target ${args.target} (${target.provider} ${target.model ?? ''})`);
+
+  const results = [];
+  for (const item of items) {
+    const startedAt = Date.now();
+    try {
+      const result = scoreAnswer(item, await target.ask(item.question), { pricing });
+      results.push(result);
+      console.log(`[eval] ${item.id}: precision ${result.citationPrecision ?? '—'} recall ${result.citationRecall ?? '—'} headings ${result.headingRate} (${result.durationMs} ms)`);
+    } catch (err) {
+      results.push(failedResult(item, err, Date.now() - startedAt));
+      console.error(`[eval] ${item.id}: ${err.message}`);
+    }
+  }
+
+  const createdAt = new Date();
+  // HTTP answers report their model in the completion summary
+  const model = target.model ?? results.find(r => r.ok && r.model)?.model ?? null;
+  const run = {
+    id: runId(createdAt, target.provider, model),
+    created_at: createdAt.toISOString(),
+    golden: path.relative(projectRoot, args.golden),
+    target: isHttp ? args.target : 'script',
+    provider: target.provider,
+    model,
+    policy: target.policy,
+    pricing,
+    metrics: summarizeResults(results),
+    results,
+  };
+  const baseline = findBaseline(args, run);
+  const comparison = baseline ? compareRuns(run, baseline, { tolerance: TOLERANCE }) : null;
+
+  fs.mkdirSync(RUNS_DIR, { recursive: true });
+  const jsonPath = path.join(RUNS_DIR, `${run.id}.json`);
+  const mdPath = path.join(RUNS_DIR, `${run.id}.md`);
+  fs.writeFileSync(jsonPath, JSON.stringify({ ...run, comparison }, null, 2) + '\n', 'utf8');
+  const report = renderEvalMarkdown(run, comparison);
+  fs.writeFileSync(mdPath, report, 'utf8');
+  process.stdout.write('\n' + report);
+  console.log(`[eval] wrote ${path.relative(projectRoot, jsonPath)} and ${path.relative(projectRoot, mdPath)}`);
+
+  if (args.failOnRegression) {
+    if (run.metrics.errors > 0 && !baseline) {
+      console.error(`[eval] ${run.metrics.errors} questions failed`);
+      process.exit(1);
+    }
+    if (comparison && comparison.regressions.length > 0) {
+      console.error(`[eval] regression against ${comparison.baselineId}: ${comparison.regressions.join(', ')}`);
+      process.exit(1);
+    }
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
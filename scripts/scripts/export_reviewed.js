@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import process from 'node:process';
+import 'dotenv/config'
+import { connect } from './lib/db.js';
+import { parseGoldenSet, renderGoldenItems, reviewedGoldenItems } from './lib/eval.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+// Config
+const GOLDEN_PATH = process.env.EVAL_GOLDEN || path.resolve(projectRoot, 'eval', 'golden.yaml');
+const STATUSES = ['approved', 'corrected'];
+
+const USAGE = [
+  'Usage: npm run eval:reviewed -- [--golden eval/golden.yaml] [--out <file>] [--status approved,corrected] [--dry-run]',
+  '  Appends expert-reviewed answers (frontend /review) to the golden set as questions whose',
+  '  expected_provisions are the provisions the approved or corrected answer cites.',
+  '  --out: write to another file instead (questions in --golden are still skipped)',
+  '  --dry-run: print the new items without writing',
+].join('\n');
+
+function parseArgs(argv) {
+  const args = { golden: GOLDEN_PATH, out: null, statuses: STATUSES, dryRun: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === '--golden') args.golden = path.resolve(argv[++i]);
+    else if (a === '--out') args.out = path.resolve(argv[++i]);
+    else if (a === '--status') args.statuses = argv[++i].split(',').map(s => s.trim()).filter(Boolean);
+    else if (a === '--dry-run') args.dryRun = true;
+    else if (a === '--help' || a === '-h') {
+      console.log(USAGE);
+      process.exit(0);
+    } else {
+      console.error(`Unknown argument: ${a}\n${USAGE}`);
+      process.exit(1);
+    }
+  }
+  const unknown = args.statuses.filter(s => !STATUSES.includes(s));
+  if (unknown.length > 0) {
+    console.error(`--status takes ${STATUSES.join(', ')} (rejected answers are not exported)`);
+    process.exit(1);
+  }
+  args.out = args.out ?? args.golden;
+  return args;
+}
+
+function readGolden(file) {
+  if (!fs.existsSync(file)) return [];
+  return parseGoldenSet(fs.readFileSync(file, 'utf8'), { format: file.endsWith('.jsonl') ? 'jsonl' : 'yaml' });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.out.endsWith('.jsonl')) throw new Error('--out must be a YAML golden set');
+  const existing = [...readGolden(args.golden), ...(args.out !== args.golden ? readGolden(args.out) : [])];
+
+  const client = await connect();
+  let rows;
+  try {
+    ({ rows } = await client.query(
+      `SELECT q."id" AS query_id, q."question", q."answer", r."status",
+              r."correctedAnswer" AS corrected_answer, r."updatedAt" AS reviewed_at
+       FROM "AnswerReview" r JOIN "QueryHistory" q ON q."id" = r."queryHistoryId"
+       WHERE r."status" = ANY($1)
+       ORDER BY r."updatedAt"`,
+      [args.statuses],
+    ));
+  } finally {
+    await client.end();
+  }
+
+  const { items, skipped } = reviewedGoldenItems(
+    rows.map(r => ({ ...r, reviewed_at: new Date(r.reviewed_at).toISOString() })),
+    existing,
+  );
+  for (const s of skipped) console.log(`[eval:reviewed] skip ${s.queryId}: ${s.reason}`);
+  if (items.length === 0) {
+    console.log(`[eval:reviewed] No new questions (${rows.length} reviewed answer(s))`);
+    return;
+  }
+
+  const block = `\n# Expert-reviewed answers exported ${new Date().toISOString()} (npm run eval:reviewed);\n# add key_facts and acceptable_provisions by hand.\n\n${renderGoldenItems(items)}`;
+  if (args.dryRun) {
+    process.stdout.write(block);
+    return;
+  }
+  const previous = fs.existsSync(args.out) ? fs.readFileSync(args.out, 'utf8') : '';
+  fs.mkdirSync(path.dirname(args.out), { recursive: true });
+  fs.writeFileSync(args.out, previous.replace(/\n*$/, previous ? '\n' : '') + block, 'utf8');
+  console.log(`[eval:reviewed] Added ${items.length} question(s) to ${path.relative(process.cwd(), args.out)}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import process from 'node:process';
+import 'dotenv/config'
+import { chunkProvision, contentHash, readProvisionsJsonl } from './lib/provisions.js';
+import { embedderFromEnv, toVectorLiteral } from './lib/embeddings.js';
+import { connect } from './lib/db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+// Config
+const INDEX_PATH = process.env.INDEX_PATH || path.resolve(projectRoot, 'md', 'provisions.jsonl');
+const CHUNK_CHARS = process.env.CHUNK_CHARS ? Number(process.env.CHUNK_CHARS) : 6000;
+const BATCH = 32;
+
+async function main() {
+  if (!fs.existsSync(INDEX_PATH)) {
+    throw new Error(`Provision index not found: ${INDEX_PATH} (run npm run index:car first)`);
+  }
+  const records = readProvisionsJsonl(fs.readFileSync(INDEX_PATH, 'utf8'));
+  const embedder = embedderFromEnv();
+  const client = await connect();
+
+  try {
+    const existing = await client.query(
+      'SELECT "id", "hash" FROM "ProvisionChunk" WHERE "embedder" = $1',
+      [embedder.id],
+    );
+    const known = new Map(existing.rows.map(r => [r.id, r.hash]));
+
+    const chunks = [];
+    for (const record of records) {
+      for (const chunk of chunkProvision(record, CHUNK_CHARS)) {
+        chunks.push({
+          ...chunk,
+          rowId: `${embedder.id}/${chunk.id}`,
+          hash: contentHash(chunk.text),
+          source: record.source,
+          part: record.part ?? null,
+          subpart: record.subpart ?? null,
+          heading: record.heading,
+          sourceUrl: record.source_url ?? null,
+        });
+      }
+    }
+    const pending = chunks.filter(c => known.get(c.rowId) !== c.hash);
+    console.log(`[ingest] ${chunks.length} chunks from ${records.length} provisions; ${pending.length} new or changed (embedder ${embedder.id})`);
+
+    for (let i = 0; i < pending.length; i += BATCH) {
+      const batch = pending.slice(i, i + BATCH);
+      const vectors = await embedder.embed(batch.map(c => c.text));
+      await client.query('BEGIN');
+      for (let j = 0; j < batch.length; j += 1) {
+        const c = batch[j];
+        await client.query(
+          `INSERT INTO "ProvisionChunk"
+             ("id", "provisionId", "chunkIndex", "source", "part", "subpart", "heading", "text", "sourceUrl", "hash", "embedder", "embedding", "updatedAt")
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12::vector, now())
+           ON CONFLICT ("id") DO UPDATE SET
+             "provisionId" = EXCLUDED."provisionId", "chunkIndex" = EXCLUDED."chunkIndex", "source" = EXCLUDED."source",
+             "part" = EXCLUDED."part", "subpart" = EXCLUDED."subpart", "heading" = EXCLUDED."heading", "text" = EXCLUDED."text",
+             "sourceUrl" = EXCLUDED."sourceUrl", "hash" = EXCLUDED."hash", "embedding" = EXCLUDED."embedding", "updatedAt" = now()`,
+          [c.rowId, c.provisionId, c.chunkIndex, c.source, c.part, c.subpart, c.heading, c.text, c.sourceUrl, c.hash, embedder.id, toVectorLiteral(vectors[j])],
+        );
+      }
+      await client.query('COMMIT');
+      console.log(`[ingest] ${Math.min(i + BATCH, pending.length)}/${pending.length}`);
+    }
+
+    // Drop chunks whose provision disappeared or shrank
+    const current = chunks.map(c => c.rowId);
+    const removed = await client.query(
+      'DELETE FROM "ProvisionChunk" WHERE "embedder" = $1 AND NOT ("id" = ANY($2::text[]))',
+      [embedder.id, current],
+    );
+    console.log(`[ingest] removed ${removed.rowCount} stale chunks`);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import process from 'node:process';
+import 'dotenv/config'
+import { readProvisionsJsonl } from './lib/provisions.js';
+import { connect } from './lib/db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+// Config
+const INDEX_PATH = process.env.INDEX_PATH || path.resolve(projectRoot, 'md', 'provisions.jsonl');
+
+// Loads md/provisions.jsonl into the "Provision" table; its generated "search"
+// tsvector (GIN-indexed) backs /api/search and `npm run search`.
+async function main() {
+  if (!fs.existsSync(INDEX_PATH)) {
+    throw new Error(`Provision index not found: ${INDEX_PATH} (run npm run index:car first)`);
+  }
+  const records = readProvisionsJsonl(fs.readFileSync(INDEX_PATH, 'utf8'));
+  const client = await connect();
+
+  try {
+    const existing = await client.query('SELECT "id", "hash", "sourceUrl", "position" FROM "Provision"');
+    const known = new Map(existing.rows.map(r => [r.id, r]));
+    const pending = records
+      .map((record, position) => ({ record, position }))
+      .filter(({ record, position }) => {
+        const row = known.get(record.id);
+        return !row || row.hash !== record.hash || row.sourceUrl !== (record.source_url ?? null) || row.position !== position;
+      });
+    console.log(`[search] ${records.length} provisions; ${pending.length} new or changed`);
+
+    await client.query('BEGIN');
+    for (const { record: r, position } of pending) {
+      await client.query(
+        `INSERT INTO "Provision"
+           ("id", "position", "source", "kind", "part", "partName", "subpart", "number", "heading", "text",
+            "pageStart", "pageEnd", "sourceUrl", "hash", "updatedAt")
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, now())
+         ON CONFLICT ("id") DO UPDATE SET
+           "position" = EXCLUDED."position", "source" = EXCLUDED."source", "kind" = EXCLUDED."kind",
+           "part" = EXCLUDED."part", "partName" = EXCLUDED."partName", "subpart" = EXCLUDED."subpart",
+           "number" = EXCLUDED."number", "heading" = EXCLUDED."heading", "text" = EXCLUDED."text",
+           "pageStart" = EXCLUDED."pageStart", "pageEnd" = EXCLUDED."pageEnd", "sourceUrl" = EXCLUDED."sourceUrl",
+           "hash" = EXCLUDED."hash", "updatedAt" = now()`,
+        [r.id, position, r.source, r.kind, r.part ?? null, r.part_name ?? null, r.subpart ?? null, r.number, r.heading,
+          r.text, r.page_start ?? null, r.page_end ?? null, r.source_url ?? null, r.hash],
+      );
+    }
+    const removed = await client.query(
+      'DELETE FROM "Provision" WHERE NOT ("id" = ANY($1::text[]))',
+      [records.map(r => r.id)],
+    );
+    await client.query('COMMIT');
+    console.log(`[search] removed ${removed.rowCount} stale provisions`);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
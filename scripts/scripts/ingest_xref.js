@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import process from 'node:process';
+import 'dotenv/config'
+import { connect } from './lib/db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+// Config
+const XREF_PATH = process.env.XREF_PATH || path.resolve(projectRoot, 'md', 'xref.json');
+const BATCH = 500;
+
+// Replaces the "ProvisionReference" table with the graph written by
+// `npm run index:car`; /api/ask joins it to pull in referenced provisions.
+async function main() {
+  if (!fs.existsSync(XREF_PATH)) {
+    throw new Error(`Cross-reference graph not found: ${XREF_PATH} (run npm run index:car first)`);
+  }
+  const { edges } = JSON.parse(fs.readFileSync(XREF_PATH, 'utf8'));
+  const client = await connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM "ProvisionReference"');
+    for (let i = 0; i < edges.length; i += BATCH) {
+      const batch = edges.slice(i, i + BATCH);
+      await client.query(
+        `INSERT INTO "ProvisionReference" ("fromId", "toId", "kind", "count", "raw")
+         SELECT * FROM unnest($1::text[], $2::text[], $3::text[], $4::int[], $5::text[])`,
+        [batch.map(e => e.from), batch.map(e => e.to), batch.map(e => e.kind), batch.map(e => e.count), batch.map(e => e.raw)],
+      );
+    }
+    await client.query('COMMIT');
+    console.log(`[xref] loaded ${edges.length} edges`);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,327 @@
+// Amendment reports between consolidation versions of a CAR Part or the Act.
+//
+// Every conversion archives the converted Markdown as a snapshot
+// (md/snapshots/<car-091>/<date>_<sha12>.md, listed in snapshots.json in
+// conversion order). A report compares two snapshots provision by provision
+// (see provisions.js): added, removed and modified provisions, the latter with
+// a word-level diff. Reports go to md/amendments/<id>.{json,md} and are listed
+// newest first in md/amendments/index.json, which the frontend reads.
+import fs from 'node:fs';
+import path from 'node:path';
+import { dedupeIds, extractFrontMatterAndBody, splitProvisions } from './provisions.js';
+
+// Equal words kept around each change in the Markdown report
+const CONTEXT_WORDS = 12;
+// Above this edit distance a provision is shown as fully rewritten
+const MAX_EDIT_DISTANCE = 2000;
+
+function readJsonIfExists(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(value, null, 2) + '\n', 'utf8');
+}
+
+function documentDir(key) {
+  return key.replace(/[^A-Za-z0-9_.-]+/g, '-');
+}
+
+/**
+ * Snapshots of one document in conversion order (oldest first).
+ */
+export function listSnapshots(snapshotsRoot, key) {
+  return readJsonIfExists(path.join(snapshotsRoot, documentDir(key), 'snapshots.json'), []);
+}
+
+/**
+ * Archive converted Markdown for a PDF version; a no-op when that PDF hash is
+ * already archived. Returns { snapshot, previous, created }.
+ */
+export function archiveSnapshot(snapshotsRoot, key, { markdown, pdfSha256, consolidationDate }) {
+  const dir = path.join(snapshotsRoot, documentDir(key));
+  const list = listSnapshots(snapshotsRoot, key);
+  const existing = list.find(s => s.pdf_sha256 === pdfSha256);
+  if (existing) return { snapshot: existing, previous: null, created: false };
+  const label = `${consolidationDate || 'undated'}_${pdfSha256.slice(0, 12)}`;
+  const snapshot = {
+    label,
+    file: `${label}.md`,
+    pdf_sha256: pdfSha256,
+    consolidation_date: consolidationDate || null,
+    archived_at: new Date().toISOString(),
+  };
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, snapshot.file), markdown, 'utf8');
+  writeJson(path.join(dir, 'snapshots.json'), [...list, snapshot]);
+  return { snapshot, previous: list[list.length - 1] || null, created: true };
+}
+
+/**
+ * Provision records of an archived snapshot.
+ */
+export function readSnapshotProvisions(snapshotsRoot, key, snapshot) {
+  const text = fs.readFileSync(path.join(snapshotsRoot, documentDir(key), snapshot.file), 'utf8');
+  const { meta, body } = extractFrontMatterAndBody(text);
+  const [kind, name] = key.split(':');
+  const options = kind === 'act'
+    ? { source: 'CAA', source_url: meta.source_url }
+    : { source: 'CAR', part: name, source_url: meta.source_url };
+  const records = splitProvisions(body, options);
+  dedupeIds(records);
+  return { title: meta.title || key, records };
+}
+
+function words(text) {
+  return String(text).replace(/<!--[\s\S]*?-->/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+function pushOp(ops, op, tokens) {
+  if (tokens.length === 0) return;
+  const last = ops[ops.length - 1];
+  if (last && last.op === op) last.words.push(...tokens);
+  else ops.push({ op, words: [...tokens] });
+}
+
+// Myers O(ND) shortest edit script over word arrays; null when D exceeds the cap
+function myers(a, b, maxD) {
+  const n = a.length;
+  const m = b.length;
+  const offset = maxD + 1;
+  const v = new Int32Array(2 * maxD + 3);
+  const trace = [];
+  for (let d = 0; d <= maxD; d += 1) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x += 1; y += 1; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b, d, offset);
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, a, b, dEnd, offset) {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = dEnd; d > 0; d -= 1) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { edits.push(['equal', a[x - 1]]); x -= 1; y -= 1; }
+    if (x === prevX) edits.push(['insert', b[y - 1]]);
+    else edits.push(['delete', a[x - 1]]);
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) { edits.push(['equal', a[x - 1]]); x -= 1; y -= 1; }
+  return edits.reverse();
+}
+
+/**
+ * Word-level diff: [{ op: 'equal' | 'delete' | 'insert', text }].
+ * Whitespace and page markers are not significant.
+ */
+export function wordDiff(oldText, newText) {
+  const a = words(oldText);
+  const b = words(newText);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA -= 1; endB -= 1; }
+
+  const ops = [];
+  pushOp(ops, 'equal', a.slice(0, start));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const edits = myers(midA, midB, Math.min(MAX_EDIT_DISTANCE, midA.length + midB.length));
+  if (edits) {
+    // group each run of changes as delete-then-insert so it reads as a replacement
+    let del = [];
+    let ins = [];
+    for (const [op, word] of edits) {
+      if (op === 'equal') {
+        pushOp(ops, 'delete', del);
+        pushOp(ops, 'insert', ins);
+        del = [];
+        ins = [];
+        pushOp(ops, 'equal', [word]);
+      } else if (op === 'delete') {
+        del.push(word);
+      } else {
+        ins.push(word);
+      }
+    }
+    pushOp(ops, 'delete', del);
+    pushOp(ops, 'insert', ins);
+  } else {
+    pushOp(ops, 'delete', midA);
+    pushOp(ops, 'insert', midB);
+  }
+  pushOp(ops, 'equal', a.slice(endA));
+  return ops.map(o => ({ op: o.op, text: o.words.join(' ') }));
+}
+
+function sameText(a, b) {
+  return words(a).join(' ') === words(b).join(' ');
+}
+
+/**
+ * Compare two provision lists by id.
+ */
+export function diffProvisions(oldRecords, newRecords) {
+  const oldById = new Map(oldRecords.map(r => [r.id, r]));
+  const newById = new Map(newRecords.map(r => [r.id, r]));
+  const brief = r => ({ id: r.id, heading: r.heading, subpart: r.subpart ?? null, text: r.text });
+  const added = newRecords.filter(r => !oldById.has(r.id)).map(brief);
+  const removed = oldRecords.filter(r => !newById.has(r.id)).map(brief);
+  const modified = [];
+  let unchanged = 0;
+  for (const r of newRecords) {
+    const prev = oldById.get(r.id);
+    if (!prev) continue;
+    const headingChanged = prev.heading !== r.heading;
+    if (!headingChanged && sameText(prev.text, r.text)) {
+      unchanged += 1;
+      continue;
+    }
+    const diff = wordDiff(prev.text, r.text);
+    const count = op => diff.filter(d => d.op === op).reduce((n, d) => n + d.text.split(' ').length, 0);
+    modified.push({
+      id: r.id,
+      heading: r.heading,
+      previousHeading: headingChanged ? prev.heading : null,
+      subpart: r.subpart ?? null,
+      wordsAdded: count('insert'),
+      wordsRemoved: count('delete'),
+      diff,
+    });
+  }
+  return {
+    summary: { added: added.length, removed: removed.length, modified: modified.length, unchanged },
+    added,
+    removed,
+    modified,
+  };
+}
+
+export function reportId(key, from, to) {
+  return `${documentDir(key)}__${from.label}__${to.label}`;
+}
+
+/**
+ * Full report between two snapshots of a document.
+ */
+export function buildAmendmentReport(snapshotsRoot, key, from, to) {
+  const before = readSnapshotProvisions(snapshotsRoot, key, from);
+  const after = readSnapshotProvisions(snapshotsRoot, key, to);
+  const strip = s => ({ label: s.label, consolidation_date: s.consolidation_date, pdf_sha256: s.pdf_sha256 });
+  return {
+    id: reportId(key, from, to),
+    document: key,
+    title: after.title,
+    from: strip(from),
+    to: strip(to),
+    generated_at: new Date().toISOString(),
+    ...diffProvisions(before.records, after.records),
+  };
+}
+
+function renderDiffText(diff) {
+  const parts = [];
+  diff.forEach((d, i) => {
+    if (d.op === 'insert') parts.push(`<ins>${d.text}</ins>`);
+    else if (d.op === 'delete') parts.push(`<del>${d.text}</del>`);
+    else {
+      const w = d.text.split(' ');
+      const head = i === 0 ? [] : w.slice(0, CONTEXT_WORDS);
+      const tail = i === diff.length - 1 ? [] : w.slice(-CONTEXT_WORDS);
+      if (w.length <= head.length + tail.length) parts.push(d.text);
+      else parts.push([...head, '…', ...tail].join(' ').trim());
+    }
+  });
+  return parts.join(' ');
+}
+
+function versionLabel(v) {
+  return v.consolidation_date ? `${v.consolidation_date} (${v.pdf_sha256.slice(0, 12)})` : v.pdf_sha256.slice(0, 12);
+}
+
+export function renderAmendmentMarkdown(report) {
+  const { summary } = report;
+  const out = [
+    `# Amendments: ${report.title}`,
+    '',
+    `- From: ${versionLabel(report.from)}`,
+    `- To: ${versionLabel(report.to)}`,
+    `- ${summary.added} added, ${summary.removed} removed, ${summary.modified} modified, ${summary.unchanged} unchanged`,
+    '',
+  ];
+  if (report.added.length > 0) {
+    out.push('## Added', '');
+    for (const r of report.added) out.push(`- **${r.id}** ${r.heading}`);
+    out.push('');
+  }
+  if (report.removed.length > 0) {
+    out.push('## Removed', '');
+    for (const r of report.removed) out.push(`- **${r.id}** ${r.heading}`);
+    out.push('');
+  }
+  if (report.modified.length > 0) {
+    out.push('## Modified', '');
+    for (const r of report.modified) {
+      out.push(`### ${r.id} ${r.heading}`, '');
+      if (r.previousHeading) out.push(`Heading was: ${r.previousHeading}`, '');
+      out.push(`+${r.wordsAdded} / −${r.wordsRemoved} words`, '', renderDiffText(r.diff), '');
+    }
+  }
+  return out.join('\n');
+}
+
+/**
+ * Write <id>.json and <id>.md and add the report to index.json (newest first).
+ */
+export function writeAmendmentReport(amendmentsRoot, report) {
+  const jsonPath = path.join(amendmentsRoot, `${report.id}.json`);
+  const mdPath = path.join(amendmentsRoot, `${report.id}.md`);
+  writeJson(jsonPath, report);
+  fs.writeFileSync(mdPath, renderAmendmentMarkdown(report) + '\n', 'utf8');
+  const indexPath = path.join(amendmentsRoot, 'index.json');
+  const index = readJsonIfExists(indexPath, []).filter(e => e.id !== report.id);
+  const { id, document, title, from, to, generated_at, summary } = report;
+  index.unshift({ id, document, title, from, to, generated_at, summary });
+  writeJson(indexPath, index);
+  return { jsonPath, mdPath };
+}
+
+export function defaultAmendmentPaths(scriptsRoot) {
+  return {
+    snapshotsRoot: process.env.SNAPSHOTS_DIR || path.resolve(scriptsRoot, 'md', 'snapshots'),
+    amendmentsRoot: process.env.AMENDMENTS_DIR || path.resolve(scriptsRoot, 'md', 'amendments'),
+  };
+}
+
+/**
+ * Archive a fresh conversion and, when it is a new version of a document that
+ * already had one, write the amendment report against the previous version.
+ */
+export function archiveAndReport(paths, key, snapshotInput) {
+  const { snapshot, previous, created } = archiveSnapshot(paths.snapshotsRoot, key, snapshotInput);
+  if (!created || !previous) return { snapshot, report: null };
+  const report = buildAmendmentReport(paths.snapshotsRoot, key, previous, snapshot);
+  const { mdPath } = writeAmendmentReport(paths.amendmentsRoot, report);
+  return { snapshot, report, mdPath };
+}
@@ -0,0 +1,19 @@
+// Types for answer_cache.js (imported by the frontend via the @scripts alias)
+
+export type CacheMode = 'off' | 'exact' | 'semantic'
+
+export const CACHE_MODES: CacheMode[]
+export function cacheModeFromEnv(env?: Record<string, string | undefined>): CacheMode
+export function normalizeQuestion(question: string): string
+export function corpusVersion(manifest: { documents?: Record<string, { sha256?: string; converted?: { md_sha256?: string } }> } | null): string | null
+export function contentVersion(texts: string[]): string
+export function policyVersion(policyText: string): string
+export function cacheScope(options: {
+  corpusVersion: string
+  policyVersion: string
+  model: string
+  params?: Record<string, unknown>
+}): string
+export function cacheKey(scope: string, question: string): string
+export function readCachedAnswerFile(dir: string, version: string, key: string): Record<string, unknown> | null
+export function writeCachedAnswerFile(dir: string, version: string, entry: Record<string, unknown> & { key: string }): string
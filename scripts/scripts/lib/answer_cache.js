@@ -0,0 +1,119 @@
+// Answer cache keys shared by ask_llm.js and the frontend's /api/ask.
+//
+// A stored answer is reused when the normalised question and the cache scope
+// match. The scope hashes everything else that shapes an answer: corpus
+// version, policy version, provider/model and request parameters (tokens,
+// temperature, context mode, top-k, format). /api/ask can also match within a
+// scope by question embedding (semantic mode, pgvector).
+//
+// The corpus version hashes the manifest's converted-Markdown hashes
+// (manifest.js), so re-converting any Part or the Act moves every key and
+// entries stored under the old version are dropped on the next write.
+//
+// ask_llm.js keeps its entries as files: <dir>/<corpus version>/<key>.json.
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const CACHE_MODES = ['off', 'exact', 'semantic'];
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// JSON with sorted keys, so parameter order never changes a hash
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * ASK_CACHE: off | exact (default) | semantic.
+ */
+export function cacheModeFromEnv(env = process.env) {
+  const mode = (env.ASK_CACHE || 'exact').trim().toLowerCase();
+  if (!CACHE_MODES.includes(mode)) throw new Error(`Unknown ASK_CACHE mode: ${env.ASK_CACHE} (expected ${CACHE_MODES.join(', ')})`);
+  return mode;
+}
+
+/**
+ * "  VFR minima in Class D? " and "vfr minima in class d" are the same question.
+ */
+export function normalizeQuestion(question) {
+  return String(question)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[“”"']/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[\s?!.]+$/, '');
+}
+
+/**
+ * Corpus version from the manifest (converted Markdown hash per document, else
+ * the PDF hash); null when the manifest lists no documents.
+ */
+export function corpusVersion(manifest) {
+  const entries = Object.entries(manifest?.documents ?? {})
+    .map(([key, doc]) => `${key}:${doc.converted?.md_sha256 ?? doc.sha256 ?? ''}`)
+    .sort();
+  return entries.length > 0 ? sha256(entries.join('\n')).slice(0, 16) : null;
+}
+
+/**
+ * Version of arbitrary texts, for corpora built without the manifest.
+ */
+export function contentVersion(texts) {
+  return sha256(texts.join('\u0000')).slice(0, 16);
+}
+
+export function policyVersion(policyText) {
+  return sha256(policyText).slice(0, 16);
+}
+
+/**
+ * Hash of everything but the question: { corpusVersion, policyVersion, model, params }.
+ */
+export function cacheScope({ corpusVersion, policyVersion, model, params = {} }) {
+  return sha256(stableJson({ corpusVersion, policyVersion, model, params }));
+}
+
+export function cacheKey(scope, question) {
+  return sha256(`${scope}\n${normalizeQuestion(question)}`);
+}
+
+/**
+ * Stored ask_llm.js answer for a key, or null.
+ */
+export function readCachedAnswerFile(dir, version, key) {
+  const file = path.join(dir, version, `${key}.json`);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// corpusVersion / contentVersion: the only directories writeCachedAnswerFile removes
+const VERSION_DIR_RE = /^[0-9a-f]{16}$/;
+
+/**
+ * Store an ask_llm.js answer and drop the entries of other corpus versions.
+ * Only version directories are removed, so ASK_CACHE_DIR may point at a
+ * folder that holds anything else.
+ * entry: { key, question, corpus_version, policy_version, model, content, summary, verification }
+ */
+export function writeCachedAnswerFile(dir, version, entry) {
+  fs.mkdirSync(path.join(dir, version), { recursive: true });
+  for (const d of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (d.isDirectory() && d.name !== version && VERSION_DIR_RE.test(d.name)) {
+      fs.rmSync(path.join(dir, d.name), { recursive: true, force: true });
+    }
+  }
+  const file = path.join(dir, version, `${entry.key}.json`);
+  fs.writeFileSync(file, JSON.stringify({ ...entry, created_at: new Date().toISOString() }, null, 2) + '\n', 'utf8');
+  return file;
+}
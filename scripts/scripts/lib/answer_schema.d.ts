@@ -0,0 +1,25 @@
+// Types for answer_schema.js (imported by the frontend via the @scripts alias)
+
+export type StructuredRuleQuote = {
+  provision_id: string
+  quote: string
+  url: string
+}
+
+export type StructuredAnswer = {
+  issue: string
+  rule: { act: StructuredRuleQuote[]; car: StructuredRuleQuote[] }
+  application: string
+  conclusion: string
+  citations: Array<{ provision_id: string; url: string }>
+}
+
+export type JsonSchema = Record<string, unknown>
+
+export const ANSWER_SCHEMA_NAME: string
+export const ANSWER_SCHEMA: JsonSchema
+export function validateAgainstSchema(schema: JsonSchema, value: unknown, at?: string): string[]
+export function parseStructuredAnswer(content: string): { answer: StructuredAnswer | null; errors: string[] }
+export function buildRepairMessage(errors: string[]): string
+export function citationText(provisionId: string): string
+export function renderStructuredAnswer(answer: StructuredAnswer): string
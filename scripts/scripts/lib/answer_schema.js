@@ -0,0 +1,169 @@
+// Structured answers for `/api/ask` with format: "json". The schema is sent as
+// structured output (response_format / a forced Anthropic tool), the reply is
+// validated against it here, and renderStructuredAnswer turns it back into the
+// five Markdown sections every policy (policies.js) asks for, so the UI, verify.js and
+// conversation replay keep working on the rendered text.
+//
+// No Node imports: the frontend bundles this module.
+
+export const ANSWER_SCHEMA_NAME = 'legal_answer';
+
+const CAR_ID_PATTERN = '^CAR-(\\d{1,3}[A-Z]?\\.\\d{1,4}[A-Z]?|\\d{1,3}[A-Z]?-App[A-Z]\\d*)(-\\d+)?$';
+const CAA_ID_PATTERN = '^CAA-(s\\d{1,3}[A-Z]{0,2}|sch\\d{1,2})(-\\d+)?$';
+const ANY_ID_PATTERN = `${CAR_ID_PATTERN}|${CAA_ID_PATTERN}`;
+// Only keywords OpenAI's strict mode accepts; '\S' stands in for minLength: 1
+const NON_EMPTY = '\\S';
+
+function text(description) {
+  return { type: 'string', pattern: NON_EMPTY, description };
+}
+
+function ruleItems(pattern, example) {
+  return {
+    type: 'array',
+    items: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['provision_id', 'quote', 'url'],
+      properties: {
+        provision_id: { type: 'string', pattern, description: `Provision id, e.g. ${example}` },
+        quote: text('Short verbatim quotation from the provision, without code fences'),
+        url: text('source_url of the provision'),
+      },
+    },
+  };
+}
+
+export const ANSWER_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['issue', 'rule', 'application', 'conclusion', 'citations'],
+  properties: {
+    issue: text('The legal issue raised by the question'),
+    rule: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['act', 'car'],
+      properties: {
+        act: ruleItems(CAA_ID_PATTERN, 'CAA-s30'),
+        car: ruleItems(CAR_ID_PATTERN, 'CAR-91.301'),
+      },
+    },
+    application: text('Application of the rules to the facts, with any assumptions'),
+    conclusion: text('Conclusion'),
+    citations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['provision_id', 'url'],
+        properties: {
+          provision_id: { type: 'string', pattern: ANY_ID_PATTERN, description: 'Provision id, e.g. CAR-91.301 or CAA-s30' },
+          url: text('source_url of the provision'),
+        },
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used here and in quiz.js
+ * (type, enum, properties, required, additionalProperties, items, pattern).
+ * Returns error strings such as "$.rule.car[0].quote: expected string".
+ */
+export function validateAgainstSchema(schema, value, at = '$') {
+  const actual = typeOf(value);
+  if (schema.type && schema.type !== actual) return [`${at}: expected ${schema.type}, got ${actual}`];
+  if (schema.enum && !schema.enum.includes(value)) return [`${at}: expected one of ${schema.enum.join(', ')}`];
+  const errors = [];
+  if (actual === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${at}: ${value ? `"${value.slice(0, 40)}" does not match ${schema.pattern}` : 'must not be empty'}`);
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateAgainstSchema(schema.items, item, `${at}[${i}]`)));
+  }
+  if (actual === 'object') {
+    const properties = schema.properties ?? {};
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) errors.push(`${at}.${key}: required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) errors.push(...validateAgainstSchema(properties[key], item, `${at}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}.${key}: unexpected property`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Parse and validate a model reply. Returns { answer, errors }; answer is null
+ * when the reply is not JSON or does not match ANSWER_SCHEMA.
+ */
+export function parseStructuredAnswer(content) {
+  // Some OpenAI-compatible servers ignore response_format and fence the JSON
+  const body = String(content ?? '').trim().replace(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/, '$1');
+  let value;
+  try {
+    value = JSON.parse(body);
+  } catch (err) {
+    return { answer: null, errors: [`not valid JSON: ${err.message}`] };
+  }
+  const errors = validateAgainstSchema(ANSWER_SCHEMA, value);
+  return { answer: errors.length === 0 ? value : null, errors };
+}
+
+/**
+ * Follow-up turn asking the model to correct an invalid reply.
+ */
+export function buildRepairMessage(errors) {
+  return [
+    'Your previous reply did not match the required JSON schema:',
+    ...errors.slice(0, 20).map(e => `- ${e}`),
+    'Reply again with only the corrected JSON object.',
+  ].join('\n');
+}
+
+/**
+ * Citation wording verify.js recognises: CAR Part 91, rule 91.301 / CAA s 30.
+ */
+export function citationText(provisionId) {
+  const id = String(provisionId).replace(/-\d+$/, '');
+  let m = id.match(/^CAR-((\d{1,3})[A-Z]?\.\d{1,4}[A-Z]?)$/);
+  if (m) return `CAR Part ${Number(m[2])}, rule ${m[1]}`;
+  m = id.match(/^CAR-(\d{1,3}[A-Z]?)-App([A-Z]\d*)$/);
+  if (m) return `CAR Part ${m[1]}, Appendix ${m[2]}`;
+  m = id.match(/^CAA-s(\w+)$/);
+  if (m) return `CAA s ${m[1]}`;
+  m = id.match(/^CAA-sch(\d+)$/);
+  if (m) return `CAA Schedule ${m[1]}`;
+  return id;
+}
+
+function ruleBlock(items) {
+  const lines = [];
+  for (const item of items) {
+    lines.push(`${citationText(item.provision_id)} — ${item.url}`, '', '```text', item.quote.trim(), '```', '');
+  }
+  return lines;
+}
+
+/**
+ * The Markdown answer (## Issue ... ## Citations) for a structured answer.
+ * Each quote follows its citation line so verify.js attributes it.
+ */
+export function renderStructuredAnswer(answer) {
+  const lines = ['## Issue', '', answer.issue.trim(), '', '## Rule', ''];
+  if (answer.rule.act.length > 0) lines.push('### Act (CAA)', '', ...ruleBlock(answer.rule.act));
+  if (answer.rule.car.length > 0) lines.push('### Rules (CAR)', '', ...ruleBlock(answer.rule.car));
+  if (answer.rule.act.length === 0 && answer.rule.car.length === 0) lines.push('No provision was quoted.', '');
+  lines.push('## Application', '', answer.application.trim(), '', '## Conclusion', '', answer.conclusion.trim(), '', '## Citations', '');
+  if (answer.citations.length === 0) lines.push('None.');
+  for (const c of answer.citations) lines.push(`- ${citationText(c.provision_id)} — ${c.url}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,107 @@
+// The script-side ask pipeline shared by ask_llm.js and eval.js: whole-corpus
+// system prompt (prompt.js) within the model's token budget
+// (context_budget.js), one completion, then quote and citation verification
+// against the provision index (verify.js).
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { budgetSettingsFromEnv, selectContext } from './context_budget.js';
+import { defaultPoliciesDir, loadPolicies, policyRefs, resolvePolicy } from './policies.js';
+import { buildMessages, buildSystemText } from './prompt.js';
+import { readProvisionsJsonl } from './provisions.js';
+import { createVerifier } from './verify.js';
+
+// openai fallback when neither LLM_MODEL nor OPENAI_MODEL is set (see llm.js providerFromEnv)
+export const DEFAULT_MODEL = 'gpt-4.1-nano';
+
+function readTextIfExists(filePath) {
+  try {
+    if (fs.existsSync(filePath)) return fs.readFileSync(filePath, 'utf8');
+  } catch {}
+  return '';
+}
+
+/**
+ * Corpus paths and completion settings from the environment:
+ * SYSTEM_PATH, CAA_PATH, PROVISIONS_PATH, MAX_OUTPUT_TOKENS (default 4000), TEMPERATURE,
+ * the context budget (context_budget.js budgetSettingsFromEnv), POLICIES_DIR
+ * and ASK_POLICY (policy reference, see policies.js).
+ */
+export function askSettingsFromEnv(projectRoot, env = process.env) {
+  return {
+    systemPath: env.SYSTEM_PATH || path.resolve(projectRoot, 'md', 'ALL_CAR.md'),
+    caaPath: env.CAA_PATH || path.resolve(projectRoot, 'md', 'caa', 'CAA_2023_0010.md'),
+    provisionsPath: env.PROVISIONS_PATH || path.resolve(projectRoot, 'md', 'provisions.jsonl'),
+    maxTokens: env.MAX_OUTPUT_TOKENS ? Number(env.MAX_OUTPUT_TOKENS) : 4000,
+    // omit if not set to respect model defaults
+    temperature: env.TEMPERATURE !== undefined && env.TEMPERATURE !== '' ? Number(env.TEMPERATURE) : undefined,
+    budget: budgetSettingsFromEnv(env),
+    policiesDir: defaultPoliciesDir(projectRoot, env),
+    policy: env.ASK_POLICY || '',
+  };
+}
+
+/**
+ * Read the Rules and Act texts and build a verifier over the provision index.
+ * Throws when the Rules are missing unless `requireRules` is false; `verifier`
+ * is null when the index has not been built (npm run index:car).
+ */
+export function readAskCorpus({ systemPath, caaPath, provisionsPath }, { requireRules = true } = {}) {
+  const carText = readTextIfExists(systemPath);
+  if (!carText && requireRules) {
+    throw new Error(`System prompt file not found: ${systemPath}`);
+  }
+  const provisionsText = readTextIfExists(provisionsPath);
+  return {
+    carText,
+    caaText: readTextIfExists(caaPath),
+    verifier: provisionsText ? createVerifier(readProvisionsJsonl(provisionsText)) : null,
+  };
+}
+
+/**
+ * The policy `ref` names ("student", "formal-memo@1"; empty: settings.policy,
+ * else the default). Throws with the available references when unknown.
+ */
+export function readAskPolicy({ policiesDir, policy: defaultRef }, ref = '') {
+  const policies = loadPolicies(policiesDir);
+  const policy = resolvePolicy(policies, ref, { defaultRef });
+  if (!policy) {
+    throw new Error(`Unknown policy: ${ref || defaultRef || '(default)'} (available in ${policiesDir}: ${policyRefs(policies) || 'none'})`);
+  }
+  return policy;
+}
+
+/**
+ * The completion request for a question: the policy text, then the Act and
+ * the Rules Parts that fit `model`'s window next to it and the answer. Returns { request,
+ * context }; context is the selectContext() summary.
+ */
+export function buildAskRequest({ question, policy, carText, caaText = '', model, maxTokens, temperature, budget = {} }) {
+  const selected = selectContext({
+    question,
+    carText,
+    caaText,
+    overheadText: buildSystemText({ policy }) + '\n\n' + question,
+    model,
+    maxTokens,
+    ...budget,
+  });
+  const systemText = buildSystemText({ policy, caaText: selected.caaText, carText: selected.carText });
+  return {
+    request: { messages: buildMessages({ systemText, question }), maxTokens, temperature },
+    context: selected.summary,
+  };
+}
+
+/**
+ * Ask one question. Returns { content, summary, context, verification,
+ * durationMs }; verification is null without a verifier.
+ */
+export async function askQuestion({ provider, question, policy, carText, caaText = '', verifier = null, maxTokens, temperature, budget, signal }) {
+  const { request, context } = buildAskRequest({ question, policy, carText, caaText, model: provider.model, maxTokens, temperature, budget });
+  const startedAt = Date.now();
+  const { content, summary } = await provider.complete(request, { signal });
+  const durationMs = Date.now() - startedAt;
+  return { content, summary, context, verification: verifier ? verifier.verify(content) : null, durationMs };
+}
@@ -0,0 +1,77 @@
+// Types for batch.js (imported by the frontend via the @scripts alias)
+
+import type { CompletionSummary, Usage } from './llm'
+
+export type BatchFormat = 'jsonl' | 'csv' | 'yaml' | 'json'
+export type BatchItem = { id: string; question: string }
+export type BatchPricing = { inputPerMillion: number | null; outputPerMillion: number | null }
+// From priceTable(): per-model prices (longest prefix first) and the ASK_PRICE_IN / ASK_PRICE_OUT fallback
+export type PriceTable = { models: Array<{ model: string } & BatchPricing>; fallback: BatchPricing | null }
+export type BatchAnswer = { content: string; summary: CompletionSummary | null; durationMs?: number | null }
+
+export type BatchRecord = {
+  id: string
+  question: string
+  ok: boolean
+  answer: string | null
+  finish_reason: string | null
+  usage: Usage | null
+  citations: string[]
+  cost_usd: number | null
+  model: string | null
+  duration_ms: number | null
+  attempts: number
+  error: string | null
+}
+
+export type BatchSummary = {
+  questions: number
+  ok: number
+  failed: number
+  prompt_tokens: number
+  completion_tokens: number
+  total_tokens: number
+  cost_usd: number | null
+}
+
+export const BATCH_FORMATS: BatchFormat[]
+export const CSV_COLUMNS: string[]
+
+export function batchFormatOf(name: string | null | undefined): BatchFormat | null
+export function parseCsv(text: string): string[][]
+export function csvLine(values: unknown[]): string
+export function parseBatchInput(
+  text: string,
+  options?: { format?: BatchFormat | null; parseYaml?: ((text: string) => unknown) | null },
+): BatchItem[]
+export function normalizeBatchItems(entries: unknown[]): BatchItem[]
+export function answeredQuestions(text: string, format: BatchFormat): Map<string, string>
+export function costOf(usage: Usage | null | undefined, pricing: BatchPricing | null | undefined): number | null
+export function priceTable(env?: Record<string, string | undefined>): PriceTable
+export function pricingFor(prices: PriceTable | BatchPricing | null | undefined, model: string | null | undefined): BatchPricing | null
+export function batchRecord(
+  item: BatchItem,
+  answer: BatchAnswer,
+  options?: { pricing?: PriceTable | BatchPricing | null; attempts?: number },
+): BatchRecord
+export function failedBatchRecord(
+  item: BatchItem,
+  error: unknown,
+  options?: { attempts?: number; durationMs?: number | null },
+): BatchRecord
+export function recordToCsvLine(record: BatchRecord): string
+export function isRetryableError(error: unknown): boolean
+export function runBatch(
+  items: BatchItem[],
+  ask: (item: BatchItem, context: { signal?: AbortSignal }) => Promise<BatchAnswer>,
+  options?: {
+    concurrency?: number
+    retries?: number
+    retryDelayMs?: number
+    pricing?: PriceTable | BatchPricing | null
+    onResult?: ((record: BatchRecord) => void | Promise<void>) | null
+    onRetry?: ((item: BatchItem, error: Error, info: { attempt: number; delayMs: number }) => void) | null
+    signal?: AbortSignal
+  },
+): Promise<BatchRecord[]>
+export function summarizeBatch(records: BatchRecord[]): BatchSummary
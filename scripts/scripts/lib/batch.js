@@ -0,0 +1,349 @@
+// Batch questions for `ask_llm.js --batch` and the frontend's /api/ask/batch:
+// questions from JSONL, CSV, YAML or JSON, answered with bounded concurrency
+// and retried on rate-limit errors, one result record per question.
+//
+// Result record: { id, question, ok, answer, finish_reason, usage, citations,
+//                  cost_usd, model, duration_ms, attempts, error }
+// - citations: provision ids the answer cites (verify.js extractCitations)
+// - cost_usd: from usage and prices per million tokens; null without prices
+//
+// No Node imports: the frontend bundles this module. YAML needs a parser
+// passed in (the frontend has no YAML dependency).
+
+import { extractCitations } from './verify.js';
+
+export const BATCH_FORMATS = ['jsonl', 'csv', 'yaml', 'json'];
+
+export const CSV_COLUMNS = [
+  'id', 'question', 'ok', 'finish_reason', 'prompt_tokens', 'completion_tokens', 'total_tokens',
+  'cost_usd', 'citations', 'model', 'duration_ms', 'attempts', 'error', 'answer',
+];
+
+/**
+ * Input or output format from a file name (or Content-Type); null when unknown.
+ */
+export function batchFormatOf(name) {
+  const value = String(name ?? '').toLowerCase();
+  if (/\.jsonl$|\.ndjson$|ndjson|jsonl/.test(value)) return 'jsonl';
+  if (/\.csv$|text\/csv/.test(value)) return 'csv';
+  if (/\.ya?ml$|yaml/.test(value)) return 'yaml';
+  if (/\.json$|application\/json/.test(value)) return 'json';
+  return null;
+}
+
+/**
+ * RFC 4180 CSV: quoted fields may hold commas, quotes ("") and newlines.
+ * Returns rows of strings; blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const body = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < body.length; i += 1) {
+    const ch = body[i];
+    if (quoted) {
+      if (ch === '"' && body[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && body[i + 1] === '\n') i += 1;
+      row.push(field);
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvLine(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+function csvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map(h => h.trim().toLowerCase());
+  return rows.map(row => Object.fromEntries(columns.map((c, i) => [c, row[i] ?? ''])));
+}
+
+function listOf(value) {
+  if (Array.isArray(value)) return value;
+  if (Array.isArray(value?.questions)) return value.questions;
+  throw new Error('expected a list of questions, or { questions: [...] }');
+}
+
+/**
+ * Questions from batch input: JSONL lines (a string or { id?, question }),
+ * CSV with a `question` column (and optional `id`), or a YAML / JSON list of
+ * the same (or { questions: [...] }). Ids default to q1, q2, ... by position
+ * and must be unique, since results and resuming are keyed by id.
+ */
+export function parseBatchInput(text, { format, parseYaml = null } = {}) {
+  let entries;
+  if (format === 'jsonl') {
+    entries = String(text).split(/\r?\n/).filter(line => line.trim() !== '').map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`line ${i + 1}: ${err.message}`);
+      }
+    });
+  } else if (format === 'csv') {
+    entries = csvObjects(text);
+    if (entries.length > 0 && !('question' in entries[0])) throw new Error('CSV needs a header row with a "question" column');
+  } else if (format === 'yaml') {
+    if (!parseYaml) throw new Error('YAML input is not supported here; use JSONL, CSV or JSON');
+    entries = listOf(parseYaml(String(text)) ?? []);
+  } else if (format === 'json') {
+    entries = listOf(JSON.parse(String(text)));
+  } else {
+    throw new Error(`Unknown batch format: ${format} (expected one of ${BATCH_FORMATS.join(', ')})`);
+  }
+  return normalizeBatchItems(entries);
+}
+
+/**
+ * { id, question } items from strings or objects, with default and unique ids.
+ */
+export function normalizeBatchItems(entries) {
+  const seen = new Set();
+  return entries.map((entry, i) => {
+    const question = String(typeof entry === 'string' ? entry : entry?.question ?? '').trim();
+    if (!question) throw new Error(`question ${i + 1}: missing question`);
+    const rawId = typeof entry === 'object' && entry?.id !== undefined && entry.id !== '' ? String(entry.id).trim() : '';
+    const id = rawId || `q${i + 1}`;
+    if (seen.has(id)) throw new Error(`question ${i + 1}: duplicate id ${id}`);
+    seen.add(id);
+    return { id, question };
+  });
+}
+
+/**
+ * Questions already answered successfully in earlier output (JSONL or CSV),
+ * by id, so a rerun can resume; the last record per id counts. Callers should
+ * only skip an item whose question is unchanged.
+ */
+export function answeredQuestions(text, format) {
+  const records = format === 'csv'
+    ? csvObjects(text)
+    : String(text).split(/\r?\n/).filter(line => line.trim() !== '').flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return []; // a line cut short by an interrupted run
+      }
+    });
+  const latest = new Map();
+  for (const r of records) latest.set(String(r.id), r);
+  const answered = new Map();
+  for (const [id, r] of latest) if (r.ok === true || r.ok === 'true') answered.set(id, String(r.question));
+  return answered;
+}
+
+function round(value, digits = 6) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Cost in USD from usage and prices per million tokens; null without prices.
+ */
+export function costOf(usage, pricing) {
+  if (!usage || !pricing || (pricing.inputPerMillion == null && pricing.outputPerMillion == null)) return null;
+  const input = (usage.prompt_tokens ?? 0) * (pricing.inputPerMillion ?? 0);
+  const output = (usage.completion_tokens ?? 0) * (pricing.outputPerMillion ?? 0);
+  return round((input + output) / 1e6);
+}
+
+/**
+ * USD per million prompt / completion tokens by model:
+ * ASK_PRICES=gpt-4.1=2/8,gpt-4.1-mini=0.4/1.6. A model id matches its entry
+ * or the longest entry it starts with (gpt-4.1-2025-04-14 uses gpt-4.1);
+ * other models use ASK_PRICE_IN / ASK_PRICE_OUT, or have no cost.
+ */
+export function priceTable(env = process.env) {
+  const models = String(env.ASK_PRICES ?? '')
+    .split(',')
+    .map(entry => entry.trim().match(/^(.+?)=([\d.]*)\/([\d.]*)$/))
+    .filter(Boolean)
+    .map(([, model, input, output]) => ({
+      model: model.trim(),
+      inputPerMillion: input === '' ? null : Number(input),
+      outputPerMillion: output === '' ? null : Number(output),
+    }))
+    .sort((a, b) => b.model.length - a.model.length);
+  const priceIn = env.ASK_PRICE_IN ? Number(env.ASK_PRICE_IN) : null;
+  const priceOut = env.ASK_PRICE_OUT ? Number(env.ASK_PRICE_OUT) : null;
+  const fallback = priceIn === null && priceOut === null ? null : { inputPerMillion: priceIn, outputPerMillion: priceOut };
+  return { models, fallback };
+}
+
+/**
+ * The prices for `model` from a priceTable(); a single { inputPerMillion,
+ * outputPerMillion } (or null) applies to every model and is returned as is.
+ */
+export function pricingFor(prices, model) {
+  if (!prices || !Array.isArray(prices.models)) return prices ?? null;
+  const entry = model ? prices.models.find(p => model === p.model || model.startsWith(p.model)) : null;
+  return entry ? { inputPerMillion: entry.inputPerMillion, outputPerMillion: entry.outputPerMillion } : prices.fallback;
+}
+
+/**
+ * The record for one answered question. answer: { content, summary, durationMs }.
+ * pricing: one price for every model, or a priceTable() looked up by the answer's model.
+ */
+export function batchRecord(item, answer, { pricing = null, attempts = 1 } = {}) {
+  const usage = answer.summary?.usage ?? null;
+  const model = answer.summary?.model ?? null;
+  return {
+    id: item.id,
+    question: item.question,
+    ok: true,
+    answer: answer.content,
+    finish_reason: answer.summary?.finish_reason ?? null,
+    usage,
+    citations: extractCitations(answer.content).map(c => c.provisionId),
+    cost_usd: costOf(usage, pricingFor(pricing, model)),
+    model,
+    duration_ms: answer.durationMs ?? null,
+    attempts,
+    error: null,
+  };
+}
+
+export function failedBatchRecord(item, error, { attempts = 1, durationMs = null } = {}) {
+  return {
+    id: item.id,
+    question: item.question,
+    ok: false,
+    answer: null,
+    finish_reason: null,
+    usage: null,
+    citations: [],
+    cost_usd: null,
+    model: null,
+    duration_ms: durationMs,
+    attempts,
+    error: error?.message ?? String(error),
+  };
+}
+
+export function recordToCsvLine(record) {
+  return csvLine(CSV_COLUMNS.map(column => {
+    if (column in (record.usage ?? {})) return record.usage[column];
+    if (column === 'citations') return record.citations.join('; ');
+    return record[column];
+  }));
+}
+
+/**
+ * A rate-limit (429) or overloaded (503, 529) error worth retrying; llm.js
+ * errors carry `status`, other callers may only have the message.
+ */
+export function isRetryableError(error) {
+  if (error?.name === 'AbortError') return false;
+  if (error?.status) return [429, 503, 529].includes(error.status);
+  return /\b(429|529)\b|rate.?limit|overloaded/i.test(error?.message ?? '');
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Answer items with at most `concurrency` in flight. `ask(item, { signal })`
+ * resolves to { content, summary, durationMs }; retryable errors are retried
+ * up to `retries` times after the error's retryAfter seconds or an
+ * exponential backoff from `retryDelayMs`. `onResult(record)` runs as each
+ * question finishes (e.g. to append it to the output); records come back in
+ * input order. Other errors become failed records without stopping the batch.
+ */
+export async function runBatch(items, ask, {
+  concurrency = 4,
+  retries = 3,
+  retryDelayMs = 2000,
+  pricing = null,
+  onResult = null,
+  onRetry = null,
+  signal,
+} = {}) {
+  const records = new Array(items.length);
+  let next = 0;
+
+  async function answer(item) {
+    const startedAt = Date.now();
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        const result = await ask(item, { signal });
+        return batchRecord(item, result, { pricing, attempts: attempt });
+      } catch (error) {
+        if (signal?.aborted || attempt > retries || !isRetryableError(error)) {
+          return failedBatchRecord(item, error, { attempts: attempt, durationMs: Date.now() - startedAt });
+        }
+        const delayMs = error.retryAfter ? error.retryAfter * 1000 : retryDelayMs * 2 ** (attempt - 1);
+        onRetry?.(item, error, { attempt, delayMs });
+        await wait(delayMs, signal);
+      }
+    }
+  }
+
+  async function worker() {
+    while (next < items.length && !signal?.aborted) {
+      const index = next;
+      next += 1;
+      const record = await answer(items[index]).catch(error => failedBatchRecord(items[index], error));
+      records[index] = record;
+      await onResult?.(record);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker));
+  return records.filter(Boolean);
+}
+
+/**
+ * Totals over result records: questions, ok, failed, tokens and cost.
+ */
+export function summarizeBatch(records) {
+  const ok = records.filter(r => r.ok);
+  const sum = key => ok.reduce((total, r) => total + (r.usage?.[key] ?? 0), 0);
+  const costs = ok.map(r => r.cost_usd).filter(c => c !== null);
+  return {
+    questions: records.length,
+    ok: ok.length,
+    failed: records.length - ok.length,
+    prompt_tokens: sum('prompt_tokens'),
+    completion_tokens: sum('completion_tokens'),
+    total_tokens: sum('total_tokens'),
+    cost_usd: costs.length > 0 ? round(costs.reduce((a, b) => a + b, 0)) : null,
+  };
+}
@@ -0,0 +1,50 @@
+// Types for context_budget.js (imported by the frontend via the @scripts alias)
+
+export type TokenizerFamily = 'o200k' | 'cl100k' | 'claude' | 'llama3' | 'generic'
+export type ModelProfile = { model: string; family: TokenizerFamily; contextWindow: number }
+
+export type BudgetSettings = {
+  contextWindow: number | null
+  truncateChars: number | null
+  actShare: number
+  margin: number
+  pinnedParts: string[]
+}
+
+export type CarPart = { part: string; name: string; text: string }
+export type ContextPart = { part: string; name: string; tokens: number; score?: number; truncated?: boolean }
+
+export type ContextSummary = {
+  model: string
+  family: TokenizerFamily
+  contextWindow: number
+  budget: { answer: number; overhead: number; margin: number; corpus: number }
+  // 'all': the whole corpus fit; 'ranked': Parts chosen by relevance to the question
+  selection: 'all' | 'ranked'
+  act: { tokens: number; truncated: boolean }
+  rules: { tokens: number }
+  included: ContextPart[]
+  excluded: ContextPart[]
+}
+
+export function modelProfile(model: string, options?: { contextWindow?: number | null }): ModelProfile
+export function countTokens(text: string, model: string | ModelProfile): number
+export function budgetSettingsFromEnv(env?: Record<string, string | undefined>): BudgetSettings
+export function splitCarParts(carText: string): { preamble: string; parts: CarPart[] }
+export function rankParts<T extends CarPart>(parts: T[], question: string): Array<T & { score: number }>
+export function truncateAtHeading(
+  text: string,
+  maxTokens: number,
+  model: string | ModelProfile,
+): { text: string; tokens: number; truncated: boolean }
+export function selectContext(
+  options: {
+    question: string
+    caaText?: string
+    carText?: string
+    overheadText?: string
+    model: string
+    maxTokens?: number
+  } & Partial<BudgetSettings>,
+): { caaText: string; carText: string; summary: ContextSummary }
+export function describeContext(summary: ContextSummary | null | undefined): string
@@ -0,0 +1,339 @@
+// Token budgeting for whole-corpus prompts (ask_llm.js, eval.js and the
+// frontend's `context: "full"`): count tokens per model, split the model's
+// window between the answer, the policy (with definitions, earlier turns and
+// the question), the Act and the Rules, and when ALL_CAR.md does not fit, keep
+// the CAR Parts most relevant to the question whole and drop the rest.
+//
+// Token counts are estimates: a BPE-style pre-tokenizer (words, digit groups,
+// punctuation runs) with per-family word-piece lengths, so no tokenizer
+// dependency is needed. The provider's usage reports the actual count.
+//
+// No Node imports: the frontend bundles this module.
+
+import { tokenize } from './embeddings.js';
+import { itemReferences } from './syllabus.js';
+
+// Average letters per token in a word, and digits per token
+const TOKENIZER_FAMILIES = {
+  o200k: { wordChars: 6, digitChars: 3 },
+  cl100k: { wordChars: 5.5, digitChars: 3 },
+  claude: { wordChars: 5, digitChars: 3 },
+  llama3: { wordChars: 6, digitChars: 3 },
+  // SentencePiece models (Mistral, Gemma, Llama 2, ...) split numbers into digits
+  generic: { wordChars: 4.5, digitChars: 1 },
+};
+
+// First match wins; vendor prefixes ("anthropic/", "meta-llama/") are ignored
+const MODEL_PROFILES = [
+  { match: /^gpt-4\.1/, contextWindow: 1047576, family: 'o200k' },
+  { match: /^gpt-5/, contextWindow: 400000, family: 'o200k' },
+  { match: /^(?:chatgpt-)?gpt-4o/, contextWindow: 128000, family: 'o200k' },
+  { match: /^o[134](?:-|$)/, contextWindow: 200000, family: 'o200k' },
+  { match: /^gpt-4-(?:turbo|\d{4}-preview)/, contextWindow: 128000, family: 'cl100k' },
+  { match: /^gpt-4(?:-|$)/, contextWindow: 8192, family: 'cl100k' },
+  { match: /^gpt-3\.5/, contextWindow: 16385, family: 'cl100k' },
+  { match: /claude/, contextWindow: 200000, family: 'claude' },
+  { match: /llama-?3\.[1-3]/, contextWindow: 131072, family: 'llama3' },
+  { match: /llama-?3/, contextWindow: 8192, family: 'llama3' },
+  { match: /qwen|mistral|mixtral/, contextWindow: 32768, family: 'generic' },
+  { match: /gemma/, contextWindow: 8192, family: 'generic' },
+  { match: /^mock/, contextWindow: 1000000, family: 'o200k' },
+];
+const DEFAULT_PROFILE = { contextWindow: 128000, family: 'generic' };
+
+const PRETOKEN_RE = /\p{L}+|\p{N}+|[^\s\p{L}\p{N}]+|\s+/gu;
+// The corpus is re-read per question; counting it again each time would add up
+const MEMO_LIMIT = 64;
+const memos = new Map();
+const PART_BLOCK_RE = /<!-- BEGIN Part_(\w+): (.*?) -->[\s\S]*?<!-- END Part_\1 -->\n?/g;
+
+/**
+ * Context window and tokenizer family for a model id (e.g. `gpt-4.1`,
+ * `anthropic/claude-sonnet-4`, `llama3.1:8b`); unknown models get 128k and
+ * the conservative generic family. `contextWindow` overrides the window.
+ */
+export function modelProfile(model, { contextWindow } = {}) {
+  const name = String(model ?? '').toLowerCase().split('/').pop();
+  const profile = MODEL_PROFILES.find(p => p.match.test(name)) ?? DEFAULT_PROFILE;
+  return {
+    model: String(model ?? ''),
+    family: profile.family,
+    contextWindow: contextWindow > 0 ? contextWindow : profile.contextWindow,
+  };
+}
+
+/**
+ * Estimated tokens in `text` for `model` (a model id or a modelProfile()).
+ */
+export function countTokens(text, model) {
+  const family = (typeof model === 'object' ? model : modelProfile(model)).family;
+  return memoized(`tokens:${family}`, String(text ?? ''), value => pieceTokens(value, TOKENIZER_FAMILIES[family]));
+}
+
+function memoized(kind, text, compute) {
+  if (text.length < 10000) return compute(text);
+  let memo = memos.get(kind);
+  if (!memo) memos.set(kind, (memo = new Map()));
+  if (!memo.has(text)) {
+    if (memo.size >= MEMO_LIMIT) memo.clear();
+    memo.set(text, compute(text));
+  }
+  return memo.get(text);
+}
+
+function pieceTokens(text, { wordChars, digitChars }) {
+  let tokens = 0;
+  for (const [piece] of text.matchAll(PRETOKEN_RE)) {
+    const ch = piece[0];
+    if (/\p{L}/u.test(ch)) tokens += Math.ceil(piece.length / wordChars);
+    else if (/\p{N}/u.test(ch)) tokens += Math.ceil(piece.length / digitChars);
+    else if (/\s/.test(ch)) tokens += piece.includes('\n') || piece.length > 1 ? 1 : 0;
+    else tokens += Math.ceil(piece.length / 2);
+  }
+  return tokens;
+}
+
+/**
+ * Budget settings from the environment: ASK_CONTEXT_WINDOW (tokens; overrides
+ * the model's window, e.g. for an Ollama num_ctx), TRUNCATE_CHARS (most
+ * characters of Rules text), ASK_BUDGET_ACT_SHARE (default 0.3: the share of
+ * the corpus budget the Act keeps when both do not fit), ASK_BUDGET_MARGIN
+ * (default 0.1 of the window, for estimation error) and ASK_PINNED_PARTS
+ * (comma-separated Parts always kept, e.g. "1").
+ */
+export function budgetSettingsFromEnv(env = {}) {
+  const number = (name, fallback) => {
+    const value = Number(env[name]);
+    return env[name] !== undefined && env[name] !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    contextWindow: number('ASK_CONTEXT_WINDOW', null),
+    truncateChars: number('TRUNCATE_CHARS', null) || null,
+    actShare: Math.min(1, number('ASK_BUDGET_ACT_SHARE', 0.3)),
+    margin: Math.min(0.5, number('ASK_BUDGET_MARGIN', 0.1)),
+    pinnedParts: String(env.ASK_PINNED_PARTS ?? '').split(',').map(partKey).filter(Boolean),
+  };
+}
+
+// "091", "91" and "Part 91" all mean Part 91
+function partKey(value) {
+  const m = String(value ?? '').trim().match(/^(?:Part\s*)?0*(\d{1,3}[A-Z]?)$/i);
+  return m ? m[1].toUpperCase() : '';
+}
+
+/**
+ * ALL_CAR.md split at its `<!-- BEGIN Part_xxx: name -->` blocks (see
+ * combine_md.js). Text outside the blocks is returned as `preamble`; a text
+ * without blocks is a single Part with an empty id.
+ */
+export function splitCarParts(carText) {
+  const text = String(carText ?? '');
+  const parts = [];
+  let preamble = '';
+  let last = 0;
+  for (const m of text.matchAll(PART_BLOCK_RE)) {
+    preamble += text.slice(last, m.index);
+    parts.push({ part: m[1], name: m[2], text: m[0] });
+    last = m.index + m[0].length;
+  }
+  if (parts.length === 0) return { preamble: '', parts: text.trim() ? [{ part: '', name: 'Rules', text }] : [] };
+  return { preamble: preamble + text.slice(last), parts };
+}
+
+/**
+ * Relevance of each Part to the question: Parts and rules the question names
+ * ("Part 61", "rule 91.301") first, then question terms in the Part's name,
+ * then BM25 over the Part's text. Returns the parts with `score`, best first
+ * (ties keep document order).
+ */
+export function rankParts(parts, question) {
+  const terms = [...new Set(tokenize(question).map(stem))];
+  const { provisionIds, parts: namedParts } = itemReferences(question);
+  const named = new Set([...namedParts, ...provisionIds.map(id => id.replace(/^CAR-/, '').split('.')[0])].map(partKey).filter(Boolean));
+
+  const docs = parts.map(p => ({ ...termCounts(p.text), nameTerms: new Set(tokenize(p.name).map(stem)) }));
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / Math.max(1, docs.length) || 1;
+  const k1 = 1.2;
+  const b = 0.75;
+
+  return parts
+    .map((p, i) => {
+      const doc = docs[i];
+      let score = named.has(partKey(p.part)) ? 100 : 0;
+      for (const t of terms) {
+        if (doc.nameTerms.has(t)) score += 10;
+        const tf = doc.counts.get(t) ?? 0;
+        if (tf === 0) continue;
+        const df = docs.filter(d => d.counts.has(t)).length;
+        const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * doc.length / avgLength));
+      }
+      return { ...p, score: Math.round(score * 1000) / 1000, index: i };
+    })
+    .sort((x, y) => y.score - x.score || x.index - y.index)
+    .map(({ index: _index, ...p }) => p);
+}
+
+function termCounts(text) {
+  return memoized('terms', text, value => {
+    const counts = new Map();
+    const words = tokenize(value);
+    for (const w of words) {
+      const s = stem(w);
+      counts.set(s, (counts.get(s) ?? 0) + 1);
+    }
+    return { counts, length: words.length };
+  });
+}
+
+// Plural and -ing/-ed forms match ("aerodromes" and "aerodrome")
+function stem(word) {
+  return word.length > 4 ? word.replace(/(?:ing|ed|es|s)$/, '') : word;
+}
+
+/**
+ * The longest prefix of `text` within `maxTokens` that ends before a
+ * `## ` provision heading (or the whole text when it fits).
+ */
+export function truncateAtHeading(text, maxTokens, model) {
+  const sections = String(text).split(/\n(?=## )/);
+  let used = 0;
+  let kept = 0;
+  for (const section of sections) {
+    const cost = countTokens(section, model) + 1;
+    if (used + cost > maxTokens) break;
+    used += cost;
+    kept += 1;
+  }
+  if (kept === sections.length) return { text, tokens: countTokens(text, model), truncated: false };
+  const cut = sections.slice(0, kept).join('\n');
+  return { text: cut, tokens: countTokens(cut, model), truncated: true };
+}
+
+/**
+ * Fit the Act and Rules into what the model's window leaves after the answer
+ * (`maxTokens`), the rest of the prompt (`overheadText`: policy, definitions,
+ * earlier turns and the question) and a safety margin.
+ *
+ * When both fit they are sent whole. Otherwise the Act keeps up to `actShare`
+ * of the corpus budget (cut at a section heading if longer), and the Rules
+ * get the rest: Parts ranked by rankParts() are taken whole, best first,
+ * while they fit (pinned Parts first), and sent in document order. If not
+ * even one Part fits, the best one is cut at a rule heading.
+ *
+ * Returns { caaText, carText, summary }; summary lists the budget and the
+ * Parts included and excluded. Throws when the answer and prompt leave no
+ * room for the corpus.
+ */
+export function selectContext({
+  question,
+  caaText = '',
+  carText = '',
+  overheadText = '',
+  model,
+  maxTokens = 0,
+  contextWindow = null,
+  truncateChars = null,
+  actShare = 0.3,
+  margin = 0.1,
+  pinnedParts = [],
+}) {
+  const profile = modelProfile(model, { contextWindow });
+  const answerTokens = Number.isFinite(maxTokens) && maxTokens > 0 ? maxTokens : 0;
+  const overheadTokens = countTokens(overheadText, profile);
+  const marginTokens = Math.round(profile.contextWindow * margin);
+  const corpusBudget = profile.contextWindow - answerTokens - overheadTokens - marginTokens;
+
+  const { preamble, parts } = splitCarParts(carText);
+  const measured = parts.map(p => ({ ...p, tokens: countTokens(p.text, profile) }));
+  const preambleTokens = countTokens(preamble, profile);
+  const actTokens = countTokens(caaText, profile);
+  const rulesTokens = preambleTokens + measured.reduce((sum, p) => sum + p.tokens, 0);
+  const rulesChars = String(carText).length;
+
+  const summary = {
+    model: profile.model,
+    family: profile.family,
+    contextWindow: profile.contextWindow,
+    budget: { answer: answerTokens, overhead: overheadTokens, margin: marginTokens, corpus: corpusBudget },
+    selection: 'all',
+    act: { tokens: actTokens, truncated: false },
+    rules: { tokens: rulesTokens },
+    included: [],
+    excluded: [],
+  };
+  const listed = p => ({ part: p.part, name: p.name, tokens: p.tokens, ...(p.score !== undefined ? { score: p.score } : {}) });
+
+  const fitsChars = truncateChars === null || rulesChars <= truncateChars;
+  if ((actTokens + rulesTokens <= corpusBudget && fitsChars) || actTokens + rulesTokens === 0) {
+    summary.included = measured.map(listed);
+    return { caaText, carText, summary };
+  }
+  if (corpusBudget <= 0) {
+    throw new Error(
+      `No room for the corpus in ${profile.model}'s ${profile.contextWindow}-token window ` +
+      `(answer ${answerTokens}, prompt ${overheadTokens}, margin ${marginTokens}); ` +
+      'lower MAX_OUTPUT_TOKENS or set ASK_CONTEXT_WINDOW',
+    );
+  }
+
+  summary.selection = 'ranked';
+  // The Act prevails over the Rules, so it is cut only when it needs more than its share
+  let act = { text: caaText, tokens: actTokens, truncated: false };
+  if (actTokens + rulesTokens > corpusBudget && actTokens > corpusBudget * actShare) {
+    act = truncateAtHeading(caaText, Math.floor(Math.max(corpusBudget * actShare, corpusBudget - rulesTokens)), profile);
+  }
+  summary.act = { tokens: act.tokens, truncated: act.truncated };
+
+  let rulesBudget = corpusBudget - act.tokens - preambleTokens;
+  let charsLeft = truncateChars === null ? Infinity : truncateChars - preamble.length;
+  const pinned = new Set(pinnedParts.map(partKey));
+  const ranked = rankParts(measured, question);
+  const ordered = [...ranked.filter(p => pinned.has(partKey(p.part))), ...ranked.filter(p => !pinned.has(partKey(p.part)))];
+  const chosen = new Set();
+  for (const p of ordered) {
+    if (p.tokens > rulesBudget || p.text.length > charsLeft) continue;
+    chosen.add(p.part);
+    rulesBudget -= p.tokens;
+    charsLeft -= p.text.length;
+  }
+
+  let cut = null;
+  if (chosen.size === 0 && ordered.length > 0) {
+    const best = ordered[0];
+    const maxChars = Number.isFinite(charsLeft) ? Math.max(0, charsLeft) : best.text.length;
+    cut = { ...best, ...truncateAtHeading(best.text.slice(0, maxChars), rulesBudget, profile) };
+  }
+
+  const byPart = new Map(ranked.map(p => [p.part, p]));
+  const kept = [];
+  for (const p of measured) {
+    const scored = byPart.get(p.part);
+    if (chosen.has(p.part)) {
+      kept.push(p.text);
+      summary.included.push(listed(scored));
+    } else if (cut && cut.part === p.part) {
+      kept.push(cut.text);
+      summary.included.push({ ...listed(scored), tokens: cut.tokens, truncated: true });
+    } else {
+      summary.excluded.push(listed(scored));
+    }
+  }
+  summary.rules = { tokens: preambleTokens + summary.included.reduce((sum, p) => sum + p.tokens, 0) };
+  return { caaText: act.text, carText: [preamble.trim(), ...kept].filter(Boolean).join('\n\n'), summary };
+}
+
+/**
+ * One line for logs: "9 of 12 Parts (excluded Part 101, Part 105); Act cut".
+ */
+export function describeContext(summary) {
+  if (!summary) return '';
+  const total = summary.included.length + summary.excluded.length;
+  const label = p => (p.part ? `Part ${p.part.replace(/^0+(?=\d)/, '')}` : p.name);
+  let text = summary.selection === 'all' ? 'whole corpus' : `${summary.included.length} of ${total} Parts`;
+  if (summary.excluded.length > 0) text += ` (excluded ${summary.excluded.map(label).join(', ')})`;
+  const cut = summary.included.filter(p => p.truncated).map(label);
+  if (cut.length > 0) text += `; ${cut.join(', ')} cut`;
+  if (summary.act.truncated) text += '; Act cut';
+  return text;
+}
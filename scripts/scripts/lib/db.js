@@ -0,0 +1,21 @@
+// Postgres connection for the ingest and search scripts (same DATABASE_URL as the frontend).
+import process from 'node:process';
+import pg from 'pg';
+
+export function connectionString() {
+  const url = process.env.DATABASE_URL;
+  if (!url) {
+    console.error('Missing DATABASE_URL in env. Set it before running.');
+    process.exit(1);
+  }
+  // Prisma-style ?schema=public is not a libpq parameter
+  const parsed = new URL(url);
+  parsed.searchParams.delete('schema');
+  return parsed.toString();
+}
+
+export async function connect() {
+  const client = new pg.Client({ connectionString: connectionString() });
+  await client.connect();
+  return client;
+}
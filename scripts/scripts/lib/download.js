@@ -0,0 +1,241 @@
+// Source PDF downloads shared by download_rules.js and caa_download_and_convert.js.
+//
+// - conditional requests: If-None-Match / If-Modified-Since from the manifest;
+//   304 means the local copy is current
+// - resumable: the body streams to <file>.part; after a dropped connection the
+//   next attempt (or the next run) continues with Range + If-Range
+// - retries with exponential backoff on network errors, timeouts, 429, 5xx and
+//   non-PDF bodies (the legislation site sometimes serves an HTML interstitial)
+// - sha256 and size of the finished file
+import fs from 'node:fs';
+import path from 'node:path';
+import https from 'node:https';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { pipeline } from 'node:stream/promises';
+
+const UA = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126 Safari/537.36';
+const DEFAULT_RETRIES = 4;
+const DEFAULT_BACKOFF_MS = 500;
+const DEFAULT_TIMEOUT_MS = 60000;
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function getClient(url) {
+  return url.startsWith('https:') ? https : http;
+}
+
+function fatal(message) {
+  const err = new Error(message);
+  err.fatal = true;
+  return err;
+}
+
+export function createCookieJar() {
+  return new Map();
+}
+
+function storeCookies(res, cookieJar) {
+  const setCookie = res.headers['set-cookie'];
+  if (!setCookie) return;
+  for (const cookieStr of setCookie) {
+    const [kv] = cookieStr.split(';');
+    const [k, v] = kv.split('=');
+    if (k && v) cookieJar.set(k.trim(), v.trim());
+  }
+}
+
+/**
+ * GET with redirects and cookies; resolves with the unread response stream.
+ */
+export function openUrl(url, { headers = {}, cookieJar = createCookieJar(), maxRedirects = 8, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const cookie = Array.from(cookieJar.entries()).map(([k, v]) => `${k}=${v}`).join('; ');
+    const allHeaders = { 'User-Agent': UA, ...headers };
+    if (cookie) allHeaders['Cookie'] = cookie;
+    const req = getClient(url).get(url, { headers: allHeaders }, res => {
+      storeCookies(res, cookieJar);
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.statusCode !== 304 && res.headers.location) {
+        res.resume();
+        if (maxRedirects === 0) return reject(fatal('Too many redirects'));
+        const next = new URL(res.headers.location, url).toString();
+        return resolve(openUrl(next, { headers, cookieJar, maxRedirects: maxRedirects - 1, timeoutMs }));
+      }
+      resolve(res);
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error(`Timed out after ${timeoutMs}ms: ${url}`)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Fetch a page only for the cookies it sets (some asset hosts require a session).
+ */
+export async function warmSession(url, cookieJar, headers = {}) {
+  try {
+    const res = await openUrl(url, { headers, cookieJar });
+    res.resume();
+  } catch {}
+}
+
+export async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+function looksLikePdfFile(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(5);
+    fs.readSync(fd, head, 0, 5, 0);
+    return head.toString('utf8') === '%PDF-';
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function removeIfExists(filePath) {
+  fs.rmSync(filePath, { force: true });
+}
+
+async function downloadOnce(url, outPath, { headers, cookieJar, previous, conditional, timeoutMs }) {
+  const partPath = `${outPath}.part`;
+  const partMetaPath = `${partPath}.json`;
+  const requestHeaders = { ...headers };
+
+  // Prefer resuming an interrupted transfer over a conditional request
+  const partial = readJsonIfExists(partMetaPath);
+  const partialSize = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+  const validator = partial?.url === url ? partial.etag || partial.last_modified : null;
+  const resumeFrom = validator && partialSize > 0 ? partialSize : 0;
+  if (resumeFrom > 0) {
+    requestHeaders['Range'] = `bytes=${resumeFrom}-`;
+    requestHeaders['If-Range'] = validator;
+  } else if (conditional && previous) {
+    if (previous.etag) requestHeaders['If-None-Match'] = previous.etag;
+    if (previous.last_modified) requestHeaders['If-Modified-Since'] = previous.last_modified;
+  }
+
+  const res = await openUrl(url, { headers: requestHeaders, cookieJar, timeoutMs });
+  const status = res.statusCode || 0;
+  const mime = (res.headers['content-type'] || '').split(';')[0].trim();
+  if (status === 304) {
+    res.resume();
+    return { status: 'unchanged', statusCode: status, mime };
+  }
+  if (status === 429 || status >= 500) {
+    res.resume();
+    throw new Error(`HTTP ${status}`);
+  }
+  if (status !== 200 && status !== 206) {
+    res.resume();
+    throw fatal(`HTTP ${status}`);
+  }
+  const append = status === 206 && resumeFrom > 0
+    && new RegExp(`^bytes ${resumeFrom}-`).test(res.headers['content-range'] || '');
+  if (status === 206 && !append) {
+    res.resume();
+    removeIfExists(partPath);
+    removeIfExists(partMetaPath);
+    throw new Error('Unexpected partial content; restarting download');
+  }
+
+  const etag = res.headers.etag || null;
+  const lastModified = res.headers['last-modified'] || null;
+  if (!append) {
+    fs.writeFileSync(partMetaPath, JSON.stringify({ url, etag, last_modified: lastModified }));
+  }
+  await pipeline(res, fs.createWriteStream(partPath, { flags: append ? 'a' : 'w' }));
+
+  if (!looksLikePdfFile(partPath)) {
+    const size = fs.statSync(partPath).size;
+    removeIfExists(partPath);
+    removeIfExists(partMetaPath);
+    throw new Error(`Unexpected response (status ${status}, type ${mime || 'unknown'}, size ${size})`);
+  }
+  const sha256 = await sha256File(partPath);
+  const size = fs.statSync(partPath).size;
+  fs.renameSync(partPath, outPath);
+  // Validators of a resumed transfer live in the sidecar, not the 206 response
+  const validators = append ? readJsonIfExists(partMetaPath) || {} : { etag, last_modified: lastModified };
+  removeIfExists(partMetaPath);
+  return {
+    status: 'downloaded',
+    statusCode: status,
+    mime: mime || 'application/pdf',
+    resumed: append,
+    sha256,
+    size,
+    etag: validators.etag || null,
+    last_modified: validators.last_modified || null,
+  };
+}
+
+/**
+ * Download a PDF to outPath.
+ * options: { headers?, cookieJar?, previous?: { etag, last_modified, sha256 }, retries?, backoffMs?, timeoutMs? }
+ * The request is conditional only when outPath still has previous.sha256.
+ * Returns { status: 'unchanged' | 'downloaded', sha256, size, etag, last_modified, mime, attempts }.
+ */
+export async function downloadPdf(url, outPath, options = {}) {
+  const {
+    headers = {},
+    cookieJar = createCookieJar(),
+    previous = null,
+    retries = DEFAULT_RETRIES,
+    backoffMs = DEFAULT_BACKOFF_MS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+  } = options;
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  const conditional = Boolean(previous?.sha256 && fs.existsSync(outPath) && (await sha256File(outPath)) === previous.sha256);
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const result = await downloadOnce(url, outPath, { headers, cookieJar, previous, conditional, timeoutMs });
+      if (result.status === 'unchanged') {
+        return {
+          ...result,
+          sha256: previous.sha256,
+          size: fs.statSync(outPath).size,
+          etag: previous.etag ?? null,
+          last_modified: previous.last_modified ?? null,
+          attempts: attempt + 1,
+        };
+      }
+      return { ...result, attempts: attempt + 1 };
+    } catch (err) {
+      if (err.fatal || attempt >= retries) {
+        err.attempts = attempt + 1;
+        throw err;
+      }
+      const delay = backoffMs * 2 ** attempt + Math.floor(Math.random() * backoffMs);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Run fn over items with at most `limit` in flight; results keep input order.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
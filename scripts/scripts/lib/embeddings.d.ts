@@ -0,0 +1,20 @@
+// Types for embeddings.js (imported by the frontend via the @scripts alias)
+
+export type Embedder = {
+  id: string
+  dimensions: number | undefined
+  embed(texts: string[]): Promise<number[][]>
+}
+
+export type EmbedderOptions = {
+  provider?: 'local' | 'openai'
+  model?: string
+  apiKey?: string
+  baseURL?: string
+  dimensions?: number
+}
+
+export function tokenize(text: string): string[]
+export function createEmbedder(options?: EmbedderOptions): Embedder
+export function embedderFromEnv(env?: Record<string, string | undefined>): Embedder
+export function toVectorLiteral(vector: number[]): string
@@ -0,0 +1,127 @@
+// Pluggable text embedders shared by the ingest script and the frontend's
+// retrieval step. Both sides must use the same embedder id, so the id is
+// stored next to every vector and queries filter on it.
+//
+// - local:  deterministic feature-hashing embedder; no network, good enough
+//           for offline tests and small corpora
+// - openai: any OpenAI-compatible /embeddings endpoint (OpenAI, Ollama, ...)
+//
+// No SDK dependency on purpose: this module is also bundled by Next.js.
+
+const DEFAULT_LOCAL_DIMENSIONS = 384;
+const OPENAI_BATCH = 64;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'if', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'which', 'with',
+]);
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+export function tokenize(text) {
+  // keep rule numbers such as 91.101 as single tokens
+  const tokens = String(text).toLowerCase().match(/[a-z0-9]+(?:\.[0-9]+[a-z]?)?/g) || [];
+  return tokens.filter(t => !STOPWORDS.has(t));
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const v of vector) norm += v * v;
+  norm = Math.sqrt(norm);
+  if (norm === 0) return vector;
+  return vector.map(v => v / norm);
+}
+
+function createLocalEmbedder({ dimensions = DEFAULT_LOCAL_DIMENSIONS } = {}) {
+  const embedOne = text => {
+    const counts = new Map();
+    const tokens = tokenize(text);
+    for (let i = 0; i < tokens.length; i += 1) {
+      counts.set(tokens[i], (counts.get(tokens[i]) || 0) + 1);
+      if (i + 1 < tokens.length) {
+        const bigram = `${tokens[i]} ${tokens[i + 1]}`;
+        counts.set(bigram, (counts.get(bigram) || 0) + 0.5);
+      }
+    }
+    const vector = new Array(dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const h = fnv1a(feature);
+      const sign = (h & 0x80000000) ? -1 : 1;
+      vector[h % dimensions] += sign * (1 + Math.log(count));
+    }
+    return normalize(vector);
+  };
+  return {
+    id: `local-hash-${dimensions}`,
+    dimensions,
+    async embed(texts) {
+      return texts.map(embedOne);
+    },
+  };
+}
+
+function createOpenAIEmbedder({ model = 'text-embedding-3-small', apiKey, baseURL = 'https://api.openai.com/v1' } = {}) {
+  if (!apiKey) throw new Error('Missing API key for openai embeddings (EMBEDDINGS_API_KEY or OPENAI_API_KEY)');
+  const url = `${baseURL.replace(/\/+$/, '')}/embeddings`;
+  return {
+    id: `openai:${model}`,
+    dimensions: undefined,
+    async embed(texts) {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += OPENAI_BATCH) {
+        const batch = texts.slice(i, i + OPENAI_BATCH);
+        const res = await fetch(url, {
+          method: 'POST',
+          headers: { 'content-type': 'application/json', authorization: `Bearer ${apiKey}` },
+          body: JSON.stringify({ model, input: batch }),
+        });
+        if (!res.ok) {
+          const detail = await res.text().catch(() => '');
+          throw new Error(`Embeddings request failed: ${res.status} ${detail.slice(0, 300)}`);
+        }
+        const json = await res.json();
+        const data = [...(json.data || [])].sort((a, b) => a.index - b.index);
+        vectors.push(...data.map(d => d.embedding));
+      }
+      return vectors;
+    },
+  };
+}
+
+/**
+ * options: { provider: 'local' | 'openai', model?, apiKey?, baseURL?, dimensions? }
+ */
+export function createEmbedder(options = {}) {
+  const provider = options.provider || 'local';
+  if (provider === 'local') return createLocalEmbedder(options);
+  if (provider === 'openai') return createOpenAIEmbedder(options);
+  throw new Error(`Unknown embeddings provider: ${provider}`);
+}
+
+/**
+ * EMBEDDINGS_PROVIDER (local|openai), EMBEDDINGS_MODEL, EMBEDDINGS_BASE_URL,
+ * EMBEDDINGS_API_KEY (falls back to OPENAI_API_KEY), EMBEDDINGS_DIMENSIONS (local only)
+ */
+export function embedderFromEnv(env = process.env) {
+  return createEmbedder({
+    provider: env.EMBEDDINGS_PROVIDER || 'local',
+    model: env.EMBEDDINGS_MODEL || undefined,
+    baseURL: env.EMBEDDINGS_BASE_URL || undefined,
+    apiKey: env.EMBEDDINGS_API_KEY || env.OPENAI_API_KEY,
+    dimensions: env.EMBEDDINGS_DIMENSIONS ? Number(env.EMBEDDINGS_DIMENSIONS) : undefined,
+  });
+}
+
+/**
+ * pgvector text representation, e.g. '[0.1,0.2]'
+ */
+export function toVectorLiteral(vector) {
+  return `[${vector.map(v => (Number.isFinite(v) ? Number(v.toFixed(7)) : 0)).join(',')}]`;
+}
@@ -0,0 +1,386 @@
+// Scoring for the golden question set (eval.js): citation precision/recall
+// against the expected controlling provisions, required section headings,
+// quote/citation verification rates, key facts, tokens, cost and latency,
+// plus the comparison of two runs.
+//
+// Golden item: { id, question, expected_provisions: ['CAR-91.301'],
+//                acceptable_provisions?: [...], key_facts?: ['5 km', '/clear of cloud/i'] }
+// - expected_provisions are the controlling provisions; recall is measured against them
+// - acceptable_provisions may be cited without counting against precision (definitions etc.)
+import YAML from 'yaml';
+import { parseCitationsInLine } from './verify.js';
+import { normalizeQuestion } from './answer_cache.js';
+import { costOf, pricingFor } from './batch.js';
+
+export const REQUIRED_HEADINGS = ['Issue', 'Rule', 'Application', 'Conclusion', 'Citations'];
+
+// Metric -> better direction; `gate` metrics fail --fail-on-regression when they drop
+export const METRICS = {
+  citationPrecision: { label: 'Citation precision', better: 'higher', gate: true },
+  citationRecall: { label: 'Citation recall', better: 'higher', gate: true },
+  headingRate: { label: 'Required headings present', better: 'higher', gate: true },
+  quoteVerificationRate: { label: 'Quotes verified', better: 'higher', gate: true },
+  citationVerificationRate: { label: 'Citations verified', better: 'higher', gate: true },
+  keyFactRate: { label: 'Key facts present', better: 'higher', gate: true },
+  errorRate: { label: 'Errors', better: 'lower', gate: true },
+  totalTokens: { label: 'Total tokens', better: 'lower', gate: false },
+  costUsd: { label: 'Cost (USD)', better: 'lower', gate: false },
+  latencyMeanMs: { label: 'Latency mean (ms)', better: 'lower', gate: false },
+  latencyP50Ms: { label: 'Latency p50 (ms)', better: 'lower', gate: false },
+  latencyP95Ms: { label: 'Latency p95 (ms)', better: 'lower', gate: false },
+};
+
+const RATE_METRICS = Object.keys(METRICS).filter(k => METRICS[k].gate);
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Parse a golden set from YAML (a list, or { questions: [...] }) or JSONL.
+ */
+export function parseGoldenSet(text, { format = 'yaml' } = {}) {
+  let items;
+  if (format === 'jsonl') {
+    items = text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  } else {
+    const doc = YAML.parse(text);
+    items = Array.isArray(doc) ? doc : doc?.questions;
+  }
+  if (!Array.isArray(items)) throw new Error('Golden set must be a list of questions');
+  const seen = new Set();
+  return items.map((item, i) => {
+    const question = String(item?.question ?? '').trim();
+    if (!question) throw new Error(`Golden item ${i + 1} has no question`);
+    const id = String(item.id ?? `q${i + 1}`);
+    if (seen.has(id)) throw new Error(`Duplicate golden id: ${id}`);
+    seen.add(id);
+    return {
+      id,
+      question,
+      expected_provisions: toList(item.expected_provisions),
+      acceptable_provisions: toList(item.acceptable_provisions),
+      key_facts: toList(item.key_facts),
+    };
+  });
+}
+
+function slugify(text, maxWords = 6) {
+  return normalizeQuestion(text).replace(/[^a-z0-9 ]+/g, ' ').trim().split(/\s+/).slice(0, maxWords).join('-') || 'question';
+}
+
+/**
+ * Golden items from expert-reviewed answers (export_reviewed.js): the provisions
+ * the approved or corrected answer cites become expected_provisions. Questions
+ * already in `existing` (normalised) and answers citing nothing are skipped.
+ * row: { query_id, question, status, answer, corrected_answer, reviewed_at }
+ */
+export function reviewedGoldenItems(rows, existing = []) {
+  const questions = new Set(existing.map(item => normalizeQuestion(item.question)));
+  const ids = new Set(existing.map(item => item.id));
+  const items = [];
+  const skipped = [];
+  for (const row of rows) {
+    const key = normalizeQuestion(row.question);
+    if (questions.has(key)) {
+      skipped.push({ queryId: row.query_id, reason: 'question already in the golden set' });
+      continue;
+    }
+    const expected = citedProvisionIds(row.status === 'corrected' ? row.corrected_answer : row.answer);
+    if (expected.length === 0) {
+      skipped.push({ queryId: row.query_id, reason: 'reviewed answer cites no provision' });
+      continue;
+    }
+    let id = `reviewed-${slugify(row.question)}`;
+    for (let n = 2; ids.has(id); n += 1) id = `reviewed-${slugify(row.question)}-${n}`;
+    ids.add(id);
+    questions.add(key);
+    items.push({
+      id,
+      question: row.question.trim(),
+      expected_provisions: expected,
+      review: { status: row.status, query_id: row.query_id, reviewed_at: row.reviewed_at },
+    });
+  }
+  return { items, skipped };
+}
+
+/**
+ * YAML list entries in golden.yaml's layout, with the review as a comment.
+ */
+export function renderGoldenItems(items) {
+  return items.map(item => [
+    `- id: ${item.id}`,
+    `  question: ${YAML.stringify(item.question).trim()}`,
+    `  expected_provisions: [${item.expected_provisions.join(', ')}]`,
+    ...(item.review ? [`  # ${item.review.status} review of QueryHistory ${item.review.query_id} (${item.review.reviewed_at})`] : []),
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+function normalizeText(text) {
+  return String(text).replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * A key fact is a case-insensitive substring, or '/regex/flags'.
+ */
+export function matchesKeyFact(content, fact) {
+  const regex = fact.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) return new RegExp(regex[1], regex[2]).test(content);
+  return normalizeText(content).includes(normalizeText(fact));
+}
+
+/**
+ * Provision ids cited anywhere in the answer, in order of first mention.
+ */
+export function citedProvisionIds(content) {
+  const ids = [];
+  for (const line of String(content).split(/\r?\n/)) {
+    for (const c of parseCitationsInLine(line)) if (!ids.includes(c.provisionId)) ids.push(c.provisionId);
+  }
+  return ids;
+}
+
+/**
+ * Required headings missing from the answer (any heading level, case-insensitive).
+ */
+export function missingHeadings(content) {
+  const headings = String(content)
+    .split(/\r?\n/)
+    .map(line => line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/)?.[1])
+    .filter(Boolean)
+    .map(h => h.toLowerCase());
+  return REQUIRED_HEADINGS.filter(name => !headings.some(h => h === name.toLowerCase() || h.startsWith(`${name.toLowerCase()} `)));
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+function round(value, digits = 4) {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Score one answer against its golden item.
+ * answer: { content, summary, verification, durationMs }; pricing as for batchRecord().
+ */
+export function scoreAnswer(item, answer, { pricing } = {}) {
+  const content = answer.content ?? '';
+  const cited = citedProvisionIds(content);
+  const expected = item.expected_provisions;
+  const acceptable = new Set([...expected, ...item.acceptable_provisions]);
+  const counted = cited.filter(id => expected.includes(id) || !acceptable.has(id));
+  const hits = expected.filter(id => cited.includes(id));
+  const missing = missingHeadings(content);
+  const facts = item.key_facts.map(fact => ({ fact, found: matchesKeyFact(content, fact) }));
+  const v = answer.verification?.summary ?? null;
+  const usage = answer.summary?.usage ?? null;
+  return {
+    id: item.id,
+    question: item.question,
+    ok: true,
+    model: answer.summary?.model ?? null,
+    cited,
+    expected,
+    missingProvisions: expected.filter(id => !cited.includes(id)),
+    unexpectedProvisions: cited.filter(id => !acceptable.has(id)),
+    citationPrecision: round(ratio(counted.filter(id => expected.includes(id)).length, counted.length)),
+    citationRecall: round(ratio(hits.length, expected.length)),
+    missingHeadings: missing,
+    headingRate: round(ratio(REQUIRED_HEADINGS.length - missing.length, REQUIRED_HEADINGS.length)),
+    quotes: v ? v.quotes : null,
+    quotesVerified: v ? v.quotesVerified : null,
+    citations: v ? v.citations : null,
+    citationsVerified: v ? v.citationsVerified : null,
+    keyFacts: facts,
+    keyFactRate: round(ratio(facts.filter(f => f.found).length, facts.length)),
+    usage,
+    costUsd: costOf(usage, pricingFor(pricing, answer.summary?.model)),
+    durationMs: answer.durationMs ?? null,
+    content,
+  };
+}
+
+/**
+ * Result row for a question whose ask failed.
+ */
+export function failedResult(item, error, durationMs = null) {
+  return { id: item.id, question: item.question, ok: false, error: error?.message ?? String(error), durationMs };
+}
+
+function mean(values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  return present.length > 0 ? present.reduce((a, b) => a + b, 0) / present.length : null;
+}
+
+function percentile(values, p) {
+  const sorted = values.filter(v => v !== null && v !== undefined).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function sum(values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  return present.length > 0 ? present.reduce((a, b) => a + b, 0) : null;
+}
+
+/**
+ * Aggregate metrics over a run. Precision, recall, headings and key facts are
+ * per-question means; verification rates pool all quotes / citations; errors
+ * count against every quality metric only through errorRate.
+ */
+export function summarizeResults(results) {
+  const ok = results.filter(r => r.ok);
+  const latencies = ok.map(r => r.durationMs);
+  return {
+    questions: results.length,
+    errors: results.length - ok.length,
+    errorRate: round(ratio(results.length - ok.length, results.length)),
+    citationPrecision: round(mean(ok.map(r => r.citationPrecision))),
+    citationRecall: round(mean(ok.map(r => r.citationRecall))),
+    headingRate: round(mean(ok.map(r => r.headingRate))),
+    headingsComplete: ok.filter(r => r.missingHeadings.length === 0).length,
+    quoteVerificationRate: round(ratio(sum(ok.map(r => r.quotesVerified)) ?? 0, sum(ok.map(r => r.quotes)) ?? 0)),
+    citationVerificationRate: round(ratio(sum(ok.map(r => r.citationsVerified)) ?? 0, sum(ok.map(r => r.citations)) ?? 0)),
+    keyFactRate: round(mean(ok.map(r => r.keyFactRate))),
+    promptTokens: sum(ok.map(r => r.usage?.prompt_tokens)),
+    completionTokens: sum(ok.map(r => r.usage?.completion_tokens)),
+    totalTokens: sum(ok.map(r => r.usage?.total_tokens)),
+    costUsd: round(sum(ok.map(r => r.costUsd)), 6),
+    latencyMeanMs: round(mean(latencies), 0),
+    latencyP50Ms: percentile(latencies, 50),
+    latencyP95Ms: percentile(latencies, 95),
+  };
+}
+
+function questionChanges(current, baseline) {
+  const before = new Map(baseline.results.map(r => [r.id, r]));
+  const changes = [];
+  for (const r of current.results) {
+    const b = before.get(r.id);
+    if (!b) {
+      changes.push({ id: r.id, change: 'new' });
+      continue;
+    }
+    const deltas = {};
+    for (const key of ['citationPrecision', 'citationRecall', 'headingRate', 'keyFactRate']) {
+      const d = r.ok && b.ok && r[key] != null && b[key] != null ? round(r[key] - b[key]) : null;
+      if (d) deltas[key] = d;
+    }
+    const status = r.ok === b.ok ? null : r.ok ? 'fixed' : 'failed';
+    if (status || Object.keys(deltas).length > 0) changes.push({ id: r.id, change: status ?? 'changed', deltas });
+  }
+  const ids = new Set(current.results.map(r => r.id));
+  for (const b of baseline.results) if (!ids.has(b.id)) changes.push({ id: b.id, change: 'removed' });
+  return changes;
+}
+
+/**
+ * Compare a run with a baseline run. A gated metric regresses when it moves
+ * the wrong way by more than `tolerance`.
+ */
+export function compareRuns(current, baseline, { tolerance = 0.02 } = {}) {
+  const metrics = Object.entries(METRICS).map(([key, meta]) => {
+    const now = current.metrics[key] ?? null;
+    const before = baseline.metrics[key] ?? null;
+    const delta = now !== null && before !== null ? round(now - before) : null;
+    const worse = delta !== null && (meta.better === 'higher' ? -delta : delta);
+    return { key, label: meta.label, current: now, baseline: before, delta, regression: meta.gate && worse !== null && worse > tolerance };
+  });
+  const notes = [];
+  if (current.provider !== baseline.provider || current.model !== baseline.model) {
+    notes.push(`Provider/model changed: ${baseline.provider} ${baseline.model} -> ${current.provider} ${current.model}`);
+  }
+  if (current.target !== baseline.target) notes.push(`Target changed: ${baseline.target} -> ${current.target}`);
+  if (current.golden !== baseline.golden) notes.push(`Golden set changed: ${baseline.golden} -> ${current.golden}`);
+  if ((current.policy ?? null) !== (baseline.policy ?? null)) {
+    notes.push(`Policy changed: ${baseline.policy ?? 'unrecorded'} -> ${current.policy ?? 'unrecorded'}`);
+  }
+  return {
+    baselineId: baseline.id,
+    tolerance,
+    metrics,
+    regressions: metrics.filter(m => m.regression).map(m => m.key),
+    questions: questionChanges(current, baseline),
+    notes,
+  };
+}
+
+function fmt(key, value) {
+  if (value === null || value === undefined) return '—';
+  if (RATE_METRICS.includes(key)) return `${(value * 100).toFixed(1)}%`;
+  if (key === 'costUsd') return `$${value.toFixed(4)}`;
+  return String(value);
+}
+
+function fmtDelta(key, delta) {
+  if (delta === null || delta === undefined) return '—';
+  if (delta === 0) return '0';
+  const sign = delta > 0 ? '+' : '';
+  if (RATE_METRICS.includes(key)) return `${sign}${(delta * 100).toFixed(1)} pp`;
+  if (key === 'costUsd') return `${sign}$${delta.toFixed(4)}`;
+  return `${sign}${delta}`;
+}
+
+/**
+ * Markdown report for a run and its comparison (null without a baseline).
+ */
+export function renderEvalMarkdown(run, comparison) {
+  const m = run.metrics;
+  const lines = [
+    `# Eval run ${run.id}`,
+    '',
+    `- Golden set: \`${run.golden}\` (${m.questions} questions, ${m.errors} errors)`,
+    `- Target: ${run.target}; provider: ${run.provider}; model: ${run.model}; policy: ${run.policy ?? 'server default'}`,
+    `- Created: ${run.created_at}`,
+    '',
+  ];
+  if (comparison) {
+    lines.push(`## Compared with ${comparison.baselineId}`, '');
+    for (const note of comparison.notes) lines.push(`> ${note}`, '');
+    lines.push('| Metric | Baseline | Current | Change |', '| --- | --- | --- | --- |');
+    for (const c of comparison.metrics) {
+      lines.push(`| ${c.label} | ${fmt(c.key, c.baseline)} | ${fmt(c.key, c.current)} | ${fmtDelta(c.key, c.delta)}${c.regression ? ' **regression**' : ''} |`);
+    }
+    lines.push('');
+    if (comparison.questions.length > 0) {
+      lines.push('Changed questions:', '');
+      for (const q of comparison.questions) {
+        const deltas = Object.entries(q.deltas ?? {}).map(([k, d]) => `${METRICS[k]?.label ?? k} ${fmtDelta(k, d)}`);
+        lines.push(`- \`${q.id}\`: ${q.change}${deltas.length ? ` (${deltas.join(', ')})` : ''}`);
+      }
+      lines.push('');
+    }
+  } else {
+    lines.push('## Metrics', '', '| Metric | Value |', '| --- | --- |');
+    for (const [key, meta] of Object.entries(METRICS)) lines.push(`| ${meta.label} | ${fmt(key, m[key])} |`);
+    lines.push('');
+  }
+  lines.push('## Questions', '', '| Id | Precision | Recall | Headings | Quotes verified | Key facts | Tokens | ms |', '| --- | --- | --- | --- | --- | --- | --- | --- |');
+  for (const r of run.results) {
+    if (!r.ok) {
+      lines.push(`| \`${r.id}\` | error: ${r.error.replace(/\|/g, '\\|')} | | | | | | |`);
+      continue;
+    }
+    const quotes = r.quotes === null ? '—' : `${r.quotesVerified}/${r.quotes}`;
+    lines.push(`| \`${r.id}\` | ${fmt('citationPrecision', r.citationPrecision)} | ${fmt('citationRecall', r.citationRecall)} | ${fmt('headingRate', r.headingRate)} | ${quotes} | ${fmt('keyFactRate', r.keyFactRate)} | ${r.usage?.total_tokens ?? '—'} | ${r.durationMs ?? '—'} |`);
+  }
+  const misses = run.results.filter(r => r.ok && (r.missingProvisions.length || r.unexpectedProvisions.length || r.missingHeadings.length || r.keyFacts.some(f => !f.found)));
+  if (misses.length > 0) {
+    lines.push('', '## Misses', '');
+    for (const r of misses) {
+      const parts = [];
+      if (r.missingProvisions.length) parts.push(`not cited: ${r.missingProvisions.join(', ')}`);
+      if (r.unexpectedProvisions.length) parts.push(`unexpected: ${r.unexpectedProvisions.join(', ')}`);
+      if (r.missingHeadings.length) parts.push(`missing headings: ${r.missingHeadings.join(', ')}`);
+      const facts = r.keyFacts.filter(f => !f.found).map(f => f.fact);
+      if (facts.length) parts.push(`missing facts: ${facts.join('; ')}`);
+      lines.push(`- \`${r.id}\`: ${parts.join('; ')}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,41 @@
+// Types for glossary.js (imported by the frontend via the @scripts alias)
+
+export type GlossaryEntry = {
+  id: string
+  term: string
+  definition: string
+  source: 'CAR' | 'CAA'
+  provisionId: string
+  kind: 'definition' | 'abbreviation'
+  abbreviation: string | null
+  expansion: string | null
+}
+
+export type Glossary = {
+  generated_at: string
+  ids: string[]
+  entries: GlossaryEntry[]
+}
+
+export type TermHit = { index: number; text: string; entries: GlossaryEntry[] }
+
+export type GlossarySourceProvision = {
+  id: string
+  source: 'CAR' | 'CAA'
+  heading: string
+  text: string
+}
+
+export const DEFAULT_GLOSSARY_IDS: string[]
+export function parseDefinitions(provision: GlossarySourceProvision): GlossaryEntry[]
+export function buildGlossary(provisions: GlossarySourceProvision[], options?: { ids?: string[] }): Glossary
+export function createTermMatcher(entries: GlossaryEntry[]): {
+  lookup(term: string): GlossaryEntry[]
+  find(text: string): TermHit[]
+}
+export function definitionsForTexts(
+  entries: GlossaryEntry[],
+  texts: string[],
+  options?: { limit?: number },
+): GlossaryEntry[]
+export function formatDefinitions(entries: GlossaryEntry[]): string
@@ -0,0 +1,218 @@
+// Defined terms from CAR 1.1 (Definitions), CAR 1.3 (Abbreviations) and the
+// Act's interpretation section, parsed from provision records (provisions.js).
+//
+// Entry: { id, term, definition, source, provisionId, kind: 'definition' | 'abbreviation',
+//          abbreviation, expansion }
+// - definitions carry the abbreviation printed after the term ("... (AFIS) means")
+//   or listed in CAR 1.3 for the same words
+// - abbreviations carry their expansion, e.g. AGL -> above ground level
+//
+// No Node imports: the frontend bundles createTermMatcher for answer tooltips.
+
+export const DEFAULT_GLOSSARY_IDS = ['CAR-1.1', 'CAR-1.3', 'CAA-s5'];
+
+const VERB_RE = /^(.+?)\s+(means|includes|has the same meaning as|has the meaning given|in relation to)\b[\s—–:,]*(.*)$/s;
+const DASH_RE = /^(.+?)\s*[—–]\s*$/;
+const ABBREVIATION_RE = /^\s*\(([A-Z][A-Za-z0-9/&-]{0,15})\)\s*$/;
+const LIST_ITEM_RE = /^(\s*)- (.*)$/;
+const PAGE_RE = /^\s*<!-- page \d+ -->\s*$/;
+const MAX_TERM_WORDS = 10;
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function tidy(text) {
+  return text.replace(/\s+/g, ' ').replace(/[\s:;,]+$/, '').trim();
+}
+
+function isAllCaps(term) {
+  return /[A-Z]/.test(term) && term === term.toUpperCase();
+}
+
+/**
+ * Top-level paragraphs of a provision, each with the list items under it
+ * flattened into one line: "means— (a) ...; (b) ...".
+ */
+function definitionBlocks(text) {
+  const blocks = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (line.trim() === '' || PAGE_RE.test(line)) continue;
+    const item = line.match(LIST_ITEM_RE);
+    if (item && blocks.length > 0) {
+      blocks[blocks.length - 1].items.push(item[2].trim());
+    } else if (/^\s*\|/.test(line)) {
+      // Abbreviations are sometimes laid out as a two-column table
+      const cells = line.split('|').slice(1, -1).map(c => c.trim());
+      if (cells.length >= 2 && cells[0] && !/^-+$/.test(cells[0])) blocks.push({ head: `${cells[0]} means ${cells.slice(1).join(' ')}`, items: [] });
+    } else {
+      blocks.push({ head: line.trim(), items: [] });
+    }
+  }
+  return blocks;
+}
+
+function splitTerm(rawTerm) {
+  let term = rawTerm.trim();
+  let abbreviation = null;
+  const paren = term.match(/^(.*?)\s*(\([^()]*\))$/);
+  if (paren && ABBREVIATION_RE.test(paren[2])) {
+    term = paren[1];
+    abbreviation = paren[2].match(ABBREVIATION_RE)[1];
+  }
+  term = term.replace(/^["“']|["”']$/g, '').trim();
+  return { term, abbreviation };
+}
+
+function plausibleTerm(term) {
+  if (!/^[A-Za-z]/.test(term)) return false;
+  if (/[.;:]/.test(term.replace(/\be\.g\./g, ''))) return false;
+  if (/^(in|for the purposes of|unless|this|these|the)\b/i.test(term)) return false;
+  return term.split(/\s+/).length <= MAX_TERM_WORDS;
+}
+
+/**
+ * Parse one provision record into glossary entries. Provisions whose heading
+ * mentions abbreviations yield 'abbreviation' entries.
+ */
+export function parseDefinitions(provision) {
+  const abbreviations = /abbreviation/i.test(provision.heading || '');
+  const entries = [];
+  for (const block of definitionBlocks(provision.text || '')) {
+    let rawTerm;
+    let body;
+    const verb = block.head.match(VERB_RE);
+    const dash = block.head.match(DASH_RE);
+    if (verb) {
+      rawTerm = verb[1];
+      body = verb[2] === 'means' ? verb[3] : `${verb[2]} ${verb[3]}`;
+    } else if (dash && block.items.length > 0) {
+      rawTerm = dash[1];
+      body = '';
+    } else {
+      continue;
+    }
+    const { term, abbreviation } = splitTerm(rawTerm);
+    if (!plausibleTerm(term)) continue;
+    const definition = tidy([body, ...block.items].filter(Boolean).join(' '));
+    if (!definition) continue;
+    const isAbbreviation = abbreviations && isAllCaps(term.replace(/[^A-Za-z]/g, '') || term);
+    entries.push({
+      id: `${provision.id}#${slug(term)}`,
+      term,
+      definition,
+      source: provision.source,
+      provisionId: provision.id,
+      kind: isAbbreviation ? 'abbreviation' : 'definition',
+      abbreviation: isAbbreviation ? term : abbreviation,
+      expansion: isAbbreviation ? definition : null,
+    });
+  }
+  return entries;
+}
+
+/**
+ * Glossary from a provision index. `ids` selects the definitions provisions
+ * (duplicates of an id, e.g. CAR-1.1-2, are included).
+ */
+export function buildGlossary(provisions, { ids = DEFAULT_GLOSSARY_IDS } = {}) {
+  const wanted = new Set(ids);
+  const entries = [];
+  const seen = new Set();
+  for (const p of provisions) {
+    const baseId = p.id.replace(/-\d+$/, '');
+    if (!wanted.has(p.id) && !wanted.has(baseId)) continue;
+    for (const entry of parseDefinitions(p)) {
+      if (seen.has(entry.id)) continue;
+      seen.add(entry.id);
+      entries.push(entry);
+    }
+  }
+  // Link "Aerodrome flight information service" to AFIS from the abbreviations list
+  const byExpansion = new Map();
+  for (const e of entries) if (e.kind === 'abbreviation') byExpansion.set(e.expansion.toLowerCase(), e.term);
+  for (const e of entries) {
+    if (e.kind === 'definition' && !e.abbreviation) e.abbreviation = byExpansion.get(e.term.toLowerCase()) ?? null;
+  }
+  return { generated_at: new Date().toISOString(), ids: [...wanted], entries };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find defined terms in text: longest term first, whole words, plural -s/-es,
+ * case-insensitive except for all-caps abbreviations.
+ * Returns { find(text) -> [{ index, text, entries }], lookup(term) -> entries }.
+ */
+export function createTermMatcher(entries) {
+  const byKey = new Map();
+  const add = (key, entry) => {
+    const k = key.toLowerCase();
+    const list = byKey.get(k) ?? [];
+    if (!list.includes(entry)) list.push(entry);
+    byKey.set(k, list);
+  };
+  for (const e of entries) {
+    add(e.term, e);
+    if (e.abbreviation) add(e.abbreviation, e);
+  }
+  const keys = [...byKey.keys()].filter(k => k.length >= 2).sort((a, b) => b.length - a.length);
+  const re = keys.length > 0
+    ? new RegExp(`(?<![\\w-])(?:${keys.map(escapeRegExp).join('|')})(?:e?s)?(?![\\w-])`, 'gi')
+    : null;
+
+  const lookup = (term) => {
+    const k = term.toLowerCase();
+    return byKey.get(k) ?? byKey.get(k.replace(/es$/, '')) ?? byKey.get(k.replace(/s$/, '')) ?? [];
+  };
+
+  return {
+    lookup,
+    find(text) {
+      if (!re || !text) return [];
+      const found = [];
+      for (const m of text.matchAll(re)) {
+        const matched = lookup(m[0]).filter(e => {
+          // "AGL" is an abbreviation, "agl" in running text is not
+          const key = [e.term, e.abbreviation].find(k => k && m[0].toLowerCase().startsWith(k.toLowerCase()));
+          return !key || !isAllCaps(key) || m[0].startsWith(key);
+        });
+        if (matched.length > 0) found.push({ index: m.index, text: m[0], entries: matched });
+      }
+      return found;
+    },
+  };
+}
+
+/**
+ * Glossary entries for the terms used in `texts`, terms from earlier texts
+ * first, then by how often they occur; at most `limit`.
+ */
+export function definitionsForTexts(entries, texts, { limit = 25 } = {}) {
+  const matcher = createTermMatcher(entries);
+  const scores = new Map();
+  texts.forEach((text, i) => {
+    for (const hit of matcher.find(text)) {
+      for (const e of hit.entries) {
+        const s = scores.get(e) ?? { first: i, count: 0 };
+        s.count += 1;
+        scores.set(e, s);
+      }
+    }
+  });
+  return [...scores.entries()]
+    .sort(([, a], [, b]) => a.first - b.first || b.count - a.count)
+    .slice(0, limit)
+    .map(([e]) => e);
+}
+
+/**
+ * Definitions block for the system prompt.
+ */
+export function formatDefinitions(entries) {
+  return entries
+    .map(e => `[${e.provisionId}] ${e.term}${e.abbreviation && e.abbreviation !== e.term ? ` (${e.abbreviation})` : ''}: ${e.definition}`)
+    .join('\n');
+}
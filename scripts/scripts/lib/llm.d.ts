@@ -0,0 +1,77 @@
+// Types for llm.js (imported by the frontend via the @scripts alias)
+
+import type { ChatMessage } from './prompt.js'
+
+export type ProviderName =
+  | 'openai'
+  | 'openai-compatible'
+  | 'ollama'
+  | 'llamacpp'
+  | 'openrouter'
+  | 'groq'
+  | 'anthropic'
+  | 'mock'
+
+export type Usage = {
+  prompt_tokens: number
+  completion_tokens: number
+  total_tokens: number
+}
+
+export type CompletionSummary = {
+  id: string
+  model: string
+  created: number
+  usage: Usage | null
+  finish_reason: string | null
+}
+
+// What the mock provider passes to a request's mockReply
+export type MockReplyContext = {
+  question: string
+  systemText: string
+  // First citable provision of a retrieval-mode system prompt
+  provision: { id: string; url: string; citation: string; quote: string } | null
+}
+
+export type CompletionRequest = {
+  messages: ChatMessage[]
+  maxTokens?: number
+  temperature?: number
+  // Structured output; content is then the JSON text
+  jsonSchema?: { name: string; schema: Record<string, unknown> }
+  // Mock provider only: the JSON reply for a jsonSchema other than the answer schema
+  mockReply?: (context: MockReplyContext) => string
+}
+
+export type StreamEvent = { type: 'delta'; content: string } | { type: 'done'; summary: CompletionSummary }
+
+export type MockFixture = { match: string; answer?: string; json?: unknown }
+
+export type Provider = {
+  id: string
+  name: ProviderName
+  model: string
+  complete(
+    request: CompletionRequest,
+    options?: { signal?: AbortSignal },
+  ): Promise<{ content: string; summary: CompletionSummary; raw: unknown }>
+  stream(request: CompletionRequest, options?: { signal?: AbortSignal }): AsyncGenerator<StreamEvent, void, void>
+}
+
+export type ProviderOptions = {
+  provider?: ProviderName
+  model?: string
+  apiKey?: string
+  baseURL?: string
+  fixtures?: MockFixture[]
+  delayMs?: number
+}
+
+export const PROVIDERS: ProviderName[]
+export function createProvider(options?: ProviderOptions): Provider
+export function providerFromEnv(
+  env?: Record<string, string | undefined>,
+  options?: { defaultModel?: string },
+): Provider
+export function addUsage(a: Usage | null | undefined, b: Usage | null | undefined): Usage | null
@@ -0,0 +1,420 @@
+// Pluggable chat-completion providers shared by ask_llm.js and the frontend's
+// /api/ask. Every provider has the same two calls:
+//
+//   complete(request, { signal }) -> { content, summary, raw }
+//   stream(request, { signal })   -> async iterator of
+//                                    { type: 'delta', content } ... { type: 'done', summary }
+//
+// where request is { messages, maxTokens?, temperature?, jsonSchema?, mockReply? } and
+// summary.usage is normalised to OpenAI's prompt_tokens / completion_tokens /
+// total_tokens. jsonSchema ({ name, schema }) asks for structured output: a
+// strict response_format for OpenAI-compatible servers, a forced tool call for
+// Anthropic; content is then the JSON text either way. mockReply({ question,
+// systemText, provision }) is the mock provider's reply to a jsonSchema request
+// other than the answer schema (e.g. quiz.js mockQuizReply); other providers ignore it.
+//
+// - openai:             api.openai.com (OPENAI_API_KEY)
+// - openai-compatible:  any /chat/completions endpoint at LLM_BASE_URL
+// - ollama, llamacpp:   local OpenAI-compatible servers, no key needed
+// - openrouter, groq:   hosted OpenAI-compatible vendors
+// - anthropic:          Anthropic Messages API
+// - mock:               deterministic offline answers (fixtures, else a canned
+//                       answer, or the request's mockReply, quoting the first
+//                       retrieved provision)
+//
+// No SDK dependency on purpose: this module is also bundled by Next.js.
+
+import fs from 'node:fs';
+
+const PRESETS = {
+  openai: { baseURL: 'https://api.openai.com/v1', keyEnv: 'OPENAI_API_KEY', model: 'gpt-4.1' },
+  'openai-compatible': { baseURL: undefined, keyEnv: null, model: undefined },
+  ollama: { baseURL: 'http://localhost:11434/v1', keyEnv: null, model: 'llama3.1' },
+  llamacpp: { baseURL: 'http://localhost:8080/v1', keyEnv: null, model: 'local' },
+  openrouter: { baseURL: 'https://openrouter.ai/api/v1', keyEnv: 'OPENROUTER_API_KEY', model: 'openai/gpt-4.1' },
+  groq: { baseURL: 'https://api.groq.com/openai/v1', keyEnv: 'GROQ_API_KEY', model: 'llama-3.3-70b-versatile' },
+  anthropic: { baseURL: 'https://api.anthropic.com/v1', keyEnv: 'ANTHROPIC_API_KEY', model: 'claude-sonnet-4-5' },
+  mock: { baseURL: undefined, keyEnv: null, model: 'mock' },
+};
+
+export const PROVIDERS = Object.keys(PRESETS);
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096;
+
+function isNumber(value) {
+  return typeof value === 'number' && !Number.isNaN(value);
+}
+
+function usageOf(promptTokens, completionTokens) {
+  const prompt = promptTokens || 0;
+  const completion = completionTokens || 0;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+async function postJson(label, url, headers, body, signal) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!res.ok) {
+    const detail = await res.text().catch(() => '');
+    const error = new Error(`${label} request failed: ${res.status} ${detail.slice(0, 300)}`);
+    // For callers that retry: 429 / 5xx, and the server's Retry-After in seconds
+    error.status = res.status;
+    error.retryAfter = Number(res.headers.get('retry-after')) || null;
+    throw error;
+  }
+  return res;
+}
+
+// `data:` payloads of a Server-Sent Events response body
+async function* sseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline = buffer.indexOf('\n');
+    while (newline >= 0) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      newline = buffer.indexOf('\n');
+      if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
+  }
+}
+
+function createOpenAICompatibleProvider({ name, model, apiKey, baseURL, keyEnv }) {
+  if (!baseURL) throw new Error(`Missing base URL for the ${name} provider (LLM_BASE_URL)`);
+  if (!model) throw new Error(`Missing model for the ${name} provider (LLM_MODEL)`);
+  if (keyEnv && !apiKey) throw new Error(`Missing ${keyEnv} in env. Set it before running.`);
+  const url = `${baseURL.replace(/\/+$/, '')}/chat/completions`;
+  const headers = apiKey ? { authorization: `Bearer ${apiKey}` } : {};
+  const bodyFor = (request, stream) => ({
+    model,
+    messages: request.messages,
+    ...(isNumber(request.maxTokens) ? { max_tokens: request.maxTokens } : {}),
+    ...(isNumber(request.temperature) ? { temperature: request.temperature } : {}),
+    ...(request.jsonSchema
+      ? { response_format: { type: 'json_schema', json_schema: { name: request.jsonSchema.name, schema: request.jsonSchema.schema, strict: true } } }
+      : {}),
+    ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+  });
+  return {
+    id: `${name}:${model}`,
+    name,
+    model,
+    async complete(request, { signal } = {}) {
+      const res = await postJson(name, url, headers, bodyFor(request, false), signal);
+      const json = await res.json();
+      const choice = json.choices?.[0];
+      return {
+        content: choice?.message?.content || '',
+        summary: {
+          id: json.id,
+          model: json.model || model,
+          created: json.created,
+          usage: json.usage ? usageOf(json.usage.prompt_tokens, json.usage.completion_tokens) : null,
+          finish_reason: choice?.finish_reason,
+        },
+        raw: json,
+      };
+    },
+    async *stream(request, { signal } = {}) {
+      const res = await postJson(name, url, headers, bodyFor(request, true), signal);
+      const summary = { id: '', model, created: 0, usage: null, finish_reason: null };
+      for await (const data of sseData(res.body)) {
+        if (data === '[DONE]') break;
+        const chunk = JSON.parse(data);
+        summary.id = chunk.id || summary.id;
+        summary.model = chunk.model || summary.model;
+        summary.created = chunk.created || summary.created;
+        if (chunk.usage) summary.usage = usageOf(chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+        const choice = chunk.choices?.[0];
+        if (choice?.finish_reason) summary.finish_reason = choice.finish_reason;
+        if (choice?.delta?.content) yield { type: 'delta', content: choice.delta.content };
+      }
+      yield { type: 'done', summary };
+    },
+  };
+}
+
+function anthropicFinishReason(stopReason) {
+  if (stopReason === 'end_turn' || stopReason === 'stop_sequence') return 'stop';
+  if (stopReason === 'max_tokens') return 'length';
+  return stopReason || null;
+}
+
+function createAnthropicProvider({ model, apiKey, baseURL, keyEnv }) {
+  if (!apiKey) throw new Error(`Missing ${keyEnv} in env. Set it before running.`);
+  const url = `${baseURL.replace(/\/+$/, '')}/messages`;
+  const headers = { 'x-api-key': apiKey, 'anthropic-version': ANTHROPIC_VERSION };
+  // The Messages API takes the system prompt separately from the turns
+  const bodyFor = (request, stream) => ({
+    model,
+    system: request.messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n'),
+    messages: request.messages.filter(m => m.role !== 'system'),
+    max_tokens: isNumber(request.maxTokens) ? request.maxTokens : ANTHROPIC_DEFAULT_MAX_TOKENS,
+    ...(isNumber(request.temperature) ? { temperature: request.temperature } : {}),
+    ...(request.jsonSchema
+      ? {
+          tools: [{ name: request.jsonSchema.name, description: 'Return the answer', input_schema: request.jsonSchema.schema }],
+          tool_choice: { type: 'tool', name: request.jsonSchema.name },
+        }
+      : {}),
+    ...(stream ? { stream: true } : {}),
+  });
+  return {
+    id: `anthropic:${model}`,
+    name: 'anthropic',
+    model,
+    async complete(request, { signal } = {}) {
+      const res = await postJson('anthropic', url, headers, bodyFor(request, false), signal);
+      const json = await res.json();
+      return {
+        content: request.jsonSchema
+          ? JSON.stringify((json.content || []).find(b => b.type === 'tool_use')?.input ?? null)
+          : (json.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+        summary: {
+          id: json.id,
+          model: json.model || model,
+          created: Math.floor(Date.now() / 1000),
+          usage: json.usage ? usageOf(json.usage.input_tokens, json.usage.output_tokens) : null,
+          finish_reason: anthropicFinishReason(json.stop_reason),
+        },
+        raw: json,
+      };
+    },
+    async *stream(request, { signal } = {}) {
+      const res = await postJson('anthropic', url, headers, bodyFor(request, true), signal);
+      const summary = { id: '', model, created: Math.floor(Date.now() / 1000), usage: null, finish_reason: null };
+      let inputTokens = 0;
+      for await (const data of sseData(res.body)) {
+        const event = JSON.parse(data);
+        if (event.type === 'message_start') {
+          summary.id = event.message?.id || summary.id;
+          summary.model = event.message?.model || summary.model;
+          inputTokens = event.message?.usage?.input_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          yield { type: 'delta', content: event.delta.text };
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+          yield { type: 'delta', content: event.delta.partial_json };
+        } else if (event.type === 'message_delta') {
+          summary.finish_reason = anthropicFinishReason(event.delta?.stop_reason);
+          summary.usage = usageOf(inputTokens, event.usage?.output_tokens);
+        } else if (event.type === 'error') {
+          throw new Error(`anthropic stream error: ${event.error?.message || 'unknown'}`);
+        }
+      }
+      yield { type: 'done', summary };
+    },
+  };
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+function citationFor(provisionId) {
+  let m = provisionId.match(/^CAR-((\d+)[A-Z]?\.\d+[A-Z]?)$/);
+  if (m) return `CAR Part ${m[2]}, rule ${m[1]}`;
+  m = provisionId.match(/^CAA-s(\w+)$/);
+  if (m) return `CAA s ${m[1]}`;
+  return null;
+}
+
+function quotableLine(lines) {
+  for (const line of lines) {
+    if (/^\s*(#|\||<!--|```)/.test(line)) continue;
+    const text = line.replace(/^\s*-\s+/, '').replace(/^\(\w{1,4}\)\s*/, '').trim();
+    const words = text.split(/\s+/);
+    if (words.length >= 6) return words.slice(0, 30).join(' ');
+  }
+  return null;
+}
+
+// First citable provision in a retrieval-mode system prompt: `[id] source_url: ...`
+function firstGroundedProvision(systemText) {
+  const lines = String(systemText).split(/\r?\n/);
+  for (let i = 0; i < lines.length; i += 1) {
+    const header = lines[i].match(/^\[([^\]]+)\] source_url: (\S+)/);
+    if (!header) continue;
+    const citation = citationFor(header[1]);
+    if (!citation) continue;
+    let end = i + 1;
+    while (end < lines.length && !/^\[[^\]]+\] source_url: |^===== END/.test(lines[end])) end += 1;
+    const quote = quotableLine(lines.slice(i + 1, end));
+    if (quote) return { id: header[1], url: header[2], citation, quote };
+  }
+  return null;
+}
+
+function cannedAnswer(question, systemText) {
+  const found = firstGroundedProvision(systemText);
+  if (!found) {
+    return [
+      '## Issue', '', question, '',
+      '## Rule', '', 'The mock provider found no tagged provision in the supplied context.', '',
+      '## Application', '', 'This is an offline mock answer and is not grounded in the CAA or CAR texts.', '',
+      '## Conclusion', '', 'No conclusion can be drawn from the provided texts.', '',
+      '## Citations', '', 'None.',
+    ].join('\n');
+  }
+  const heading = found.id.startsWith('CAA-') ? 'Act (CAA)' : 'Rules (CAR)';
+  return [
+    '## Issue', '', question, '',
+    '## Rule', '', `${heading} — ${found.citation}:`, '', '```text', found.quote, '```', '',
+    '## Application', '', 'This is an offline mock answer built from the first retrieved provision; it is not legal advice.', '',
+    '## Conclusion', '', `See ${found.citation}.`, '',
+    '## Citations', '', `- ${found.citation} — ${found.url}`,
+  ].join('\n');
+}
+
+// Structured (jsonSchema) variant of cannedAnswer, shaped like answer_schema.js
+function cannedJsonAnswer(question, systemText) {
+  const found = firstGroundedProvision(systemText);
+  const quotes = found ? [{ provision_id: found.id, quote: found.quote, url: found.url }] : [];
+  return JSON.stringify({
+    issue: question,
+    rule: {
+      act: quotes.filter(q => q.provision_id.startsWith('CAA-')),
+      car: quotes.filter(q => q.provision_id.startsWith('CAR-')),
+    },
+    application: found
+      ? 'This is an offline mock answer built from the first retrieved provision; it is not legal advice.'
+      : 'This is an offline mock answer and is not grounded in the CAA or CAR texts.',
+    conclusion: found ? `See ${found.citation}.` : 'No conclusion can be drawn from the provided texts.',
+    citations: found ? [{ provision_id: found.id, url: found.url }] : [],
+  });
+}
+
+function fixtureMatches(match, question) {
+  const regex = String(match).match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) return new RegExp(regex[1], regex[2]).test(question);
+  return question.toLowerCase().includes(String(match).toLowerCase());
+}
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * fixtures: [{ match: 'substring' | '/regex/flags', answer: '...', json?: {...} | '...' }],
+ * first match wins; `json` answers jsonSchema requests (a string is returned as is,
+ * so invalid output can be simulated).
+ * delayMs paces streamed words so cancel/streaming UI can be exercised offline.
+ */
+function createMockProvider({ model, fixtures = [], delayMs = 0 }) {
+  const respond = request => {
+    const question = [...request.messages].reverse().find(m => m.role === 'user')?.content || '';
+    const systemText = request.messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const fixture = fixtures.find(f => fixtureMatches(f.match, question));
+    let content;
+    if (request.jsonSchema) {
+      const json = fixture?.json;
+      const canned = request.mockReply
+        ? request.mockReply({ question, systemText, provision: firstGroundedProvision(systemText) })
+        : cannedJsonAnswer(question, systemText);
+      content = json === undefined ? canned : typeof json === 'string' ? json : JSON.stringify(json);
+    } else {
+      content = fixture ? String(fixture.answer) : cannedAnswer(question, systemText);
+    }
+    const promptText = request.messages.map(m => m.content).join('\n');
+    return {
+      content,
+      summary: {
+        id: `mock-${hashText(question)}`,
+        model,
+        created: Math.floor(Date.now() / 1000),
+        usage: usageOf(estimateTokens(promptText), estimateTokens(content)),
+        finish_reason: 'stop',
+      },
+    };
+  };
+  return {
+    id: `mock:${model}`,
+    name: 'mock',
+    model,
+    async complete(request, { signal } = {}) {
+      if (signal?.aborted) throw abortError();
+      const { content, summary } = respond(request);
+      return { content, summary, raw: { ...summary, object: 'chat.completion', content } };
+    },
+    async *stream(request, { signal } = {}) {
+      const { content, summary } = respond(request);
+      for (const piece of content.match(/\s*\S+/g) || []) {
+        if (signal?.aborted) throw abortError();
+        if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+        yield { type: 'delta', content: piece };
+      }
+      yield { type: 'done', summary };
+    },
+  };
+}
+
+/**
+ * options: { provider, model?, apiKey?, baseURL?, fixtures?, delayMs? }; see PRESETS for defaults.
+ */
+export function createProvider(options = {}) {
+  const name = options.provider || 'openai';
+  const preset = PRESETS[name];
+  if (!preset) throw new Error(`Unknown LLM provider: ${name} (expected one of ${PROVIDERS.join(', ')})`);
+  const config = {
+    name,
+    model: options.model || preset.model,
+    apiKey: options.apiKey,
+    baseURL: options.baseURL || preset.baseURL,
+    keyEnv: preset.keyEnv,
+  };
+  if (name === 'mock') return createMockProvider({ ...config, fixtures: options.fixtures, delayMs: options.delayMs });
+  if (name === 'anthropic') return createAnthropicProvider(config);
+  return createOpenAICompatibleProvider(config);
+}
+
+/**
+ * LLM_PROVIDER (default openai), LLM_MODEL, LLM_BASE_URL, LLM_API_KEY (falls
+ * back to the vendor's own variable, e.g. OPENAI_API_KEY), LLM_MOCK_FIXTURES
+ * (JSON file) and LLM_MOCK_DELAY_MS. OPENAI_MODEL is still honoured for openai;
+ * `defaultModel` is the caller's fallback for openai when neither is set.
+ */
+export function providerFromEnv(env = process.env, { defaultModel } = {}) {
+  const name = env.LLM_PROVIDER || 'openai';
+  const preset = PRESETS[name];
+  let fixtures = [];
+  if (name === 'mock' && env.LLM_MOCK_FIXTURES) {
+    fixtures = JSON.parse(fs.readFileSync(env.LLM_MOCK_FIXTURES, 'utf8'));
+  }
+  return createProvider({
+    provider: name,
+    model: env.LLM_MODEL || (name === 'openai' ? env.OPENAI_MODEL || defaultModel : undefined),
+    baseURL: env.LLM_BASE_URL || undefined,
+    apiKey: env.LLM_API_KEY || (preset?.keyEnv ? env[preset.keyEnv] : undefined),
+    fixtures,
+    delayMs: env.LLM_MOCK_DELAY_MS ? Number(env.LLM_MOCK_DELAY_MS) : 0,
+  });
+}
+
+/**
+ * Usage of two completions together (e.g. an answer and its repair retry); null only when both are.
+ */
+export function addUsage(a, b) {
+  if (!a || !b) return a ?? b ?? null;
+  return {
+    prompt_tokens: a.prompt_tokens + b.prompt_tokens,
+    completion_tokens: a.completion_tokens + b.completion_tokens,
+    total_tokens: a.total_tokens + b.total_tokens,
+  };
+}
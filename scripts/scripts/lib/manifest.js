@@ -0,0 +1,94 @@
+// Version manifest for the source PDFs (download/manifest.json by default).
+//
+// One document per CAR Part / Act, keyed `car:091` or `act:CAA_2023_0010`:
+//   { kind, part?, name, url, pdf, etag, last_modified, sha256, size,
+//     fetched_at, checked_at, consolidation_date,
+//     history: [{ sha256, size, fetched_at, consolidation_date, etag, last_modified }],
+//     converted?: { pdf_sha256, md, md_sha256, at } }
+// plus `combined: { out, inputs: { <md path>: sha256 }, at }` for ALL_CAR.md.
+//
+// history gets a new entry only when the PDF hash changes, so it is the
+// version history of each document; convert/combine use the hashes to skip
+// work that is already up to date.
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+const MANIFEST_VERSION = 1;
+
+export function defaultManifestPath(repoRoot) {
+  return process.env.MANIFEST_PATH || path.resolve(repoRoot, 'download', 'manifest.json');
+}
+
+export function carDocumentKey(part) {
+  return `car:${String(part).padStart(3, '0')}`;
+}
+
+export function actDocumentKey(name) {
+  return `act:${name}`;
+}
+
+export function readManifest(filePath) {
+  if (!fs.existsSync(filePath)) return { version: MANIFEST_VERSION, documents: {} };
+  const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { version: MANIFEST_VERSION, documents: {}, ...manifest };
+}
+
+export function writeManifest(filePath, manifest) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ ...manifest, updated_at: new Date().toISOString() }, null, 2) + '\n');
+  fs.renameSync(tmpPath, filePath);
+}
+
+export function sha256Text(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Record a download result. Returns { changed, previousSha256 }.
+ * fetch: { status: 'unchanged' | 'downloaded', sha256, size, etag, last_modified, consolidation_date? }
+ */
+export function recordFetch(manifest, key, meta, fetch) {
+  const now = new Date().toISOString();
+  const doc = manifest.documents[key] || { history: [] };
+  const previousSha256 = doc.sha256 || null;
+  Object.assign(doc, meta, { checked_at: now, etag: fetch.etag ?? doc.etag ?? null, last_modified: fetch.last_modified ?? doc.last_modified ?? null });
+  const changed = fetch.status === 'downloaded' && fetch.sha256 !== previousSha256;
+  if (changed) {
+    const version = {
+      sha256: fetch.sha256,
+      size: fetch.size,
+      fetched_at: now,
+      consolidation_date: fetch.consolidation_date ?? null,
+      etag: fetch.etag ?? null,
+      last_modified: fetch.last_modified ?? null,
+    };
+    doc.history = [...(doc.history || []), version];
+    Object.assign(doc, {
+      sha256: version.sha256,
+      size: version.size,
+      fetched_at: now,
+      consolidation_date: version.consolidation_date,
+    });
+  }
+  manifest.documents[key] = doc;
+  return { changed, previousSha256 };
+}
+
+/**
+ * True unless this exact PDF (by sha256) was already converted to a Markdown
+ * file that still exists. The PDF is hashed by the caller, so hand-placed PDFs
+ * that never went through the downloader are tracked too.
+ */
+export function needsConversion(manifest, key, pdfSha256, mdPath) {
+  const converted = manifest.documents[key]?.converted;
+  if (!converted || converted.pdf_sha256 !== pdfSha256) return true;
+  return !fs.existsSync(mdPath);
+}
+
+export function recordConversion(manifest, key, { pdfSha256, md, markdown }) {
+  const doc = manifest.documents[key] || { history: [] };
+  doc.converted = { pdf_sha256: pdfSha256, md, md_sha256: sha256Text(markdown), at: new Date().toISOString() };
+  manifest.documents[key] = doc;
+}
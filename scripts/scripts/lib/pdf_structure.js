@@ -0,0 +1,513 @@
+// Structure-aware PDF -> Markdown conversion for CAR consolidations and the Act.
+//
+// pdf.js gives us positioned text items. We rebuild visual lines from them,
+// drop running headers/footers/page numbers, then classify each line by its
+// text pattern, font size and weight into Part / Subpart / rule (or Act
+// section) headings and (a)(1)(i) paragraphs. Table regions are rendered by
+// pdf_tables.js before classification.
+import fs from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { detectTables } from './pdf_tables.js';
+
+// Fraction of the page height treated as header/footer band
+const FURNITURE_BAND = 0.09;
+// A normalised line must repeat on at least this share of pages to be furniture
+const FURNITURE_MIN_SHARE = 0.3;
+
+const require = createRequire(import.meta.url);
+const STANDARD_FONTS_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+const ROMAN = new Set([
+  'i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii', 'viii', 'ix', 'x',
+  'xi', 'xii', 'xiii', 'xiv', 'xv', 'xvi', 'xvii', 'xviii', 'xix', 'xx',
+]);
+
+const DASH = '[\\u2014\\u2013-]';
+const PART_RE = new RegExp(`^Part\\s+(\\d{1,3}[A-Z]?)\\b\\s*${DASH}?\\s*(.*)$`);
+const SUBPART_RE = new RegExp(`^Subpart\\s+([A-Z]{1,2}|\\d{1,2})\\b\\s*${DASH}?\\s*(.*)$`);
+const APPENDIX_RE = new RegExp(`^Appendix\\s+([A-Z0-9]{1,3}(?:\\.\\d+)?)\\b\\s*${DASH}?\\s*(.*)$`);
+const CAR_RULE_RE = /^(\d{1,3}[A-Z]?)\.(\d{1,4}[A-Z]?)\s+([A-Z].*)$/;
+const ACT_SECTION_RE = /^(\d{1,3}[A-Z]{0,2})\s+([A-Z].*)$/;
+const MARKER_RE = /^\(([a-z]{1,4}|\d{1,3}[A-Z]?|[A-Z]{1,3})\)\s*/;
+const PAGE_NUMBER_RE = /^(?:page\s+)?\d{1,4}(?:\s+of\s+\d{1,4})?$/i;
+const TOC_LEADER_RE = /(?:\.\s*){4,}\s*\d{1,4}$/;
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function normalizeSpaces(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+async function resolveFonts(page, fontNames) {
+  // Font objects (with .name/.bold) are only populated once the operator list is built
+  const fonts = new Map();
+  try {
+    await page.getOperatorList();
+  } catch {
+    return fonts;
+  }
+  for (const fontName of fontNames) {
+    try {
+      if (!page.commonObjs.has(fontName)) continue;
+      const font = page.commonObjs.get(fontName);
+      const name = String(font?.name || '');
+      fonts.set(fontName, { name, bold: Boolean(font?.bold || font?.black || /bold|black|heavy/i.test(name)) });
+    } catch {}
+  }
+  return fonts;
+}
+
+/**
+ * Read positioned text items for every page.
+ * Returns [{ pageNumber, width, height, items: [{ str, x, y, width, fontSize, bold }] }]
+ */
+export async function extractPdfLayout(pdf) {
+  const pages = [];
+  for (let i = 1; i <= pdf.numPages; i += 1) {
+    const page = await pdf.getPage(i);
+    const viewport = page.getViewport({ scale: 1 });
+    const content = await page.getTextContent();
+    const fontNames = new Set(content.items.map(it => it.fontName).filter(Boolean));
+    const fonts = await resolveFonts(page, fontNames);
+    const items = [];
+    for (const it of content.items) {
+      if (typeof it.str !== 'string' || it.str.trim() === '') continue;
+      const [a, b, c, d, e, f] = it.transform;
+      // Skip rotated text (watermarks, vertical margin notes)
+      if (Math.abs(b) > 0.01 || Math.abs(c) > 0.01) continue;
+      const fontSize = Math.round(Math.hypot(c, d) * 10) / 10 || Math.abs(a);
+      items.push({
+        str: it.str,
+        x: e,
+        y: f,
+        width: it.width,
+        fontSize,
+        bold: fonts.get(it.fontName)?.bold ?? false,
+      });
+    }
+    pages.push({ pageNumber: i, width: viewport.width, height: viewport.height, items });
+    page.cleanup();
+  }
+  return pages;
+}
+
+/**
+ * Group a page's items into visual lines (top to bottom), joining fragments
+ * with a space only where there is a horizontal gap between them.
+ */
+export function buildLines(page) {
+  const items = [...page.items].sort((p, q) => (q.y - p.y) || (p.x - q.x));
+  const lines = [];
+  for (const item of items) {
+    const tolerance = Math.max(1.5, item.fontSize * 0.45);
+    let line = null;
+    for (let k = lines.length - 1; k >= 0 && k >= lines.length - 3; k -= 1) {
+      if (Math.abs(lines[k].y - item.y) <= tolerance) { line = lines[k]; break; }
+    }
+    if (!line) {
+      line = { y: item.y, items: [] };
+      lines.push(line);
+    }
+    line.items.push(item);
+  }
+  return lines.map(line => {
+    const parts = line.items.sort((p, q) => p.x - q.x);
+    let text = '';
+    let prevEnd = null;
+    let boldChars = 0;
+    let chars = 0;
+    let maxFont = 0;
+    for (const it of parts) {
+      const gap = prevEnd === null ? 0 : it.x - prevEnd;
+      if (prevEnd !== null && gap > it.fontSize * 0.15 && !text.endsWith(' ') && !it.str.startsWith(' ')) text += ' ';
+      text += it.str;
+      prevEnd = it.x + it.width;
+      const n = it.str.trim().length;
+      chars += n;
+      if (it.bold) boldChars += n;
+      maxFont = Math.max(maxFont, it.fontSize);
+    }
+    return {
+      page: page.pageNumber,
+      pageHeight: page.height,
+      y: line.y,
+      x: parts[0].x,
+      right: prevEnd,
+      fontSize: maxFont,
+      bold: chars > 0 && boldChars / chars >= 0.6,
+      text: normalizeSpaces(text),
+      items: parts,
+    };
+  }).filter(l => l.text !== '');
+}
+
+function furnitureKey(text) {
+  return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+function isInBand(line) {
+  const h = line.pageHeight || 842;
+  return line.y > h * (1 - FURNITURE_BAND) || line.y < h * FURNITURE_BAND;
+}
+
+/**
+ * Remove running headers, footers and page numbers: lines in the top/bottom
+ * band that repeat (digits ignored) across many pages, or are bare page numbers.
+ */
+export function stripPageFurniture(linesByPage) {
+  const counts = new Map();
+  for (const lines of linesByPage) {
+    const seen = new Set();
+    for (const line of lines) {
+      if (!isInBand(line)) continue;
+      const key = furnitureKey(line.text);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  const minPages = Math.max(3, Math.ceil(linesByPage.length * FURNITURE_MIN_SHARE));
+  let removed = 0;
+  const result = linesByPage.map(lines => lines.filter(line => {
+    if (!isInBand(line)) return true;
+    if (PAGE_NUMBER_RE.test(line.text) || (counts.get(furnitureKey(line.text)) || 0) >= minPages) {
+      removed += 1;
+      return false;
+    }
+    return true;
+  }));
+  return { linesByPage: result, removed };
+}
+
+function dominantFontSize(lines) {
+  const weights = new Map();
+  for (const line of lines) {
+    const key = line.fontSize;
+    weights.set(key, (weights.get(key) || 0) + line.text.length);
+  }
+  let best = 0;
+  let bestWeight = -1;
+  for (const [size, weight] of weights) {
+    if (weight > bestWeight) { best = size; bestWeight = weight; }
+  }
+  return best || 10;
+}
+
+function isContentsLine(text) {
+  return TOC_LEADER_RE.test(text);
+}
+
+/**
+ * Classify a line as a heading. Returns { level, kind, text } or null.
+ * `ctx` carries the document kind ('car' | 'act'), the Part number and body font size.
+ */
+export function classifyHeading(line, ctx) {
+  const text = line.text;
+  const emphasised = line.bold || line.fontSize >= ctx.bodyFontSize * 1.08;
+  if (text.length > 160 || /[;,]$/.test(text)) return null;
+
+  let m = text.match(PART_RE);
+  if (m && emphasised) {
+    return { level: 1, kind: 'part', id: m[1], text: m[2] ? `Part ${m[1]} — ${m[2]}` : `Part ${m[1]}` };
+  }
+  m = text.match(SUBPART_RE);
+  if (m && emphasised) {
+    return { level: 2, kind: 'subpart', id: m[1], text: m[2] ? `Subpart ${m[1]} — ${m[2]}` : `Subpart ${m[1]}` };
+  }
+  m = text.match(APPENDIX_RE);
+  if (m && emphasised) {
+    return { level: 3, kind: 'appendix', id: m[1], text: m[2] ? `Appendix ${m[1]} — ${m[2]}` : `Appendix ${m[1]}` };
+  }
+  if (ctx.kind === 'car') {
+    m = text.match(CAR_RULE_RE);
+    const placed = ctx.hasBold ? emphasised : line.x <= ctx.leftMargin + 2;
+    if (m && placed && (!ctx.part || Number.parseInt(m[1], 10) === Number.parseInt(ctx.part, 10))) {
+      return { level: 3, kind: 'rule', id: `${m[1]}.${m[2]}`, text: `${m[1]}.${m[2]} ${m[3]}` };
+    }
+  } else {
+    m = text.match(ACT_SECTION_RE);
+    if (m && emphasised && !/\.$/.test(text)) {
+      return { level: 3, kind: 'section', id: m[1], text: `${m[1]} ${m[2]}` };
+    }
+  }
+  return null;
+}
+
+// Horizontal slack (points) within which two markers count as equally indented
+const INDENT_TOLERANCE = 4;
+
+/**
+ * (i), (v) and (x) are either the letter after (h), (u), (w) or a roman
+ * numeral. Below the letter level, as in CAR (h)(1)(i), they are roman unless
+ * the line sits at the letter's indentation; at the letter level, as in Act
+ * (1)(h)(i), they are the next letter unless indented further than it.
+ */
+function markerType(label, { stack, xs, previousLetter, x }) {
+  if (/^\d/.test(label)) return 'number';
+  if (/^[A-Z]+$/.test(label)) return 'upper';
+  if (!ROMAN.has(label)) return 'letter';
+  const follows = { i: 'h', v: 'u', x: 'w' }[label];
+  if (!follows || previousLetter !== follows) return 'roman';
+  const letterAt = stack.indexOf('letter');
+  const letterX = xs[letterAt];
+  const deeper = letterAt >= 0 && stack.length - 1 > letterAt;
+  if (x == null || letterX == null) return deeper ? 'roman' : 'letter';
+  if (deeper) return Math.abs(x - letterX) <= INDENT_TOLERANCE ? 'letter' : 'roman';
+  return x > letterX + INDENT_TOLERANCE ? 'roman' : 'letter';
+}
+
+/**
+ * Track paragraph nesting generically: a marker type already on the stack is a
+ * sibling at that depth, an unseen type opens a child level. This follows both
+ * CAR (a)(1)(i) and Act (1)(a)(i) ordering without hard-coding either. `x` is
+ * the marker line's indentation, used to tell (i) the letter from (i) the numeral.
+ */
+function createMarkerStack() {
+  const stack = [];
+  const xs = [];
+  let previousLetter = null;
+  return {
+    push(label, x = null) {
+      const type = markerType(label, { stack, xs, previousLetter, x });
+      if (type === 'letter') previousLetter = label;
+      const at = stack.indexOf(type);
+      if (at >= 0) {
+        stack.length = at + 1;
+        xs.length = at + 1;
+      } else {
+        stack.push(type);
+        xs.push(x);
+      }
+      return stack.length - 1;
+    },
+    reset() { stack.length = 0; xs.length = 0; previousLetter = null; },
+  };
+}
+
+function joinText(a, b) {
+  if (!a) return b;
+  if (/[A-Za-z]-$/.test(a) && /^[a-z]/.test(b)) return a + b;
+  return `${a} ${b}`;
+}
+
+/**
+ * Turn positioned lines into Markdown. Paragraphs carry across page breaks;
+ * a `<!-- page N -->` marker is written before the first block of each page.
+ */
+export function linesToMarkdown(linesByPage, ctx) {
+  const out = [];
+  const markers = createMarkerStack();
+  const stats = { headings: 0, rules: 0, sections: 0, paragraphs: 0, tables: 0, contentsLines: 0 };
+  let paragraph = null; // { depth, label, text }; depth -1 = plain paragraph
+  let pendingPage = null;
+
+  const flush = () => {
+    if (!paragraph) return;
+    if (paragraph.depth < 0) {
+      out.push(paragraph.text, '');
+    } else {
+      out.push(`${'  '.repeat(paragraph.depth)}- (${paragraph.label}) ${paragraph.text}`.trimEnd());
+    }
+    paragraph = null;
+  };
+
+  const endList = () => {
+    flush();
+    if (out.length && out[out.length - 1] !== '') out.push('');
+  };
+
+  const startBlock = (depth = -1) => {
+    if (pendingPage === null) return;
+    const indent = depth > 0 ? '  '.repeat(depth) : '';
+    out.push(`${indent}<!-- page ${pendingPage} -->`, '');
+    pendingPage = null;
+  };
+
+  for (const lines of linesByPage) {
+    if (lines.length === 0) continue;
+    const contents = lines.filter(l => isContentsLine(l.text)).length;
+    const contentsPage = contents >= 5 && contents >= lines.length * 0.3;
+    const gaps = [];
+    for (let k = 1; k < lines.length; k += 1) {
+      const gap = lines[k - 1].y - lines[k].y;
+      if (gap > 0) gaps.push(gap);
+    }
+    const lineGap = median(gaps) || ctx.bodyFontSize * 1.2;
+    pendingPage = lines[0].page;
+
+    let prev = null;
+    for (let k = 0; k < lines.length; k += 1) {
+      let line = lines[k];
+      if (contentsPage || isContentsLine(line.text)) {
+        stats.contentsLines += 1;
+        prev = line;
+        continue;
+      }
+      if (line.block) {
+        // pre-rendered table
+        endList();
+        markers.reset();
+        startBlock();
+        out.push(line.block, '');
+        stats.tables += 1;
+        prev = line;
+        continue;
+      }
+      let heading = classifyHeading(line, ctx);
+      const next = lines[k + 1];
+      if (heading && /^(Part|Subpart) \S+$/.test(heading.text) && next && next.fontSize === line.fontSize
+        && next.bold === line.bold && line.y - next.y < line.fontSize * 2 && !classifyHeading(next, ctx)) {
+        // Legislation sets "Part 1" and its title on separate lines
+        line = { ...line, text: `${line.text} ${next.text}` };
+        heading = classifyHeading(line, ctx);
+        k += 1;
+      }
+      if (heading) {
+        endList();
+        markers.reset();
+        startBlock();
+        out.push(`${'#'.repeat(heading.level)} ${heading.text}`, '');
+        stats.headings += 1;
+        if (heading.kind === 'rule') stats.rules += 1;
+        if (heading.kind === 'section') stats.sections += 1;
+        prev = line;
+        continue;
+      }
+      const marker = line.text.match(MARKER_RE);
+      if (marker && line.text.length > marker[0].length) {
+        flush();
+        const depth = markers.push(marker[1], line.x);
+        startBlock(depth);
+        paragraph = { depth, label: marker[1], text: line.text.slice(marker[0].length) };
+        stats.paragraphs += 1;
+        prev = line;
+        continue;
+      }
+      const gap = prev && prev.page === line.page ? prev.y - line.y : 0;
+      const newBlock = !paragraph || gap > lineGap * 1.45;
+      // Indented text after a list item continues that item
+      const continuesItem = paragraph && paragraph.depth >= 0 && line.x > ctx.leftMargin + 4;
+      if (newBlock && !continuesItem) {
+        if (paragraph && paragraph.depth >= 0) {
+          endList();
+          markers.reset();
+        } else {
+          flush();
+        }
+        startBlock();
+        paragraph = { depth: -1, label: null, text: line.text };
+        stats.paragraphs += 1;
+      } else {
+        paragraph.text = joinText(paragraph.text, line.text);
+      }
+      prev = line;
+    }
+  }
+  flush();
+  return { markdown: out.join('\n'), stats };
+}
+
+function collapseBlankLines(text) {
+  return text.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Convert extracted page layout into structured Markdown.
+ * options: { kind: 'car' | 'act', part?: string|number }
+ */
+export function layoutToMarkdown(pages, options = {}) {
+  const kind = options.kind === 'act' ? 'act' : 'car';
+  const rawLines = pages.map(buildLines);
+  const { linesByPage, removed } = stripPageFurniture(rawLines);
+  const allLines = linesByPage.flat();
+  const bodyFontSize = dominantFontSize(allLines);
+  const leftMargin = median(allLines.filter(l => l.fontSize === bodyFontSize).map(l => l.x));
+  // Without font weight information, fall back to position for rule headings
+  const hasBold = allLines.some(l => l.bold);
+  const ctx = { kind, part: options.part, bodyFontSize, leftMargin, hasBold };
+  let fencedTables = 0;
+  const withTables = linesByPage.map(lines => {
+    const detected = detectTables(lines, ctx);
+    fencedTables += detected.fenced;
+    return detected.lines;
+  });
+  const { markdown, stats } = linesToMarkdown(withTables, ctx);
+  return {
+    markdown: collapseBlankLines(markdown),
+    stats: { ...stats, fencedTables, furnitureRemoved: removed, bodyFontSize },
+  };
+}
+
+/**
+ * Load a PDF from disk and return its structured Markdown body.
+ */
+export async function convertPdfFile(pdfPath, options = {}) {
+  const data = new Uint8Array(fs.readFileSync(pdfPath));
+  const pdf = await pdfjsLib.getDocument({ data, standardFontDataUrl: STANDARD_FONTS_DIR }).promise;
+  try {
+    const pages = await extractPdfLayout(pdf);
+    const { markdown, stats } = layoutToMarkdown(pages, options);
+    return { markdown, pages: pdf.numPages, stats };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Visual text lines of a PDF on disk in reading order, without running
+ * headers, footers and page numbers (for documents other than rules and Acts).
+ */
+export async function readPdfLines(pdfPath) {
+  const data = new Uint8Array(fs.readFileSync(pdfPath));
+  const pdf = await pdfjsLib.getDocument({ data, standardFontDataUrl: STANDARD_FONTS_DIR }).promise;
+  try {
+    const pages = await extractPdfLayout(pdf);
+    const { linesByPage } = stripPageFurniture(pages.map(buildLines));
+    return linesByPage.flat().map(line => line.text);
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+// "CAA Consolidation 1 February 2024" (rules), "Version as at 5 April 2025" (Act)
+const CONSOLIDATION_DATE_RE = new RegExp(
+  `\\b(?:consolidation|consolidated|version\\s+as\\s+at)\\b[^0-9]{0,40}?(\\d{1,2})\\s+(${MONTHS.join('|')})\\s+(\\d{4})`,
+  'i',
+);
+
+/**
+ * ISO date (YYYY-MM-DD) of the consolidation/version stamp in cover text, or null.
+ */
+export function parseConsolidationDate(text) {
+  const m = String(text).replace(/\s+/g, ' ').match(CONSOLIDATION_DATE_RE);
+  if (!m) return null;
+  const month = MONTHS.indexOf(m[2].toLowerCase()) + 1;
+  return `${m[3]}-${String(month).padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+}
+
+/**
+ * Consolidation date from the first pages of a PDF on disk (null when absent).
+ */
+export async function readConsolidationDate(pdfPath, maxPages = 3) {
+  const data = new Uint8Array(fs.readFileSync(pdfPath));
+  const pdf = await pdfjsLib.getDocument({ data, standardFontDataUrl: STANDARD_FONTS_DIR }).promise;
+  try {
+    for (let i = 1; i <= Math.min(maxPages, pdf.numPages); i += 1) {
+      const page = await pdf.getPage(i);
+      const content = await page.getTextContent();
+      page.cleanup();
+      const date = parseConsolidationDate(content.items.map(it => it.str || '').join(' '));
+      if (date) return date;
+    }
+    return null;
+  } finally {
+    await pdf.destroy();
+  }
+}
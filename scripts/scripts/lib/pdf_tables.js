@@ -0,0 +1,196 @@
+// Table detection for positioned PDF lines (see pdf_structure.js).
+//
+// A table region is a run of lines whose items split into several horizontally
+// separated segments that line up on shared column x positions. Aligned regions
+// become GFM tables; regions that do not line up cleanly are kept as a fenced
+// ```table block with the original spacing so no cell text is lost.
+
+// Horizontal gap (in multiples of font size) that separates two cells
+const CELL_GAP = 1.8;
+// Share of segments that may miss every column before a region is ambiguous
+const MAX_MISALIGNED = 0.2;
+const MAX_COLUMNS = 8;
+
+const MARKER_ONLY_RE = /^\(([a-z]{1,4}|\d{1,3}[A-Z]?|[A-Z]{1,3})\)$/;
+const RULE_NUMBER_RE = /^\d{1,3}[A-Z]?\.\d{1,4}[A-Z]?$|^\d{1,3}[A-Z]{0,2}$/;
+
+/**
+ * Split a line into cell segments wherever the gap between items is wide.
+ */
+export function lineSegments(line) {
+  const segments = [];
+  let current = null;
+  for (const it of line.items) {
+    const text = it.str.trim();
+    if (!text) continue;
+    if (current && it.x - current.right <= it.fontSize * CELL_GAP) {
+      const sep = it.x - current.right > it.fontSize * 0.15 ? ' ' : '';
+      current.text = `${current.text}${sep}${text}`;
+      current.right = it.x + it.width;
+      continue;
+    }
+    current = { x: it.x, right: it.x + it.width, text };
+    segments.push(current);
+  }
+  return segments.map(s => ({ ...s, text: s.text.replace(/\s+/g, ' ') }));
+}
+
+function isTabularLine(segments) {
+  if (segments.length < 2) return false;
+  // "(a)   text" and "91.101   Heading" are hanging indents, not cells
+  if (segments.length === 2 && (MARKER_ONLY_RE.test(segments[0].text) || RULE_NUMBER_RE.test(segments[0].text))) return false;
+  return true;
+}
+
+function clusterColumns(xs, tolerance) {
+  const sorted = [...xs].sort((a, b) => a - b);
+  const clusters = [];
+  for (const x of sorted) {
+    const last = clusters[clusters.length - 1];
+    if (last && x - last.max <= tolerance) {
+      last.max = x;
+      last.count += 1;
+      last.sum += x;
+    } else {
+      clusters.push({ min: x, max: x, count: 1, sum: x });
+    }
+  }
+  return clusters.map(c => ({ x: c.min, center: c.sum / c.count, count: c.count }));
+}
+
+function columnIndex(columns, x, tolerance) {
+  let index = -1;
+  for (let i = 0; i < columns.length; i += 1) {
+    if (columns[i].x <= x + tolerance) index = i;
+  }
+  if (index < 0) return { index: 0, aligned: false };
+  const aligned = Math.abs(columns[index].x - x) <= tolerance
+    || (index + 1 < columns.length && x < columns[index + 1].x);
+  return { index, aligned };
+}
+
+function escapeCell(text) {
+  return text.replace(/\|/g, '\\|').trim();
+}
+
+function renderGfm(rows) {
+  const width = Math.max(...rows.map(r => r.length));
+  const pad = r => Array.from({ length: width }, (_, i) => escapeCell(r[i] || ''));
+  const [header, ...body] = rows.map(pad);
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...body.map(r => `| ${r.join(' | ')} |`),
+  ].join('\n');
+}
+
+function renderFenced(region, fontSize) {
+  const minX = Math.min(...region.map(r => r.segments[0]?.x ?? r.line.x));
+  const charWidth = Math.max(1, fontSize * 0.5);
+  const lines = region.map(({ segments }) => {
+    let text = '';
+    for (const seg of segments) {
+      const col = Math.round((seg.x - minX) / charWidth);
+      if (text.length > 0 && col <= text.length) text += '  ';
+      else text = text.padEnd(col, ' ');
+      text += seg.text;
+    }
+    return text.trimEnd();
+  });
+  return ['```table', ...lines, '```'].join('\n');
+}
+
+function buildTable(region, lineGap) {
+  const fontSize = region[0].line.fontSize || 10;
+  const tolerance = fontSize * 1.2;
+  const xs = region.flatMap(r => r.segments.map(s => s.x));
+  const minSupport = Math.max(2, Math.ceil(region.length * 0.25));
+  const columns = clusterColumns(xs, tolerance).filter((c, i) => i === 0 || c.count >= minSupport);
+
+  let misaligned = 0;
+  let total = 0;
+  const rows = [];
+  let prevLine = null;
+  for (const { line, segments } of region) {
+    const cells = [];
+    for (const seg of segments) {
+      const { index, aligned } = columnIndex(columns, seg.x, tolerance);
+      total += 1;
+      if (!aligned) misaligned += 1;
+      cells[index] = cells[index] ? `${cells[index]} ${seg.text}` : seg.text;
+    }
+    const close = prevLine && prevLine.y - line.y <= lineGap * 1.6;
+    if (rows.length > 0 && !cells[0] && close) {
+      // wrapped cell text: continue the previous row
+      const prev = rows[rows.length - 1];
+      cells.forEach((text, i) => {
+        if (text) prev[i] = prev[i] ? `${prev[i]} ${text}` : text;
+      });
+    } else {
+      rows.push(cells);
+    }
+    prevLine = line;
+  }
+
+  const ambiguous = columns.length < 2
+    || columns.length > MAX_COLUMNS
+    || rows.length < 2
+    || misaligned / Math.max(1, total) > MAX_MISALIGNED;
+  if (ambiguous) return { markdown: renderFenced(region, fontSize), fenced: true };
+  return { markdown: renderGfm(rows), fenced: false };
+}
+
+/**
+ * Replace table regions in one page's lines with synthetic `{ block }` lines.
+ * Returns { lines, tables, fenced }.
+ */
+export function detectTables(lines, ctx) {
+  const annotated = lines.map(line => ({ line, segments: lineSegments(line) }));
+  const gaps = [];
+  for (let k = 1; k < lines.length; k += 1) {
+    const gap = lines[k - 1].y - lines[k].y;
+    if (gap > 0) gaps.push(gap);
+  }
+  gaps.sort((a, b) => a - b);
+  const lineGap = gaps[Math.floor(gaps.length / 2)] || ctx.bodyFontSize * 1.2;
+
+  const out = [];
+  let tables = 0;
+  let fenced = 0;
+  let k = 0;
+  while (k < annotated.length) {
+    if (!isTabularLine(annotated[k].segments)) {
+      out.push(lines[k]);
+      k += 1;
+      continue;
+    }
+    const firstX = annotated[k].segments[0].x;
+    let end = k + 1;
+    let lastTabular = k;
+    while (end < annotated.length) {
+      const { line, segments } = annotated[end];
+      const gap = annotated[end - 1].line.y - line.y;
+      if (gap > lineGap * 2.5) break;
+      if (isTabularLine(segments)) {
+        lastTabular = end;
+      } else if (!(segments.length === 1 && segments[0].x > firstX + line.fontSize)) {
+        break;
+      }
+      end += 1;
+    }
+    const region = annotated.slice(k, lastTabular + 1);
+    const tabularRows = region.filter(r => isTabularLine(r.segments));
+    const maxCells = Math.max(...tabularRows.map(r => r.segments.length));
+    if (tabularRows.length >= 3 || (tabularRows.length >= 2 && maxCells >= 3)) {
+      const table = buildTable(region, lineGap);
+      tables += 1;
+      if (table.fenced) fenced += 1;
+      out.push({ ...lines[k], block: table.markdown, text: '' });
+      k = lastTabular + 1;
+    } else {
+      out.push(lines[k]);
+      k += 1;
+    }
+  }
+  return { lines: out, tables, fenced };
+}
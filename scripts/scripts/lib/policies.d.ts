@@ -0,0 +1,27 @@
+// Types for policies.js (imported by the frontend via the @scripts alias)
+
+export type Policy = {
+  id: string
+  version: number
+  // "student@2"
+  ref: string
+  title: string
+  description: string
+  text: string
+  // answer_cache.js policyVersion(text)
+  hash: string
+  file: string | null
+  latest?: boolean
+}
+
+export const DEFAULT_POLICY_ID: string
+
+export function defaultPoliciesDir(scriptsRoot: string, env?: Record<string, string | undefined>): string
+export function parsePolicy(fileText: string, options: { id: string; version: number; file?: string | null }): Policy
+export function loadPolicies(dir: string): Policy[]
+export function resolvePolicy(policies: Policy[], ref?: string | null, options?: { defaultRef?: string | null }): Policy | null
+export function policyRefs(policies: Policy[]): string
+export function diffPolicyText(
+  oldText: string,
+  newText: string,
+): Array<{ op: 'equal' | 'delete' | 'insert'; text: string }>
@@ -0,0 +1,136 @@
+// Versioned prompt policies shared by ask_llm.js, eval.js and the frontend's
+// /api/ask. Each policy is a template file policies/<id>/v<N>.md with
+// `title` and `description` front matter; the body is the policy text that
+// opens the system prompt (prompt.js buildSystemText).
+//
+// A version is never edited once answers were given with it: changes go into
+// v<N+1>.md, so every answer can be reproduced from the id and version it
+// records. The hash (answer_cache.js policyVersion, also part of the cache
+// scope) shows when a file was edited in place anyway.
+//
+// Front matter is parsed by hand (key: value lines): the frontend has no YAML
+// dependency.
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { policyVersion } from './answer_cache.js';
+
+export const DEFAULT_POLICY_ID = 'formal-memo';
+
+const VERSION_FILE_RE = /^v(\d+)\.md$/;
+const REF_RE = /^([a-z0-9][a-z0-9-]*)(?:@v?(\d+))?$/i;
+
+/**
+ * <scripts>/policies; POLICIES_DIR overrides.
+ */
+export function defaultPoliciesDir(scriptsRoot, env = process.env) {
+  return env.POLICIES_DIR || path.resolve(scriptsRoot, 'policies');
+}
+
+/**
+ * One policy version from its file text.
+ */
+export function parsePolicy(fileText, { id, version, file = null }) {
+  const meta = {};
+  let body = String(fileText).replace(/^\uFEFF/, '');
+  const m = body.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (m) {
+    for (const line of m[1].split(/\r?\n/)) {
+      const kv = line.match(/^([A-Za-z_]+):\s*(.*)$/);
+      if (kv) meta[kv[1]] = kv[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+    }
+    body = body.slice(m[0].length);
+  }
+  const text = body.trim();
+  return {
+    id,
+    version,
+    ref: `${id}@${version}`,
+    title: meta.title || id,
+    description: meta.description || '',
+    text,
+    hash: policyVersion(text),
+    file,
+  };
+}
+
+/**
+ * Every version of every policy under `dir`, sorted by id then version; each
+ * has `latest` set on its id's highest version. Empty when `dir` is missing.
+ */
+export function loadPolicies(dir) {
+  let ids = [];
+  try {
+    ids = fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name);
+  } catch {
+    return [];
+  }
+  const policies = [];
+  for (const id of ids.sort()) {
+    const versions = fs.readdirSync(path.join(dir, id))
+      .map(name => ({ name, m: name.match(VERSION_FILE_RE) }))
+      .filter(f => f.m)
+      .map(f => ({ file: path.join(dir, id, f.name), version: Number(f.m[1]) }))
+      .sort((a, b) => a.version - b.version);
+    versions.forEach(({ file, version }, i) => {
+      const policy = parsePolicy(fs.readFileSync(file, 'utf8'), { id, version, file });
+      policies.push({ ...policy, latest: i === versions.length - 1 });
+    });
+  }
+  return policies;
+}
+
+/**
+ * The policy a reference names: "student" (its latest version), "student@2"
+ * or "student@v2"; an empty reference means `defaultRef` (ASK_POLICY, else
+ * DEFAULT_POLICY_ID). Null when no such policy or version exists.
+ */
+export function resolvePolicy(policies, ref, { defaultRef = DEFAULT_POLICY_ID } = {}) {
+  const m = String(ref || defaultRef || DEFAULT_POLICY_ID).trim().match(REF_RE);
+  if (!m) return null;
+  const id = m[1].toLowerCase();
+  const version = m[2] ? Number(m[2]) : null;
+  return policies.find(p => p.id === id && (version === null ? p.latest : p.version === version)) ?? null;
+}
+
+/**
+ * "formal-memo@1, formal-memo@2, student@1" for error messages.
+ */
+export function policyRefs(policies) {
+  return policies.map(p => p.ref).join(', ');
+}
+
+/**
+ * Line diff of two policy texts for the admin page:
+ * [{ op: 'equal' | 'delete' | 'insert', text }], one entry per line.
+ * Policies are a few dozen lines, so a plain LCS table is enough.
+ */
+export function diffPolicyText(oldText, newText) {
+  const a = String(oldText).split(/\r?\n/);
+  const b = String(newText).split(/\r?\n/);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ op: 'equal', text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ op: 'delete', text: a[i] });
+      i += 1;
+    } else {
+      ops.push({ op: 'insert', text: b[j] });
+      j += 1;
+    }
+  }
+  for (; i < a.length; i += 1) ops.push({ op: 'delete', text: a[i] });
+  for (; j < b.length; j += 1) ops.push({ op: 'insert', text: b[j] });
+  return ops;
+}
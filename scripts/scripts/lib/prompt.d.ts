@@ -0,0 +1,17 @@
+// Types for prompt.js (imported by the frontend via the @scripts alias)
+
+export type ChatMessage = { role: 'system' | 'user' | 'assistant'; content: string }
+
+export function buildSystemText(options: {
+  caaText?: string
+  carText?: string
+  retrieved?: boolean
+  definitions?: string
+  policy: string
+  format?: 'markdown' | 'json'
+}): string
+export function buildMessages(options: {
+  systemText: string
+  question: string
+  history?: Array<{ role: 'user' | 'assistant'; content: string }>
+}): ChatMessage[]
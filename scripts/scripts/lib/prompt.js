@@ -0,0 +1,57 @@
+// System prompt assembly shared by ask_llm.js and the frontend's /api/ask,
+// so both entry points send the model exactly the same layout. The policy
+// text that opens it is a versioned template (policies.js).
+
+// format: "json" replaces the Markdown layout; the schema is in answer_schema.js
+const JSON_FORMAT_LINES = [
+  'Output format override: instead of Markdown, reply with ONE JSON object matching the supplied schema and nothing else.',
+  '- issue, application and conclusion hold the text of the Issue, Application and Conclusion sections.',
+  '- rule.act lists CAA sections and rule.car lists CAR rules; each entry is { provision_id, quote, url } with one short verbatim quotation (no code fences).',
+  '- provision_id uses the ids that tag the provided texts, e.g. CAR-91.301, CAR-91-AppA, CAA-s30.',
+  '- citations lists every provision relied on as { provision_id, url }.',
+  '- All grounding, quotation and citation requirements above still apply.',
+];
+
+/**
+ * Policy text (a policies.js policy's `text`) followed by the Act and Rules
+ * texts. `retrieved` marks texts that are top-k provisions (tagged
+ * `[id] source_url: ...`) rather than the whole corpus;
+ * `definitions` is a glossary block (see glossary.js formatDefinitions);
+ * format 'json' asks for the structured answer instead of Markdown.
+ */
+export function buildSystemText({ caaText = '', carText = '', retrieved = false, definitions = '', policy, format = 'markdown' } = {}) {
+  if (!policy) throw new Error('buildSystemText needs a policy (see policies.js)');
+  const sections = [policy];
+  if (format === 'json') sections.push(JSON_FORMAT_LINES.join('\n'));
+  if (retrieved) {
+    sections.push(
+      'The CAA and CAR texts below are the provisions retrieved as most relevant to the question, each tagged with its provision id and source_url.',
+    );
+  }
+  if (definitions && definitions.trim()) {
+    sections.push('Definitions of terms used in the question and the provisions below, from CAR 1.1, CAR 1.3 and the Act\'s interpretation section. Apply these meanings and cite the definition provision when a term is decisive.');
+    sections.push('===== BEGIN: Definitions =====');
+    sections.push(definitions);
+    sections.push('===== END: Definitions =====');
+  }
+  if (caaText && caaText.trim()) {
+    sections.push('===== BEGIN: CAA (Act) =====');
+    sections.push(caaText);
+    sections.push('===== END: CAA (Act) =====');
+  }
+  sections.push('===== BEGIN: CAR (Rules) =====');
+  sections.push(carText);
+  sections.push('===== END: CAR (Rules) =====');
+  return sections.join('\n\n');
+}
+
+/**
+ * Chat messages: system text, replayed conversation turns, then the question.
+ */
+export function buildMessages({ systemText, question, history = [] }) {
+  return [
+    { role: 'system', content: systemText },
+    ...history,
+    { role: 'user', content: question },
+  ];
+}
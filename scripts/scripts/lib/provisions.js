@@ -0,0 +1,174 @@
+// Split structured Markdown (see pdf_structure.js) into one record per provision:
+// CAR rules and appendices, and Act sections.
+import crypto from 'node:crypto';
+import YAML from 'yaml';
+
+const PAGE_RE = /^\s*<!-- page (\d+) -->\s*$/;
+// Part `#`, Subpart `##`, provisions `###`; files converted before Subparts
+// moved down a level have provisions at `##` and are read the same way
+const HEADING_RE = /^#{1,3} (.*)$/;
+const PART_RE = /^Part\s+(\S+?)(?:\s+—\s+(.*))?$/;
+const SUBPART_RE = /^Subpart\s+(\S+?)(?:\s+—\s+(.*))?$/;
+const APPENDIX_RE = /^Appendix\s+(\S+?)(?:\s+—\s+(.*))?$/;
+const CAR_RULE_RE = /^(\d{1,3}[A-Z]?\.\d{1,4}[A-Z]?)\s+(.*)$/;
+const ACT_SECTION_RE = /^(\d{1,3}[A-Z]{0,2})\s+(.*)$/;
+
+export function extractFrontMatterAndBody(mdText) {
+  const lines = mdText.split(/\r?\n/);
+  if (lines[0]?.trim() !== '---') {
+    return { meta: {}, body: mdText };
+  }
+  let i = 1;
+  while (i < lines.length && lines[i].trim() !== '---') i += 1;
+  if (i >= lines.length) return { meta: {}, body: mdText };
+  const yamlText = lines.slice(1, i).join('\n');
+  const body = lines.slice(i + 1).join('\n');
+  let meta = {};
+  try { meta = YAML.parse(yamlText) || {}; } catch {}
+  return { meta, body };
+}
+
+export function contentHash(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Stable provision id: CAR-91.101, CAR-91-AppA, CAA-s30.
+ */
+export function provisionId({ source, kind, part, number }) {
+  if (source === 'CAA') return kind === 'appendix' ? `CAA-sch${number}` : `CAA-s${number}`;
+  const partNo = String(Number.parseInt(part, 10) || part);
+  if (kind === 'appendix') return `CAR-${partNo}-App${number}`;
+  return `CAR-${number}`;
+}
+
+function classifyProvision(text, source) {
+  let m = text.match(APPENDIX_RE);
+  if (m) return { kind: 'appendix', number: m[1], title: m[2] || '' };
+  if (source === 'CAR') {
+    m = text.match(CAR_RULE_RE);
+    if (m) return { kind: 'rule', number: m[1], title: m[2] };
+  } else {
+    m = text.match(ACT_SECTION_RE);
+    if (m) return { kind: 'section', number: m[1], title: m[2] };
+  }
+  return null;
+}
+
+/**
+ * Split one converted document into provision records.
+ * options: { source: 'CAR' | 'CAA', part?: string, source_url?: string }
+ */
+export function splitProvisions(markdown, options) {
+  const source = options.source === 'CAA' ? 'CAA' : 'CAR';
+  const records = [];
+  let page = null;
+  let part = options.part ?? null;
+  let subpart = null;
+  let current = null;
+
+  const close = () => {
+    if (!current) return;
+    const text = current.lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    const { lines, ...rest } = current;
+    records.push({ ...rest, text, hash: contentHash(text) });
+    current = null;
+  };
+
+  for (const line of markdown.split(/\r?\n/)) {
+    const pageMatch = line.match(PAGE_RE);
+    if (pageMatch) {
+      page = Number(pageMatch[1]);
+      if (current && current.page_start === null) current.page_start = page;
+      continue;
+    }
+    const h = line.match(HEADING_RE);
+    if (h) {
+      close();
+      const heading = h[1].trim();
+      const partMatch = heading.match(PART_RE);
+      const subpartMatch = heading.match(SUBPART_RE);
+      // CAR files carry their Part number in car.yaml; Act Parts come from headings
+      if (partMatch) {
+        if (source === 'CAA') { part = partMatch[1]; subpart = null; }
+        continue;
+      }
+      if (subpartMatch) {
+        subpart = heading;
+        continue;
+      }
+      const c = classifyProvision(heading, source);
+      if (!c) continue;
+      current = {
+        id: provisionId({ source, kind: c.kind, part, number: c.number }),
+        source,
+        kind: c.kind,
+        part,
+        subpart,
+        number: c.number,
+        heading,
+        page_start: page,
+        page_end: page,
+        source_url: options.source_url ?? null,
+        lines: [],
+      };
+      continue;
+    }
+    if (current) {
+      current.lines.push(line);
+      if (page !== null && line.trim() !== '') current.page_end = page;
+    }
+  }
+  close();
+  return records;
+}
+
+/**
+ * Make ids unique within a corpus; repeated headings (e.g. a rule number
+ * printed twice by the PDF) get a -2, -3 ... suffix.
+ */
+export function dedupeIds(records) {
+  const seen = new Map();
+  const duplicates = [];
+  for (const r of records) {
+    const n = (seen.get(r.id) || 0) + 1;
+    seen.set(r.id, n);
+    if (n > 1) {
+      duplicates.push(r.id);
+      r.id = `${r.id}-${n}`;
+    }
+  }
+  return duplicates;
+}
+
+export function readProvisionsJsonl(text) {
+  return text.split(/\r?\n/).filter(l => l.trim() !== '').map(l => JSON.parse(l));
+}
+
+/**
+ * Split a provision into chunks of at most `maxChars`, on paragraph boundaries
+ * where possible. Each chunk repeats the heading so it embeds with context.
+ */
+export function chunkProvision(record, maxChars = 6000) {
+  const paragraphs = record.text.split(/\n{2,}|\n(?=\s*- \()/);
+  const chunks = [];
+  let current = '';
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length + 1 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    if (paragraph.length > maxChars) {
+      for (let i = 0; i < paragraph.length; i += maxChars) chunks.push(paragraph.slice(i, i + maxChars));
+      continue;
+    }
+    current = current ? `${current}\n${paragraph}` : paragraph;
+  }
+  if (current || chunks.length === 0) chunks.push(current);
+  return chunks.map((text, index) => ({
+    id: `${record.id}#${index}`,
+    provisionId: record.id,
+    chunkIndex: index,
+    text: `${record.heading}\n\n${text}`.trim(),
+  }));
+}
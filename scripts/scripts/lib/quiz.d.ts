@@ -0,0 +1,44 @@
+// Types for quiz.js (imported by the frontend via the @scripts alias)
+
+import type { JsonSchema } from './answer_schema'
+import type { MockReplyContext } from './llm'
+import type { SyllabusItem } from './syllabus'
+import type { VerifiableProvision, createVerifier } from './verify'
+
+export type QuestionType = 'multiple_choice' | 'short_answer'
+
+export type QuizQuestion = {
+  type: QuestionType
+  question: string
+  options: string[]
+  correctOption: number | null
+  answer: string
+  provisionId: string
+  quote: string
+}
+
+export type ItemStats = { itemId: string; attempts: number; graded: number; correct: number }
+export type ItemScore = ItemStats & { accuracy: number | null; weak: boolean }
+
+export const QUIZ_SCHEMA_NAME: string
+export const QUESTION_TYPES: QuestionType[]
+export const OPTION_COUNT: number
+export const QUIZ_SCHEMA: JsonSchema
+
+export function buildQuizMessages(options: {
+  item: Pick<SyllabusItem, 'number' | 'subtopic' | 'text'>
+  provisions: VerifiableProvision[]
+  count?: number
+  types?: QuestionType[]
+  maxCharsPerProvision?: number
+}): Array<{ role: 'system' | 'user'; content: string }>
+export function parseQuiz(
+  content: string,
+  options: { provisionIds: string[]; verifier?: ReturnType<typeof createVerifier> | null },
+): {
+  questions: QuizQuestion[]
+  errors: string[]
+  rejected: Array<{ index: number; question: string; reason: string }>
+}
+export function scoreItems(stats: ItemStats[], options?: { threshold?: number; minAttempts?: number }): ItemScore[]
+export function mockQuizReply(context: MockReplyContext): string
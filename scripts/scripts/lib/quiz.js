@@ -0,0 +1,180 @@
+// Study-mode quizzes: exam-style questions on one PPL Air Law syllabus item
+// (syllabus.js), written by the model from the provisions mapped to that item
+// and sent as structured output. Every question's answer key quotes its source
+// provision; quotes are checked with verify.js and ungrounded questions are
+// dropped before a student sees them.
+//
+// No Node imports: the frontend bundles this module.
+
+import { citationText, validateAgainstSchema } from './answer_schema.js';
+
+export const QUIZ_SCHEMA_NAME = 'study_quiz';
+export const QUESTION_TYPES = ['multiple_choice', 'short_answer'];
+export const OPTION_COUNT = 4;
+
+const NON_EMPTY = '\\S';
+
+function text(description) {
+  return { type: 'string', pattern: NON_EMPTY, description };
+}
+
+export const QUIZ_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['questions'],
+  properties: {
+    questions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['type', 'question', 'options', 'correct_option', 'answer', 'provision_id', 'quote'],
+        properties: {
+          type: { type: 'string', enum: QUESTION_TYPES, description: 'Question type' },
+          question: text('The question, answerable from one provision'),
+          options: {
+            type: 'array',
+            items: { type: 'string' },
+            description: `multiple_choice: exactly ${OPTION_COUNT} options; short_answer: empty`,
+          },
+          correct_option: { type: 'number', description: 'multiple_choice: 0-based index of the correct option; short_answer: -1' },
+          answer: text('Answer key: the correct answer and why'),
+          provision_id: text('Id of the provision the question is drawn from, e.g. CAR-91.301 or CAA-s30'),
+          quote: text('Short verbatim quotation from that provision supporting the answer, without code fences'),
+        },
+      },
+    },
+  },
+};
+
+const QUIZ_POLICY_LINES = [
+  'You write practice questions for the New Zealand PPL Air Law exam (CAA Subject No 4).',
+  'Use ONLY the Civil Aviation Act 2023 (CAA) and Civil Aviation Rules (CAR) provisions supplied below; do not rely on internal knowledge.',
+  '',
+  'Requirements for every question:',
+  '- Test the syllabus item given by the user, as the exam would; not trivia such as rule numbers or amendment dates.',
+  '- It must be answerable from a single supplied provision: provision_id is that provision\'s [id] tag.',
+  '- quote is one short passage copied exactly, word for word, from that provision, which supports the answer.',
+  `- multiple_choice: exactly ${OPTION_COUNT} options, one of them correct (correct_option is its 0-based index); wrong options are plausible but contradicted by the provision.`,
+  '- short_answer: options is [] and correct_option is -1; answer is what a marker would accept.',
+  '- answer states the correct answer and briefly why.',
+  '',
+  'Reply with ONE JSON object matching the supplied schema and nothing else.',
+];
+
+function provisionBlock(provision, maxChars) {
+  const body = provision.text.length > maxChars ? `${provision.text.slice(0, maxChars)}\n[...]` : provision.text;
+  return `[${provision.id}] source_url: ${provision.source_url ?? 'n/a'}\n${provision.heading}\n${body}`;
+}
+
+/**
+ * Chat messages asking for `count` questions on a syllabus item from its
+ * provisions (records with id, heading, text, source_url).
+ */
+export function buildQuizMessages({ item, provisions, count = 5, types = QUESTION_TYPES, maxCharsPerProvision = 6000 }) {
+  const system = [
+    QUIZ_POLICY_LINES.join('\n'),
+    '===== BEGIN PROVISIONS =====',
+    provisions.map(p => provisionBlock(p, maxCharsPerProvision)).join('\n\n'),
+    '===== END PROVISIONS =====',
+  ].join('\n\n');
+  const mix = types.length === 1
+    ? `all of type ${types[0]}`
+    : `mixing ${types.join(' and ')} (roughly two multiple_choice for each short_answer)`;
+  const user = [
+    `Syllabus item ${item.number}${item.subtopic ? ` (${item.subtopic.title})` : ''}: ${item.text}`,
+    '',
+    `Write ${count} questions on this item, ${mix}, each from a different provision or aspect where possible.`,
+  ].join('\n');
+  return [{ role: 'system', content: system }, { role: 'user', content: user }];
+}
+
+/**
+ * Parse and check a model reply. Returns { questions, errors, rejected }:
+ * `errors` are schema errors (the reply is unusable), `rejected` the questions
+ * dropped for a malformed key, a provision outside `provisionIds` or a quote
+ * the verifier (verify.js createVerifier) cannot find in that provision.
+ */
+export function parseQuiz(content, { provisionIds, verifier = null }) {
+  const body = String(content ?? '').trim().replace(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/, '$1');
+  let value;
+  try {
+    value = JSON.parse(body);
+  } catch (err) {
+    return { questions: [], errors: [`not valid JSON: ${err.message}`], rejected: [] };
+  }
+  const errors = validateAgainstSchema(QUIZ_SCHEMA, value);
+  if (errors.length > 0) return { questions: [], errors, rejected: [] };
+
+  const allowed = new Set(provisionIds);
+  const questions = [];
+  const rejected = [];
+  value.questions.forEach((q, index) => {
+    const reject = reason => rejected.push({ index, question: q.question, reason });
+    const options = q.options.map(o => o.trim());
+    if (q.type === 'multiple_choice') {
+      if (options.length !== OPTION_COUNT || options.some(o => !o) || new Set(options).size !== options.length) {
+        return reject(`needs ${OPTION_COUNT} distinct options`);
+      }
+      if (!Number.isInteger(q.correct_option) || q.correct_option < 0 || q.correct_option >= OPTION_COUNT) {
+        return reject('correct_option out of range');
+      }
+    }
+    if (!allowed.has(q.provision_id)) return reject(`provision ${q.provision_id} was not supplied`);
+    if (verifier) {
+      const markdown = `${citationText(q.provision_id)}:\n\n\`\`\`text\n${q.quote.trim()}\n\`\`\``;
+      const [quote] = verifier.verify(markdown).quotes;
+      if (quote?.verdict !== 'verified') return reject(`quote not found in ${q.provision_id}`);
+    }
+    questions.push({
+      type: q.type,
+      question: q.question.trim(),
+      options: q.type === 'multiple_choice' ? options : [],
+      correctOption: q.type === 'multiple_choice' ? q.correct_option : null,
+      answer: q.answer.trim(),
+      provisionId: q.provision_id,
+      quote: q.quote.trim(),
+    });
+  });
+  return { questions, errors: [], rejected };
+}
+
+/**
+ * Share of graded attempts answered correctly, per syllabus item; items below
+ * `threshold` with at least `minAttempts` graded attempts are weak areas.
+ */
+export function scoreItems(stats, { threshold = 0.7, minAttempts = 3 } = {}) {
+  return stats
+    .map(s => {
+      const accuracy = s.graded > 0 ? s.correct / s.graded : null;
+      return { ...s, accuracy, weak: accuracy !== null && s.graded >= minAttempts && accuracy < threshold };
+    })
+    .sort((a, b) => (a.accuracy ?? 2) - (b.accuracy ?? 2) || a.itemId.localeCompare(b.itemId, 'en', { numeric: true }));
+}
+
+/**
+ * The mock provider's quiz (llm.js mockReply): one multiple-choice and one
+ * short-answer question on the first retrieved provision, or none without one.
+ */
+export function mockQuizReply({ provision }) {
+  if (!provision) return JSON.stringify({ questions: [] });
+  const key = { answer: `${provision.citation}: "${provision.quote}"`, provision_id: provision.id, quote: provision.quote };
+  return JSON.stringify({
+    questions: [
+      {
+        type: 'multiple_choice',
+        question: `Which of these does ${provision.citation} say? (offline mock question)`,
+        options: [provision.quote, 'None of the other options', 'It is not covered by the Civil Aviation Rules', 'Only with the approval of the Director'],
+        correct_option: 0,
+        ...key,
+      },
+      {
+        type: 'short_answer',
+        question: `Summarise what ${provision.citation} requires. (offline mock question)`,
+        options: [],
+        correct_option: -1,
+        ...key,
+      },
+    ],
+  });
+}
@@ -0,0 +1,58 @@
+// Types for search.js (imported by the frontend via the @scripts alias)
+
+export type SearchSource = 'CAR' | 'CAA'
+
+export type SearchOptions = {
+  q: string
+  source?: string | null
+  part?: string | null
+  subpart?: string | null
+  phrase?: boolean
+  limit?: number
+  offset?: number
+}
+
+export type NormalizedSearchOptions = {
+  q: string
+  source: SearchSource | null
+  part: string | null
+  subpart: string | null
+  phrase: boolean
+  limit: number
+  offset: number
+}
+
+export type SnippetSegment = { text: string; match: boolean }
+
+export type SearchRow = {
+  id: string
+  source: SearchSource
+  kind: 'rule' | 'appendix' | 'section'
+  part: string | null
+  partName: string | null
+  subpart: string | null
+  number: string
+  heading: string
+  sourceUrl: string | null
+  pageStart: number | null
+  rank: number | string
+  snippet: string
+  total: number | bigint | string
+}
+
+export type SearchResult = Omit<SearchRow, 'rank' | 'snippet' | 'total'> & {
+  rank: number
+  snippet: SnippetSegment[]
+}
+
+export const HIGHLIGHT_START: string
+export const HIGHLIGHT_STOP: string
+export function normalizeSource(value: unknown): SearchSource | null
+export function normalizeSearchOptions(options: SearchOptions): NormalizedSearchOptions
+export function buildSearchQuery(options: SearchOptions): {
+  text: string
+  values: Array<string | number>
+  options: NormalizedSearchOptions
+}
+export function parseSnippet(snippet: string | null | undefined): SnippetSegment[]
+export function shapeSearchRows(rows: SearchRow[]): { total: number; results: SearchResult[] }
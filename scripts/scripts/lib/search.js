@@ -0,0 +1,111 @@
+// Postgres full-text search over the "Provision" table (see ingest_search.js).
+// Shared by scripts/search.js and the frontend's /api/search, so both build
+// the same SQL: websearch_to_tsquery syntax ("exact phrase", OR, -word) or a
+// whole-query phrase, ts_rank_cd ranking and ts_headline snippets.
+
+// ts_headline markers; unlikely in legislation text, split out by parseSnippet
+export const HIGHLIGHT_START = '⟦';
+export const HIGHLIGHT_STOP = '⟧';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * 'act' / 'caa' -> CAA, 'car' / 'rules' -> CAR; null when unset; throws otherwise.
+ */
+export function normalizeSource(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const v = String(value).trim().toLowerCase();
+  if (v === 'caa' || v === 'act') return 'CAA';
+  if (v === 'car' || v === 'rules') return 'CAR';
+  throw new Error(`Unknown source: ${value} (expected CAR or CAA)`);
+}
+
+/**
+ * Validate and default search options.
+ * options: { q, source?, part?, subpart?, phrase?, limit?, offset? }
+ */
+export function normalizeSearchOptions(options) {
+  const q = String(options.q ?? '').trim();
+  if (!q) throw new Error('Missing query');
+  const limit = Number(options.limit ?? DEFAULT_LIMIT);
+  const offset = Number(options.offset ?? 0);
+  return {
+    q,
+    source: normalizeSource(options.source),
+    // CAR Parts are stored zero-padded ('091'); compare without leading zeros
+    part: options.part ? String(options.part).trim().replace(/^part\s+/i, '').replace(/^0+(?=\d)/, '') : null,
+    // 'B' or 'Subpart B' both match 'Subpart B — Flight Rules'
+    subpart: options.subpart ? String(options.subpart).trim().replace(/^subpart\s+/i, '') : null,
+    phrase: Boolean(options.phrase),
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT,
+    offset: Number.isInteger(offset) && offset >= 0 ? offset : 0,
+  };
+}
+
+/**
+ * Parameterised SQL ({ text, values }) for one page of results; each row has
+ * id, source, kind, part, partName, subpart, number, heading, sourceUrl,
+ * pageStart, rank, snippet and total (the match count before paging).
+ */
+export function buildSearchQuery(options) {
+  const o = normalizeSearchOptions(options);
+  const values = [o.q];
+  const where = ['"search" @@ query'];
+  if (o.source) {
+    values.push(o.source);
+    where.push(`"source" = $${values.length}`);
+  }
+  if (o.part) {
+    values.push(o.part);
+    where.push(`ltrim("part", '0') = $${values.length}`);
+  }
+  if (o.subpart) {
+    // Literal text: LIKE wildcards in the input match only themselves
+    values.push(o.subpart.replace(/[\\%_]/g, '\\$&'));
+    where.push(`("subpart" ILIKE 'Subpart ' || $${values.length} || ' %' OR "subpart" ILIKE 'Subpart ' || $${values.length} OR "subpart" ILIKE $${values.length})`);
+  }
+  values.push(o.limit, o.offset);
+  const tsquery = o.phrase ? "phraseto_tsquery('english', $1)" : "websearch_to_tsquery('english', $1)";
+  const headline = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, MaxFragments=3, FragmentDelimiter=" … "`;
+  const text = `
+    SELECT "id", "source", "kind", "part", "partName", "subpart", "number", "heading", "sourceUrl", "pageStart",
+           ts_rank_cd("search", query) AS "rank",
+           ts_headline('english', "text", query, '${headline}') AS "snippet",
+           count(*) OVER () AS "total"
+    FROM "Provision", ${tsquery} AS query
+    WHERE ${where.join(' AND ')}
+    ORDER BY "rank" DESC, "position"
+    LIMIT $${values.length - 1} OFFSET $${values.length}`;
+  return { text, values, options: o };
+}
+
+/**
+ * Split a ts_headline snippet into plain and highlighted segments.
+ */
+export function parseSnippet(snippet) {
+  const segments = [];
+  const re = new RegExp(`${HIGHLIGHT_START}(.*?)${HIGHLIGHT_STOP}`, 'gs');
+  let cursor = 0;
+  for (const m of String(snippet ?? '').matchAll(re)) {
+    if (m.index > cursor) segments.push({ text: snippet.slice(cursor, m.index), match: false });
+    segments.push({ text: m[1], match: true });
+    cursor = m.index + m[0].length;
+  }
+  if (cursor < String(snippet ?? '').length) segments.push({ text: snippet.slice(cursor), match: false });
+  return segments;
+}
+
+/**
+ * Shape raw rows into { total, results } with numeric rank and parsed snippets.
+ */
+export function shapeSearchRows(rows) {
+  return {
+    total: rows.length > 0 ? Number(rows[0].total) : 0,
+    results: rows.map(({ total, rank, snippet, ...row }) => ({
+      ...row,
+      rank: Math.round(Number(rank) * 10000) / 10000,
+      snippet: parseSnippet(snippet),
+    })),
+  };
+}
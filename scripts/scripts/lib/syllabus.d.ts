@@ -0,0 +1,35 @@
+// Types for syllabus.js (imported by the frontend via the @scripts alias)
+
+export type SyllabusTopic = { number: string; title: string }
+
+export type SyllabusProvision = {
+  id: string
+  heading: string
+  match: 'manual' | 'explicit' | 'similar'
+  score: number
+}
+
+export type SyllabusItem = {
+  id: string
+  number: string
+  topic: SyllabusTopic
+  subtopic: SyllabusTopic | null
+  text: string
+  references: { provisionIds: string[]; parts: string[] }
+  provisions: SyllabusProvision[]
+}
+
+export type Syllabus = {
+  generated_at: string
+  source: { url?: string | null; pdf?: string; text?: string; sha256?: string }
+  embedder: string
+  topics: SyllabusTopic[]
+  items: SyllabusItem[]
+}
+
+export function parseSyllabus(lines: string[]): {
+  topics: SyllabusTopic[]
+  items: Array<Omit<SyllabusItem, 'provisions'>>
+}
+export function itemReferences(text: string): SyllabusItem['references']
+export function syllabusItemMap(syllabus: Pick<Syllabus, 'items'> | null): Map<string, SyllabusItem>
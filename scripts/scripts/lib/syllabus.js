@@ -0,0 +1,191 @@
+// CAA PPL Air Law syllabus (Subject No 4) as structured data: numbered
+// syllabus items parsed from the PDF's text lines, each mapped to the CAR
+// rules and Act sections that control it.
+//
+// Item: { id, number, topic: { number, title }, subtopic: { number, title } | null, text,
+//         references: { provisionIds, parts }, provisions: [{ id, heading, match, score }] }
+// - references are what the item text names itself ("rule 91.301", "Part 61", "section 12 of the Act")
+// - provisions: 'manual' (syllabus-map.yaml), 'explicit' (named in the item), then the
+//   closest 'similar' provisions by embedding, limited to the Parts the item names
+//
+// No Node imports: the frontend imports the types and syllabusItemMap().
+
+// "4.2.1 Describe ..." (up to four levels; rule numbers such as 91.101 are too wide to match)
+const NUMBERED_RE = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+(\S.*)$/;
+// A second item number later on the same visual line (table cells joined by buildLines)
+const EMBEDDED_RE = /\s(\d{1,2}(?:\.\d{1,2}){1,3})\s+(?=[A-Z])/g;
+const NOISE_RE = /^(?:sub[\s-]?topic|syllabus\s+items?|topic|items?|references?|page\s+\d+(?:\s+of\s+\d+)?)$/i;
+
+const RULE_NUMBER = '\\d{1,3}[A-Z]?\\.\\d{1,4}[A-Z]?';
+// "CAR 91.301", "rule 91.301", "rules 91.101, 91.103 and 91.105", "Part 91, rule 91.7"
+const RULE_LIST_RE = new RegExp(
+  `\\b(?:CAR|rules?)\\s+(?:Part\\s+\\d{1,3}[A-Z]?\\s*,?\\s*(?:rules?\\s+)?)?(${RULE_NUMBER}(?:\\s*(?:,\\s*(?:and|or)?|and|or|&)\\s*${RULE_NUMBER})*)`,
+  'gi',
+);
+const SECTION_LIST_RE = /\b(?:sections?|ss?\.?)\s+(\d{1,3}[A-Z]{0,2}(?:\s*(?:,\s*(?:and|or)?|and|or|&|to)\s*\d{1,3}[A-Z]{0,2})*)\b/gi;
+const PART_RE = /\bPart\s+0*(\d{1,3}[A-Z]?)\b/gi;
+
+function tidy(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function splitEmbeddedNumbers(line) {
+  const pieces = [];
+  let last = 0;
+  for (const m of line.matchAll(EMBEDDED_RE)) {
+    // "rule 1.1 Definitions" is a reference, not a new item
+    if (/(?:\b(?:rules?|CAR|Part|sections?|and|or)|,)$/i.test(line.slice(0, m.index))) continue;
+    pieces.push(line.slice(last, m.index));
+    last = m.index + 1;
+  }
+  pieces.push(line.slice(last));
+  return pieces.map(tidy).filter(Boolean);
+}
+
+/**
+ * Parse syllabus text lines (PDF lines in reading order, or a plain-text
+ * copy) into topics and items. Items are the numbered entries without
+ * sub-entries; unnumbered lines continue the entry above them.
+ */
+export function parseSyllabus(lines) {
+  const nodes = new Map();
+  let current = null;
+  let lastTop = 0;
+
+  for (const raw of lines) {
+    for (const line of splitEmbeddedNumbers(String(raw))) {
+      if (NOISE_RE.test(line)) continue;
+      const m = line.match(NUMBERED_RE);
+      const segments = m ? m[1].split('.').map(Number) : null;
+      const parent = segments ? segments.slice(0, -1).join('.') : null;
+      const plausible = segments && (
+        segments.length === 1
+          ? segments[0] > lastTop && segments[0] <= lastTop + 2
+          : nodes.has(parent) || segments[0] === lastTop || segments[0] === lastTop + 1
+      );
+      if (plausible && !nodes.has(m[1])) {
+        current = { number: m[1], depth: segments.length, text: tidy(m[2]), children: 0 };
+        nodes.set(m[1], current);
+        if (nodes.has(parent)) nodes.get(parent).children += 1;
+        lastTop = Math.max(lastTop, segments[0]);
+      } else if (current) {
+        current.text = tidy(`${current.text} ${line}`);
+      }
+    }
+  }
+
+  const titleOf = number => nodes.get(number)?.text ?? null;
+  const topics = [];
+  const items = [];
+  for (const node of nodes.values()) {
+    const segments = node.number.split('.');
+    if (node.depth === 1) topics.push({ number: node.number, title: node.text });
+    if (node.children > 0 || node.depth === 1) continue;
+    const topicNumber = segments[0];
+    const subtopicNumber = node.depth > 2 ? segments.slice(0, 2).join('.') : null;
+    items.push({
+      id: node.number,
+      number: node.number,
+      topic: { number: topicNumber, title: titleOf(topicNumber) ?? `Topic ${topicNumber}` },
+      subtopic: subtopicNumber ? { number: subtopicNumber, title: titleOf(subtopicNumber) ?? subtopicNumber } : null,
+      text: node.text,
+      references: itemReferences(node.text),
+    });
+  }
+  // Topics named only through their items' numbers
+  for (const item of items) {
+    if (!topics.some(t => t.number === item.topic.number)) topics.push({ ...item.topic });
+  }
+  topics.sort((a, b) => Number(a.number) - Number(b.number));
+  return { topics, items };
+}
+
+function listNumbers(list) {
+  return list.split(/\s*(?:,|and|or|&)\s*/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Provisions and Parts an item names in its own text.
+ */
+export function itemReferences(text) {
+  const provisionIds = [];
+  for (const m of text.matchAll(RULE_LIST_RE)) {
+    for (const number of listNumbers(m[1])) provisionIds.push(`CAR-${number}`);
+  }
+  // Section numbers only mean the Act when the item mentions it
+  if (/\b(?:Act|CAA)\b/.test(text)) {
+    for (const m of text.matchAll(SECTION_LIST_RE)) {
+      for (const piece of listNumbers(m[1])) {
+        // "sections 14 to 16"
+        const range = piece.match(/^(\d{1,3})\s*to\s*(\d{1,3})$/);
+        if (!range) provisionIds.push(`CAA-s${piece}`);
+        else for (let n = Number(range[1]); n <= Math.min(Number(range[2]), Number(range[1]) + 20); n += 1) provisionIds.push(`CAA-s${n}`);
+      }
+    }
+  }
+  const parts = [...text.matchAll(PART_RE)].map(m => String(Number.parseInt(m[1], 10)) + m[1].replace(/^\d+/, ''));
+  return { provisionIds: [...new Set(provisionIds)], parts: [...new Set(parts)] };
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i += 1) dot += a[i] * b[i];
+  return dot;
+}
+
+function partOf(provision) {
+  return provision.part ? String(Number.parseInt(provision.part, 10)) + String(provision.part).replace(/^\d+/, '') : null;
+}
+
+/**
+ * Attach provisions to every item. `embedder` is an embeddings.js embedder
+ * (vectors are unit length); similar provisions need at least `minScore`
+ * cosine similarity. `overrides` are syllabus-map.yaml entries
+ * { item, provisions: [ids], replace?: boolean }.
+ */
+export async function mapSyllabusItems(items, provisions, { embedder, topK = 3, minScore = 0.1, overrides = [], excludeIds = [] } = {}) {
+  const byId = new Map(provisions.map(p => [p.id, p]));
+  const candidates = provisions.filter(p => !excludeIds.includes(p.id));
+  const [provisionVectors, itemVectors] = await Promise.all([
+    embedder.embed(candidates.map(p => `${p.heading}\n${p.text.slice(0, 2000)}`)),
+    embedder.embed(items.map(item => [item.subtopic?.title, item.text].filter(Boolean).join('\n'))),
+  ]);
+  const overrideFor = new Map(overrides.map(o => [String(o.item), o]));
+  const unknown = [];
+
+  const mapped = items.map((item, i) => {
+    const entries = new Map();
+    const add = (id, match, score) => {
+      const provision = byId.get(id);
+      if (!provision) {
+        unknown.push({ item: item.id, id, match });
+        return;
+      }
+      if (!entries.has(id)) entries.set(id, { id, heading: provision.heading, match, score });
+    };
+
+    const override = overrideFor.get(item.id);
+    for (const id of override?.provisions ?? []) add(id, 'manual', 1);
+    if (!override?.replace) {
+      for (const id of item.references.provisionIds) add(id, 'explicit', 1);
+      const parts = item.references.parts;
+      const scored = [];
+      candidates.forEach((p, k) => {
+        if (parts.length > 0 && !parts.includes(partOf(p))) return;
+        const score = cosine(itemVectors[i], provisionVectors[k]);
+        if (score >= minScore) scored.push({ id: p.id, score });
+      });
+      scored.sort((a, b) => b.score - a.score);
+      for (const s of scored.slice(0, topK)) add(s.id, 'similar', Math.round(s.score * 1000) / 1000);
+    }
+    return { ...item, provisions: [...entries.values()] };
+  });
+  return { items: mapped, unknown };
+}
+
+/**
+ * Items by id, e.g. for looking up the item a quiz or score belongs to.
+ */
+export function syllabusItemMap(syllabus) {
+  return new Map((syllabus?.items ?? []).map(item => [item.id, item]));
+}
@@ -0,0 +1,57 @@
+// Types for verify.js (imported by the frontend via the @scripts alias)
+
+export type Verdict = 'verified' | 'not_found' | 'wrong_provision'
+
+export type VerifiableProvision = {
+  id: string
+  heading: string
+  text: string
+  source_url?: string | null
+}
+
+export type QuoteVerdict = {
+  text: string
+  attributedTo: string | null
+  verdict: Verdict
+  matchedId: string | null
+  score: number
+}
+
+export type CitationVerdict = {
+  raw: string
+  provisionId: string
+  urls: string[]
+  verdict: Verdict
+  issues: string[]
+  sourceUrl: string | null
+}
+
+export type Verification = {
+  quotes: QuoteVerdict[]
+  citations: CitationVerdict[]
+  summary: {
+    quotes: number
+    quotesVerified: number
+    citations: number
+    citationsVerified: number
+    ok: boolean
+  }
+}
+
+export type CitationMention = {
+  index: number
+  raw: string
+  source: 'CAR' | 'CAA'
+  part?: string
+  number: string
+  provisionId: string
+  partMismatch: boolean
+}
+
+export function normalizeForMatch(text: string): string
+export function parseCitationsInLine(line: string): CitationMention[]
+export function extractCitations(markdown: string): Array<Omit<CitationMention, 'index'> & { urls: string[] }>
+export function extractQuotes(markdown: string): Array<{ text: string; attributedTo: string | null }>
+export function createVerifier(provisions: VerifiableProvision[]): {
+  verify(markdown: string): Verification
+}
@@ -0,0 +1,267 @@
+// Post-completion checks for answers produced under the legal-advice policy:
+// every ```text quote must appear in the corpus, every `CAR Part X, rule Y` /
+// `CAA s N` citation must name an existing provision, and every cited URL must
+// be the source_url of that provision's document.
+//
+// Verdicts: 'verified' | 'not_found' | 'wrong_provision'
+
+const FUZZY_THRESHOLD = 0.8;
+const MIN_SEGMENT_WORDS = 3;
+
+const CAR_CITATION_RE = /\bCAR\s+Part\s+0*(\d{1,3}[A-Z]?)\s*,?\s*rule\s+(\d{1,3}[A-Z]?\.\d{1,4}[A-Z]?)/gi;
+const CAA_CITATION_RE = /\bCAA\s+(?:s|section)\.?\s*(\d{1,3}[A-Z]{0,2})\b/gi;
+const URL_RE = /https?:\/\/[^\s)<>\]"'`]+/g;
+
+export function normalizeForMatch(text) {
+  return String(text)
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .toLowerCase()
+    .replace(/[‘’‛]/g, "'")
+    .replace(/[“”‟]/g, '"')
+    .replace(/[–—−]/g, '-')
+    .replace(/^\s*-\s+/gm, '')
+    .replace(/[*_`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function trigrams(words) {
+  const set = new Set();
+  for (let i = 0; i + 2 < words.length; i += 1) set.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+  return set;
+}
+
+function normalizeUrl(url) {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    return u.toString().replace(/\/+$/, '').toLowerCase();
+  } catch {
+    return String(url).replace(/[#?].*$/, '').replace(/\/+$/, '').toLowerCase();
+  }
+}
+
+function cleanUrl(url) {
+  return url.replace(/[.,;:]+$/, '');
+}
+
+/**
+ * Pull ```text fenced quotes out of an answer, remembering the last citation
+ * mentioned before each quote (within the same ## section) as its attribution.
+ */
+export function extractQuotes(markdown) {
+  const quotes = [];
+  const lines = String(markdown).split(/\r?\n/);
+  let attributed = null;
+  let inFence = false;
+  let fenceIsText = false;
+  let buffer = [];
+  for (const line of lines) {
+    const fence = line.match(/^\s*```\s*([\w-]*)\s*$/);
+    if (fence) {
+      if (!inFence) {
+        inFence = true;
+        fenceIsText = fence[1].toLowerCase() === 'text';
+        buffer = [];
+      } else {
+        if (fenceIsText && buffer.join('\n').trim()) {
+          quotes.push({ text: buffer.join('\n').trim(), attributedTo: attributed });
+        }
+        inFence = false;
+      }
+      continue;
+    }
+    if (inFence) {
+      buffer.push(line);
+      continue;
+    }
+    if (/^##\s/.test(line)) attributed = null;
+    const mentions = parseCitationsInLine(line);
+    if (mentions.length > 0) attributed = mentions[mentions.length - 1].provisionId;
+  }
+  return quotes;
+}
+
+/**
+ * Formal citations in one line of text, in order of appearance.
+ */
+export function parseCitationsInLine(line) {
+  const found = [];
+  for (const m of line.matchAll(CAR_CITATION_RE)) {
+    const rulePart = m[2].split('.')[0];
+    found.push({
+      index: m.index,
+      raw: m[0],
+      source: 'CAR',
+      part: m[1],
+      number: m[2],
+      provisionId: `CAR-${m[2]}`,
+      partMismatch: Number.parseInt(rulePart, 10) !== Number.parseInt(m[1], 10),
+    });
+  }
+  for (const m of line.matchAll(CAA_CITATION_RE)) {
+    found.push({ index: m.index, raw: m[0], source: 'CAA', number: m[1], provisionId: `CAA-s${m[1]}`, partMismatch: false });
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Every formal citation in the answer (outside code fences), merged per
+ * provision, with the URLs written on the same lines.
+ */
+export function extractCitations(markdown) {
+  const citations = [];
+  let inFence = false;
+  for (const line of String(markdown).split(/\r?\n/)) {
+    if (/^\s*```/.test(line)) { inFence = !inFence; continue; }
+    if (inFence) continue;
+    const mentions = parseCitationsInLine(line);
+    if (mentions.length === 0) continue;
+    const urls = [...line.matchAll(URL_RE)].map(m => cleanUrl(m[0]));
+    for (const mention of mentions) {
+      const { index, ...rest } = mention;
+      citations.push({ ...rest, urls: mentions.length === 1 ? urls : urls.filter(u => line.indexOf(u) > index) });
+    }
+  }
+  // one entry per provision: first wording, all URLs, any Part mismatch
+  const merged = new Map();
+  for (const c of citations) {
+    const prev = merged.get(c.provisionId);
+    if (!prev) {
+      merged.set(c.provisionId, { ...c, urls: [...new Set(c.urls)] });
+      continue;
+    }
+    prev.urls = [...new Set([...prev.urls, ...c.urls])];
+    prev.partMismatch = prev.partMismatch || c.partMismatch;
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Build a verifier over provision records (see provisions.js).
+ */
+export function createVerifier(provisions) {
+  const byId = new Map();
+  const normalized = new Map();
+  const grams = new Map();
+  const urlOwners = new Map();
+  for (const p of provisions) {
+    if (!byId.has(p.id)) byId.set(p.id, p);
+    if (p.source_url) {
+      const key = normalizeUrl(p.source_url);
+      if (!urlOwners.has(key)) urlOwners.set(key, new Set());
+      urlOwners.get(key).add(p.id);
+    }
+  }
+  const textOf = p => {
+    if (!normalized.has(p.id)) normalized.set(p.id, normalizeForMatch(`${p.heading}\n${p.text}`));
+    return normalized.get(p.id);
+  };
+  const gramsOf = p => {
+    if (!grams.has(p.id)) grams.set(p.id, trigrams(textOf(p).split(' ')));
+    return grams.get(p.id);
+  };
+
+  function matchSegment(segment, preferredId) {
+    const preferred = preferredId ? byId.get(preferredId) : null;
+    if (preferred && textOf(preferred).includes(segment)) return { id: preferred.id, score: 1 };
+    for (const p of byId.values()) {
+      if (textOf(p).includes(segment)) return { id: p.id, score: 1 };
+    }
+    // Fuzzy: share of the segment's word trigrams present in one provision
+    const words = segment.split(' ');
+    const wanted = trigrams(words);
+    if (wanted.size === 0) return { id: null, score: 0 };
+    const anchors = [...words].sort((a, b) => b.length - a.length).slice(0, 3);
+    let best = { id: null, score: 0 };
+    const candidates = preferred ? [preferred, ...byId.values()] : byId.values();
+    for (const p of candidates) {
+      const text = textOf(p);
+      if (!anchors.some(w => text.includes(w))) continue;
+      const have = gramsOf(p);
+      let hits = 0;
+      for (const g of wanted) if (have.has(g)) hits += 1;
+      const score = hits / wanted.size;
+      if (score > best.score) best = { id: p.id, score };
+      if (score === 1) break;
+    }
+    return best;
+  }
+
+  function verifyQuote(quote) {
+    const segments = normalizeForMatch(quote.text)
+      .replace(/^["']|["']$/g, '')
+      .split(/\s*(?:…|\.\.\.|\[\.\.\.\])\s*/)
+      .map(s => s.trim())
+      .filter(s => s.split(' ').length >= MIN_SEGMENT_WORDS);
+    if (segments.length === 0) {
+      return { text: quote.text, attributedTo: quote.attributedTo, verdict: 'not_found', matchedId: null, score: 0 };
+    }
+    let score = 1;
+    const matched = new Set();
+    for (const segment of segments) {
+      const m = matchSegment(segment, quote.attributedTo);
+      score = Math.min(score, m.score);
+      if (m.id) matched.add(m.id);
+    }
+    const matchedId = matched.size > 0 ? [...matched][0] : null;
+    let verdict = 'not_found';
+    if (score >= FUZZY_THRESHOLD) {
+      verdict = quote.attributedTo && !matched.has(quote.attributedTo) ? 'wrong_provision' : 'verified';
+    }
+    return { text: quote.text, attributedTo: quote.attributedTo, verdict, matchedId, score: Math.round(score * 100) / 100 };
+  }
+
+  function verifyCitation(citation, quoteResults) {
+    const issues = [];
+    const provision = byId.get(citation.provisionId);
+    if (!provision) issues.push('provision_not_in_corpus');
+    if (citation.partMismatch) issues.push('part_does_not_match_rule');
+    if (citation.urls.length === 0) issues.push('missing_url');
+    let urlNotInCorpus = false;
+    for (const url of citation.urls) {
+      const owners = urlOwners.get(normalizeUrl(url));
+      if (!owners) {
+        urlNotInCorpus = true;
+        issues.push(`url_not_in_corpus: ${url}`);
+      } else if (provision && !owners.has(provision.id)) {
+        issues.push(`url_is_for_another_document: ${url}`);
+      }
+    }
+    const misattributed = quoteResults.some(q => q.attributedTo === citation.provisionId && q.verdict === 'wrong_provision');
+    if (misattributed) issues.push('quote_found_in_another_provision');
+
+    let verdict = 'verified';
+    if (!provision || urlNotInCorpus) verdict = 'not_found';
+    else if (citation.partMismatch || misattributed || issues.some(i => i.startsWith('url_is_for_another_document'))) verdict = 'wrong_provision';
+    return {
+      raw: citation.raw,
+      provisionId: citation.provisionId,
+      urls: citation.urls,
+      verdict,
+      issues,
+      sourceUrl: provision?.source_url ?? null,
+    };
+  }
+
+  return {
+    /**
+     * Verify an answer. Returns { quotes, citations, summary }.
+     */
+    verify(markdown) {
+      const quotes = extractQuotes(markdown).map(verifyQuote);
+      const citations = extractCitations(markdown).map(c => verifyCitation(c, quotes));
+      const count = (list, verdict) => list.filter(x => x.verdict === verdict).length;
+      const summary = {
+        quotes: quotes.length,
+        quotesVerified: count(quotes, 'verified'),
+        citations: citations.length,
+        citationsVerified: count(citations, 'verified'),
+      };
+      summary.ok = quotes.length > 0
+        && summary.quotesVerified === quotes.length
+        && summary.citationsVerified === citations.length;
+      return { quotes, citations, summary };
+    },
+  };
+}
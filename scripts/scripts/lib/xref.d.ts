@@ -0,0 +1,30 @@
+// Types for xref.js (imported by the frontend via the @scripts alias)
+
+export type ReferenceKind = 'rule' | 'part' | 'section' | 'appendix' | 'schedule'
+
+export type ReferenceEdge = {
+  from: string
+  to: string
+  kind: ReferenceKind
+  count: number
+  raw: string
+}
+
+export type ReferenceGraph = {
+  generated_at: string
+  nodes: number
+  edges: ReferenceEdge[]
+}
+
+export function normalizePart(part: string): string
+export function extractReferences(provision: {
+  id: string
+  source: 'CAR' | 'CAA'
+  part?: string | null
+  text: string
+}): Array<{ to: string; kind: ReferenceKind; raw: string }>
+export function buildReferenceGraph(provisions: Array<{ id: string; source: 'CAR' | 'CAA'; part?: string | null; text: string }>): ReferenceGraph
+export function referencesFor(
+  edges: ReferenceEdge[],
+  id: string,
+): { references: ReferenceEdge[]; referencedBy: ReferenceEdge[] }
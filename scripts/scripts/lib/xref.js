@@ -0,0 +1,126 @@
+// Cross-references between provisions: "rule 91.247", "rules 91.243 and 91.245",
+// "in accordance with Part 61", "section 30 of the Act", "Appendix B", "Schedule 1".
+// Ranges ("sections 30 to 35", "rules 91.243 to 91.247") count every number in them.
+//
+// Edge: { from, to, kind: 'rule' | 'part' | 'section' | 'appendix' | 'schedule', count, raw }
+// `to` is a provision id (CAR-91.247, CAA-s30, CAR-91-AppB, CAA-sch1) or a
+// whole CAR Part (CAR-Part-61). Edges to ids that are not in the index are dropped.
+
+const NUMBER = '\\d{1,3}[A-Z]?\\.\\d{1,4}[A-Z]?';
+const SEP = '\\s*(?:,\\s*(?:and|or)?|and|or|to)\\s*';
+
+const RULE_RE = new RegExp(`\\brules?\\s+(${NUMBER})((?:${SEP}(?:rules?\\s+)?${NUMBER})*)`, 'g');
+const PART_RE = new RegExp(`\\bParts?\\s+(\\d{1,3}[A-Z]?)\\b((?:${SEP}\\d{1,3}[A-Z]?\\b)*)`, 'g');
+const SECTION_RE = new RegExp(`\\b(?:sections?|ss?)\\s+(\\d{1,3}[A-Z]{0,2})\\b((?:${SEP}\\d{1,3}[A-Z]{0,2}\\b)*)((?:\\s*\\([^)]*\\))*)(?:\\s+of\\s+(?:the\\s+)?((?:[A-Z][A-Za-z]*\\s+)*Act(?:\\s+\\d{4})?))?`, 'g');
+const APPENDIX_RE = /\bAppendix\s+([A-Z]\d*)\b(?:\s+(?:of|to)\s+Part\s+(\d{1,3}[A-Z]?))?/g;
+const SCHEDULE_RE = /\bSchedule\s+(\d{1,2})\b/g;
+const THIS_ACT_RE = /^(?:Civil Aviation )?Act(?: 2023)?$/;
+const OF_ACT_RE = /^\s+of\s+the\s+(?:Civil\s+Aviation\s+)?Act\b/;
+// Longest "N to M" range expanded into its members
+const MAX_RANGE = 100;
+
+// "30 to 35" -> 31..35 (after 30); the end alone when the two differ other than in a trailing number
+function rangeAfter(start, end) {
+  const a = start.match(/^(.*?)(\d+)$/);
+  const b = end.match(/^(.*?)(\d+)$/);
+  if (!a || !b || a[1] !== b[1]) return [end];
+  const from = Number(a[2]);
+  const to = Number(b[2]);
+  if (to <= from || to - from > MAX_RANGE) return [end];
+  return Array.from({ length: to - from }, (_, i) => `${a[1]}${from + i + 1}`);
+}
+
+function listItems(first, tail, itemRe) {
+  const items = [first];
+  let last = 0;
+  for (const m of (tail || '').matchAll(itemRe)) {
+    const range = /\bto\b/.test(tail.slice(last, m.index));
+    items.push(...(range ? rangeAfter(items[items.length - 1], m[0]) : [m[0]]));
+    last = m.index + m[0].length;
+  }
+  return items;
+}
+
+/**
+ * A CAR Part number as in CAR-Part-<n> ids: "061" -> "61", "12A" -> "12A".
+ */
+export function normalizePart(part) {
+  return String(Number.parseInt(part, 10)) + String(part).replace(/^\d+/, '');
+}
+
+/**
+ * Reference mentions in one provision: [{ to, kind, raw }], in text order.
+ */
+export function extractReferences(provision) {
+  const text = provision.text || '';
+  const isAct = provision.source === 'CAA';
+  const found = [];
+
+  for (const m of text.matchAll(RULE_RE)) {
+    for (const number of listItems(m[1], m[2], new RegExp(NUMBER, 'g'))) {
+      found.push({ to: `CAR-${number}`, kind: 'rule', raw: m[0] });
+    }
+  }
+  if (!isAct) {
+    for (const m of text.matchAll(PART_RE)) {
+      // "Part 2 of the Act" is a Part of the Act, not a CAR Part
+      if (OF_ACT_RE.test(text.slice(m.index + m[0].length))) continue;
+      for (const part of listItems(m[1], m[2], /\d{1,3}[A-Z]?/g)) {
+        found.push({ to: `CAR-Part-${normalizePart(part)}`, kind: 'part', raw: m[0] });
+      }
+    }
+  }
+  for (const m of text.matchAll(SECTION_RE)) {
+    // In the rules only "section N of the Act" is unambiguous; other Acts never count
+    const act = m[4]?.replace(/\s+/g, ' ');
+    if (act ? !THIS_ACT_RE.test(act) : !isAct) continue;
+    for (const number of listItems(m[1], m[2], /\d{1,3}[A-Z]{0,2}/g)) {
+      found.push({ to: `CAA-s${number}`, kind: 'section', raw: m[0].trim() });
+    }
+  }
+  if (!isAct) {
+    for (const m of text.matchAll(APPENDIX_RE)) {
+      const part = m[2] ? normalizePart(m[2]) : provision.part ? normalizePart(provision.part) : null;
+      if (part) found.push({ to: `CAR-${part}-App${m[1]}`, kind: 'appendix', raw: m[0] });
+    }
+  } else {
+    for (const m of text.matchAll(SCHEDULE_RE)) {
+      found.push({ to: `CAA-sch${m[1]}`, kind: 'schedule', raw: m[0] });
+    }
+  }
+  return found;
+}
+
+/**
+ * Reference graph over a provision index. Self-references and references to
+ * provisions (or Parts) missing from the index are dropped; repeats are counted.
+ * Returns { generated_at, nodes, edges: [{ from, to, kind, count, raw }] }.
+ */
+export function buildReferenceGraph(provisions) {
+  const ids = new Set(provisions.map(p => p.id));
+  for (const p of provisions) {
+    if (p.source === 'CAR' && p.part) ids.add(`CAR-Part-${normalizePart(p.part)}`);
+  }
+  const edges = new Map();
+  for (const p of provisions) {
+    const ownPart = p.source === 'CAR' && p.part ? `CAR-Part-${normalizePart(p.part)}` : null;
+    for (const ref of extractReferences(p)) {
+      if (ref.to === p.id || ref.to === ownPart || !ids.has(ref.to)) continue;
+      const key = `${p.id}\u0000${ref.to}`;
+      const edge = edges.get(key);
+      if (edge) edge.count += 1;
+      else edges.set(key, { from: p.id, to: ref.to, kind: ref.kind, count: 1, raw: ref.raw });
+    }
+  }
+  return { generated_at: new Date().toISOString(), nodes: provisions.length, edges: [...edges.values()] };
+}
+
+/**
+ * { references, referencedBy } for one id from a list of edges.
+ */
+export function referencesFor(edges, id) {
+  return {
+    references: edges.filter(e => e.from === id),
+    referencedBy: edges.filter(e => e.to === id),
+  };
+}
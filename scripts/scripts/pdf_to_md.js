@@ -4,7 +4,10 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import process from 'node:process';
 import YAML from 'yaml';
-import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { convertPdfFile, readConsolidationDate } from './lib/pdf_structure.js';
+import { archiveAndReport, defaultAmendmentPaths } from './lib/amendments.js';
+import { sha256File } from './lib/download.js';
+import { carDocumentKey, defaultManifestPath, needsConversion, readManifest, recordConversion, writeManifest } from './lib/manifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +17,8 @@ const scriptsRoot = path.resolve(__dirname, '..');
 const repoRoot = path.resolve(__dirname, '..', '..');
 const dataFile = path.resolve(scriptsRoot, 'car.yaml');
 // paths are provided per-entry in YAML (pdf_path, md_path)
+// FORCE=1 reconverts Parts whose PDF hash is unchanged since the last conversion
+const FORCE = process.env.FORCE === '1' || process.argv.includes('--force');
 
 function readYaml(filePath) {
   const text = fs.readFileSync(filePath, 'utf8');
@@ -38,46 +43,20 @@ function buildFrontMatter({ part, name, url, pages }) {
   ].join('\n');
 }
 
-function normalizeTextToMarkdown(text) {
-  // Minimal normalization: trim excessive blank lines
-  const lines = text.split(/\r?\n/);
-  const compact = [];
-  let blankCount = 0;
-  for (const line of lines) {
-    const trimmed = line.replace(/\s+$/,'');
-    if (trimmed === '') {
-      blankCount += 1;
-      if (blankCount <= 2) compact.push('');
-    } else {
-      blankCount = 0;
-      compact.push(trimmed);
-    }
-  }
-  return compact.join('\n');
-}
-
 async function convertOne(pdfPath, meta, outFile) {
-  const data = new Uint8Array(fs.readFileSync(pdfPath));
-  const loadingTask = pdfjsLib.getDocument({ data });
-  const pdf = await loadingTask.promise;
-  const pages = pdf.numPages;
-  let text = '';
-  for (let i = 1; i <= pages; i += 1) {
-    const page = await pdf.getPage(i);
-    const content = await page.getTextContent();
-    const strings = content.items.map(it => (typeof it.str === 'string' ? it.str : ''));
-    text += strings.join(' ') + '\n\n';
-  }
-  const markdownBody = normalizeTextToMarkdown(text);
+  const { markdown, pages, stats } = await convertPdfFile(pdfPath, { kind: 'car', part: meta.part });
   const fm = buildFrontMatter({ part: zeroPadPart(meta.part), name: meta.name, url: meta.url, pages });
-  const md = `${fm}# ${meta.name}\n\n${markdownBody}\n`;
+  const md = `${fm}# ${meta.name}\n\n${markdown}\n`;
   fs.writeFileSync(outFile, md, 'utf8');
-  return { outFile, pages, bytes: Buffer.byteLength(md, 'utf8') };
+  return { outFile, pages, bytes: Buffer.byteLength(md, 'utf8'), stats, markdown: md };
 }
 
 async function main() {
   const entries = readYaml(dataFile);
   const byPart = new Map(entries.map(e => [zeroPadPart(e.part), e]));
+  const manifestFile = defaultManifestPath(repoRoot);
+  const manifest = readManifest(manifestFile);
+  const amendmentPaths = defaultAmendmentPaths(scriptsRoot);
   const results = [];
   for (const [part, meta] of byPart.entries()) {
     // Determine PDF path relative to repo root, mirroring downloader behavior
@@ -107,9 +86,28 @@ async function main() {
       }
       if (relMd.toLowerCase().endsWith('.pdf')) relMd = relMd.slice(0, -4) + '.md';
       const outFile = path.resolve(scriptsRoot, relMd);
+      const key = carDocumentKey(part);
+      const pdfSha256 = await sha256File(pdfPath);
+      if (!FORCE && !needsConversion(manifest, key, pdfSha256, outFile)) {
+        console.log(`[SKIP] Part ${part} unchanged (sha256:${pdfSha256.slice(0, 12)})`);
+        results.push({ part, ok: true, skipped: true, outFile });
+        continue;
+      }
       fs.mkdirSync(path.dirname(outFile), { recursive: true });
-      const r = await convertOne(pdfPath, meta, outFile);
-      console.log(`[OK] Part ${part} -> ${r.outFile} (${r.pages} pages, ${r.bytes} bytes)`);
+      const { markdown, ...r } = await convertOne(pdfPath, meta, outFile);
+      recordConversion(manifest, key, { pdfSha256, md: path.relative(repoRoot, outFile), markdown });
+      writeManifest(manifestFile, manifest);
+      console.log(`[OK] Part ${part} -> ${r.outFile} (${r.pages} pages, ${r.stats.rules} rules, ${r.bytes} bytes)`);
+      // Keep this version and report what changed since the previous one
+      const doc = manifest.documents[key];
+      const consolidationDate = doc?.sha256 === pdfSha256 && doc.consolidation_date
+        ? doc.consolidation_date
+        : await readConsolidationDate(pdfPath).catch(() => null);
+      const { report, mdPath } = archiveAndReport(amendmentPaths, key, { markdown, pdfSha256, consolidationDate });
+      if (report) {
+        const s = report.summary;
+        console.log(`[AMENDED] Part ${part}: ${s.added} added, ${s.removed} removed, ${s.modified} modified -> ${mdPath}`);
+      }
       results.push({ part, ok: true, ...r });
     } catch (err) {
       console.error(`[FAIL] Part ${part} -> ${err.message}`);
@@ -122,7 +120,8 @@ async function main() {
   const reportPath = path.resolve(scriptsRoot, 'convert_report.json');
   fs.mkdirSync(path.dirname(reportPath), { recursive: true });
   fs.writeFileSync(reportPath, JSON.stringify(results, null, 2), 'utf8');
-  console.log(`Summary: ${ok} ok, ${fail} fail`);
+  const skipped = results.filter(r => r.skipped).length;
+  console.log(`Summary: ${ok} ok (${skipped} unchanged), ${fail} fail`);
   console.log(`Report: ${reportPath}`);
 }
 
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+import process from 'node:process';
+import 'dotenv/config'
+import { connect } from './lib/db.js';
+import { buildSearchQuery, shapeSearchRows } from './lib/search.js';
+
+const USAGE = [
+  'Usage: npm run search -- <query> [--source car|caa] [--part 91] [--subpart B] [--phrase] [--limit 20] [--offset 0] [--json]',
+  '  <query>: web-search syntax; "quoted phrase", OR, -excluded',
+  '  --phrase: treat the whole query as one phrase',
+  '  Needs the Provision table loaded by npm run ingest:search',
+].join('\n');
+
+function parseArgs(argv) {
+  const args = { words: [], source: null, part: null, subpart: null, phrase: false, limit: undefined, offset: undefined, json: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === '--source') args.source = argv[++i];
+    else if (a === '--part') args.part = argv[++i];
+    else if (a === '--subpart') args.subpart = argv[++i];
+    else if (a === '--limit') args.limit = Number(argv[++i]);
+    else if (a === '--offset') args.offset = Number(argv[++i]);
+    else if (a === '--phrase') args.phrase = true;
+    else if (a === '--json') args.json = true;
+    else if (!a.startsWith('--')) args.words.push(a);
+  }
+  return args;
+}
+
+// Bold the matched words when printing to a terminal
+function renderSnippet(segments) {
+  const bold = process.stdout.isTTY;
+  return segments
+    .map(s => (s.match && bold ? `\x1b[1m${s.text}\x1b[22m` : s.match ? `*${s.text}*` : s.text))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.words.length === 0) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const { text, values, options } = buildSearchQuery({ ...args, q: args.words.join(' ') });
+  const client = await connect();
+  try {
+    const { total, results } = shapeSearchRows((await client.query(text, values)).rows);
+    if (args.json) {
+      console.log(JSON.stringify({ query: options, total, results }, null, 2));
+      return;
+    }
+    console.log(`[search] ${total} match(es) for ${JSON.stringify(options.q)}${total > results.length ? `; showing ${options.offset + 1}-${options.offset + results.length}` : ''}`);
+    for (const r of results) {
+      console.log(`\n[${r.id}] ${r.heading} (rank ${r.rank})`);
+      if (r.subpart) console.log(`  ${r.subpart}`);
+      console.log(`  ${renderSnippet(r.snippet)}`);
+      if (r.sourceUrl) console.log(`  ${r.sourceUrl}${r.pageStart ? `#page=${r.pageStart}` : ''}`);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});